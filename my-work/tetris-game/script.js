@@ -10,81 +10,386 @@ const CONFIG = {
     BLOCK_SIZE: 30,
     INITIAL_DROP_SPEED: 1000,
     SPEED_INCREASE_RATE: 0.9,
-    COLORS: {
-        BACKGROUND: '#000000',
-        GRID: '#333333',
-        TEXT: '#ffffff',
-        BORDER: '#ffffff'
-    }
-};
-
-// Tetromino types and their properties - 7 standard tetris pieces
-const TETROMINO_TYPES = {
-    I: { 
-        shapes: [
-            [[1,1,1,1]],
-            [[1],[1],[1],[1]],
-            [[1,1,1,1]],
-            [[1],[1],[1],[1]]
-        ], 
-        color: '#00f0f0' 
+    FRAME_DURATION: 1000 / 60, // Fixed simulation step in ms
+    MAX_FRAME_CATCH_UP: 250,   // Longest real-time gap simulated in one loop (ms)
+    DEFAULT_RANDOMIZER: '7-bag',
+    DEFAULT_GAME_MODE: 'marathon',
+    DEFAULT_PIECE_SET: 'classic', // Key of PIECE_SETS dealt on load
+    NEXT_QUEUE_LENGTH: 3, // Number of upcoming pieces shown (1-6)
+    AUTO_SHIFT: {
+        DAS: 170, // ms a direction is held before auto-repeat starts
+        ARR: 50   // ms between auto-repeat moves (0 = instantly to the wall)
+    },
+    GAMEPAD: {
+        DEAD_ZONE: 0.5,                      // Stick travel (0-1) ignored around the centre
+        STORAGE_KEY: 'tetris.gamepadProfiles'
+    },
+    KEY_BINDINGS: {
+        STORAGE_KEY: 'tetris.keyBindings',
+        PLAYER_2_STORAGE_KEY: 'tetris.keyBindings.player2' // Second player's set in local versus
+    },
+    TOUCH: {
+        TAP_SLOP: 10,          // px a finger may wander before a tap becomes a swipe
+        TAP_MAX_DURATION: 250, // ms a tap may last
+        FLICK_VELOCITY: 1.2,   // px/ms downward at release that hard drops
+        FLICK_WINDOW: 100      // ms of movement the release speed is measured over
+    },
+    ENTRY_DELAY: {
+        LINE_CLEAR: 300, // ms completed rows stay on the board (animated) before they are removed
+        SPAWN: 100,      // ARE: ms from a lock (or the end of a line clear) to the next piece
+        MAX: 1000        // Longest delay setSpawnTiming accepts
+    },
+    LINE_CLEAR_EFFECT: {
+        STYLE: 'flash',          // 'flash' or 'dissolve'
+        PARTICLES: 48,           // Particles per cleared row on Tetrises and T-spin clears
+        PARTICLE_LIFETIME: 700   // ms
     },
-    O: { 
-        shapes: [
-            [[1,1],[1,1]],
-            [[1,1],[1,1]],
-            [[1,1],[1,1]],
-            [[1,1],[1,1]]
-        ], 
-        color: '#f0f000' 
+    LOCK_DELAY: {
+        DURATION: 500,  // ms a grounded piece waits before locking
+        MAX_RESETS: 15  // Move/rotate resets allowed per piece
     },
-    T: { 
-        shapes: [
-            [[0,1,0],[1,1,1]],
-            [[1,0],[1,1],[1,0]],
-            [[1,1,1],[0,1,0]],
-            [[0,1],[1,1],[0,1]]
-        ], 
-        color: '#a000f0' 
+    VERSUS: {
+        // Garbage rows sent per clear, by lines cleared
+        LINE_ATTACK: { 0: 0, 1: 0, 2: 1, 3: 2, 4: 4 },
+        T_SPIN_ATTACK: { 0: 0, 1: 2, 2: 4, 3: 6 },
+        T_SPIN_MINI_ATTACK: { 0: 0, 1: 0, 2: 1 },
+        BACK_TO_BACK_ATTACK: 1,    // Extra row for back-to-back Tetrises and T-spins
+        COMBO_ATTACK: [0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 4, 5], // By combo count; the last value repeats
+        PERFECT_CLEAR_ATTACK: 10,  // Replaces the rest of the attack
+        GARBAGE_CAP: 8             // Most pending rows that rise after one lock
     },
-    S: { 
-        shapes: [
-            [[0,1,1],[1,1,0]],
-            [[1,0],[1,1],[0,1]],
-            [[0,1,1],[1,1,0]],
-            [[1,0],[1,1],[0,1]]
-        ], 
-        color: '#00f000' 
+    BOT: {
+        // Weights of the board features a placement leaves behind (higher scores are better)
+        WEIGHTS: { aggregateHeight: -0.51, linesCleared: 0.76, holes: -0.36, bumpiness: -0.18 },
+        STRENGTHS: {
+            easy: { hold: false, lookahead: false, mistakeRate: 0.3 }, // Sometimes takes a worse placement
+            normal: { hold: true, lookahead: false, mistakeRate: 0 },
+            hard: { hold: true, lookahead: true, mistakeRate: 0 }      // Also places the next piece
+        },
+        DEFAULT_STRENGTH: 'normal',
+        MISTAKE_CHOICES: 5,        // A mistake picks one of this many best placements
+        ACTION_DELAY: 100,         // Game-time ms between commands (0 = a whole placement per frame)
+        MAX_ACTION_DELAY: 1000,
+        HINT_COLOR: '#ffffff'      // Outline of the hint overlay
     },
-    Z: { 
-        shapes: [
-            [[1,1,0],[0,1,1]],
-            [[0,1],[1,1],[1,0]],
-            [[1,1,0],[0,1,1]],
-            [[0,1],[1,1],[1,0]]
-        ], 
-        color: '#f00000' 
+    GAME_SETTINGS: {
+        STORAGE_KEY: 'tetris.gameSettings' // Randomizer and piece set chosen in the settings panel
     },
-    J: { 
-        shapes: [
-            [[1,0,0],[1,1,1]],
-            [[1,1],[1,0],[1,0]],
-            [[1,1,1],[0,0,1]],
-            [[0,1],[0,1],[1,1]]
-        ], 
-        color: '#0000f0' 
+    SCORING: {
+        // Base points per action, multiplied by the level
+        LINE_CLEAR: { 0: 0, 1: 100, 2: 300, 3: 500, 4: 800 },
+        T_SPIN: { 0: 400, 1: 800, 2: 1200, 3: 1600 },
+        T_SPIN_MINI: { 0: 100, 1: 200, 2: 400 },
+        PERFECT_CLEAR: { 1: 800, 2: 1200, 3: 1800, 4: 2000 },
+        BACK_TO_BACK_PERFECT_CLEAR: 3200, // Perfect clear Tetris during back-to-back
+        BACK_TO_BACK_MULTIPLIER: 1.5,     // Applied to Tetrises and T-spin line clears
+        COMBO: 50,                        // × combo count × level
+        SOFT_DROP: 1,                     // Per cell
+        HARD_DROP: 2                      // Per cell
     },
-    L: { 
-        shapes: [
-            [[0,0,1],[1,1,1]],
-            [[1,0],[1,0],[1,1]],
-            [[1,1,1],[1,0,0]],
-            [[1,1],[0,1],[0,1]]
-        ], 
-        color: '#f0a000' 
+    HIGH_SCORES: {
+        STORAGE_KEY: 'tetris.highScores',
+        MAX_ENTRIES: 10,     // Entries kept per game mode
+        NAME_MAX_LENGTH: 12
+    },
+    SAVED_GAME: {
+        STORAGE_KEY: 'tetris.savedGame' // Game in progress, saved on pause and when the tab is hidden
+    },
+    AUDIO: {
+        STORAGE_KEY: 'tetris.audioSettings',
+        VOLUME: { master: 0.8, music: 0.5, effects: 0.8 }, // 0-1 per channel
+        MUSIC: {
+            BASE_TEMPO: 120,    // Beats per minute at the first level's drop speed
+            MAX_TEMPO: 200,
+            STEPS_PER_BEAT: 2,  // Eighth notes
+            LOOKAHEAD: 0.1      // Seconds of music scheduled ahead of the AudioContext clock
+        }
+    },
+    ACCESSIBILITY: {
+        STORAGE_KEY: 'tetris.accessibility',
+        PALETTE: 'standard' // Key of COLOR_PALETTES
+    },
+    RENDERER: {
+        MAX_PIXEL_RATIO: 3,  // Caps the canvas backing store on very dense displays
+        METRICS_WINDOW: 60   // Frames averaged in Renderer.getMetrics()
+    },
+    GHOST_PIECE: {
+        ENABLED: true,
+        STYLE: 'translucent', // 'translucent' or 'outline'
+        OPACITY: 0.3
+    },
+    THEMES: {
+        STORAGE_KEY: 'tetris.theme',
+        DEFAULT: 'classic', // Key of BUILT_IN_THEMES
+        MAX_CUSTOM: 10      // Imported themes kept
     }
 };
 
+// Board cell value for garbage rows sent by the opponent in versus
+const GARBAGE_CELL_ID = 8;
+
+// Every piece type that can be dealt, keyed by type and filled in by registerPiece:
+// { shapes (rotation states 0-3), color, kickTable, kickScale, cellId, glyph }
+const TETROMINO_TYPES = {};
+
+// Board cell ID of each piece type; the board stores types, and themes decide how each one looks.
+// Pieces that only differ in size (the big set) share the cell ID of their normal-sized piece.
+const PIECE_CELL_IDS = {};
+
+// Piece type of each board cell ID
+const CELL_TYPES = { [GARBAGE_CELL_ID]: 'garbage' };
+
+// Glyphs drawn on blocks when glyphs are on, so pieces are not told apart by colour alone
+const PIECE_GLYPHS = { garbage: '×' };
+
+// SRS wall kick tables, keyed by "from-to" rotation state (0 = spawn, 1 = R, 2 = 180, 3 = L)
+// Offsets are [x, y] as published in the guideline, where positive y points UP;
+// Tetromino.getKickOffsets converts them to board coordinates (positive y points down)
+const SRS_KICK_TABLES = {
+    JLSTZ: {
+        '0-1': [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+        '1-0': [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+        '1-2': [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+        '2-1': [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+        '2-3': [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+        '3-2': [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+        '3-0': [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+        '0-3': [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]]
+    },
+    I: {
+        '0-1': [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+        '1-0': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+        '1-2': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+        '2-1': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+        '2-3': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+        '3-2': [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+        '3-0': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+        '0-3': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]]
+    },
+    // The O piece never changes footprint, so it only ever tests its current position
+    O: {
+        '0-1': [[0, 0]], '1-0': [[0, 0]],
+        '1-2': [[0, 0]], '2-1': [[0, 0]],
+        '2-3': [[0, 0]], '3-2': [[0, 0]],
+        '3-0': [[0, 0]], '0-3': [[0, 0]]
+    },
+    // Not part of SRS: pentominoes try the same nudges for every turn, sideways first, then up
+    PENTOMINO: Object.fromEntries(['0-1', '1-0', '1-2', '2-1', '2-3', '3-2', '3-0', '0-3'].map(key => [key,
+        [[0, 0], [-1, 0], [1, 0], [0, 1], [-1, 1], [1, 1], [-2, 0], [2, 0], [0, -1]]]))
+};
+
+// A piece is defined once, by its spawn shape ('#' = block) and the [row, col] pivot it turns
+// around: a cell centre, or a cell corner for even-sized pieces. definePiece derives the four
+// rotation states, each a quarter turn clockwise of the previous one inside a square box centred
+// on the pivot. The tetrominoes' pivots give the SRS states (I: 4x4, O: 2x2, others: 3x3).
+const TETROMINO_DEFINITIONS = {
+    I: { shape: ['####'], pivot: [0.5, 1.5], color: '#00f0f0', kickTable: 'I', cellId: 1 },
+    O: { shape: ['##', '##'], pivot: [0.5, 0.5], color: '#f0f000', kickTable: 'O', cellId: 2 },
+    T: { shape: ['.#.', '###'], pivot: [1, 1], color: '#a000f0', kickTable: 'JLSTZ', cellId: 3 },
+    S: { shape: ['.##', '##.'], pivot: [1, 1], color: '#00f000', kickTable: 'JLSTZ', cellId: 4 },
+    Z: { shape: ['##.', '.##'], pivot: [1, 1], color: '#f00000', kickTable: 'JLSTZ', cellId: 5 },
+    J: { shape: ['#..', '###'], pivot: [1, 1], color: '#0000f0', kickTable: 'JLSTZ', cellId: 6 },
+    L: { shape: ['..#', '###'], pivot: [1, 1], color: '#f0a000', kickTable: 'JLSTZ', cellId: 7 }
+};
+
+// The 18 one-sided pentominoes; an 'm' suffix marks the mirror image. Glyphs are lower case
+// so that they differ from the tetrominoes' in the mixed set.
+const PENTOMINO_DEFINITIONS = {
+    F5: { shape: ['.##', '##.', '.#.'], pivot: [1, 1], color: '#e6194b', cellId: 9 },
+    F5m: { shape: ['##.', '.##', '.#.'], pivot: [1, 1], color: '#fabed4', cellId: 10 },
+    I5: { shape: ['#####'], pivot: [0, 2], color: '#42d4f4', cellId: 11 },
+    L5: { shape: ['...#', '####'], pivot: [0.5, 1.5], color: '#f58231', cellId: 12 },
+    L5m: { shape: ['#...', '####'], pivot: [0.5, 1.5], color: '#4363d8', cellId: 13 },
+    N5: { shape: ['##..', '.###'], pivot: [0.5, 1.5], color: '#3cb44b', cellId: 14 },
+    N5m: { shape: ['..##', '###.'], pivot: [0.5, 1.5], color: '#aaffc3', cellId: 15 },
+    P5: { shape: ['.##', '###'], pivot: [1, 1], color: '#f032e6', cellId: 16 },
+    P5m: { shape: ['##.', '###'], pivot: [1, 1], color: '#dcbeff', cellId: 17 },
+    T5: { shape: ['###', '.#.', '.#.'], pivot: [1, 1], color: '#911eb4', cellId: 18 },
+    U5: { shape: ['#.#', '###'], pivot: [1, 1], color: '#ffe119', cellId: 19 },
+    V5: { shape: ['#..', '#..', '###'], pivot: [1, 1], color: '#469990', cellId: 20 },
+    W5: { shape: ['#..', '##.', '.##'], pivot: [1, 1], color: '#bfef45', cellId: 21 },
+    X5: { shape: ['.#.', '###', '.#.'], pivot: [1, 1], color: '#fffac8', cellId: 22 },
+    Y5: { shape: ['.#..', '####'], pivot: [0.5, 1.5], color: '#9a6324', cellId: 23 },
+    Y5m: { shape: ['..#.', '####'], pivot: [0.5, 1.5], color: '#ffd8b1', cellId: 24 },
+    Z5: { shape: ['##.', '.#.', '.##'], pivot: [1, 1], color: '#808000', cellId: 25 },
+    Z5m: { shape: ['.##', '.#.', '##.'], pivot: [1, 1], color: '#b0c4de', cellId: 26 }
+};
+for (const [type, definition] of Object.entries(PENTOMINO_DEFINITIONS)) {
+    Object.assign(definition, { kickTable: 'PENTOMINO', glyph: type[0].toLowerCase() });
+}
+
+/**
+ * Derives the four rotation states of a piece from its spawn shape
+ * @param {string[]} shape - Spawn shape, one string per row ('#' = block)
+ * @param {number[]} pivot - [row, col] the piece turns around
+ * @returns {number[][][]} Rotation states 0-3, square matrices centred on the pivot
+ */
+function deriveRotations(shape, pivot) {
+    let blocks = [];
+    shape.forEach((line, row) => [...line].forEach((cell, col) => {
+        if (cell === '#') {
+            blocks.push([row - pivot[0], col - pivot[1]]);
+        }
+    }));
+
+    // The box reaches as far from the pivot as the farthest block, in every direction
+    const reach = Math.max(...blocks.flat().map(Math.abs));
+    const size = 2 * reach + 1;
+    const shapes = [];
+    for (let rotation = 0; rotation < 4; rotation++) {
+        const matrix = Array.from({ length: size }, () => Array(size).fill(0));
+        blocks.forEach(([row, col]) => {
+            matrix[row + reach][col + reach] = 1;
+        });
+        shapes.push(matrix);
+        blocks = blocks.map(([row, col]) => [col, -row]); // Clockwise: up turns right
+    }
+    return shapes;
+}
+
+/**
+ * Builds the piece data of a definition
+ * @param {string} type - Piece type
+ * @param {Object} definition - { shape, pivot, color, kickTable, kickScale = 1, cellId, glyph = type[0] }
+ * @returns {Object} Piece data (see TETROMINO_TYPES)
+ * @throws {Error} If the definition is invalid
+ */
+function definePiece(type, definition) {
+    const fail = reason => {
+        throw new Error(`Invalid piece ${type}: ${reason}`);
+    };
+
+    if (typeof type !== 'string' || !/^[A-Za-z][A-Za-z0-9]{0,7}$/.test(type)) {
+        fail('types are 1-8 letters and digits, starting with a letter');
+    }
+    const { shape, pivot, color, kickTable, kickScale = 1, cellId, glyph = type[0] } = definition || {};
+    if (!Array.isArray(shape) || shape.length === 0 ||
+        !shape.every(line => typeof line === 'string' && /^[#.]+$/.test(line)) || !shape.join('').includes('#')) {
+        fail('the shape needs rows of "#" and "." with at least one block');
+    }
+    const isHalf = value => typeof value === 'number' && Number.isInteger(value * 2);
+    if (!Array.isArray(pivot) || pivot.length !== 2 || !pivot.every(isHalf) ||
+        !Number.isInteger(pivot[0] - pivot[1])) {
+        fail('the pivot must be a cell centre or a cell corner');
+    }
+    if (typeof color !== 'string' || !/^#[0-9a-f]{6}$/i.test(color)) {
+        fail('the colour must be #rrggbb');
+    }
+    if (!Object.prototype.hasOwnProperty.call(SRS_KICK_TABLES, kickTable) ||
+        !Number.isInteger(kickScale) || kickScale < 1) {
+        fail(`unknown kick table ${kickTable} or bad kick scale`);
+    }
+    if (!Number.isInteger(cellId) || cellId < 1 || cellId === GARBAGE_CELL_ID) {
+        fail(`cell ID ${cellId} is not available`);
+    }
+    if (typeof glyph !== 'string' || [...glyph].length !== 1) {
+        fail('the glyph must be one character');
+    }
+
+    return { shapes: deriveRotations(shape, pivot), color, kickTable, kickScale, cellId, glyph };
+}
+
+/**
+ * Adds a piece type, so that it can be dealt, stored on the board and drawn
+ * @param {string} type - Piece type
+ * @param {Object} definition - Piece definition (see definePiece)
+ * @returns {Object} Piece data
+ * @throws {Error} If the definition is invalid or the type exists
+ */
+function registerPiece(type, definition) {
+    if (Object.prototype.hasOwnProperty.call(TETROMINO_TYPES, type)) {
+        throw new Error(`Invalid piece ${type}: the type already exists`);
+    }
+
+    const data = definePiece(type, definition);
+    TETROMINO_TYPES[type] = data;
+    PIECE_CELL_IDS[type] = data.cellId;
+    if (!CELL_TYPES[data.cellId]) {
+        CELL_TYPES[data.cellId] = type;
+        PIECE_GLYPHS[type] = data.glyph;
+    }
+    return data;
+}
+
+/**
+ * Gets the type a piece is stored and drawn as
+ * That is the piece itself, or the normal-sized original of a scaled-up piece.
+ * @param {string} type - Piece type or 'garbage'
+ * @returns {string} Type of its board cell (a key of themes, palettes and glyphs)
+ */
+function getPieceCellType(type) {
+    return CELL_TYPES[PIECE_CELL_IDS[type]] || type;
+}
+
+/**
+ * Scales a piece definition up, each block becoming factor x factor blocks
+ * The scaled piece keeps its original's cell ID, so it is drawn like the original.
+ * @param {Object} definition - Piece definition
+ * @param {number} factor - Scale factor
+ * @returns {Object} Scaled definition, kicking factor times as far
+ */
+function scalePieceDefinition(definition, factor) {
+    return {
+        ...definition,
+        shape: definition.shape.flatMap(line => {
+            const wide = [...line].map(cell => cell.repeat(factor)).join('');
+            return Array(factor).fill(wide);
+        }),
+        pivot: definition.pivot.map(value => value * factor + (factor - 1) / 2),
+        kickScale: (definition.kickScale || 1) * factor
+    };
+}
+
+// Piece sets a game can deal from (see GameCore.setPieceSet)
+const PIECE_SETS = {};
+
+/**
+ * Adds a piece set, registering the new pieces it brings
+ * Nothing is registered if any piece is invalid. New pieces without a cellId get the next free one.
+ * @param {string} id - Set key
+ * @param {Object} set - { name, pieces: { type: definition } for new types,
+ *     types: types dealt (default: the new types) }
+ * @returns {string[]} Piece types of the set
+ * @throws {Error} If the set or one of its pieces is invalid
+ */
+function registerPieceSet(id, { name, pieces = {}, types = Object.keys(pieces) } = {}) {
+    if (typeof id !== 'string' || id === '' || Object.prototype.hasOwnProperty.call(PIECE_SETS, id)) {
+        throw new Error(`Invalid piece set ${id}: the ID is empty or taken`);
+    }
+    if (typeof name !== 'string' || name === '') {
+        throw new Error(`Invalid piece set ${id}: a name is required`);
+    }
+
+    let nextCellId = Math.max(...Object.keys(CELL_TYPES).map(Number)) + 1;
+    const definitions = Object.entries(pieces).map(([type, definition]) => {
+        const cellId = definition && definition.cellId !== undefined ? definition.cellId : nextCellId++;
+        if (Object.prototype.hasOwnProperty.call(TETROMINO_TYPES, type)) {
+            throw new Error(`Invalid piece ${type}: the type already exists`);
+        }
+        definePiece(type, { ...definition, cellId });
+        return [type, { ...definition, cellId }];
+    });
+    const known = new Set([...Object.keys(TETROMINO_TYPES), ...Object.keys(pieces)]);
+    if (!Array.isArray(types) || types.length === 0 || !types.every(type => known.has(type))) {
+        throw new Error(`Invalid piece set ${id}: it deals unknown piece types`);
+    }
+
+    definitions.forEach(([type, definition]) => registerPiece(type, definition));
+    PIECE_SETS[id] = { name, types: [...new Set(types)] };
+    return PIECE_SETS[id].types;
+}
+
+const BIG_PIECE_DEFINITIONS = Object.fromEntries(Object.entries(TETROMINO_DEFINITIONS)
+    .map(([type, definition]) => [`${type}x2`, { ...scalePieceDefinition(definition, 2), glyph: type }]));
+
+registerPieceSet('classic', { name: 'テトリミノ', pieces: TETROMINO_DEFINITIONS });
+registerPieceSet('pentomino', { name: 'ペントミノ', pieces: PENTOMINO_DEFINITIONS });
+registerPieceSet('big', { name: 'ビッグ', pieces: BIG_PIECE_DEFINITIONS });
+registerPieceSet('mixed', {
+    name: 'ミックス',
+    types: [...Object.keys(TETROMINO_DEFINITIONS), ...Object.keys(PENTOMINO_DEFINITIONS)]
+});
+
 /**
  * Utility functions for Tetromino management
  */
@@ -94,14 +399,28 @@ const TETROMINO_TYPES = {
  * @returns {string[]} Array of tetromino type strings
  */
 function getTetrominoTypes() {
-    return Object.keys(TETROMINO_TYPES);
+    return [...PIECE_SETS.classic.types];
+}
+
+/**
+ * Gets the piece types a piece set deals
+ * @param {string} id - Piece set key from PIECE_SETS
+ * @returns {string[]|null} Piece types, or null for an unknown set
+ */
+function getPieceSetTypes(id) {
+    return Object.prototype.hasOwnProperty.call(PIECE_SETS, id) ? [...PIECE_SETS[id].types] : null;
 }
 
 /**
  * Creates a random tetromino
+ * @param {PieceRandomizer} randomizer - Randomizer to draw the type from (optional, defaults to Math.random)
  * @returns {Tetromino} A new random tetromino instance
  */
-function createRandomTetromino() {
+function createRandomTetromino(randomizer = null) {
+    if (randomizer) {
+        return new Tetromino(randomizer.next());
+    }
+
     const types = getTetrominoTypes();
     const randomType = types[Math.floor(Math.random() * types.length)];
     return new Tetromino(randomType);
@@ -112,7 +431,7 @@ function createRandomTetromino() {
  * @returns {boolean} True if all tetromino data is valid
  */
 function validateTetrominoData() {
-    const types = getTetrominoTypes();
+    const types = Object.keys(TETROMINO_TYPES);
     
     for (const type of types) {
         const data = TETROMINO_TYPES[type];
@@ -128,7 +447,13 @@ function validateTetrominoData() {
             console.error(`Invalid color data for tetromino ${type}`);
             return false;
         }
-        
+
+        // Check if the SRS kick table exists
+        if (!SRS_KICK_TABLES[data.kickTable]) {
+            console.error(`Invalid kick table for tetromino ${type}: ${data.kickTable}`);
+            return false;
+        }
+
         // Validate each rotation shape
         for (let rotation = 0; rotation < 4; rotation++) {
             const shape = data.shapes[rotation];
@@ -152,3684 +477,12628 @@ function validateTetrominoData() {
 }
 
 /**
- * Tetromino class - Represents a tetris piece with all 7 standard shapes
- * Handles rotation states and provides access to shape data and colors
+ * Randomizer subsystem - Seeded piece generators
+ * Every generator draws from a SeededRandom so a game can be reproduced from its seed
  */
-class Tetromino {
-    /**
-     * Creates a new Tetromino instance
-     * @param {string} type - The tetromino type (I, O, T, S, Z, J, L)
-     * @throws {Error} If invalid tetromino type is provided
-     */
-    constructor(type) {
-        // Validate tetromino type
-        if (!TETROMINO_TYPES[type]) {
-            throw new Error(`Invalid tetromino type: ${type}. Valid types are: ${Object.keys(TETROMINO_TYPES).join(', ')}`);
+
+/**
+ * Generates a new random seed
+ * @returns {number} Unsigned 32-bit seed
+ */
+function generateSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Normalizes a seed value to an unsigned 32-bit integer
+ * Numeric strings are parsed, other strings are hashed (FNV-1a) so seeds can be shared as words
+ * @param {number|string} seed - Seed value to normalize
+ * @returns {number} Unsigned 32-bit seed
+ * @throws {Error} If the seed is neither a finite number nor a non-empty string
+ */
+function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return Math.floor(seed) >>> 0;
+    }
+
+    if (typeof seed === 'string' && seed.trim().length > 0) {
+        const trimmed = seed.trim();
+        if (/^\d+$/.test(trimmed)) {
+            return Number(trimmed) >>> 0;
         }
-        
-        this.type = type;
-        this.rotation = 0; // Current rotation state (0-3)
-        this._tetrominoData = TETROMINO_TYPES[type];
+
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < trimmed.length; i++) {
+            hash ^= trimmed.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
     }
 
+    throw new Error(`Invalid seed: ${seed}`);
+}
+
+/**
+ * SeededRandom class - Deterministic pseudo-random number generator (mulberry32)
+ */
+class SeededRandom {
     /**
-     * Gets the current shape based on rotation state
-     * @returns {number[][]} 2D array representing the current shape
+     * Creates a new SeededRandom instance
+     * @param {number|string} seed - Seed value
      */
-    getShape() {
-        return this._tetrominoData.shapes[this.rotation];
+    constructor(seed) {
+        this.seed = normalizeSeed(seed);
+        this.state = this.seed;
     }
 
     /**
-     * Gets the color of this tetromino
-     * @returns {string} Hex color code
+     * Gets the next random number
+     * @returns {number} Random number in the range [0, 1)
      */
-    getColor() {
-        return this._tetrominoData.color;
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
     }
 
     /**
-     * Gets the tetromino type
-     * @returns {string} The tetromino type (I, O, T, S, Z, J, L)
+     * Gets the next random integer
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} Random integer in the range [0, max)
      */
-    getType() {
-        return this.type;
+    nextInt(max) {
+        return Math.floor(this.next() * max);
     }
 
     /**
-     * Gets the current rotation state
-     * @returns {number} Current rotation (0-3)
+     * Gets the internal generator state (used for save/restore)
+     * @returns {number} Current state
      */
-    getRotation() {
-        return this.rotation;
+    getState() {
+        return this.state;
     }
 
     /**
-     * Gets the width of the current shape
-     * @returns {number} Width in blocks
+     * Restores the internal generator state
+     * @param {number} state - State previously returned by getState
      */
-    getWidth() {
-        const shape = this.getShape();
-        return shape.length > 0 ? shape[0].length : 0;
+    setState(state) {
+        this.state = state >>> 0;
     }
+}
 
+/**
+ * PieceRandomizer class - Base class for piece generators
+ * Subclasses implement next() to return the next tetromino type
+ */
+class PieceRandomizer {
     /**
-     * Gets the height of the current shape
-     * @returns {number} Height in blocks
+     * Creates a new PieceRandomizer instance
+     * @param {SeededRandom} random - Seeded random source
+     * @param {string[]} types - Piece types to draw from
      */
-    getHeight() {
-        return this.getShape().length;
+    constructor(random, types = getTetrominoTypes()) {
+        if (!(random instanceof SeededRandom)) {
+            throw new Error('PieceRandomizer: A SeededRandom instance is required');
+        }
+
+        this.random = random;
+        this.types = [...types];
     }
 
     /**
-     * Rotates the tetromino clockwise (90 degrees)
-     * Updates the rotation state and returns the new shape
-     * @returns {number[][]} The new shape after rotation
+     * Gets the next piece type
+     * @returns {string} Tetromino type
      */
-    rotate() {
-        const previousRotation = this.rotation;
-        this.rotation = (this.rotation + 1) % 4;
-        
-        // Verify the rotation is valid (shape exists and is properly formed)
-        if (!this.validateCurrentShape()) {
-            // Revert rotation if validation fails
-            this.rotation = previousRotation;
-            throw new Error(`Invalid rotation state for tetromino ${this.type}`);
-        }
-        
-        return this.getShape();
+    next() {
+        throw new Error('PieceRandomizer: next() must be implemented by subclasses');
     }
 
     /**
-     * Gets the shape that would result from rotating clockwise
-     * Does not modify the current tetromino state
-     * @returns {number[][]} The shape after rotation
+     * Gets the seed the randomizer was created with
+     * @returns {number} Seed value
      */
-    getRotatedShape() {
-        const nextRotation = (this.rotation + 1) % 4;
-        return this._tetrominoData.shapes[nextRotation];
+    getSeed() {
+        return this.random.seed;
     }
 
     /**
-     * Rotates the tetromino counter-clockwise (270 degrees / -90 degrees)
-     * Updates the rotation state and returns the new shape
-     * @returns {number[][]} The new shape after rotation
+     * Gets the randomizer state (used for save/restore)
+     * @returns {Object} Serializable state
      */
-    rotateCounterClockwise() {
-        const previousRotation = this.rotation;
-        this.rotation = (this.rotation + 3) % 4; // +3 is equivalent to -1 in mod 4
-        
-        // Verify the rotation is valid
-        if (!this.validateCurrentShape()) {
-            // Revert rotation if validation fails
-            this.rotation = previousRotation;
-            throw new Error(`Invalid counter-clockwise rotation state for tetromino ${this.type}`);
-        }
-        
-        return this.getShape();
+    getState() {
+        return { random: this.random.getState() };
     }
 
     /**
-     * Attempts to rotate clockwise and returns whether it was successful
-     * Does not throw errors, returns false if rotation is invalid
-     * @returns {boolean} True if rotation was successful, false otherwise
+     * Restores the randomizer state
+     * @param {Object} state - State previously returned by getState
      */
-    tryRotate() {
-        try {
-            this.rotate();
-            return true;
-        } catch (error) {
-            return false;
-        }
+    setState(state) {
+        this.random.setState(state.random);
     }
+}
 
+/**
+ * BagRandomizer class - Shuffles one or more full sets of pieces and deals them in order
+ * A single set is the standard 7-bag; two sets give the looser 14-bag
+ */
+class BagRandomizer extends PieceRandomizer {
     /**
-     * Attempts to rotate counter-clockwise and returns whether it was successful
-     * Does not throw errors, returns false if rotation is invalid
-     * @returns {boolean} True if rotation was successful, false otherwise
+     * Creates a new BagRandomizer instance
+     * @param {SeededRandom} random - Seeded random source
+     * @param {number} bagCopies - Number of full piece sets in each bag
+     * @param {string[]} types - Piece types to draw from
      */
-    tryRotateCounterClockwise() {
-        try {
-            this.rotateCounterClockwise();
-            return true;
-        } catch (error) {
-            return false;
+    constructor(random, bagCopies = 1, types = getTetrominoTypes()) {
+        super(random, types);
+        this.bagCopies = bagCopies;
+        this.bag = [];
+    }
+
+    next() {
+        if (this.bag.length === 0) {
+            this.refill();
         }
+        return this.bag.shift();
     }
 
     /**
-     * Validates the current shape data
-     * @returns {boolean} True if the current shape is valid
+     * Refills the bag and shuffles it (Fisher-Yates)
      */
-    validateCurrentShape() {
-        const shape = this.getShape();
-        
-        // Check if shape exists
-        if (!shape || !Array.isArray(shape) || shape.length === 0) {
-            return false;
-        }
-        
-        // Check if all rows exist and have consistent width
-        const expectedWidth = shape[0].length;
-        if (expectedWidth === 0) {
-            return false;
-        }
-        
-        for (const row of shape) {
-            if (!Array.isArray(row) || row.length !== expectedWidth) {
-                return false;
-            }
-            
-            // Check if all cells are valid (0 or 1)
-            for (const cell of row) {
-                if (cell !== 0 && cell !== 1) {
-                    return false;
-                }
-            }
+    refill() {
+        this.bag = [];
+        for (let copy = 0; copy < this.bagCopies; copy++) {
+            this.bag.push(...this.types);
         }
-        
-        // Check if shape has at least one filled block
-        let hasFilledBlock = false;
-        for (const row of shape) {
-            for (const cell of row) {
-                if (cell === 1) {
-                    hasFilledBlock = true;
-                    break;
-                }
-            }
-            if (hasFilledBlock) break;
+
+        for (let i = this.bag.length - 1; i > 0; i--) {
+            const j = this.random.nextInt(i + 1);
+            [this.bag[i], this.bag[j]] = [this.bag[j], this.bag[i]];
         }
-        
-        return hasFilledBlock;
     }
 
-    /**
-     * Sets the rotation to a specific value with validation
-     * @param {number} rotation - The rotation state to set (0-3)
-     * @returns {boolean} True if the rotation was set successfully
-     */
-    setRotation(rotation) {
-        if (rotation < 0 || rotation > 3 || !Number.isInteger(rotation)) {
-            return false;
-        }
-        
-        const previousRotation = this.rotation;
-        this.rotation = rotation;
-        
-        if (!this.validateCurrentShape()) {
-            this.rotation = previousRotation;
-            return false;
-        }
-        
-        return true;
+    getState() {
+        return { ...super.getState(), bag: [...this.bag] };
     }
 
-    /**
-     * Resets rotation to initial state (0)
-     */
-    resetRotation() {
-        this.rotation = 0;
+    setState(state) {
+        super.setState(state);
+        this.bag = [...state.bag];
     }
+}
 
-    /**
-     * Creates a deep copy of this tetromino
-     * @returns {Tetromino} A new Tetromino instance with the same state
-     */
-    clone() {
-        const cloned = new Tetromino(this.type);
-        cloned.rotation = this.rotation;
-        return cloned;
+/**
+ * MemorylessRandomizer class - Classic generator, every piece is an independent uniform pick
+ */
+class MemorylessRandomizer extends PieceRandomizer {
+    next() {
+        return this.types[this.random.nextInt(this.types.length)];
     }
+}
 
+/**
+ * NesRandomizer class - NES-style generator
+ * Rolls one extra "reroll" slot; if it lands on that slot or repeats the previous piece,
+ * a second plain roll decides the piece
+ */
+class NesRandomizer extends PieceRandomizer {
     /**
-     * Checks if a specific position in the shape is filled
-     * @param {number} row - Row index
-     * @param {number} col - Column index
-     * @returns {boolean} True if the position is filled (1), false otherwise
+     * Creates a new NesRandomizer instance
+     * @param {SeededRandom} random - Seeded random source
+     * @param {string[]} types - Piece types to draw from
      */
-    isBlockAt(row, col) {
-        const shape = this.getShape();
-        if (row < 0 || row >= shape.length || col < 0 || col >= shape[0].length) {
-            return false;
-        }
-        return shape[row][col] === 1;
+    constructor(random, types = getTetrominoTypes()) {
+        super(random, types);
+        this.previous = null;
     }
 
-    /**
-     * Gets all filled block positions relative to the tetromino's origin
-     * @returns {Array<{row: number, col: number}>} Array of filled block positions
-     */
-    getFilledBlocks() {
-        const shape = this.getShape();
-        const blocks = [];
-        
-        for (let row = 0; row < shape.length; row++) {
-            for (let col = 0; col < shape[row].length; col++) {
-                if (shape[row][col] === 1) {
-                    blocks.push({ row, col });
-                }
-            }
+    next() {
+        let index = this.random.nextInt(this.types.length + 1);
+
+        if (index === this.types.length || this.types[index] === this.previous) {
+            index = this.random.nextInt(this.types.length);
         }
-        
-        return blocks;
+
+        this.previous = this.types[index];
+        return this.previous;
     }
 
-    /**
-     * Returns a string representation of the tetromino for debugging
-     * @returns {string} String representation
-     */
-    toString() {
-        const shape = this.getShape();
-        let result = `Tetromino ${this.type} (rotation: ${this.rotation}):\n`;
-        
-        for (let row = 0; row < shape.length; row++) {
-            result += shape[row].map(cell => cell ? '█' : '·').join(' ') + '\n';
+    getState() {
+        return { ...super.getState(), previous: this.previous };
+    }
+
+    setState(state) {
+        super.setState(state);
+        this.previous = state.previous;
+    }
+}
+
+// Available randomizers, selectable per game by key
+const RANDOMIZER_TYPES = {
+    '7-bag': { name: '7-Bag', create: (random, types) => new BagRandomizer(random, 1, types) },
+    '14-bag': { name: '14-Bag', create: (random, types) => new BagRandomizer(random, 2, types) },
+    'classic': { name: 'Classic (memoryless)', create: (random, types) => new MemorylessRandomizer(random, types) },
+    'nes': { name: 'NES (reroll)', create: (random, types) => new NesRandomizer(random, types) }
+};
+
+/**
+ * Creates a piece randomizer
+ * @param {string} type - Randomizer key from RANDOMIZER_TYPES
+ * @param {number|string} seed - Seed for the generator
+ * @param {string[]} types - Piece types to deal (default: the tetrominoes)
+ * @returns {PieceRandomizer} New randomizer instance
+ * @throws {Error} If invalid randomizer type is provided
+ */
+function createRandomizer(type, seed, types = getTetrominoTypes()) {
+    if (!RANDOMIZER_TYPES[type]) {
+        throw new Error(`Invalid randomizer type: ${type}. Valid types are: ${Object.keys(RANDOMIZER_TYPES).join(', ')}`);
+    }
+
+    const randomizer = RANDOMIZER_TYPES[type].create(new SeededRandom(seed), types);
+    randomizer.type = type;
+    return randomizer;
+}
+
+/**
+ * Gets the browser's localStorage if it can be used
+ * Access throws in some privacy modes, so callers fall back to memory
+ * @returns {Storage|null} localStorage or null
+ */
+function getBrowserStorage() {
+    try {
+        if (typeof localStorage === 'undefined') {
+            return null;
         }
-        
-        return result;
+        const probeKey = '__tetris_storage_probe__';
+        localStorage.setItem(probeKey, '1');
+        localStorage.removeItem(probeKey);
+        return localStorage;
+    } catch (error) {
+        console.warn('Storage: localStorage is not available, data will not persist:', error.message);
+        return null;
     }
 }
 
+const GAME_SETTINGS_VERSION = 1;
+
 /**
- * GameBoard class - Manages the game board state
- * Handles the 10x20 Tetris game board with collision detection and line clearing
+ * GameSettings class - Randomizer and piece set chosen in the settings panel, kept in storage
+ * Only choices made in the panel are saved; replays, resumed games and shared links leave them alone.
  */
-class GameBoard {
+class GameSettings {
     /**
-     * Creates a new GameBoard instance
-     * @param {number} width - Board width in blocks (default: 10)
-     * @param {number} height - Board height in blocks (default: 20)
+     * Creates a new GameSettings instance
+     * @param {Storage|null} storage - localStorage-compatible storage (null keeps settings in memory)
+     * @param {string} key - Storage key
      */
-    constructor(width = CONFIG.BOARD_WIDTH, height = CONFIG.BOARD_HEIGHT) {
-        this.width = width;
-        this.height = height;
-        this.initializeBoard();
+    constructor(storage = getBrowserStorage(), key = CONFIG.GAME_SETTINGS.STORAGE_KEY) {
+        this.storage = storage;
+        this.key = key;
+        this.randomizer = CONFIG.DEFAULT_RANDOMIZER;
+        this.pieceSet = CONFIG.DEFAULT_PIECE_SET;
+        this.loadSettings();
     }
 
     /**
-     * Initializes the board with empty cells (0 = empty, >0 = filled with color ID)
-     * Creates a 2D array representing the game board state
+     * Gets the current settings
+     * @returns {{randomizer: string, pieceSet: string}} Settings
      */
-    initializeBoard() {
-        this.board = Array(this.height).fill().map(() => Array(this.width).fill(0));
+    getSettings() {
+        return { randomizer: this.randomizer, pieceSet: this.pieceSet };
     }
 
     /**
-     * Gets the current board state
-     * @returns {number[][]} 2D array representing the board (0 = empty, >0 = filled)
+     * Selects the randomizer
+     * @param {string} type - Randomizer key from RANDOMIZER_TYPES
+     * @returns {boolean} True if the randomizer was selected
      */
-    getBoard() {
-        return this.board;
+    setRandomizer(type) {
+        if (!RANDOMIZER_TYPES[type]) {
+            console.warn(`GameSettings: Unknown randomizer type: ${type}`);
+            return false;
+        }
+        this.randomizer = type;
+        this.saveSettings();
+        return true;
     }
 
     /**
-     * Gets a copy of the current board state (prevents external modification)
-     * @returns {number[][]} Deep copy of the board array
+     * Selects the piece set
+     * @param {string} id - Piece set key from PIECE_SETS
+     * @returns {boolean} True if the piece set was selected
      */
-    getBoardCopy() {
-        return this.board.map(row => [...row]);
+    setPieceSet(id) {
+        if (!Object.prototype.hasOwnProperty.call(PIECE_SETS, id)) {
+            console.warn(`GameSettings: Unknown piece set: ${id}`);
+            return false;
+        }
+        this.pieceSet = id;
+        this.saveSettings();
+        return true;
     }
 
     /**
-     * Sets the board state (used for testing or state restoration)
-     * @param {number[][]} newBoard - New board state to set
-     * @returns {boolean} True if board was set successfully, false if invalid
+     * Reads the settings from storage
+     * Unreadable settings are ignored and the defaults kept.
+     * @returns {boolean} True if saved settings were loaded
      */
-    setBoard(newBoard) {
-        // Validate board dimensions
-        if (!Array.isArray(newBoard) || newBoard.length !== this.height) {
-            console.error('Invalid board height');
+    loadSettings() {
+        if (!this.storage) {
             return false;
         }
 
-        for (let row = 0; row < newBoard.length; row++) {
-            if (!Array.isArray(newBoard[row]) || newBoard[row].length !== this.width) {
-                console.error(`Invalid board width at row ${row}`);
+        try {
+            const raw = this.storage.getItem(this.key);
+            if (raw === null) {
                 return false;
             }
 
-            // Validate cell values (should be numbers >= 0)
-            for (let col = 0; col < newBoard[row].length; col++) {
-                if (typeof newBoard[row][col] !== 'number' || newBoard[row][col] < 0) {
-                    console.error(`Invalid cell value at (${row}, ${col})`);
-                    return false;
-                }
+            const data = JSON.parse(raw);
+            if (!data || data.version !== GAME_SETTINGS_VERSION) {
+                throw new Error('Unrecognized game settings');
+            }
+            if (RANDOMIZER_TYPES[data.randomizer]) {
+                this.randomizer = data.randomizer;
             }
+            // A custom set is only kept if it was registered again before loading
+            if (Object.prototype.hasOwnProperty.call(PIECE_SETS, data.pieceSet)) {
+                this.pieceSet = data.pieceSet;
+            }
+            return true;
+        } catch (error) {
+            console.warn('GameSettings: Saved settings are unreadable, using defaults:', error.message);
+            return false;
         }
-
-        // Set the board
-        this.board = newBoard.map(row => [...row]);
-        return true;
     }
 
     /**
-     * Gets the value at a specific board position
-     * @param {number} row - Row index (0-based from top)
-     * @param {number} col - Column index (0-based from left)
-     * @returns {number|null} Cell value (0 = empty, >0 = filled) or null if out of bounds
+     * Writes the settings to storage
+     * @returns {boolean} True if the settings were saved
      */
-    getCellValue(row, col) {
-        if (row < 0 || row >= this.height || col < 0 || col >= this.width) {
-            return null;
+    saveSettings() {
+        if (!this.storage) {
+            return false;
+        }
+
+        try {
+            this.storage.setItem(this.key, JSON.stringify({ version: GAME_SETTINGS_VERSION, ...this.getSettings() }));
+            return true;
+        } catch (error) {
+            console.warn('GameSettings: Could not save settings:', error.message);
+            return false;
         }
-        return this.board[row][col];
     }
+}
 
+/**
+ * Tetromino class - Represents a falling piece of any registered type (see TETROMINO_TYPES)
+ * Handles rotation states and provides access to shape data and colors
+ */
+class Tetromino {
     /**
-     * Sets the value at a specific board position
-     * @param {number} row - Row index (0-based from top)
-     * @param {number} col - Column index (0-based from left)
-     * @param {number} value - Value to set (0 = empty, >0 = filled with color ID)
-     * @returns {boolean} True if value was set successfully, false if out of bounds
+     * Creates a new Tetromino instance
+     * @param {string} type - Piece type from TETROMINO_TYPES (I, O, T, S, Z, J, L, ...)
+     * @throws {Error} If invalid tetromino type is provided
      */
-    setCellValue(row, col, value) {
-        if (row < 0 || row >= this.height || col < 0 || col >= this.width) {
-            return false;
+    constructor(type) {
+        // Validate tetromino type
+        if (!TETROMINO_TYPES[type]) {
+            throw new Error(`Invalid tetromino type: ${type}. Valid types are: ${Object.keys(TETROMINO_TYPES).join(', ')}`);
         }
         
-        if (typeof value !== 'number' || value < 0) {
-            return false;
-        }
-
-        this.board[row][col] = value;
-        return true;
+        this.type = type;
+        this.rotation = 0; // Current rotation state (0-3)
+        this._tetrominoData = TETROMINO_TYPES[type];
     }
 
     /**
-     * Checks if a specific position is empty
-     * @param {number} row - Row index
-     * @param {number} col - Column index
-     * @returns {boolean} True if position is empty (0) or out of bounds
+     * Gets the current shape based on rotation state
+     * @returns {number[][]} 2D array representing the current shape
      */
-    isEmpty(row, col) {
-        const value = this.getCellValue(row, col);
-        return value === null || value === 0;
+    getShape() {
+        return this._tetrominoData.shapes[this.rotation];
     }
 
     /**
-     * Checks if a specific position is filled
-     * @param {number} row - Row index
-     * @param {number} col - Column index
-     * @returns {boolean} True if position is filled (>0)
+     * Gets the color of this tetromino
+     * @returns {string} Hex color code
      */
-    isFilled(row, col) {
-        const value = this.getCellValue(row, col);
-        return value !== null && value > 0;
+    getColor() {
+        return this._tetrominoData.color;
     }
 
     /**
-     * Clears the entire board (sets all cells to 0)
-     * Resets the board to initial empty state
+     * Gets the tetromino type
+     * @returns {string} The tetromino type (I, O, T, S, Z, J, L)
      */
-    clear() {
-        this.initializeBoard();
+    getType() {
+        return this.type;
     }
 
     /**
-     * Resets the board to initial state (alias for clear)
+     * Gets the current rotation state
+     * @returns {number} Current rotation (0-3)
      */
-    reset() {
-        this.clear();
+    getRotation() {
+        return this.rotation;
     }
 
     /**
-     * Gets board dimensions
-     * @returns {{width: number, height: number}} Board dimensions
+     * Gets the width of the current shape
+     * @returns {number} Width in blocks
      */
-    getDimensions() {
-        return {
-            width: this.width,
-            height: this.height
-        };
+    getWidth() {
+        const shape = this.getShape();
+        return shape.length > 0 ? shape[0].length : 0;
     }
 
     /**
-     * Checks if coordinates are within board bounds
-     * @param {number} row - Row index
-     * @param {number} col - Column index
-     * @returns {boolean} True if coordinates are within bounds
+     * Gets the height of the current shape
+     * @returns {number} Height in blocks
      */
-    isInBounds(row, col) {
-        return row >= 0 && row < this.height && col >= 0 && col < this.width;
+    getHeight() {
+        return this.getShape().length;
     }
 
     /**
-     * Gets the number of filled cells in the board
-     * @returns {number} Count of filled cells
+     * Rotates the tetromino clockwise (90 degrees)
+     * Updates the rotation state and returns the new shape
+     * @returns {number[][]} The new shape after rotation
      */
-    getFilledCellCount() {
-        let count = 0;
-        for (let row = 0; row < this.height; row++) {
-            for (let col = 0; col < this.width; col++) {
-                if (this.board[row][col] > 0) {
-                    count++;
-                }
-            }
+    rotate() {
+        const previousRotation = this.rotation;
+        this.rotation = (this.rotation + 1) % 4;
+        
+        // Verify the rotation is valid (shape exists and is properly formed)
+        if (!this.validateCurrentShape()) {
+            // Revert rotation if validation fails
+            this.rotation = previousRotation;
+            throw new Error(`Invalid rotation state for tetromino ${this.type}`);
         }
-        return count;
-    }
-
-    /**
-     * Gets the number of empty cells in the board
-     * @returns {number} Count of empty cells
-     */
-    getEmptyCellCount() {
-        return (this.width * this.height) - this.getFilledCellCount();
+        
+        return this.getShape();
     }
 
     /**
-     * Validates the current board state
-     * @returns {boolean} True if board state is valid
+     * Gets the shape that would result from rotating clockwise
+     * Does not modify the current tetromino state
+     * @returns {number[][]} The shape after rotation
      */
-    validateBoard() {
-        // Check board dimensions
-        if (!Array.isArray(this.board) || this.board.length !== this.height) {
-            return false;
-        }
-
-        // Check each row
-        for (let row = 0; row < this.height; row++) {
-            if (!Array.isArray(this.board[row]) || this.board[row].length !== this.width) {
-                return false;
-            }
-
-            // Check each cell
-            for (let col = 0; col < this.width; col++) {
-                const value = this.board[row][col];
-                if (typeof value !== 'number' || value < 0) {
-                    return false;
-                }
-            }
-        }
-
-        return true;
+    getRotatedShape() {
+        const nextRotation = (this.rotation + 1) % 4;
+        return this._tetrominoData.shapes[nextRotation];
     }
 
     /**
-     * Creates a string representation of the board for debugging
-     * @returns {string} String representation of the board
+     * Rotates the tetromino counter-clockwise (270 degrees / -90 degrees)
+     * Updates the rotation state and returns the new shape
+     * @returns {number[][]} The new shape after rotation
      */
-    toString() {
-        let result = `GameBoard (${this.width}x${this.height}):\n`;
-        result += '┌' + '─'.repeat(this.width * 2 + 1) + '┐\n';
+    rotateCounterClockwise() {
+        const previousRotation = this.rotation;
+        this.rotation = (this.rotation + 3) % 4; // +3 is equivalent to -1 in mod 4
         
-        for (let row = 0; row < this.height; row++) {
-            result += '│ ';
-            for (let col = 0; col < this.width; col++) {
-                result += this.board[row][col] === 0 ? '·' : '█';
-                result += ' ';
-            }
-            result += '│\n';
+        // Verify the rotation is valid
+        if (!this.validateCurrentShape()) {
+            // Revert rotation if validation fails
+            this.rotation = previousRotation;
+            throw new Error(`Invalid counter-clockwise rotation state for tetromino ${this.type}`);
         }
         
-        result += '└' + '─'.repeat(this.width * 2 + 1) + '┘';
-        return result;
+        return this.getShape();
     }
 
-    // Placeholder methods for collision detection and line clearing (to be implemented in subtasks)
-    
     /**
-     * Checks if a tetromino can be placed at the specified position
-     * Performs collision detection with board boundaries and existing pieces
-     * @param {Tetromino} piece - The tetromino to check
-     * @param {number} x - X position (column, left edge of piece)
-     * @param {number} y - Y position (row, top edge of piece)
-     * @returns {boolean} True if position is valid (no collision)
+     * Attempts to rotate clockwise and returns whether it was successful
+     * Does not throw errors, returns false if rotation is invalid
+     * @returns {boolean} True if rotation was successful, false otherwise
      */
-    isValidPosition(piece, x, y) {
-        if (!piece || typeof x !== 'number' || typeof y !== 'number') {
+    tryRotate() {
+        try {
+            this.rotate();
+            return true;
+        } catch (error) {
             return false;
         }
+    }
 
-        const shape = piece.getShape();
-        if (!shape || shape.length === 0) {
+    /**
+     * Attempts to rotate counter-clockwise and returns whether it was successful
+     * Does not throw errors, returns false if rotation is invalid
+     * @returns {boolean} True if rotation was successful, false otherwise
+     */
+    tryRotateCounterClockwise() {
+        try {
+            this.rotateCounterClockwise();
+            return true;
+        } catch (error) {
             return false;
         }
+    }
 
-        // Check each filled block of the tetromino
-        for (let row = 0; row < shape.length; row++) {
-            for (let col = 0; col < shape[row].length; col++) {
-                // Skip empty blocks in the tetromino shape
-                if (shape[row][col] === 0) {
-                    continue;
-                }
-
-                // Calculate absolute position on the board
-                const boardRow = y + row;
-                const boardCol = x + col;
-
-                // Check boundary collision
-                if (!this.isInBounds(boardRow, boardCol)) {
-                    return false;
-                }
+    /**
+     * Gets the SRS kick offsets for a rotation between two states
+     * Offsets are converted to board coordinates (positive y moves the piece down)
+     * and multiplied by the piece's kick scale, so scaled-up pieces kick as far as their blocks are wide
+     * @param {number} fromRotation - Rotation state before rotating (0-3)
+     * @param {number} toRotation - Rotation state after rotating (0-3)
+     * @returns {Array<{x: number, y: number}>} Kick offsets in the order they must be tested
+     */
+    getKickOffsets(fromRotation, toRotation) {
+        const table = SRS_KICK_TABLES[this._tetrominoData.kickTable];
+        const offsets = table ? table[`${fromRotation}-${toRotation}`] : null;
+        const scale = this._tetrominoData.kickScale || 1;
 
-                // Check collision with existing pieces
-                if (this.isFilled(boardRow, boardCol)) {
-                    return false;
-                }
-            }
+        if (!offsets) {
+            return [{ x: 0, y: 0 }];
         }
 
-        return true;
+        return offsets.map(([x, y]) => ({ x: x * scale, y: -y * scale }));
     }
 
     /**
-     * Checks if a position is valid for boundary checking only (ignores existing pieces)
-     * Used for checking if a piece can fit within board boundaries
-     * @param {Tetromino} piece - The tetromino to check
-     * @param {number} x - X position (column)
-     * @param {number} y - Y position (row)
-     * @returns {boolean} True if piece fits within boundaries
+     * Attempts an SRS rotation on a board, testing each wall kick in order
+     * The first kick that yields a valid position is applied to the rotation state;
+     * the caller is responsible for moving the piece to the returned position
+     * @param {GameBoard} board - Board used for collision checks
+     * @param {number} x - Current X position of the piece
+     * @param {number} y - Current Y position of the piece
+     * @param {number} direction - 1 for clockwise, -1 for counter-clockwise
+     * @returns {{x: number, y: number, rotation: number, kickIndex: number}|null} New position and
+     *          the index of the kick that succeeded, or null if every kick collides
      */
-    isWithinBounds(piece, x, y) {
-        if (!piece || typeof x !== 'number' || typeof y !== 'number') {
-            return false;
+    tryRotateWithKicks(board, x, y, direction = 1) {
+        if (!board || typeof board.isValidPosition !== 'function') {
+            return null;
         }
 
-        const shape = piece.getShape();
-        if (!shape || shape.length === 0) {
-            return false;
-        }
+        const fromRotation = this.rotation;
+        const toRotation = (fromRotation + (direction < 0 ? 3 : 1)) % 4;
+        const kicks = this.getKickOffsets(fromRotation, toRotation);
 
-        // Check each filled block of the tetromino
-        for (let row = 0; row < shape.length; row++) {
-            for (let col = 0; col < shape[row].length; col++) {
-                // Skip empty blocks in the tetromino shape
-                if (shape[row][col] === 0) {
-                    continue;
-                }
+        // Test positions using the rotated shape
+        this.rotation = toRotation;
 
-                // Calculate absolute position on the board
-                const boardRow = y + row;
-                const boardCol = x + col;
+        for (let kickIndex = 0; kickIndex < kicks.length; kickIndex++) {
+            const testX = x + kicks[kickIndex].x;
+            const testY = y + kicks[kickIndex].y;
 
-                // Check if position is within board bounds
-                if (!this.isInBounds(boardRow, boardCol)) {
-                    return false;
-                }
+            if (board.isValidPosition(this, testX, testY)) {
+                return { x: testX, y: testY, rotation: toRotation, kickIndex };
             }
         }
 
-        return true;
+        // Every kick collided - restore the original rotation
+        this.rotation = fromRotation;
+        return null;
     }
 
     /**
-     * Checks if a tetromino collides with existing pieces (ignores boundaries)
-     * @param {Tetromino} piece - The tetromino to check
-     * @param {number} x - X position (column)
-     * @param {number} y - Y position (row)
-     * @returns {boolean} True if piece collides with existing pieces
+     * Validates the current shape data
+     * @returns {boolean} True if the current shape is valid
      */
-    hasCollision(piece, x, y) {
-        if (!piece || typeof x !== 'number' || typeof y !== 'number') {
-            return true; // Invalid input counts as collision
+    validateCurrentShape() {
+        const shape = this.getShape();
+        
+        // Check if shape exists
+        if (!shape || !Array.isArray(shape) || shape.length === 0) {
+            return false;
         }
-
-        const shape = piece.getShape();
-        if (!shape || shape.length === 0) {
-            return true;
+        
+        // Check if all rows exist and have consistent width
+        const expectedWidth = shape[0].length;
+        if (expectedWidth === 0) {
+            return false;
         }
-
-        // Check each filled block of the tetromino
-        for (let row = 0; row < shape.length; row++) {
-            for (let col = 0; col < shape[row].length; col++) {
-                // Skip empty blocks in the tetromino shape
-                if (shape[row][col] === 0) {
-                    continue;
+        
+        for (const row of shape) {
+            if (!Array.isArray(row) || row.length !== expectedWidth) {
+                return false;
+            }
+            
+            // Check if all cells are valid (0 or 1)
+            for (const cell of row) {
+                if (cell !== 0 && cell !== 1) {
+                    return false;
                 }
-
-                // Calculate absolute position on the board
-                const boardRow = y + row;
-                const boardCol = x + col;
-
-                // Check collision with existing pieces (only if within bounds)
-                if (this.isInBounds(boardRow, boardCol) && this.isFilled(boardRow, boardCol)) {
-                    return true;
+            }
+        }
+        
+        // Check if shape has at least one filled block
+        let hasFilledBlock = false;
+        for (const row of shape) {
+            for (const cell of row) {
+                if (cell === 1) {
+                    hasFilledBlock = true;
+                    break;
                 }
             }
+            if (hasFilledBlock) break;
         }
-
-        return false;
+        
+        return hasFilledBlock;
     }
 
     /**
-     * Places a tetromino on the board at the specified position
-     * Only places if the position is valid
-     * @param {Tetromino} piece - The tetromino to place
-     * @param {number} x - X position (column)
-     * @param {number} y - Y position (row)
-     * @returns {boolean} True if piece was placed successfully
+     * Sets the rotation to a specific value with validation
+     * @param {number} rotation - The rotation state to set (0-3)
+     * @returns {boolean} True if the rotation was set successfully
      */
-    placePiece(piece, x, y) {
-        // Validate input parameters
-        if (!piece || typeof x !== 'number' || typeof y !== 'number') {
-            console.error('Invalid parameters for placePiece');
+    setRotation(rotation) {
+        if (rotation < 0 || rotation > 3 || !Number.isInteger(rotation)) {
             return false;
         }
-
-        // Check if position is valid before placing
-        if (!this.isValidPosition(piece, x, y)) {
-            console.warn(`Cannot place ${piece.getType()} at (${x}, ${y}) - invalid position`);
+        
+        const previousRotation = this.rotation;
+        this.rotation = rotation;
+        
+        if (!this.validateCurrentShape()) {
+            this.rotation = previousRotation;
             return false;
         }
+        
+        return true;
+    }
 
-        const shape = piece.getShape();
-        const colorId = this.getColorId(piece.getColor());
-
-        // Place each filled block of the tetromino
+    /**
+     * Resets rotation to initial state (0)
+     */
+    resetRotation() {
+        this.rotation = 0;
+    }
+
+    /**
+     * Creates a deep copy of this tetromino
+     * @returns {Tetromino} A new Tetromino instance with the same state
+     */
+    clone() {
+        const cloned = new Tetromino(this.type);
+        cloned.rotation = this.rotation;
+        return cloned;
+    }
+
+    /**
+     * Checks if a specific position in the shape is filled
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} True if the position is filled (1), false otherwise
+     */
+    isBlockAt(row, col) {
+        const shape = this.getShape();
+        if (row < 0 || row >= shape.length || col < 0 || col >= shape[0].length) {
+            return false;
+        }
+        return shape[row][col] === 1;
+    }
+
+    /**
+     * Gets all filled block positions relative to the tetromino's origin
+     * @returns {Array<{row: number, col: number}>} Array of filled block positions
+     */
+    getFilledBlocks() {
+        const shape = this.getShape();
+        const blocks = [];
+        
         for (let row = 0; row < shape.length; row++) {
             for (let col = 0; col < shape[row].length; col++) {
-                // Only place filled blocks
                 if (shape[row][col] === 1) {
-                    const boardRow = y + row;
-                    const boardCol = x + col;
-                    this.setCellValue(boardRow, boardCol, colorId);
+                    blocks.push({ row, col });
                 }
             }
         }
-
-        console.log(`Successfully placed ${piece.getType()} at (${x}, ${y})`);
-        return true;
+        
+        return blocks;
     }
 
     /**
-     * Converts a color hex code to a numeric ID for board storage
-     * @param {string} color - Hex color code
-     * @returns {number} Numeric color ID (1-7 for tetromino colors)
+     * Returns a string representation of the tetromino for debugging
+     * @returns {string} String representation
      */
-    getColorId(color) {
-        const colorMap = {
-            '#00f0f0': 1, // I - Cyan
-            '#f0f000': 2, // O - Yellow
-            '#a000f0': 3, // T - Purple
-            '#00f000': 4, // S - Green
-            '#f00000': 5, // Z - Red
-            '#0000f0': 6, // J - Blue
-            '#f0a000': 7  // L - Orange
-        };
+    toString() {
+        const shape = this.getShape();
+        let result = `Tetromino ${this.type} (rotation: ${this.rotation}):\n`;
+        
+        for (let row = 0; row < shape.length; row++) {
+            result += shape[row].map(cell => cell ? '█' : '·').join(' ') + '\n';
+        }
         
-        return colorMap[color] || 1; // Default to 1 if color not found
+        return result;
     }
+}
 
+/**
+ * GameBoard class - Manages the game board state
+ * Handles the 10x20 Tetris game board with collision detection and line clearing
+ */
+class GameBoard {
     /**
-     * Converts a numeric color ID back to hex color code
-     * @param {number} colorId - Numeric color ID
-     * @returns {string} Hex color code
+     * Creates a new GameBoard instance
+     * @param {number} width - Board width in blocks (default: 10)
+     * @param {number} height - Board height in blocks (default: 20)
      */
-    getColorFromId(colorId) {
-        const colorMap = {
-            1: '#00f0f0', // I - Cyan
-            2: '#f0f000', // O - Yellow
-            3: '#a000f0', // T - Purple
-            4: '#00f000', // S - Green
-            5: '#f00000', // Z - Red
-            6: '#0000f0', // J - Blue
-            7: '#f0a000'  // L - Orange
-        };
-        
-        return colorMap[colorId] || '#ffffff'; // Default to white if ID not found
+    constructor(width = CONFIG.BOARD_WIDTH, height = CONFIG.BOARD_HEIGHT) {
+        this.width = width;
+        this.height = height;
+        this.initializeBoard();
     }
 
     /**
-     * Clears completed lines and returns the number of lines cleared
-     * A line is complete when all cells in the row are filled (> 0)
-     * @returns {number} Number of lines cleared
+     * Initializes the board with empty cells (0 = empty, >0 = filled with color ID)
+     * Creates a 2D array representing the game board state
      */
-    clearLines() {
-        const completedLines = this.findCompletedLines();
-        
-        if (completedLines.length === 0) {
-            return 0;
-        }
+    initializeBoard() {
+        this.board = Array(this.height).fill().map(() => Array(this.width).fill(0));
+    }
 
-        // Remove completed lines and add empty lines at the top
-        this.removeCompletedLines(completedLines);
-        
-        console.log(`Cleared ${completedLines.length} line(s): rows ${completedLines.join(', ')}`);
-        return completedLines.length;
+    /**
+     * Gets the current board state
+     * @returns {number[][]} 2D array representing the board (0 = empty, >0 = filled)
+     */
+    getBoard() {
+        return this.board;
     }
 
     /**
-     * Finds all completed lines (rows that are completely filled)
-     * @returns {number[]} Array of row indices that are completed (sorted from bottom to top)
+     * Gets a copy of the current board state (prevents external modification)
+     * @returns {number[][]} Deep copy of the board array
      */
-    findCompletedLines() {
-        const completedLines = [];
-        
-        // Check each row from bottom to top
-        for (let row = this.height - 1; row >= 0; row--) {
-            if (this.isLineComplete(row)) {
-                completedLines.push(row);
-            }
-        }
-        
-        // Return in descending order (bottom to top) for easier processing
-        return completedLines.sort((a, b) => b - a);
+    getBoardCopy() {
+        return this.board.map(row => [...row]);
     }
 
     /**
-     * Checks if a specific line (row) is complete
-     * @param {number} row - Row index to check
-     * @returns {boolean} True if the line is completely filled
+     * Sets the board state (used for testing or state restoration)
+     * @param {number[][]} newBoard - New board state to set
+     * @returns {boolean} True if board was set successfully, false if invalid
      */
-    isLineComplete(row) {
-        if (row < 0 || row >= this.height) {
+    setBoard(newBoard) {
+        // Validate board dimensions
+        if (!Array.isArray(newBoard) || newBoard.length !== this.height) {
+            console.error('Invalid board height');
             return false;
         }
-        
-        // Check if all cells in the row are filled
-        for (let col = 0; col < this.width; col++) {
-            if (this.board[row][col] === 0) {
+
+        for (let row = 0; row < newBoard.length; row++) {
+            if (!Array.isArray(newBoard[row]) || newBoard[row].length !== this.width) {
+                console.error(`Invalid board width at row ${row}`);
                 return false;
             }
+
+            // Validate cell values (should be numbers >= 0)
+            for (let col = 0; col < newBoard[row].length; col++) {
+                if (typeof newBoard[row][col] !== 'number' || newBoard[row][col] < 0) {
+                    console.error(`Invalid cell value at (${row}, ${col})`);
+                    return false;
+                }
+            }
         }
-        
+
+        // Set the board
+        this.board = newBoard.map(row => [...row]);
         return true;
     }
 
     /**
-     * Checks if a specific line (row) is empty
-     * @param {number} row - Row index to check
-     * @returns {boolean} True if the line is completely empty
+     * Gets the value at a specific board position
+     * @param {number} row - Row index (0-based from top)
+     * @param {number} col - Column index (0-based from left)
+     * @returns {number|null} Cell value (0 = empty, >0 = filled) or null if out of bounds
      */
-    isLineEmpty(row) {
-        if (row < 0 || row >= this.height) {
+    getCellValue(row, col) {
+        if (row < 0 || row >= this.height || col < 0 || col >= this.width) {
+            return null;
+        }
+        return this.board[row][col];
+    }
+
+    /**
+     * Sets the value at a specific board position
+     * @param {number} row - Row index (0-based from top)
+     * @param {number} col - Column index (0-based from left)
+     * @param {number} value - Value to set (0 = empty, >0 = filled with color ID)
+     * @returns {boolean} True if value was set successfully, false if out of bounds
+     */
+    setCellValue(row, col, value) {
+        if (row < 0 || row >= this.height || col < 0 || col >= this.width) {
             return false;
         }
         
-        // Check if all cells in the row are empty
-        for (let col = 0; col < this.width; col++) {
-            if (this.board[row][col] !== 0) {
-                return false;
-            }
+        if (typeof value !== 'number' || value < 0) {
+            return false;
         }
-        
+
+        this.board[row][col] = value;
         return true;
     }
 
     /**
-     * Removes completed lines and drops blocks above them
-     * @param {number[]} completedLines - Array of row indices to remove (should be sorted descending)
+     * Checks if a specific position is empty
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} True if position is empty (0) or out of bounds
      */
-    removeCompletedLines(completedLines) {
-        // Process lines from bottom to top to avoid index shifting issues
-        for (const lineIndex of completedLines) {
-            this.removeLine(lineIndex);
-        }
+    isEmpty(row, col) {
+        const value = this.getCellValue(row, col);
+        return value === null || value === 0;
     }
 
     /**
-     * Removes a single line and drops all blocks above it
-     * @param {number} lineIndex - Index of the line to remove
+     * Checks if a specific position is filled
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} True if position is filled (>0)
      */
-    removeLine(lineIndex) {
-        if (lineIndex < 0 || lineIndex >= this.height) {
-            return;
-        }
+    isFilled(row, col) {
+        const value = this.getCellValue(row, col);
+        return value !== null && value > 0;
+    }
 
-        // Remove the completed line by shifting all rows above it down
-        for (let row = lineIndex; row > 0; row--) {
-            for (let col = 0; col < this.width; col++) {
-                this.board[row][col] = this.board[row - 1][col];
-            }
-        }
+    /**
+     * Clears the entire board (sets all cells to 0)
+     * Resets the board to initial empty state
+     */
+    clear() {
+        this.initializeBoard();
+    }
 
-        // Clear the top row (new empty line)
-        for (let col = 0; col < this.width; col++) {
-            this.board[0][col] = 0;
-        }
+    /**
+     * Resets the board to initial state (alias for clear)
+     */
+    reset() {
+        this.clear();
     }
 
     /**
-     * Simulates line clearing and returns information without modifying the board
-     * Useful for preview or scoring calculations
-     * @returns {{linesCleared: number, completedLines: number[]}} Information about lines that would be cleared
+     * Gets board dimensions
+     * @returns {{width: number, height: number}} Board dimensions
      */
-    simulateLineClear() {
-        const completedLines = this.findCompletedLines();
+    getDimensions() {
         return {
-            linesCleared: completedLines.length,
-            completedLines: completedLines
+            width: this.width,
+            height: this.height
         };
     }
 
     /**
-     * Checks if the game is over (blocks have reached the top)
-     * Game over occurs when the top rows contain filled blocks
-     * @returns {boolean} True if game is over
+     * Checks if coordinates are within board bounds
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} True if coordinates are within bounds
      */
-    isGameOver() {
-        // Check the top few rows for any filled blocks
-        // In Tetris, game over typically occurs when blocks reach the top
-        for (let row = 0; row < 4; row++) { // Check top 4 rows
+    isInBounds(row, col) {
+        return row >= 0 && row < this.height && col >= 0 && col < this.width;
+    }
+
+    /**
+     * Gets the number of filled cells in the board
+     * @returns {number} Count of filled cells
+     */
+    getFilledCellCount() {
+        let count = 0;
+        for (let row = 0; row < this.height; row++) {
             for (let col = 0; col < this.width; col++) {
                 if (this.board[row][col] > 0) {
-                    return true;
+                    count++;
                 }
             }
         }
-        return false;
+        return count;
     }
-}
 
-/**
- * InputHandler class - Manages keyboard input for the Tetris game
- * Handles key events and translates them to game commands
- * Provides input validation and prevents invalid operations
- */
-class InputHandler {
     /**
-     * Creates a new InputHandler instance
-     * @param {GameEngine} gameEngine - Reference to the game engine for command execution
+     * Gets the number of empty cells in the board
+     * @returns {number} Count of empty cells
      */
-    constructor(gameEngine) {
-        if (!gameEngine) {
-            throw new Error('GameEngine reference is required for InputHandler');
-        }
-        
-        this.gameEngine = gameEngine;
-        this.isEnabled = true;
-        this.keyStates = new Map(); // Track key press states for repeat handling
-        this.lastKeyTime = new Map(); // Track timing for key repeat prevention
-        
-        // Key mapping configuration
-        this.keyMap = {
-            'ArrowLeft': 'moveLeft',
-            'ArrowRight': 'moveRight', 
-            'ArrowUp': 'rotate',
-            'ArrowDown': 'softDrop',
-            ' ': 'pause', // Spacebar
-            'Escape': 'pause'
-        };
-        
-        // Key repeat settings
-        this.keyRepeatDelay = 150; // Milliseconds between repeats for movement keys
-        this.keyRepeatKeys = new Set(['ArrowLeft', 'ArrowRight', 'ArrowDown']); // Keys that can repeat
-        
-        this.bindEvents();
+    getEmptyCellCount() {
+        return (this.width * this.height) - this.getFilledCellCount();
     }
 
     /**
-     * Binds keyboard event listeners to the document
-     * Sets up keydown and keyup event handlers
+     * Gets how tall the stack is in each column
+     * @returns {number[]} Rows from the floor to the highest filled cell, per column (0 = empty)
      */
-    bindEvents() {
-        // Bind keydown event
-        this.keyDownHandler = (event) => this.handleKeyDown(event);
-        document.addEventListener('keydown', this.keyDownHandler);
-        
-        // Bind keyup event
-        this.keyUpHandler = (event) => this.handleKeyUp(event);
-        document.addEventListener('keyup', this.keyUpHandler);
-        
-        // Prevent default behavior for game keys to avoid page scrolling
-        this.preventDefaultHandler = (event) => {
-            if (this.isGameKey(event.key)) {
-                event.preventDefault();
+    getColumnHeights() {
+        const heights = [];
+        for (let col = 0; col < this.width; col++) {
+            let row = 0;
+            while (row < this.height && this.board[row][col] === 0) {
+                row++;
             }
-        };
-        document.addEventListener('keydown', this.preventDefaultHandler);
-        
-        console.log('InputHandler: Event listeners bound successfully');
+            heights.push(this.height - row);
+        }
+        return heights;
     }
 
     /**
-     * Unbinds all keyboard event listeners
-     * Used for cleanup when destroying the input handler
+     * Counts the holes in each column
+     * A hole is an empty cell with a filled cell somewhere above it.
+     * @returns {number[]} Holes per column
      */
-    unbindEvents() {
-        if (this.keyDownHandler) {
-            document.removeEventListener('keydown', this.keyDownHandler);
-        }
-        if (this.keyUpHandler) {
-            document.removeEventListener('keyup', this.keyUpHandler);
-        }
-        if (this.preventDefaultHandler) {
-            document.removeEventListener('keydown', this.preventDefaultHandler);
-        }
-        
-        console.log('InputHandler: Event listeners unbound');
+    getColumnHoles() {
+        const heights = this.getColumnHeights();
+        return heights.map((height, col) => {
+            let holes = 0;
+            for (let row = this.height - height; row < this.height; row++) {
+                if (this.board[row][col] === 0) {
+                    holes++;
+                }
+            }
+            return holes;
+        });
     }
 
     /**
-     * Handles keydown events
-     * Processes key input and executes corresponding game commands
-     * @param {KeyboardEvent} event - The keyboard event
+     * Validates the current board state
+     * @returns {boolean} True if board state is valid
      */
-    handleKeyDown(event) {
-        try {
-            // Validate event object
-            if (!event || typeof event !== 'object') {
-                this.logInputError('Invalid event object received', event);
-                return;
-            }
-
-            const key = event.key;
-            
-            // Validate key property
-            if (typeof key !== 'string') {
-                this.logInputError('Invalid key property in event', { key, event });
-                return;
-            }
-
-            // Validate if this is a recognized game key
-            if (!this.isValidInput(key)) {
-                this.handleInvalidInput(key, event);
-                return;
-            }
-
-            // Get the game command for this key
-            const command = this.keyMap[key];
-            if (!command) {
-                this.logInputError(`No command mapped for key: ${key}`, { key, keyMap: this.keyMap });
-                return;
-            }
-
-            // Check game state before processing input
-            if (!this.isInputAllowedInCurrentState(command)) {
-                this.handleInputBlockedByGameState(command, key);
-                return;
-            }
-
-            // Always allow pause command, even when input is disabled
-            if (command === 'pause') {
-                this.executeCommand(command, event);
-                console.log(`InputHandler: Executed pause command for key '${key}'`);
-                return;
-            }
+    validateBoard() {
+        // Check board dimensions
+        if (!Array.isArray(this.board) || this.board.length !== this.height) {
+            return false;
+        }
 
-            // Check if input is enabled for other commands
-            if (!this.isEnabled) {
-                this.handleInputDisabled(command, key);
-                return;
+        // Check each row
+        for (let row = 0; row < this.height; row++) {
+            if (!Array.isArray(this.board[row]) || this.board[row].length !== this.width) {
+                return false;
             }
 
-            // Check for key repeat prevention
-            if (this.shouldPreventRepeat(key)) {
-                return;
+            // Check each cell
+            for (let col = 0; col < this.width; col++) {
+                const value = this.board[row][col];
+                if (typeof value !== 'number' || value < 0) {
+                    return false;
+                }
             }
-
-            // Update key state tracking
-            this.updateKeyState(key, true);
-
-            // Execute the game command
-            this.executeCommand(command, event);
-            
-            console.log(`InputHandler: Executed command '${command}' for key '${key}'`);
-            
-        } catch (error) {
-            this.handleInputProcessingError(error, event);
         }
+
+        return true;
     }
 
     /**
-     * Handles keyup events
-     * Updates key state tracking when keys are released
-     * @param {KeyboardEvent} event - The keyboard event
+     * Creates a string representation of the board for debugging
+     * @returns {string} String representation of the board
      */
-    handleKeyUp(event) {
-        const key = event.key;
+    toString() {
+        let result = `GameBoard (${this.width}x${this.height}):\n`;
+        result += '┌' + '─'.repeat(this.width * 2 + 1) + '┐\n';
         
-        // Update key state tracking
-        this.updateKeyState(key, false);
+        for (let row = 0; row < this.height; row++) {
+            result += '│ ';
+            for (let col = 0; col < this.width; col++) {
+                result += this.board[row][col] === 0 ? '·' : '█';
+                result += ' ';
+            }
+            result += '│\n';
+        }
+        
+        result += '└' + '─'.repeat(this.width * 2 + 1) + '┘';
+        return result;
     }
 
+    // Placeholder methods for collision detection and line clearing (to be implemented in subtasks)
+    
     /**
-     * Validates if a key input is valid for the game
-     * @param {string} key - The key that was pressed
-     * @returns {boolean} True if the key is valid for game input
+     * Checks if a tetromino can be placed at the specified position
+     * Performs collision detection with board boundaries and existing pieces
+     * @param {Tetromino} piece - The tetromino to check
+     * @param {number} x - X position (column, left edge of piece)
+     * @param {number} y - Y position (row, top edge of piece)
+     * @returns {boolean} True if position is valid (no collision)
      */
-    isValidInput(key) {
-        // Validate key parameter
-        if (typeof key !== 'string' || key.length === 0) {
+    isValidPosition(piece, x, y) {
+        if (!piece || typeof x !== 'number' || typeof y !== 'number') {
             return false;
         }
 
-        // Check if key is in our key mapping
-        if (this.keyMap.hasOwnProperty(key)) {
-            return true;
+        const shape = piece.getShape();
+        if (!shape || shape.length === 0) {
+            return false;
         }
-        
-        return false;
-    }
 
-    /**
-     * Handles invalid input attempts
-     * @param {string} key - The invalid key that was pressed
-     * @param {KeyboardEvent} event - The keyboard event
-     */
-    handleInvalidInput(key, event) {
-        // Log invalid key attempts for debugging
-        console.debug(`InputHandler: Invalid key input: ${key}`);
-        
-        // Check if it's a potentially harmful key combination
-        if (this.isPotentiallyHarmfulInput(key, event)) {
-            console.warn(`InputHandler: Potentially harmful input detected: ${key}`);
+        // Check each filled block of the tetromino
+        for (let row = 0; row < shape.length; row++) {
+            for (let col = 0; col < shape[row].length; col++) {
+                // Skip empty blocks in the tetromino shape
+                if (shape[row][col] === 0) {
+                    continue;
+                }
+
+                // Calculate absolute position on the board
+                const boardRow = y + row;
+                const boardCol = x + col;
+
+                // Check boundary collision
+                if (!this.isInBounds(boardRow, boardCol)) {
+                    return false;
+                }
+
+                // Check collision with existing pieces
+                if (this.isFilled(boardRow, boardCol)) {
+                    return false;
+                }
+            }
         }
-        
-        // Display user-friendly message for common invalid keys
-        this.showInvalidInputMessage(key);
+
+        return true;
     }
 
     /**
-     * Checks if input is potentially harmful or suspicious
-     * @param {string} key - The key that was pressed
-     * @param {KeyboardEvent} event - The keyboard event
-     * @returns {boolean} True if input might be harmful
+     * Checks if a position is valid for boundary checking only (ignores existing pieces)
+     * Used for checking if a piece can fit within board boundaries
+     * @param {Tetromino} piece - The tetromino to check
+     * @param {number} x - X position (column)
+     * @param {number} y - Y position (row)
+     * @returns {boolean} True if piece fits within boundaries
      */
-    isPotentiallyHarmfulInput(key, event) {
-        // Check for suspicious key combinations
-        if (event.ctrlKey && (key === 'c' || key === 'v' || key === 'x')) {
-            return false; // Allow common clipboard operations
-        }
-        
-        // Check for function keys that might interfere with browser
-        if (key.startsWith('F') && key.length <= 3) {
-            return true;
+    isWithinBounds(piece, x, y) {
+        if (!piece || typeof x !== 'number' || typeof y !== 'number') {
+            return false;
         }
-        
-        // Check for system keys
-        const systemKeys = ['Alt', 'Control', 'Meta', 'Tab', 'CapsLock'];
-        return systemKeys.includes(key);
-    }
 
-    /**
-     * Shows user-friendly message for invalid input
-     * @param {string} key - The invalid key
-     */
-    showInvalidInputMessage(key) {
-        // Only show messages for keys that users might expect to work
-        const commonKeys = ['w', 'a', 's', 'd', 'Enter', 'Shift'];
-        
-        if (commonKeys.includes(key)) {
-            this.displayErrorMessage(`Key '${key}' is not used in this game. Use arrow keys to play.`);
+        const shape = piece.getShape();
+        if (!shape || shape.length === 0) {
+            return false;
         }
-    }
 
-    /**
-     * Checks if a key is a recognized game key
-     * @param {string} key - The key to check
-     * @returns {boolean} True if the key is used by the game
-     */
-    isGameKey(key) {
-        return this.keyMap.hasOwnProperty(key);
-    }
+        // Check each filled block of the tetromino
+        for (let row = 0; row < shape.length; row++) {
+            for (let col = 0; col < shape[row].length; col++) {
+                // Skip empty blocks in the tetromino shape
+                if (shape[row][col] === 0) {
+                    continue;
+                }
 
-    /**
-     * Checks if key repeat should be prevented based on timing
-     * @param {string} key - The key that was pressed
-     * @returns {boolean} True if the key press should be ignored due to repeat prevention
-     */
-    shouldPreventRepeat(key) {
-        // Only apply repeat prevention to movement keys
-        if (!this.keyRepeatKeys.has(key)) {
-            return false;
-        }
+                // Calculate absolute position on the board
+                const boardRow = y + row;
+                const boardCol = x + col;
 
-        const now = Date.now();
-        const lastTime = this.lastKeyTime.get(key) || 0;
-        
-        // Check if enough time has passed since last press
-        if (now - lastTime < this.keyRepeatDelay) {
-            return true;
+                // Check if position is within board bounds
+                if (!this.isInBounds(boardRow, boardCol)) {
+                    return false;
+                }
+            }
         }
 
-        // Update last key time
-        this.lastKeyTime.set(key, now);
-        return false;
+        return true;
     }
 
     /**
-     * Updates the key state tracking
-     * @param {string} key - The key to update
-     * @param {boolean} isPressed - Whether the key is currently pressed
+     * Checks if a tetromino collides with existing pieces (ignores boundaries)
+     * @param {Tetromino} piece - The tetromino to check
+     * @param {number} x - X position (column)
+     * @param {number} y - Y position (row)
+     * @returns {boolean} True if piece collides with existing pieces
      */
-    updateKeyState(key, isPressed) {
-        this.keyStates.set(key, isPressed);
-        
-        // Clear timing when key is released
-        if (!isPressed) {
-            this.lastKeyTime.delete(key);
+    hasCollision(piece, x, y) {
+        if (!piece || typeof x !== 'number' || typeof y !== 'number') {
+            return true; // Invalid input counts as collision
         }
-    }
 
-    /**
-     * Executes a game command
-     * @param {string} command - The command to execute
-     * @param {KeyboardEvent} event - The original keyboard event
-     */
-    executeCommand(command, event) {
-        try {
-            // Validate command parameter
-            if (typeof command !== 'string' || command.length === 0) {
-                this.logInputError('Invalid command parameter', { command, event });
-                return;
-            }
+        const shape = piece.getShape();
+        if (!shape || shape.length === 0) {
+            return true;
+        }
 
-            // Check if game engine exists
-            if (!this.gameEngine) {
-                this.logInputError('GameEngine reference is null or undefined', { command });
-                this.displayErrorMessage('Game engine error. Please refresh the page.');
-                return;
-            }
+        // Check each filled block of the tetromino
+        for (let row = 0; row < shape.length; row++) {
+            for (let col = 0; col < shape[row].length; col++) {
+                // Skip empty blocks in the tetromino shape
+                if (shape[row][col] === 0) {
+                    continue;
+                }
 
-            // Check if game engine has the required method
-            if (typeof this.gameEngine[command] !== 'function') {
-                this.logInputError(`GameEngine does not have method: ${command}`, { 
-                    command, 
-                    availableMethods: Object.getOwnPropertyNames(this.gameEngine) 
-                });
-                this.displayErrorMessage(`Game command '${command}' is not available.`);
-                return;
-            }
+                // Calculate absolute position on the board
+                const boardRow = y + row;
+                const boardCol = x + col;
 
-            // Execute the command on the game engine
-            this.gameEngine[command](event);
-            
-        } catch (error) {
-            this.handleCommandExecutionError(error, command, event);
+                // Check collision with existing pieces (only if within bounds)
+                if (this.isInBounds(boardRow, boardCol) && this.isFilled(boardRow, boardCol)) {
+                    return true;
+                }
+            }
         }
-    }
 
-    /**
-     * Handles errors that occur during command execution
-     * @param {Error} error - The error that occurred
-     * @param {string} command - The command that failed
-     * @param {KeyboardEvent} event - The original keyboard event
-     */
-    handleCommandExecutionError(error, command, event) {
-        console.error(`InputHandler: Error executing command '${command}':`, error);
-        
-        // Log detailed error information
-        this.logInputError(`Command execution failed: ${command}`, {
-            error: error.message,
-            stack: error.stack,
-            command,
-            event: event ? { key: event.key, type: event.type } : null
-        });
-        
-        // Show user-friendly error message
-        this.displayErrorMessage(`Failed to execute game action. Please try again.`);
-        
-        // Attempt recovery if possible
-        this.attemptErrorRecovery(command, error);
+        return false;
     }
 
     /**
-     * Checks if input is allowed in the current game state
-     * @param {string} command - The command to check
-     * @returns {boolean} True if input is allowed
+     * Places a tetromino on the board at the specified position
+     * Only places if the position is valid
+     * @param {Tetromino} piece - The tetromino to place
+     * @param {number} x - X position (column)
+     * @param {number} y - Y position (row)
+     * @returns {boolean} True if piece was placed successfully
      */
-    isInputAllowedInCurrentState(command) {
-        try {
-            // Always allow pause command
-            if (command === 'pause') {
-                return true;
-            }
+    placePiece(piece, x, y) {
+        // Validate input parameters
+        if (!piece || typeof x !== 'number' || typeof y !== 'number') {
+            console.error('Invalid parameters for placePiece');
+            return false;
+        }
 
-            // Check if game engine exists and has state
-            if (!this.gameEngine || !this.gameEngine.gameState) {
-                return false;
-            }
+        // Check if position is valid before placing
+        if (!this.isValidPosition(piece, x, y)) {
+            console.warn(`Cannot place ${piece.getType()} at (${x}, ${y}) - invalid position`);
+            return false;
+        }
 
-            const gameState = this.gameEngine.gameState;
+        const shape = piece.getShape();
+        const cellId = this.getCellId(piece.getType());
 
-            // Block input during game over (except pause)
-            if (gameState.isGameOverState && gameState.isGameOverState()) {
-                return false;
+        // Place each filled block of the tetromino
+        for (let row = 0; row < shape.length; row++) {
+            for (let col = 0; col < shape[row].length; col++) {
+                // Only place filled blocks
+                if (shape[row][col] === 1) {
+                    const boardRow = y + row;
+                    const boardCol = x + col;
+                    this.setCellValue(boardRow, boardCol, cellId);
+                }
             }
-
-            // Allow input during normal play and pause
-            return true;
-            
-        } catch (error) {
-            console.error('InputHandler: Error checking game state:', error);
-            return false; // Fail safe - block input if we can't determine state
         }
+
+        console.log(`Successfully placed ${piece.getType()} at (${x}, ${y})`);
+        return true;
     }
 
     /**
-     * Handles input that is blocked by current game state
-     * @param {string} command - The blocked command
-     * @param {string} key - The key that was pressed
+     * Gets the board cell ID stored for a piece type
+     * @param {string} type - Piece type ('I', 'O', ...) or 'garbage'
+     * @returns {number} Cell ID, or 0 for an unknown type
      */
-    handleInputBlockedByGameState(command, key) {
-        try {
-            if (!this.gameEngine || !this.gameEngine.gameState) {
-                return;
-            }
-
-            const gameState = this.gameEngine.gameState;
-
-            if (gameState.isGameOverState && gameState.isGameOverState()) {
-                this.displayErrorMessage('Game is over. Press restart to play again.');
-                console.debug(`InputHandler: Input '${key}' blocked - game over`);
-            }
-            
-        } catch (error) {
-            console.error('InputHandler: Error handling blocked input:', error);
+    getCellId(type) {
+        if (type === 'garbage') {
+            return GARBAGE_CELL_ID;
         }
+        return Object.prototype.hasOwnProperty.call(PIECE_CELL_IDS, type) ? PIECE_CELL_IDS[type] : 0;
     }
 
     /**
-     * Handles input when input processing is disabled
-     * @param {string} command - The command that was attempted
-     * @param {string} key - The key that was pressed
+     * Gets the piece type stored in a board cell
+     * @param {number} cellId - Board cell value
+     * @returns {string|null} Piece type, 'garbage', or null for an empty or unknown cell
      */
-    handleInputDisabled(command, key) {
-        console.debug(`InputHandler: Input '${key}' ignored - input disabled`);
-        // Don't show error message for disabled input as it's expected behavior
+    getCellType(cellId) {
+        return CELL_TYPES[cellId] || null;
     }
 
     /**
-     * Handles errors during input processing
-     * @param {Error} error - The error that occurred
-     * @param {KeyboardEvent} event - The keyboard event
+     * Clears completed lines and returns the number of lines cleared
+     * A line is complete when all cells in the row are filled (> 0)
+     * @returns {number} Number of lines cleared
      */
-    handleInputProcessingError(error, event) {
-        console.error('InputHandler: Error processing input:', error);
+    clearLines() {
+        const completedLines = this.findCompletedLines();
         
-        this.logInputError('Input processing error', {
-            error: error.message,
-            stack: error.stack,
-            event: event ? { key: event.key, type: event.type } : null
-        });
+        if (completedLines.length === 0) {
+            return 0;
+        }
+
+        // Remove completed lines and add empty lines at the top
+        this.removeCompletedLines(completedLines);
         
-        this.displayErrorMessage('Input processing error. Please try again.');
+        console.log(`Cleared ${completedLines.length} line(s): rows ${completedLines.join(', ')}`);
+        return completedLines.length;
     }
 
     /**
-     * Logs input-related errors with detailed information
-     * @param {string} message - Error message
-     * @param {Object} details - Additional error details
+     * Finds all completed lines (rows that are completely filled)
+     * @returns {number[]} Array of row indices that are completed (sorted from bottom to top)
      */
-    logInputError(message, details = {}) {
-        const errorInfo = {
-            timestamp: new Date().toISOString(),
-            message,
-            inputEnabled: this.isEnabled,
-            gameEngineExists: !!this.gameEngine,
-            ...details
-        };
-        
-        console.error('InputHandler Error:', errorInfo);
+    findCompletedLines() {
+        const completedLines = [];
         
-        // Store error for debugging (keep last 10 errors)
-        if (!this.errorLog) {
-            this.errorLog = [];
+        // Check each row from bottom to top
+        for (let row = this.height - 1; row >= 0; row--) {
+            if (this.isLineComplete(row)) {
+                completedLines.push(row);
+            }
         }
         
-        this.errorLog.push(errorInfo);
-        if (this.errorLog.length > 10) {
-            this.errorLog.shift();
-        }
+        // Return in descending order (bottom to top) for easier processing
+        return completedLines.sort((a, b) => b - a);
     }
 
     /**
-     * Displays error message to the user
-     * @param {string} message - Message to display
+     * Checks if a specific line (row) is complete
+     * @param {number} row - Row index to check
+     * @returns {boolean} True if the line is completely filled
      */
-    displayErrorMessage(message) {
-        // Try to find error display element
-        const errorElement = document.getElementById('error-message');
-        if (errorElement) {
-            errorElement.textContent = message;
-            errorElement.style.display = 'block';
-            
-            // Auto-hide after 3 seconds
-            setTimeout(() => {
-                errorElement.style.display = 'none';
-            }, 3000);
-        } else {
-            // Fallback to console if no error element exists
-            console.warn('No error display element found. Message:', message);
+    isLineComplete(row) {
+        if (row < 0 || row >= this.height) {
+            return false;
+        }
+        
+        // Check if all cells in the row are filled
+        for (let col = 0; col < this.width; col++) {
+            if (this.board[row][col] === 0) {
+                return false;
+            }
         }
+        
+        return true;
     }
 
     /**
-     * Attempts to recover from errors
-     * @param {string} command - The command that failed
-     * @param {Error} error - The error that occurred
+     * Checks if a specific line (row) is empty
+     * @param {number} row - Row index to check
+     * @returns {boolean} True if the line is completely empty
      */
-    attemptErrorRecovery(command, error) {
-        try {
-            // Reset key states to prevent stuck keys
-            this.keyStates.clear();
-            this.lastKeyTime.clear();
-            
-            // Re-validate configuration
-            if (!this.validateConfiguration()) {
-                console.warn('InputHandler: Configuration validation failed during recovery');
-                this.resetToDefaults();
+    isLineEmpty(row) {
+        if (row < 0 || row >= this.height) {
+            return false;
+        }
+        
+        // Check if all cells in the row are empty
+        for (let col = 0; col < this.width; col++) {
+            if (this.board[row][col] !== 0) {
+                return false;
             }
-            
-            console.log('InputHandler: Attempted error recovery');
-            
-        } catch (recoveryError) {
-            console.error('InputHandler: Error during recovery attempt:', recoveryError);
         }
+        
+        return true;
     }
 
     /**
-     * Resets input handler to default state
+     * Removes completed lines and drops blocks above them
+     * @param {number[]} completedLines - Array of row indices to remove
      */
-    resetToDefaults() {
-        try {
-            this.isEnabled = true;
-            this.keyStates.clear();
-            this.lastKeyTime.clear();
-            this.resetKeyMap();
-            
-            console.log('InputHandler: Reset to defaults');
-            
-        } catch (error) {
-            console.error('InputHandler: Error resetting to defaults:', error);
+    removeCompletedLines(completedLines) {
+        // Process lines from top to bottom: removing a row only shifts the rows above it,
+        // so the indices of the lower completed rows stay valid
+        const topToBottom = [...completedLines].sort((a, b) => a - b);
+        for (const lineIndex of topToBottom) {
+            this.removeLine(lineIndex);
         }
     }
 
     /**
-     * Gets error log for debugging
-     * @returns {Array} Array of recent errors
+     * Removes a single line and drops all blocks above it
+     * @param {number} lineIndex - Index of the line to remove
      */
-    getErrorLog() {
-        return this.errorLog ? [...this.errorLog] : [];
-    }
+    removeLine(lineIndex) {
+        if (lineIndex < 0 || lineIndex >= this.height) {
+            return;
+        }
 
-    /**
-     * Clears the error log
-     */
-    clearErrorLog() {
-        this.errorLog = [];
-    }
+        // Remove the completed line by shifting all rows above it down
+        for (let row = lineIndex; row > 0; row--) {
+            for (let col = 0; col < this.width; col++) {
+                this.board[row][col] = this.board[row - 1][col];
+            }
+        }
 
-    /**
-     * Enables input processing
-     * Allows keyboard input to be processed and executed
-     */
-    enable() {
-        this.isEnabled = true;
-        console.log('InputHandler: Input enabled');
+        // Clear the top row (new empty line)
+        for (let col = 0; col < this.width; col++) {
+            this.board[0][col] = 0;
+        }
     }
 
     /**
-     * Disables input processing
-     * Prevents keyboard input from being processed (useful during game over, menus, etc.)
+     * Pushes garbage rows in from the bottom, lifting the stack
+     * Every garbage row is filled except for the same hole column, so one vertical
+     * drop can dig through the whole batch.
+     * @param {number} count - Number of rows to insert
+     * @param {number} holeColumn - Column left empty in each row
+     * @returns {boolean} False if blocks were pushed off the top (the player tops out), true otherwise
      */
-    disable() {
-        this.isEnabled = false;
-        this.keyStates.clear();
-        this.lastKeyTime.clear();
-        console.log('InputHandler: Input disabled');
-    }
+    addGarbageRows(count, holeColumn) {
+        if (!Number.isInteger(count) || count < 1 || count > this.height) {
+            console.warn('GameBoard: Invalid garbage row count:', count);
+            return true;
+        }
+        if (!Number.isInteger(holeColumn) || holeColumn < 0 || holeColumn >= this.width) {
+            console.warn('GameBoard: Invalid garbage hole column:', holeColumn);
+            return true;
+        }
 
-    /**
-     * Checks if input is currently enabled
-     * @returns {boolean} True if input is enabled
-     */
-    isInputEnabled() {
-        return this.isEnabled;
+        const overflowed = this.board.slice(0, count).some(row => row.some(cell => cell !== 0));
+
+        const garbageRow = Array(this.width).fill(GARBAGE_CELL_ID);
+        garbageRow[holeColumn] = 0;
+        this.board.splice(0, count);
+        for (let row = 0; row < count; row++) {
+            this.board.push([...garbageRow]);
+        }
+        return !overflowed;
     }
 
     /**
-     * Gets the current state of a specific key
-     * @param {string} key - The key to check
-     * @returns {boolean} True if the key is currently pressed
+     * Simulates line clearing and returns information without modifying the board
+     * Useful for preview or scoring calculations
+     * @returns {{linesCleared: number, completedLines: number[]}} Information about lines that would be cleared
      */
-    isKeyPressed(key) {
-        return this.keyStates.get(key) || false;
+    simulateLineClear() {
+        const completedLines = this.findCompletedLines();
+        return {
+            linesCleared: completedLines.length,
+            completedLines: completedLines
+        };
     }
 
     /**
-     * Gets all currently pressed keys
-     * @returns {string[]} Array of currently pressed keys
+     * Checks if the game is over (blocks have reached the top)
+     * Game over occurs when the top rows contain filled blocks
+     * @returns {boolean} True if game is over
      */
-    getPressedKeys() {
-        const pressedKeys = [];
-        for (const [key, isPressed] of this.keyStates) {
-            if (isPressed) {
-                pressedKeys.push(key);
+    isGameOver() {
+        // Check the top few rows for any filled blocks
+        // In Tetris, game over typically occurs when blocks reach the top
+        for (let row = 0; row < 4; row++) { // Check top 4 rows
+            for (let col = 0; col < this.width; col++) {
+                if (this.board[row][col] > 0) {
+                    return true;
+                }
             }
         }
-        return pressedKeys;
+        return false;
     }
+}
 
+// Default keyboard bindings (KeyboardEvent.key -> game command)
+const DEFAULT_KEY_MAP = Object.freeze({
+    'ArrowLeft': 'moveLeft',
+    'ArrowRight': 'moveRight',
+    'ArrowUp': 'rotate',
+    'z': 'rotateCounterClockwise',
+    'Z': 'rotateCounterClockwise',
+    'ArrowDown': 'softDrop',
+    'c': 'hold',
+    'C': 'hold',
+    'Shift': 'hold',
+    ' ': 'pause', // Spacebar
+    'Escape': 'pause'
+});
+
+// Second player's default bindings for local versus (no keys shared with DEFAULT_KEY_MAP)
+const PLAYER_2_KEY_MAP = Object.freeze({
+    'a': 'moveLeft',
+    'A': 'moveLeft',
+    'd': 'moveRight',
+    'D': 'moveRight',
+    'w': 'rotate',
+    'W': 'rotate',
+    'q': 'rotateCounterClockwise',
+    'Q': 'rotateCounterClockwise',
+    's': 'softDrop',
+    'S': 'softDrop',
+    'e': 'hold',
+    'E': 'hold',
+    'p': 'pause',
+    'P': 'pause'
+});
+
+// Actions listed on the key settings screen, in display order
+const KEY_BINDING_ACTIONS = [
+    { command: 'moveLeft', name: '左移動' },
+    { command: 'moveRight', name: '右移動' },
+    { command: 'softDrop', name: '高速落下' },
+    { command: 'hardDrop', name: '即落下' },
+    { command: 'rotate', name: '右回転' },
+    { command: 'rotateCounterClockwise', name: '左回転' },
+    { command: 'hold', name: 'ホールド' },
+    { command: 'pause', name: 'ポーズ' }
+];
+
+const KEY_BINDINGS_VERSION = 1;
+
+/**
+ * InputHandler class - Manages keyboard input for the Tetris game
+ * Handles key events and translates them to game commands
+ * Provides input validation and prevents invalid operations
+ */
+class InputHandler {
     /**
-     * Configures key repeat settings
-     * @param {number} delay - Delay in milliseconds between key repeats
-     * @param {string[]} repeatKeys - Array of keys that should support repeat
+     * Creates a new InputHandler instance
+     * @param {GameCore} gameEngine - Reference to the game for command execution
+     * @param {EventTarget|null} eventTarget - Where keyboard events are read (defaults to document; null binds nothing)
+     * @param {Object} bindingSet - Optional { defaultKeyMap, storageKey } for a second player
      */
-    configureKeyRepeat(delay, repeatKeys = []) {
-        if (typeof delay === 'number' && delay > 0) {
-            this.keyRepeatDelay = delay;
+    constructor(gameEngine, eventTarget = typeof document !== 'undefined' ? document : null, bindingSet = {}) {
+        if (!gameEngine) {
+            throw new Error('GameEngine reference is required for InputHandler');
         }
         
-        if (Array.isArray(repeatKeys)) {
-            this.keyRepeatKeys = new Set(repeatKeys);
-        }
+        this.gameEngine = gameEngine;
+        this.eventTarget = eventTarget;
+        this.isEnabled = true;
+        this.keyStates = new Map(); // Track key press states for repeat handling
+        this.lastKeyTime = new Map(); // Track timing for key repeat prevention
         
-        console.log(`InputHandler: Key repeat configured - delay: ${this.keyRepeatDelay}ms, keys: ${Array.from(this.keyRepeatKeys).join(', ')}`);
+        // Key mapping configuration (each binding set has its own defaults and storage key)
+        this.defaultKeyMap = bindingSet.defaultKeyMap || DEFAULT_KEY_MAP;
+        this.keyBindingStorageKey = bindingSet.storageKey || CONFIG.KEY_BINDINGS.STORAGE_KEY;
+        this.keyMap = { ...this.defaultKeyMap };
+        this.keyBindingStorage = null; // Set by loadKeyBindings
+        this.keyCaptureCallback = null; // Set while the settings screen waits for a key
+        this.sharedKeyboard = []; // Other players' InputHandlers reading the same keyboard (local versus)
+        
+        // Key repeat settings (horizontal movement uses DAS/ARR instead of OS repeats)
+        this.keyRepeatDelay = 150; // Milliseconds between repeats for soft drop
+        this.keyRepeatCommands = new Set(['softDrop']); // Commands whose keys can repeat
+        this.keyRepeatKeys = new Set(Object.keys(this.keyMap)
+            .filter(key => this.keyMap[key] === 'softDrop')); // Kept in step with keyMap by refreshKeyBindings
+        
+        // Delayed Auto Shift / Auto Repeat Rate, driven by the game loop
+        this.dasDelay = CONFIG.AUTO_SHIFT.DAS;
+        this.arrDelay = CONFIG.AUTO_SHIFT.ARR;
+        this.horizontalCommands = []; // Held directions, most recently pressed last
+        this.dasCharge = 0;
+        this.nextRepeatAt = 0;
+        this.lastAutoShiftTime = null;
+        
+        this.bindEvents();
     }
 
     /**
-     * Updates the key mapping configuration
-     * @param {Object} newKeyMap - New key mapping object
+     * Binds keyboard event listeners to the event target
+     * Sets up keydown and keyup event handlers
      */
-    updateKeyMap(newKeyMap) {
-        if (typeof newKeyMap === 'object' && newKeyMap !== null) {
-            this.keyMap = { ...this.keyMap, ...newKeyMap };
-            console.log('InputHandler: Key mapping updated', this.keyMap);
+    bindEvents() {
+        if (!this.eventTarget) {
+            console.log('InputHandler: No event target, keyboard events are not bound');
+            return;
         }
-    }
 
-    /**
-     * Resets key mapping to default configuration
-     */
-    resetKeyMap() {
-        this.keyMap = {
-            'ArrowLeft': 'moveLeft',
-            'ArrowRight': 'moveRight', 
-            'ArrowUp': 'rotate',
-            'ArrowDown': 'softDrop',
-            ' ': 'pause',
-            'Escape': 'pause'
+        // Bind keydown event
+        this.keyDownHandler = (event) => this.handleKeyDown(event);
+        this.eventTarget.addEventListener('keydown', this.keyDownHandler);
+        
+        // Bind keyup event
+        this.keyUpHandler = (event) => this.handleKeyUp(event);
+        this.eventTarget.addEventListener('keyup', this.keyUpHandler);
+        
+        // Prevent default behavior for game keys to avoid page scrolling
+        this.preventDefaultHandler = (event) => {
+            if (this.isGameKey(event.key) && !this.isTextEntryTarget(event.target)) {
+                event.preventDefault();
+            }
         };
-        console.log('InputHandler: Key mapping reset to default');
+        this.eventTarget.addEventListener('keydown', this.preventDefaultHandler);
+        
+        console.log('InputHandler: Event listeners bound successfully');
     }
 
     /**
-     * Gets the current key mapping configuration
-     * @returns {Object} Current key mapping
+     * Unbinds all keyboard event listeners
+     * Used for cleanup when destroying the input handler
      */
-    getKeyMap() {
-        return { ...this.keyMap };
-    }
-
-    /**
-     * Validates the input handler configuration
-     * @returns {boolean} True if configuration is valid
-     */
-    validateConfiguration() {
-        // Check if game engine reference exists
-        if (!this.gameEngine) {
-            console.error('InputHandler: No game engine reference');
-            return false;
+    unbindEvents() {
+        if (!this.eventTarget) {
+            return;
         }
 
-        // Check if key mapping is valid
-        if (!this.keyMap || typeof this.keyMap !== 'object') {
-            console.error('InputHandler: Invalid key mapping');
-            return false;
+        if (this.keyDownHandler) {
+            this.eventTarget.removeEventListener('keydown', this.keyDownHandler);
         }
-
-        // Check if key mapping has required commands
-        const requiredCommands = ['moveLeft', 'moveRight', 'rotate', 'softDrop', 'pause'];
-        const mappedCommands = Object.values(this.keyMap);
-        
-        for (const command of requiredCommands) {
-            if (!mappedCommands.includes(command)) {
-                console.warn(`InputHandler: Missing key mapping for command: ${command}`);
-            }
+        if (this.keyUpHandler) {
+            this.eventTarget.removeEventListener('keyup', this.keyUpHandler);
+        }
+        if (this.preventDefaultHandler) {
+            this.eventTarget.removeEventListener('keydown', this.preventDefaultHandler);
         }
-
-        return true;
-    }
-
-    /**
-     * Cleans up the input handler
-     * Unbinds events and clears state
-     */
-    destroy() {
-        this.unbindEvents();
-        this.keyStates.clear();
-        this.lastKeyTime.clear();
-        this.gameEngine = null;
-        this.isEnabled = false;
         
-        console.log('InputHandler: Destroyed and cleaned up');
+        console.log('InputHandler: Event listeners unbound');
     }
 
     /**
-     * Gets debug information about the input handler state
-     * @returns {Object} Debug information
+     * Handles keydown events
+     * Processes key input and executes corresponding game commands
+     * @param {KeyboardEvent} event - The keyboard event
      */
-    getDebugInfo() {
-        return {
-            isEnabled: this.isEnabled,
-            keyMap: this.keyMap,
-            pressedKeys: this.getPressedKeys(),
-            keyRepeatDelay: this.keyRepeatDelay,
-            keyRepeatKeys: Array.from(this.keyRepeatKeys),
-            hasGameEngine: !!this.gameEngine
-        };
-    }
-}
+    handleKeyDown(event) {
+        try {
+            // Validate event object
+            if (!event || typeof event !== 'object') {
+                this.logInputError('Invalid event object received', event);
+                return;
+            }
 
-/**
- * GameState class - Manages game state including score, level, lines, and game status
- * Handles scoring calculations and level progression logic
- */
-class GameState {
-    /**
-     * Creates a new GameState instance
-     */
-    constructor() {
-        this.reset();
+            const key = event.key;
+            
+            // Validate key property
+            if (typeof key !== 'string') {
+                this.logInputError('Invalid key property in event', { key, event });
+                return;
+            }
+
+            // The key settings screen is waiting for the next key
+            if (this.keyCaptureCallback) {
+                this.handleKeyCapture(event);
+                return;
+            }
+            if (this.sharedKeyboard.some(handler => handler.keyCaptureCallback)) {
+                return; // ...for another player, who gets the key instead
+            }
+
+            // Leave typing in form fields (e.g. high score names) alone
+            if (this.isTextEntryTarget(event.target)) {
+                return;
+            }
+
+            // Validate if this is a recognized game key
+            if (!this.isValidInput(key)) {
+                this.handleInvalidInput(key, event);
+                return;
+            }
+
+            // Get the game command for this key
+            const command = this.keyMap[key];
+            if (!command) {
+                this.logInputError(`No command mapped for key: ${key}`, { key, keyMap: this.keyMap });
+                return;
+            }
+
+            // Check game state and whether input is enabled
+            if (!this.canDispatch(command, key)) {
+                return;
+            }
+
+            if (command === 'pause') {
+                this.executeCommand(command, event);
+                console.log(`InputHandler: Executed pause command for key '${key}'`);
+                return;
+            }
+
+            // Horizontal movement repeats from the game loop, so OS repeats are ignored
+            if (this.isHorizontalCommand(command)) {
+                if (!this.isKeyPressed(key)) {
+                    this.updateKeyState(key, true);
+                    this.pressHorizontal(command);
+                    this.executeCommand(command, event);
+                }
+                return;
+            }
+
+            // Check for key repeat prevention
+            if (this.shouldPreventRepeat(key)) {
+                return;
+            }
+
+            // Update key state tracking
+            this.updateKeyState(key, true);
+
+            // Execute the game command
+            this.executeCommand(command, event);
+            
+            console.log(`InputHandler: Executed command '${command}' for key '${key}'`);
+            
+        } catch (error) {
+            this.handleInputProcessingError(error, event);
+        }
     }
 
     /**
-     * Resets all game state to initial values
+     * Handles keyup events
+     * Updates key state tracking when keys are released
+     * @param {KeyboardEvent} event - The keyboard event
      */
-    reset() {
-        this.score = 0;
-        this.level = 1;
-        this.lines = 0;
-        this.isPaused = false;
-        this.isGameOver = false;
-        this.isRunning = false;
+    handleKeyUp(event) {
+        const key = event.key;
         
-        console.log('GameState: State reset to initial values');
+        // Update key state tracking
+        this.updateKeyState(key, false);
+        
+        const command = this.keyMap[key];
+        if (this.isHorizontalCommand(command) && !this.isCommandHeld(command)) {
+            this.releaseHorizontal(command);
+        }
     }
 
     /**
-     * Gets the current score
-     * @returns {number} Current score
+     * Checks if a key event is aimed at a text field
+     * @param {EventTarget} target - Event target
+     * @returns {boolean} True for inputs, textareas, selects and editable content
      */
-    getScore() {
-        return this.score;
+    isTextEntryTarget(target) {
+        if (!target || typeof target.tagName !== 'string') {
+            return false;
+        }
+        return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable === true;
     }
 
     /**
-     * Gets the current level
-     * @returns {number} Current level
+     * Validates if a key input is valid for the game
+     * @param {string} key - The key that was pressed
+     * @returns {boolean} True if the key is valid for game input
      */
-    getLevel() {
-        return this.level;
+    isValidInput(key) {
+        // Validate key parameter
+        if (typeof key !== 'string' || key.length === 0) {
+            return false;
+        }
+
+        // Check if key is in our key mapping
+        if (this.keyMap.hasOwnProperty(key)) {
+            return true;
+        }
+        
+        return false;
     }
 
     /**
-     * Gets the number of lines cleared
-     * @returns {number} Total lines cleared
+     * Handles invalid input attempts
+     * @param {string} key - The invalid key that was pressed
+     * @param {KeyboardEvent} event - The keyboard event
      */
-    getLines() {
-        return this.lines;
+    handleInvalidInput(key, event) {
+        // Another player's key is not a mistake
+        if (this.sharedKeyboard.some(handler => handler.isGameKey(key))) {
+            return;
+        }
+        
+        // Log invalid key attempts for debugging
+        console.debug(`InputHandler: Invalid key input: ${key}`);
+        
+        // Check if it's a potentially harmful key combination
+        if (this.isPotentiallyHarmfulInput(key, event)) {
+            console.warn(`InputHandler: Potentially harmful input detected: ${key}`);
+        }
+        
+        // Display user-friendly message for common invalid keys
+        this.showInvalidInputMessage(key);
     }
 
     /**
-     * Checks if the game is paused
-     * @returns {boolean} True if game is paused
+     * Checks if input is potentially harmful or suspicious
+     * @param {string} key - The key that was pressed
+     * @param {KeyboardEvent} event - The keyboard event
+     * @returns {boolean} True if input might be harmful
      */
-    isPausedState() {
-        return this.isPaused;
+    isPotentiallyHarmfulInput(key, event) {
+        // Check for suspicious key combinations
+        if (event.ctrlKey && (key === 'c' || key === 'v' || key === 'x')) {
+            return false; // Allow common clipboard operations
+        }
+        
+        // Check for function keys that might interfere with browser
+        if (key.startsWith('F') && key.length <= 3) {
+            return true;
+        }
+        
+        // Check for system keys
+        const systemKeys = ['Alt', 'Control', 'Meta', 'Tab', 'CapsLock'];
+        return systemKeys.includes(key);
     }
 
     /**
-     * Checks if the game is over
-     * @returns {boolean} True if game is over
+     * Shows user-friendly message for invalid input
+     * @param {string} key - The invalid key
      */
-    isGameOverState() {
-        return this.isGameOver;
+    showInvalidInputMessage(key) {
+        // Only show messages for keys that users might expect to work
+        const commonKeys = ['w', 'a', 's', 'd', 'Enter'];
+        
+        if (commonKeys.includes(key)) {
+            this.displayErrorMessage(`Key '${key}' is not used in this game. Use arrow keys to play.`);
+        }
     }
 
     /**
-     * Checks if the game is running
-     * @returns {boolean} True if game is running
+     * Checks if a key is a recognized game key
+     * @param {string} key - The key to check
+     * @returns {boolean} True if the key is used by the game
      */
-    isRunningState() {
-        return this.isRunning;
+    isGameKey(key) {
+        return this.keyMap.hasOwnProperty(key);
     }
 
     /**
-     * Sets the paused state
-     * @param {boolean} paused - Whether the game should be paused
+     * Checks if key repeat should be prevented based on timing
+     * @param {string} key - The key that was pressed
+     * @returns {boolean} True if the key press should be ignored due to repeat prevention
      */
-    setPaused(paused) {
-        if (this.isGameOver) {
-            return; // Cannot pause when game is over
+    shouldPreventRepeat(key) {
+        // Only apply repeat prevention to movement keys
+        if (!this.keyRepeatKeys.has(key)) {
+            return false;
         }
-        
-        this.isPaused = Boolean(paused);
-        console.log(`GameState: Paused state set to ${this.isPaused}`);
-    }
 
-    /**
-     * Sets the game over state
-     * @param {boolean} gameOver - Whether the game is over
-     */
-    setGameOver(gameOver) {
-        this.isGameOver = Boolean(gameOver);
-        if (this.isGameOver) {
-            this.isRunning = false;
-            this.isPaused = false;
+        const now = Date.now();
+        const lastTime = this.lastKeyTime.get(key) || 0;
+        
+        // Check if enough time has passed since last press
+        if (now - lastTime < this.keyRepeatDelay) {
+            return true;
         }
-        console.log(`GameState: Game over state set to ${this.isGameOver}`);
+
+        // Update last key time
+        this.lastKeyTime.set(key, now);
+        return false;
     }
 
     /**
-     * Sets the running state
-     * @param {boolean} running - Whether the game is running
+     * Updates the key state tracking
+     * @param {string} key - The key to update
+     * @param {boolean} isPressed - Whether the key is currently pressed
      */
-    setRunning(running) {
-        this.isRunning = Boolean(running);
-        if (this.isRunning) {
-            this.isGameOver = false;
+    updateKeyState(key, isPressed) {
+        this.keyStates.set(key, isPressed);
+        
+        // Clear timing when key is released
+        if (!isPressed) {
+            this.lastKeyTime.delete(key);
         }
-        console.log(`GameState: Running state set to ${this.isRunning}`);
     }
 
     /**
-     * Updates the score based on lines cleared
-     * Implements Tetris scoring system with bonuses for multiple lines
-     * @param {number} linesCleared - Number of lines cleared (1-4)
-     * @returns {number} Points awarded for this line clear
+     * Checks if a command is a horizontal movement handled by DAS/ARR
+     * @param {string} command - Game command
+     * @returns {boolean} True for moveLeft and moveRight
      */
-    updateScore(linesCleared) {
-        if (typeof linesCleared !== 'number' || linesCleared < 0 || linesCleared > 4) {
-            console.warn('GameState: Invalid linesCleared value:', linesCleared);
-            return 0;
-        }
-
-        if (linesCleared === 0) {
-            return 0;
-        }
+    isHorizontalCommand(command) {
+        return command === 'moveLeft' || command === 'moveRight';
+    }
 
-        // Tetris scoring system based on original game
-        // Base score per line: 100 points
-        // Multipliers for multiple lines (bonus for clearing more lines at once):
-        // 1 line (Single): 100 × 1 = 100 points
-        // 2 lines (Double): 100 × 3 = 300 points  
-        // 3 lines (Triple): 100 × 5 = 500 points
-        // 4 lines (Tetris): 100 × 8 = 800 points
-        const baseScore = 100;
-        const scoreMultipliers = {
-            1: 1,   // Single - 100 points base
-            2: 3,   // Double - 300 points base (bonus for clearing 2 at once)
-            3: 5,   // Triple - 500 points base (bonus for clearing 3 at once)
-            4: 8    // Tetris - 800 points base (big bonus for clearing 4 at once)
-        };
-        
-        const multiplier = scoreMultipliers[linesCleared] || 1;
-        const basePoints = baseScore * multiplier;
-        const levelBonus = this.level; // Level multiplier
-        const totalPoints = basePoints * levelBonus;
-        
-        this.score += totalPoints;
-        
-        // Log scoring details
-        const lineNames = {
-            1: 'Single',
-            2: 'Double', 
-            3: 'Triple',
-            4: 'Tetris'
-        };
-        
-        const lineName = lineNames[linesCleared] || `${linesCleared} lines`;
-        console.log(`GameState: ${lineName}! ${basePoints} × ${levelBonus} (level) = ${totalPoints} points`);
-        
-        return totalPoints;
+    /**
+     * Checks if any key mapped to a command is still held
+     * @param {string} command - Game command
+     * @returns {boolean} True if at least one mapped key is pressed
+     */
+    isCommandHeld(command) {
+        return this.getPressedKeys().some(key => this.keyMap[key] === command);
     }
 
     /**
-     * Adds lines to the total count and updates level if necessary
-     * Level progression: Every 10 lines cleared increases the level by 1
-     * @param {number} linesCleared - Number of lines to add
-     * @returns {boolean} True if level increased
+     * Registers a newly pressed direction
+     * The last pressed direction wins and starts charging DAS from zero
+     * @param {string} command - 'moveLeft' or 'moveRight'
      */
-    addLines(linesCleared) {
-        if (typeof linesCleared !== 'number' || linesCleared < 0) {
-            console.warn('GameState: Invalid linesCleared value:', linesCleared);
-            return false;
-        }
+    pressHorizontal(command) {
+        this.horizontalCommands = this.horizontalCommands.filter(held => held !== command);
+        this.horizontalCommands.push(command);
+        this.restartAutoShift();
+    }
 
-        const previousLevel = this.level;
-        const previousLines = this.lines;
-        this.lines += linesCleared;
-        
-        // Level progression: Every 10 lines = level up
-        // Level 1: 0-9 lines, Level 2: 10-19 lines, etc.
-        const newLevel = Math.floor(this.lines / 10) + 1;
-        const levelIncreased = newLevel > this.level;
+    /**
+     * Releases a direction
+     * If the other direction is still held it takes over and charges DAS again
+     * @param {string} command - 'moveLeft' or 'moveRight'
+     */
+    releaseHorizontal(command) {
+        const wasActive = this.getActiveHorizontalCommand() === command;
+        this.horizontalCommands = this.horizontalCommands.filter(held => held !== command);
         
-        if (levelIncreased) {
-            const levelsGained = newLevel - this.level;
-            this.level = newLevel;
-            
-            console.log(`GameState: Level up! Level ${previousLevel} → ${this.level} (+${levelsGained})`);
-            console.log(`GameState: Lines: ${previousLines} → ${this.lines} (+${linesCleared})`);
-            console.log(`GameState: Next level at ${this.level * 10} lines (${(this.level * 10) - this.lines} lines to go)`);
+        if (wasActive) {
+            this.restartAutoShift();
         }
-        
-        return levelIncreased;
     }
 
     /**
-     * Gets the drop speed for the current level
-     * Drop speed decreases (gets faster) as level increases
-     * @returns {number} Drop speed in milliseconds
+     * Gets the direction that currently owns auto-repeat
+     * @returns {string|null} Most recently pressed held direction
      */
-    getDropSpeed() {
-        const baseSpeed = CONFIG.INITIAL_DROP_SPEED;
-        const speedRate = CONFIG.SPEED_INCREASE_RATE;
-        const minSpeed = 50; // Minimum drop speed (maximum speed)
-        
-        const calculatedSpeed = baseSpeed * Math.pow(speedRate, this.level - 1);
-        return Math.max(minSpeed, calculatedSpeed);
+    getActiveHorizontalCommand() {
+        return this.horizontalCommands.length > 0
+            ? this.horizontalCommands[this.horizontalCommands.length - 1]
+            : null;
     }
 
     /**
-     * Gets the number of lines needed to reach the next level
-     * @returns {number} Lines needed for next level
+     * Clears the DAS charge for a new direction
      */
-    getLinesUntilNextLevel() {
-        const nextLevelThreshold = this.level * 10;
-        return Math.max(0, nextLevelThreshold - this.lines);
+    restartAutoShift() {
+        this.dasCharge = 0;
+        this.nextRepeatAt = this.dasDelay;
     }
 
     /**
-     * Gets the progress towards the next level as a percentage
-     * @returns {number} Progress percentage (0-100)
+     * Clears all held directions and auto-repeat state
      */
-    getLevelProgress() {
-        const currentLevelStart = (this.level - 1) * 10;
-        const nextLevelStart = this.level * 10;
-        const progressInLevel = this.lines - currentLevelStart;
-        const levelRange = nextLevelStart - currentLevelStart;
-        
-        return Math.min(100, (progressInLevel / levelRange) * 100);
+    clearAutoShift() {
+        this.horizontalCommands = [];
+        this.restartAutoShift();
+        this.lastAutoShiftTime = null;
     }
 
     /**
-     * Calculates the score that would be awarded for clearing a specific number of lines
-     * Does not modify the actual score - used for preview/calculation purposes
-     * @param {number} linesCleared - Number of lines to calculate score for
-     * @returns {number} Points that would be awarded
+     * Advances DAS/ARR and repeats the held direction
+     * Called once per frame by the game loop. The charge is kept across piece spawns,
+     * so a held direction keeps auto-shifting the next piece straight away.
+     * @param {number} currentTime - Current time in milliseconds
      */
-    calculateScorePreview(linesCleared) {
-        if (typeof linesCleared !== 'number' || linesCleared < 0 || linesCleared > 4) {
-            return 0;
+    updateAutoShift(currentTime = Date.now()) {
+        const command = this.getActiveHorizontalCommand();
+        const lastTime = this.lastAutoShiftTime;
+        this.lastAutoShiftTime = currentTime;
+
+        if (!this.isEnabled || !command || lastTime === null) {
+            return;
         }
 
-        if (linesCleared === 0) {
-            return 0;
+        this.dasCharge += Math.max(0, currentTime - lastTime);
+
+        // An ARR of 0 moves to the wall; the board width bounds the moves per frame
+        let moves = 0;
+        while (this.dasCharge >= this.nextRepeatAt && moves < CONFIG.BOARD_WIDTH) {
+            this.nextRepeatAt += this.arrDelay;
+            moves++;
+            
+            if (this.executeCommand(command, null) === false) {
+                break; // Blocked by a wall or the stack
+            }
         }
 
-        const baseScore = 100;
-        const scoreMultipliers = {
-            1: 1,   // Single
-            2: 3,   // Double
-            3: 5,   // Triple
-            4: 8    // Tetris
-        };
-        
-        const multiplier = scoreMultipliers[linesCleared] || 1;
-        const basePoints = baseScore * multiplier;
-        const totalPoints = basePoints * this.level;
-        
-        return totalPoints;
+        // Don't build up a backlog of repeats while pinned against the wall
+        if (this.nextRepeatAt < this.dasCharge) {
+            this.nextRepeatAt = this.dasCharge;
+        }
     }
 
     /**
-     * Awards points for soft drop (manual fast drop)
-     * Gives 1 point per cell dropped manually
-     * @param {number} cellsDropped - Number of cells the piece was dropped
-     * @returns {number} Points awarded for soft drop
+     * Configures Delayed Auto Shift and Auto Repeat Rate
+     * @param {number} das - Delay in milliseconds before auto-repeat starts
+     * @param {number} arr - Milliseconds between repeats (0 = instant)
+     * @returns {boolean} True if the values were applied
      */
-    awardSoftDropPoints(cellsDropped) {
-        if (typeof cellsDropped !== 'number' || cellsDropped <= 0) {
-            return 0;
-        }
+    configureAutoShift(das, arr) {
+        const isValidDelay = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
         
-        const points = cellsDropped; // 1 point per cell dropped
-        this.score += points;
+        if (!isValidDelay(das) || !isValidDelay(arr)) {
+            console.warn(`InputHandler: Invalid DAS/ARR values - DAS: ${das}, ARR: ${arr}`);
+            return false;
+        }
+
+        this.dasDelay = das;
+        this.arrDelay = arr;
+        this.restartAutoShift();
         
-        console.log(`GameState: Soft drop bonus: ${points} points for ${cellsDropped} cells`);
-        return points;
+        console.log(`InputHandler: Auto shift configured - DAS: ${das}ms, ARR: ${arr}ms`);
+        return true;
     }
 
     /**
-     * Awards points for hard drop (instant drop to bottom)
-     * Gives 2 points per cell dropped instantly
-     * @param {number} cellsDropped - Number of cells the piece was dropped
-     * @returns {number} Points awarded for hard drop
+     * Runs the checks every input source goes through before a command
+     * Game over blocks everything but pause; disabled input blocks everything but pause.
+     * @param {string} command - The command about to run
+     * @param {string} source - Key or gesture that asked for it (for logging)
+     * @returns {boolean} True if the command may run now
      */
-    awardHardDropPoints(cellsDropped) {
-        if (typeof cellsDropped !== 'number' || cellsDropped <= 0) {
-            return 0;
+    canDispatch(command, source) {
+        if (!this.isInputAllowedInCurrentState(command)) {
+            this.handleInputBlockedByGameState(command, source);
+            return false;
         }
-        
-        const points = cellsDropped * 2; // 2 points per cell dropped
-        this.score += points;
-        
-        console.log(`GameState: Hard drop bonus: ${points} points for ${cellsDropped} cells`);
-        return points;
-    }
 
-    /**
-     * Gets scoring statistics
-     * @returns {Object} Scoring statistics and information
-     */
-    getScoringStats() {
-        return {
-            score: this.score,
-            level: this.level,
-            lines: this.lines,
-            linesUntilNextLevel: this.getLinesUntilNextLevel(),
-            levelProgress: this.getLevelProgress(),
-            dropSpeed: this.getDropSpeed(),
-            scorePreview: {
-                single: this.calculateScorePreview(1),
-                double: this.calculateScorePreview(2),
-                triple: this.calculateScorePreview(3),
-                tetris: this.calculateScorePreview(4)
-            }
-        };
-    }
+        // Always allow pause command, even when input is disabled
+        if (command === 'pause') {
+            return true;
+        }
 
-    /**
-     * Processes a line clear event
-     * Updates both score and lines, returns comprehensive information about the update
-     * @param {number} linesCleared - Number of lines cleared
-     * @returns {Object} Detailed information about the score and level update
-     */
-    processLineClear(linesCleared) {
-        // Store previous values for comparison
-        const previousScore = this.score;
-        const previousLevel = this.level;
-        const previousLines = this.lines;
-        
-        // Update score and lines
-        const pointsAwarded = this.updateScore(linesCleared);
-        const levelIncreased = this.addLines(linesCleared);
-        
-        // Determine line clear type
-        const lineClearTypes = {
-            1: 'Single',
-            2: 'Double',
-            3: 'Triple', 
-            4: 'Tetris'
-        };
-        
-        const lineClearType = lineClearTypes[linesCleared] || `${linesCleared} lines`;
-        
-        return {
-            // Line clear information
-            linesCleared,
-            lineClearType,
-            
-            // Score information
-            pointsAwarded,
-            previousScore,
-            newScore: this.score,
-            
-            // Level information
-            levelIncreased,
-            previousLevel,
-            newLevel: this.level,
-            levelsGained: this.level - previousLevel,
-            
-            // Lines information
-            previousLines,
-            newLines: this.lines,
-            linesUntilNextLevel: this.getLinesUntilNextLevel(),
-            levelProgress: this.getLevelProgress(),
-            
-            // Game speed information
-            newDropSpeed: this.getDropSpeed(),
-            
-            // Complete state
-            gameState: this.getState()
-        };
+        if (!this.isEnabled) {
+            this.handleInputDisabled(command, source);
+            return false;
+        }
+
+        return true;
     }
 
     /**
-     * Gets a complete snapshot of the current game state
-     * @returns {Object} Complete game state object
+     * Runs a command from another input source (touch, on-screen buttons) through the keyboard's checks
+     * @param {string} command - The command to execute
+     * @param {Event|null} event - The originating event
+     * @param {string} source - Gesture or button name (for logging)
+     * @returns {*} Command result (false if the command was blocked or failed)
      */
-    getState() {
-        return {
-            score: this.score,
-            level: this.level,
-            lines: this.lines,
-            isPaused: this.isPaused,
-            isGameOver: this.isGameOver,
-            isRunning: this.isRunning,
-            dropSpeed: this.getDropSpeed()
-        };
+    dispatchCommand(command, event = null, source = command) {
+        if (!this.canDispatch(command, source)) {
+            return false;
+        }
+        return this.executeCommand(command, event);
     }
 
     /**
-     * Validates the current game state
-     * @returns {boolean} True if state is valid
+     * Executes a game command
+     * This is the single point where player input reaches the engine, so replays are recorded here.
+     * @param {string} command - The command to execute
+     * @param {KeyboardEvent} event - The original keyboard event
+     * @returns {*} Command result (false if the command was blocked or failed)
      */
-    validateState() {
+    executeCommand(command, event) {
         try {
-            let isValid = true;
-            const errors = [];
-
-            // Check that all numeric values are valid
-            if (typeof this.score !== 'number' || this.score < 0 || !Number.isFinite(this.score)) {
-                errors.push(`Invalid score: ${this.score}`);
-                isValid = false;
+            // Validate command parameter
+            if (typeof command !== 'string' || command.length === 0) {
+                this.logInputError('Invalid command parameter', { command, event });
+                return false;
             }
 
-            if (typeof this.level !== 'number' || this.level < 1 || !Number.isFinite(this.level)) {
-                errors.push(`Invalid level: ${this.level}`);
-                isValid = false;
+            // Check if game engine exists
+            if (!this.gameEngine) {
+                this.logInputError('GameEngine reference is null or undefined', { command });
+                this.displayErrorMessage('Game engine error. Please refresh the page.');
+                return false;
             }
 
-            if (typeof this.lines !== 'number' || this.lines < 0 || !Number.isFinite(this.lines)) {
-                errors.push(`Invalid lines: ${this.lines}`);
-                isValid = false;
-            }
+            // Check if game engine has the required method
+            if (typeof this.gameEngine[command] !== 'function') {
+                this.logInputError(`GameEngine does not have method: ${command}`, { 
+                    command, 
+                    availableMethods: Object.getOwnPropertyNames(this.gameEngine) 
+                });
+                this.displayErrorMessage(`Game command '${command}' is not available.`);
+                return false;
+            }
+
+            // Execute the command on the game engine
+            const result = this.gameEngine[command](event);
+            
+            // Commands that changed the game go into the replay; blocked ones are no-ops
+            if (result !== false && typeof this.gameEngine.recordInput === 'function') {
+                this.gameEngine.recordInput(command);
+            }
+            
+            return result;
+            
+        } catch (error) {
+            this.handleCommandExecutionError(error, command, event);
+            return false;
+        }
+    }
+
+    /**
+     * Handles errors that occur during command execution
+     * @param {Error} error - The error that occurred
+     * @param {string} command - The command that failed
+     * @param {KeyboardEvent} event - The original keyboard event
+     */
+    handleCommandExecutionError(error, command, event) {
+        console.error(`InputHandler: Error executing command '${command}':`, error);
+        
+        // Log detailed error information
+        this.logInputError(`Command execution failed: ${command}`, {
+            error: error.message,
+            stack: error.stack,
+            command,
+            event: event ? { key: event.key, type: event.type } : null
+        });
+        
+        // Show user-friendly error message
+        this.displayErrorMessage(`Failed to execute game action. Please try again.`);
+        
+        // Attempt recovery if possible
+        this.attemptErrorRecovery(command, error);
+    }
+
+    /**
+     * Checks if input is allowed in the current game state
+     * @param {string} command - The command to check
+     * @returns {boolean} True if input is allowed
+     */
+    isInputAllowedInCurrentState(command) {
+        try {
+            // Always allow pause command
+            if (command === 'pause') {
+                return true;
+            }
+
+            // Check if game engine exists and has state
+            if (!this.gameEngine || !this.gameEngine.gameState) {
+                return false;
+            }
+
+            const gameState = this.gameEngine.gameState;
+
+            // Block input during game over (except pause)
+            if (gameState.isGameOverState && gameState.isGameOverState()) {
+                return false;
+            }
+
+            // Allow input during normal play and pause
+            return true;
+            
+        } catch (error) {
+            console.error('InputHandler: Error checking game state:', error);
+            return false; // Fail safe - block input if we can't determine state
+        }
+    }
+
+    /**
+     * Handles input that is blocked by current game state
+     * @param {string} command - The blocked command
+     * @param {string} key - The key that was pressed
+     */
+    handleInputBlockedByGameState(command, key) {
+        try {
+            if (!this.gameEngine || !this.gameEngine.gameState) {
+                return;
+            }
+
+            const gameState = this.gameEngine.gameState;
+
+            if (gameState.isGameOverState && gameState.isGameOverState()) {
+                this.displayErrorMessage('Game is over. Press restart to play again.');
+                console.debug(`InputHandler: Input '${key}' blocked - game over`);
+            }
+            
+        } catch (error) {
+            console.error('InputHandler: Error handling blocked input:', error);
+        }
+    }
+
+    /**
+     * Handles input when input processing is disabled
+     * @param {string} command - The command that was attempted
+     * @param {string} key - The key that was pressed
+     */
+    handleInputDisabled(command, key) {
+        console.debug(`InputHandler: Input '${key}' ignored - input disabled`);
+        // Don't show error message for disabled input as it's expected behavior
+    }
+
+    /**
+     * Handles errors during input processing
+     * @param {Error} error - The error that occurred
+     * @param {KeyboardEvent} event - The keyboard event
+     */
+    handleInputProcessingError(error, event) {
+        console.error('InputHandler: Error processing input:', error);
+        
+        this.logInputError('Input processing error', {
+            error: error.message,
+            stack: error.stack,
+            event: event ? { key: event.key, type: event.type } : null
+        });
+        
+        this.displayErrorMessage('Input processing error. Please try again.');
+    }
+
+    /**
+     * Logs input-related errors with detailed information
+     * @param {string} message - Error message
+     * @param {Object} details - Additional error details
+     */
+    logInputError(message, details = {}) {
+        const errorInfo = {
+            timestamp: new Date().toISOString(),
+            message,
+            inputEnabled: this.isEnabled,
+            gameEngineExists: !!this.gameEngine,
+            ...details
+        };
+        
+        console.error('InputHandler Error:', errorInfo);
+        
+        // Store error for debugging (keep last 10 errors)
+        if (!this.errorLog) {
+            this.errorLog = [];
+        }
+        
+        this.errorLog.push(errorInfo);
+        if (this.errorLog.length > 10) {
+            this.errorLog.shift();
+        }
+    }
+
+    /**
+     * Displays error message to the user
+     * @param {string} message - Message to display
+     */
+    displayErrorMessage(message) {
+        // Try to find error display element
+        const errorElement = typeof document !== 'undefined' ? document.getElementById('error-message') : null;
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.style.display = 'block';
+            
+            // Auto-hide after 3 seconds
+            setTimeout(() => {
+                errorElement.style.display = 'none';
+            }, 3000);
+        } else {
+            // Fallback to console if no error element exists
+            console.warn('No error display element found. Message:', message);
+        }
+    }
+
+    /**
+     * Attempts to recover from errors
+     * @param {string} command - The command that failed
+     * @param {Error} error - The error that occurred
+     */
+    attemptErrorRecovery(command, error) {
+        try {
+            // Reset key states to prevent stuck keys
+            this.keyStates.clear();
+            this.lastKeyTime.clear();
+            
+            // Re-validate configuration
+            if (!this.validateConfiguration()) {
+                console.warn('InputHandler: Configuration validation failed during recovery');
+                this.resetToDefaults();
+            }
+            
+            console.log('InputHandler: Attempted error recovery');
+            
+        } catch (recoveryError) {
+            console.error('InputHandler: Error during recovery attempt:', recoveryError);
+        }
+    }
+
+    /**
+     * Resets input handler to default state
+     */
+    resetToDefaults() {
+        try {
+            this.isEnabled = true;
+            this.keyStates.clear();
+            this.lastKeyTime.clear();
+            this.clearAutoShift();
+            this.keyCaptureCallback = null;
+            
+            // Fall back to the player's saved bindings rather than discarding them
+            if (!this.loadKeyBindings(this.keyBindingStorage)) {
+                this.resetKeyMap();
+            }
+            
+            console.log('InputHandler: Reset to defaults');
+            
+        } catch (error) {
+            console.error('InputHandler: Error resetting to defaults:', error);
+        }
+    }
+
+    /**
+     * Gets error log for debugging
+     * @returns {Array} Array of recent errors
+     */
+    getErrorLog() {
+        return this.errorLog ? [...this.errorLog] : [];
+    }
+
+    /**
+     * Clears the error log
+     */
+    clearErrorLog() {
+        this.errorLog = [];
+    }
+
+    /**
+     * Per-frame update called by the game for every input adapter
+     * @param {number} currentTime - Game time in milliseconds
+     */
+    update(currentTime) {
+        this.updateAutoShift(currentTime);
+    }
+
+    /**
+     * Enables input processing
+     * Allows keyboard input to be processed and executed
+     */
+    enable() {
+        this.isEnabled = true;
+        console.log('InputHandler: Input enabled');
+    }
+
+    /**
+     * Disables input processing
+     * Prevents keyboard input from being processed (useful during game over, menus, etc.)
+     */
+    disable() {
+        this.isEnabled = false;
+        this.keyStates.clear();
+        this.lastKeyTime.clear();
+        this.clearAutoShift();
+        console.log('InputHandler: Input disabled');
+    }
+
+    /**
+     * Checks if input is currently enabled
+     * @returns {boolean} True if input is enabled
+     */
+    isInputEnabled() {
+        return this.isEnabled;
+    }
+
+    /**
+     * Gets the current state of a specific key
+     * @param {string} key - The key to check
+     * @returns {boolean} True if the key is currently pressed
+     */
+    isKeyPressed(key) {
+        return this.keyStates.get(key) || false;
+    }
+
+    /**
+     * Gets all currently pressed keys
+     * @returns {string[]} Array of currently pressed keys
+     */
+    getPressedKeys() {
+        const pressedKeys = [];
+        for (const [key, isPressed] of this.keyStates) {
+            if (isPressed) {
+                pressedKeys.push(key);
+            }
+        }
+        return pressedKeys;
+    }
+
+    /**
+     * Configures key repeat settings
+     * @param {number} delay - Delay in milliseconds between key repeats
+     * @param {string[]} repeatKeys - Array of keys that should support repeat
+     */
+    configureKeyRepeat(delay, repeatKeys = []) {
+        if (typeof delay === 'number' && delay > 0) {
+            this.keyRepeatDelay = delay;
+        }
+        
+        if (Array.isArray(repeatKeys)) {
+            this.keyRepeatKeys = new Set(repeatKeys);
+            // Remember the commands, so the repeat follows them when keys are rebound
+            this.keyRepeatCommands = new Set(repeatKeys.map(key => this.keyMap[key]).filter(Boolean));
+        }
+        
+        console.log(`InputHandler: Key repeat configured - delay: ${this.keyRepeatDelay}ms, keys: ${Array.from(this.keyRepeatKeys).join(', ')}`);
+    }
+
+    /**
+     * Updates the key mapping configuration
+     * @param {Object} newKeyMap - New key mapping object
+     */
+    updateKeyMap(newKeyMap) {
+        if (typeof newKeyMap === 'object' && newKeyMap !== null) {
+            this.keyMap = { ...this.keyMap, ...newKeyMap };
+            this.refreshKeyBindings();
+            console.log('InputHandler: Key mapping updated', this.keyMap);
+        }
+    }
+
+    /**
+     * Resets key mapping to default configuration
+     */
+    resetKeyMap() {
+        this.keyMap = { ...this.defaultKeyMap };
+        this.refreshKeyBindings();
+        console.log('InputHandler: Key mapping reset to default');
+    }
+
+    /**
+     * Brings key state in line with the current key map
+     * Repeating keys follow their commands, and keys that no longer map to anything stop
+     * counting as held (isGameKey and the preventDefault handler read keyMap directly).
+     */
+    refreshKeyBindings() {
+        this.keyRepeatKeys = new Set(Object.keys(this.keyMap)
+            .filter(key => this.keyRepeatCommands.has(this.keyMap[key])));
+
+        for (const key of [...this.keyStates.keys()]) {
+            if (!this.isGameKey(key)) {
+                this.keyStates.delete(key);
+                this.lastKeyTime.delete(key);
+            }
+        }
+
+        for (const command of [...this.horizontalCommands]) {
+            if (!this.isCommandHeld(command)) {
+                this.releaseHorizontal(command);
+            }
+        }
+    }
+
+    /**
+     * Gets the keys bound to each remappable action
+     * Letters are listed once in lower case; they are bound in both cases.
+     * @returns {Object} Command -> array of keys
+     */
+    getBindings() {
+        const bindings = {};
+        for (const { command } of KEY_BINDING_ACTIONS) {
+            bindings[command] = [];
+        }
+
+        for (const [key, command] of Object.entries(this.keyMap)) {
+            const bindingKey = this.normalizeBindingKey(key);
+            if (!bindings[command]) {
+                bindings[command] = [];
+            }
+            if (!bindings[command].includes(bindingKey)) {
+                bindings[command].push(bindingKey);
+            }
+        }
+        return bindings;
+    }
+
+    /**
+     * Folds letter keys to lower case so Shift or Caps Lock don't change the binding
+     * @param {string} key - KeyboardEvent.key value
+     * @returns {string} Key as stored in the bindings
+     */
+    normalizeBindingKey(key) {
+        return key.length === 1 ? key.toLowerCase() : key;
+    }
+
+    /**
+     * Gets every key map entry a binding covers
+     * @param {string} key - Binding key
+     * @returns {string[]} The key, plus its upper case form for letters
+     */
+    getKeyVariants(key) {
+        const bindingKey = this.normalizeBindingKey(key);
+        const upper = bindingKey.toUpperCase();
+        return upper !== bindingKey && upper.length === 1 ? [bindingKey, upper] : [bindingKey];
+    }
+
+    /**
+     * Links two players' handlers that read the same keyboard
+     * Keys bound by the other player are then not reported as unused.
+     * @param {InputHandler} other - The other player's handler
+     * @returns {boolean} True if the handlers were linked
+     */
+    shareKeyboardWith(other) {
+        if (!(other instanceof InputHandler) || other === this) {
+            return false;
+        }
+
+        if (!this.sharedKeyboard.includes(other)) {
+            this.sharedKeyboard.push(other);
+        }
+        if (!other.sharedKeyboard.includes(this)) {
+            other.sharedKeyboard.push(this);
+        }
+        return true;
+    }
+
+    /**
+     * Finds the action a key is already bound to
+     * @param {string} key - Key about to be bound
+     * @param {string} command - Action it is meant for
+     * @returns {string|null} The other command using the key, or null if there is no conflict
+     */
+    findBindingConflict(key, command) {
+        for (const variant of this.getKeyVariants(key)) {
+            const current = this.keyMap[variant];
+            if (current && current !== command) {
+                return current;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Binds a key to an action, taking it away from any action that had it, and saves the bindings
+     * @param {string} key - KeyboardEvent.key value
+     * @param {string} command - One of GAME_COMMANDS
+     * @returns {boolean} True if the key was bound
+     */
+    bindKey(key, command) {
+        if (typeof key !== 'string' || key.length === 0 || !GAME_COMMANDS.includes(command)) {
+            console.warn(`InputHandler: Cannot bind key '${key}' to command '${command}'`);
+            return false;
+        }
+
+        const conflict = this.findBindingConflict(key, command);
+        if (conflict === 'pause' && this.getBindings().pause.length === 1) {
+            console.warn('InputHandler: The last pause key cannot be taken');
+            return false;
+        }
+
+        const keyMap = { ...this.keyMap };
+        for (const variant of this.getKeyVariants(key)) {
+            keyMap[variant] = command;
+        }
+        this.keyMap = keyMap;
+        this.refreshKeyBindings();
+        this.saveKeyBindings();
+        return true;
+    }
+
+    /**
+     * Removes a key binding and saves the bindings
+     * Pause always keeps one key, so a paused game can be resumed from the keyboard.
+     * @param {string} key - Binding key
+     * @returns {boolean} True if the key was unbound
+     */
+    unbindKey(key) {
+        if (typeof key !== 'string' || key.length === 0) {
+            return false;
+        }
+
+        const command = this.getKeyVariants(key).map(variant => this.keyMap[variant]).find(Boolean);
+        if (!command) {
+            return false;
+        }
+        if (command === 'pause' && this.getBindings().pause.length === 1) {
+            console.warn('InputHandler: The last pause key cannot be removed');
+            return false;
+        }
+
+        const keyMap = { ...this.keyMap };
+        for (const variant of this.getKeyVariants(key)) {
+            delete keyMap[variant];
+        }
+        this.keyMap = keyMap;
+        this.refreshKeyBindings();
+        this.saveKeyBindings();
+        return true;
+    }
+
+    /**
+     * Restores the default bindings and forgets the saved ones
+     */
+    resetKeyBindings() {
+        this.resetKeyMap();
+        if (this.keyBindingStorage) {
+            try {
+                this.keyBindingStorage.removeItem(this.keyBindingStorageKey);
+            } catch (error) {
+                console.warn('InputHandler: Could not remove saved key bindings:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Loads saved key bindings and remembers where to save changes
+     * Unreadable or invalid saved bindings are ignored and the defaults stay in place.
+     * @param {Storage|null} storage - localStorage-compatible storage
+     * @returns {boolean} True if saved bindings were applied
+     */
+    loadKeyBindings(storage = getBrowserStorage()) {
+        this.keyBindingStorage = storage;
+        if (!storage) {
+            return false;
+        }
+
+        try {
+            const raw = storage.getItem(this.keyBindingStorageKey);
+            if (raw === null) {
+                return false;
+            }
+
+            const data = JSON.parse(raw);
+            const keyMap = data && data.version === KEY_BINDINGS_VERSION ? data.keyMap : null;
+            const entries = keyMap && typeof keyMap === 'object' ? Object.entries(keyMap) : [];
+            const isValid = entries.length > 0 &&
+                entries.every(([key, command]) => key.length > 0 && GAME_COMMANDS.includes(command)) &&
+                entries.some(([, command]) => command === 'pause');
+            if (!isValid) {
+                throw new Error('Unrecognized key bindings');
+            }
+
+            this.keyMap = { ...keyMap };
+            this.refreshKeyBindings();
+            console.log('InputHandler: Saved key bindings loaded');
+            return true;
+        } catch (error) {
+            console.warn('InputHandler: Saved key bindings are unreadable, using defaults:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Writes the current key bindings to storage
+     * @returns {boolean} True if the bindings were saved
+     */
+    saveKeyBindings() {
+        if (!this.keyBindingStorage) {
+            return false;
+        }
+
+        try {
+            this.keyBindingStorage.setItem(this.keyBindingStorageKey,
+                JSON.stringify({ version: KEY_BINDINGS_VERSION, keyMap: this.keyMap }));
+            return true;
+        } catch (error) {
+            console.warn('InputHandler: Could not save key bindings:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Hands the next key press to a callback instead of the game
+     * Escape cancels and passes null, so it can't be captured as a binding.
+     * @param {Function} callback - Called once with the KeyboardEvent.key value, or null
+     */
+    captureNextKey(callback) {
+        this.keyCaptureCallback = typeof callback === 'function' ? callback : null;
+    }
+
+    /**
+     * Stops waiting for a key without calling the capture callback
+     */
+    cancelKeyCapture() {
+        this.keyCaptureCallback = null;
+    }
+
+    /**
+     * Passes a captured key press to the capture callback
+     * @param {KeyboardEvent} event - The keyboard event
+     */
+    handleKeyCapture(event) {
+        const callback = this.keyCaptureCallback;
+        this.keyCaptureCallback = null;
+
+        // Keep Space or Enter from also clicking the focused settings button,
+        // and another player's handler from acting on the key
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        callback(event.key === 'Escape' ? null : event.key);
+    }
+
+    /**
+     * Gets the current key mapping configuration
+     * @returns {Object} Current key mapping
+     */
+    getKeyMap() {
+        return { ...this.keyMap };
+    }
+
+    /**
+     * Validates the input handler configuration
+     * @returns {boolean} True if configuration is valid
+     */
+    validateConfiguration() {
+        // Check if game engine reference exists
+        if (!this.gameEngine) {
+            console.error('InputHandler: No game engine reference');
+            return false;
+        }
+
+        // Check if key mapping is valid
+        if (!this.keyMap || typeof this.keyMap !== 'object') {
+            console.error('InputHandler: Invalid key mapping');
+            return false;
+        }
+
+        // Check if key mapping has required commands
+        const requiredCommands = ['moveLeft', 'moveRight', 'rotate', 'softDrop', 'pause'];
+        const mappedCommands = Object.values(this.keyMap);
+        
+        for (const command of requiredCommands) {
+            if (!mappedCommands.includes(command)) {
+                console.warn(`InputHandler: Missing key mapping for command: ${command}`);
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Cleans up the input handler
+     * Unbinds events and clears state
+     */
+    destroy() {
+        this.unbindEvents();
+        this.keyStates.clear();
+        this.lastKeyTime.clear();
+        this.clearAutoShift();
+        this.keyCaptureCallback = null;
+        this.sharedKeyboard.forEach(handler => {
+            handler.sharedKeyboard = handler.sharedKeyboard.filter(other => other !== this);
+        });
+        this.sharedKeyboard = [];
+        this.gameEngine = null;
+        this.isEnabled = false;
+        
+        console.log('InputHandler: Destroyed and cleaned up');
+    }
+
+    /**
+     * Gets debug information about the input handler state
+     * @returns {Object} Debug information
+     */
+    getDebugInfo() {
+        return {
+            isEnabled: this.isEnabled,
+            keyMap: this.keyMap,
+            pressedKeys: this.getPressedKeys(),
+            keyRepeatDelay: this.keyRepeatDelay,
+            keyRepeatKeys: Array.from(this.keyRepeatKeys),
+            dasDelay: this.dasDelay,
+            arrDelay: this.arrDelay,
+            dasCharge: this.dasCharge,
+            activeDirection: this.getActiveHorizontalCommand(),
+            hasGameEngine: !!this.gameEngine
+        };
+    }
+}
+
+/**
+ * TouchInputHandler class - Turns touch gestures and on-screen buttons into game commands
+ * Every command goes through InputHandler.dispatchCommand, so touch input passes the same
+ * game state checks, replay recording and error handling as the keyboard.
+ *
+ * Gestures on the board:
+ * - drag sideways: the piece follows the finger, one column per cell width travelled
+ * - drag down: one soft drop per cell; a fast downward flick at release hard drops
+ * - tap: rotate clockwise
+ * - two-finger tap: hold
+ */
+class TouchInputHandler {
+    /**
+     * Creates a new TouchInputHandler instance
+     * @param {InputHandler} inputHandler - Keyboard handler whose checks and executeCommand are shared
+     * @param {HTMLElement|null} element - Element receiving gestures (usually the game canvas)
+     * @param {HTMLElement|null} buttonContainer - Element holding buttons with data-command attributes
+     */
+    constructor(inputHandler, element, buttonContainer = null) {
+        if (!inputHandler) {
+            throw new Error('TouchInputHandler: InputHandler reference is required');
+        }
+
+        this.inputHandler = inputHandler;
+        this.element = element;
+        this.buttonContainer = buttonContainer;
+        this.gesture = null;          // Touch being tracked (see handleTouchStart)
+        this.heldButtons = new Set(); // Direction buttons currently pressed
+        this.listeners = [];          // [target, type, listener] triples for unbinding
+
+        this.bindEvents();
+        this.bindButtons();
+    }
+
+    /**
+     * Adds an event listener and remembers it for unbindEvents
+     * @param {EventTarget} target - Element to listen on
+     * @param {string} type - Event type
+     * @param {Function} listener - Event listener
+     */
+    listen(target, type, listener) {
+        // Not passive, so preventDefault can stop the page scrolling or zooming under a finger
+        target.addEventListener(type, listener, { passive: false });
+        this.listeners.push([target, type, listener]);
+    }
+
+    /**
+     * Binds the touch gesture listeners to the element
+     */
+    bindEvents() {
+        if (!this.element) {
+            console.log('TouchInputHandler: No element, touch gestures are not bound');
+            return;
+        }
+
+        this.listen(this.element, 'touchstart', event => this.handleTouchStart(event));
+        this.listen(this.element, 'touchmove', event => this.handleTouchMove(event));
+        this.listen(this.element, 'touchend', event => this.handleTouchEnd(event));
+        this.listen(this.element, 'touchcancel', () => this.cancelGesture());
+    }
+
+    /**
+     * Binds every [data-command] button in the button container
+     * Direction buttons auto-repeat with DAS/ARR while held, like the arrow keys.
+     */
+    bindButtons() {
+        if (!this.buttonContainer || typeof this.buttonContainer.querySelectorAll !== 'function') {
+            return;
+        }
+
+        for (const button of this.buttonContainer.querySelectorAll('[data-command]')) {
+            const command = button.dataset.command;
+            if (!GAME_COMMANDS.includes(command)) {
+                console.warn(`TouchInputHandler: Unknown button command: ${command}`);
+                continue;
+            }
+
+            this.listen(button, 'pointerdown', event => this.pressButton(command, event));
+            for (const type of ['pointerup', 'pointercancel', 'pointerleave']) {
+                this.listen(button, type, () => this.releaseButton(command));
+            }
+        }
+    }
+
+    /**
+     * Removes every listener added by bindEvents and bindButtons
+     */
+    unbindEvents() {
+        for (const [target, type, listener] of this.listeners) {
+            target.removeEventListener(type, listener);
+        }
+        this.listeners = [];
+    }
+
+    /**
+     * Runs the command of an on-screen button
+     * @param {string} command - Button command
+     * @param {Event} event - The pointerdown event
+     * @returns {*} Command result (false if the command was blocked or failed)
+     */
+    pressButton(command, event) {
+        if (event && event.cancelable) {
+            event.preventDefault(); // Keep focus on the game and skip emulated mouse events
+        }
+
+        if (!this.inputHandler.canDispatch(command, `button:${command}`)) {
+            return false;
+        }
+
+        if (this.inputHandler.isHorizontalCommand(command)) {
+            this.heldButtons.add(command);
+            this.inputHandler.pressHorizontal(command);
+        }
+        return this.inputHandler.executeCommand(command, event);
+    }
+
+    /**
+     * Stops a held direction button from auto-repeating
+     * @param {string} command - Button command
+     */
+    releaseButton(command) {
+        if (!this.heldButtons.delete(command)) {
+            return;
+        }
+
+        // A held arrow key keeps the direction going
+        if (!this.inputHandler.isCommandHeld(command)) {
+            this.inputHandler.releaseHorizontal(command);
+        }
+    }
+
+    /**
+     * Shows or hides the on-screen buttons
+     * @param {boolean} visible - Whether the buttons are shown
+     * @returns {boolean} True if there are buttons to show or hide
+     */
+    setButtonsVisible(visible) {
+        if (!this.buttonContainer) {
+            return false;
+        }
+
+        this.buttonContainer.classList.toggle('hidden', !visible);
+        return true;
+    }
+
+    /**
+     * Gets the width of one board cell as displayed
+     * The canvas may be scaled by CSS, so the board is measured rather than using BLOCK_SIZE.
+     * @returns {number} Cell size in CSS pixels
+     */
+    getCellSize() {
+        const rect = this.element && typeof this.element.getBoundingClientRect === 'function'
+            ? this.element.getBoundingClientRect()
+            : null;
+        return rect && rect.width > 0 ? rect.width / CONFIG.BOARD_WIDTH : CONFIG.BLOCK_SIZE;
+    }
+
+    /**
+     * Finds the tracked finger in a touch list
+     * @param {TouchList} touches - event.touches or event.changedTouches
+     * @returns {Touch|null} The tracked touch, if it is in the list
+     */
+    findTrackedTouch(touches) {
+        return Array.from(touches || []).find(touch => touch.identifier === this.gesture.id) || null;
+    }
+
+    /**
+     * Starts tracking a finger, or marks the gesture as a two-finger tap
+     * @param {TouchEvent} event - The touchstart event
+     */
+    handleTouchStart(event) {
+        event.preventDefault();
+
+        if (this.gesture) {
+            this.gesture.multiTouch = true;
+            return;
+        }
+
+        const touch = event.changedTouches[0];
+        if (!touch) {
+            return;
+        }
+
+        this.gesture = {
+            id: touch.identifier,
+            startX: touch.clientX,
+            startY: touch.clientY,
+            startTime: event.timeStamp,
+            cellSize: this.getCellSize(),
+            columns: 0,      // Columns moved so far (negative = left)
+            rows: 0,         // Rows soft dropped so far
+            axis: null,      // 'horizontal' or 'vertical' once the finger leaves the tap slop
+            multiTouch: event.touches.length > 1,
+            samples: [{ y: touch.clientY, time: event.timeStamp }] // For the release speed
+        };
+    }
+
+    /**
+     * Moves or soft drops the piece to follow the tracked finger
+     * @param {TouchEvent} event - The touchmove event
+     */
+    handleTouchMove(event) {
+        event.preventDefault();
+
+        const gesture = this.gesture;
+        if (!gesture || gesture.multiTouch) {
+            return;
+        }
+
+        const touch = this.findTrackedTouch(event.changedTouches);
+        if (!touch) {
+            return;
+        }
+
+        this.recordSample(gesture, touch.clientY, event.timeStamp);
+        const dx = touch.clientX - gesture.startX;
+        const dy = touch.clientY - gesture.startY;
+
+        if (!gesture.axis) {
+            if (Math.max(Math.abs(dx), Math.abs(dy)) < CONFIG.TOUCH.TAP_SLOP) {
+                return;
+            }
+            // Lock to one axis so a sideways drag never soft drops and a drop never slides
+            gesture.axis = Math.abs(dx) >= Math.abs(dy) ? 'horizontal' : 'vertical';
+        }
+
+        if (gesture.axis === 'horizontal') {
+            const targetColumns = Math.trunc(dx / gesture.cellSize);
+            while (gesture.columns !== targetColumns) {
+                const step = targetColumns > gesture.columns ? 1 : -1;
+                gesture.columns += step;
+                this.inputHandler.dispatchCommand(step > 0 ? 'moveRight' : 'moveLeft', event, 'swipe');
+            }
+        } else {
+            const targetRows = Math.max(0, Math.trunc(dy / gesture.cellSize));
+            while (gesture.rows < targetRows) {
+                gesture.rows++;
+                this.inputHandler.dispatchCommand('softDrop', event, 'swipe');
+            }
+        }
+    }
+
+    /**
+     * Finishes a gesture: tap rotates, two-finger tap holds, a downward flick hard drops
+     * @param {TouchEvent} event - The touchend event
+     */
+    handleTouchEnd(event) {
+        event.preventDefault();
+
+        const gesture = this.gesture;
+        if (!gesture) {
+            return;
+        }
+
+        const isQuick = event.timeStamp - gesture.startTime <= CONFIG.TOUCH.TAP_MAX_DURATION;
+
+        if (gesture.multiTouch) {
+            // Wait until every finger has lifted
+            if (event.touches.length > 0) {
+                return;
+            }
+            this.gesture = null;
+            if (isQuick && !gesture.axis) {
+                this.inputHandler.dispatchCommand('hold', event, 'two-finger tap');
+            }
+            return;
+        }
+
+        const touch = this.findTrackedTouch(event.changedTouches);
+        if (!touch) {
+            return;
+        }
+        this.gesture = null;
+
+        if (!gesture.axis) {
+            if (isQuick) {
+                this.inputHandler.dispatchCommand('rotate', event, 'tap');
+            }
+            return;
+        }
+
+        if (gesture.axis === 'vertical' &&
+            this.getReleaseVelocity(gesture, touch.clientY, event.timeStamp) >= CONFIG.TOUCH.FLICK_VELOCITY) {
+            this.inputHandler.dispatchCommand('hardDrop', event, 'flick');
+        }
+    }
+
+    /**
+     * Remembers where the finger was, keeping only the last FLICK_WINDOW of movement
+     * @param {Object} gesture - Tracked gesture
+     * @param {number} y - Finger position
+     * @param {number} time - Event time in milliseconds
+     */
+    recordSample(gesture, y, time) {
+        gesture.samples.push({ y, time });
+        while (gesture.samples.length > 2 && time - gesture.samples[1].time >= CONFIG.TOUCH.FLICK_WINDOW) {
+            gesture.samples.shift();
+        }
+    }
+
+    /**
+     * Gets the downward speed of the finger over the last FLICK_WINDOW
+     * @param {Object} gesture - Tracked gesture
+     * @param {number} y - Finger position at release
+     * @param {number} time - Release time in milliseconds
+     * @returns {number} Speed in px/ms (negative when moving up)
+     */
+    getReleaseVelocity(gesture, y, time) {
+        const sample = gesture.samples[0];
+        const elapsed = time - sample.time;
+        return elapsed > 0 ? (y - sample.y) / elapsed : 0;
+    }
+
+    /**
+     * Forgets the gesture in progress
+     */
+    cancelGesture() {
+        this.gesture = null;
+    }
+
+    /**
+     * Drops the gesture in progress and releases held buttons
+     * Commands are gated by the InputHandler, which keeps pause working while disabled.
+     */
+    disable() {
+        this.cancelGesture();
+        for (const command of [...this.heldButtons]) {
+            this.releaseButton(command);
+        }
+    }
+
+    /**
+     * Cleans up the touch handler
+     */
+    destroy() {
+        this.disable();
+        this.unbindEvents();
+        console.log('TouchInputHandler: Destroyed and cleaned up');
+    }
+}
+
+// Standard Gamepad layout: A/B/X/Y = 0-3, bumpers = 4/5, Start = 9, D-pad = 12-15.
+// Axes are bound by direction: '0-' is the left stick pushed left, '1+' pushed down.
+const GAMEPAD_DEFAULT_PROFILE = {
+    deadZone: CONFIG.GAMEPAD.DEAD_ZONE,
+    buttons: {
+        0: 'rotate',
+        1: 'rotateCounterClockwise',
+        2: 'rotateCounterClockwise',
+        3: 'hold',
+        4: 'hold',
+        5: 'hold',
+        9: 'pause',
+        12: 'rotate',
+        13: 'softDrop',
+        14: 'moveLeft',
+        15: 'moveRight'
+    },
+    axes: {
+        '0-': 'moveLeft',
+        '0+': 'moveRight',
+        '1+': 'softDrop'
+    }
+};
+
+/**
+ * GamepadInputHandler class - Polls the Gamepad API and turns controls into game commands
+ * Commands go through InputHandler.dispatchCommand like touch input. Held directions use the
+ * keyboard's DAS/ARR and commands whose keys repeat (soft drop) repeat at the keyboard's rate.
+ * Each controller, identified by Gamepad.id, can have its own remapping profile.
+ */
+class GamepadInputHandler {
+    /**
+     * Creates a new GamepadInputHandler instance
+     * @param {InputHandler} inputHandler - Keyboard handler whose checks and auto shift are shared
+     * @param {Object} options - Optional overrides
+     * @param {Function} options.getGamepads - Returns the connected gamepads (defaults to navigator.getGamepads)
+     * @param {Storage|null} options.storage - Where remapping profiles are saved
+     * @param {EventTarget|null} options.eventTarget - Receives gamepadconnected/gamepaddisconnected
+     * @param {Function} options.onConnectionChange - Called with { connected, index, id } on hot-plug
+     */
+    constructor(inputHandler, options = {}) {
+        if (!inputHandler) {
+            throw new Error('GamepadInputHandler: InputHandler reference is required');
+        }
+
+        this.inputHandler = inputHandler;
+        this.getGamepads = options.getGamepads || GamepadInputHandler.getBrowserGamepads;
+        this.storage = options.storage !== undefined ? options.storage : getBrowserStorage();
+        this.eventTarget = options.eventTarget !== undefined
+            ? options.eventTarget
+            : (typeof window !== 'undefined' ? window : null);
+        this.onConnectionChange = options.onConnectionChange || null;
+
+        this.pads = new Map();          // Gamepad index -> { id, profile, commands, repeatAt }
+        this.profiles = this.loadProfiles(); // Gamepad id -> custom profile
+
+        this.bindEvents();
+    }
+
+    /**
+     * Reads the browser's gamepads
+     * @returns {Array<Gamepad|null>} Gamepads (empty without the Gamepad API)
+     */
+    static getBrowserGamepads() {
+        if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') {
+            return [];
+        }
+        return Array.from(navigator.getGamepads() || []);
+    }
+
+    /**
+     * Listens for hot-plug events
+     * Some browsers only list a gamepad after its connect event, so connecting is also picked up here.
+     */
+    bindEvents() {
+        if (!this.eventTarget) {
+            return;
+        }
+
+        this.connectHandler = event => {
+            if (event.gamepad && !this.pads.has(event.gamepad.index)) {
+                this.connectPad(event.gamepad);
+            }
+        };
+        this.disconnectHandler = event => {
+            if (event.gamepad) {
+                this.disconnectPad(event.gamepad.index);
+            }
+        };
+        this.eventTarget.addEventListener('gamepadconnected', this.connectHandler);
+        this.eventTarget.addEventListener('gamepaddisconnected', this.disconnectHandler);
+    }
+
+    /**
+     * Removes the hot-plug listeners
+     */
+    unbindEvents() {
+        if (!this.eventTarget || !this.connectHandler) {
+            return;
+        }
+
+        this.eventTarget.removeEventListener('gamepadconnected', this.connectHandler);
+        this.eventTarget.removeEventListener('gamepaddisconnected', this.disconnectHandler);
+        this.connectHandler = null;
+        this.disconnectHandler = null;
+    }
+
+    /**
+     * Reads every connected gamepad and runs the commands of newly pressed controls
+     * Called by the page loop every animation frame, including while paused so Start can resume.
+     * @param {number} currentTime - Time in milliseconds, used for soft drop repeats
+     */
+    poll(currentTime = Date.now()) {
+        let gamepads;
+        try {
+            gamepads = this.getGamepads() || [];
+        } catch (error) {
+            console.warn('GamepadInputHandler: Could not read gamepads:', error.message);
+            return;
+        }
+
+        const seen = new Set();
+        for (const pad of gamepads) {
+            if (!pad || pad.connected === false) {
+                continue;
+            }
+
+            seen.add(pad.index);
+            if (!this.pads.has(pad.index)) {
+                this.connectPad(pad);
+            } else {
+                this.updatePad(pad, currentTime);
+            }
+        }
+
+        for (const index of [...this.pads.keys()]) {
+            if (!seen.has(index)) {
+                this.disconnectPad(index);
+            }
+        }
+    }
+
+    /**
+     * Starts tracking a gamepad
+     * Controls already held when it connects (often the press that woke it) do not fire.
+     * @param {Gamepad} pad - Newly connected gamepad
+     */
+    connectPad(pad) {
+        const profile = this.getProfile(pad.id);
+        this.pads.set(pad.index, {
+            id: pad.id,
+            profile,
+            commands: this.getActiveCommands(pad, profile),
+            repeatAt: new Map()
+        });
+
+        console.log(`GamepadInputHandler: Gamepad ${pad.index} connected (${pad.id})`);
+        this.notifyConnectionChange(true, pad.index, pad.id);
+    }
+
+    /**
+     * Stops tracking a gamepad and releases its held directions
+     * @param {number} index - Gamepad index
+     */
+    disconnectPad(index) {
+        const state = this.pads.get(index);
+        if (!state) {
+            return;
+        }
+
+        this.pads.delete(index);
+        for (const command of state.commands) {
+            this.releaseCommand(command);
+        }
+
+        console.log(`GamepadInputHandler: Gamepad ${index} disconnected (${state.id})`);
+        this.notifyConnectionChange(false, index, state.id);
+    }
+
+    /**
+     * Reports a hot-plug change to the page
+     * @param {boolean} connected - Whether the gamepad was connected or removed
+     * @param {number} index - Gamepad index
+     * @param {string} id - Gamepad id
+     */
+    notifyConnectionChange(connected, index, id) {
+        if (typeof this.onConnectionChange === 'function') {
+            this.onConnectionChange({ connected, index, id });
+        }
+    }
+
+    /**
+     * Runs commands for controls that changed since the last poll
+     * @param {Gamepad} pad - Gamepad snapshot
+     * @param {number} currentTime - Time in milliseconds
+     */
+    updatePad(pad, currentTime) {
+        const state = this.pads.get(pad.index);
+        const active = this.getActiveCommands(pad, state.profile);
+
+        for (const command of active) {
+            if (!state.commands.has(command)) {
+                this.pressCommand(command);
+                state.repeatAt.set(command, currentTime + this.inputHandler.keyRepeatDelay);
+            } else if (this.isRepeatCommand(command) && currentTime >= state.repeatAt.get(command)) {
+                this.inputHandler.dispatchCommand(command, null, `gamepad:${command}`);
+                state.repeatAt.set(command, currentTime + this.inputHandler.keyRepeatDelay);
+            }
+        }
+
+        const released = [...state.commands].filter(command => !active.has(command));
+        state.commands = active;
+        for (const command of released) {
+            state.repeatAt.delete(command);
+            this.releaseCommand(command);
+        }
+    }
+
+    /**
+     * Gets the commands whose buttons are pressed or whose axes are past the dead zone
+     * @param {Gamepad} pad - Gamepad snapshot
+     * @param {Object} profile - Remapping profile
+     * @returns {Set<string>} Active commands
+     */
+    getActiveCommands(pad, profile) {
+        const active = new Set();
+
+        for (const [button, command] of Object.entries(profile.buttons)) {
+            const state = pad.buttons ? pad.buttons[button] : null;
+            if (state && state.pressed) {
+                active.add(command);
+            }
+        }
+
+        for (const [axis, command] of Object.entries(profile.axes)) {
+            const value = pad.axes ? pad.axes[parseInt(axis, 10)] : undefined;
+            const direction = axis.endsWith('-') ? -1 : 1;
+            if (typeof value === 'number' && value * direction > profile.deadZone) {
+                active.add(command);
+            }
+        }
+
+        return active;
+    }
+
+    /**
+     * Checks if a command repeats while held, following the keyboard's repeating keys
+     * @param {string} command - Game command
+     * @returns {boolean} True for commands like soft drop
+     */
+    isRepeatCommand(command) {
+        return [...this.inputHandler.keyRepeatKeys].some(key => this.inputHandler.keyMap[key] === command);
+    }
+
+    /**
+     * Runs a newly pressed command; held directions start charging DAS
+     * @param {string} command - Game command
+     * @returns {*} Command result (false if the command was blocked or failed)
+     */
+    pressCommand(command) {
+        if (!this.inputHandler.canDispatch(command, `gamepad:${command}`)) {
+            return false;
+        }
+
+        if (this.inputHandler.isHorizontalCommand(command)) {
+            this.inputHandler.pressHorizontal(command);
+        }
+        return this.inputHandler.executeCommand(command, null);
+    }
+
+    /**
+     * Stops a released direction unless a key or another gamepad still holds it
+     * @param {string} command - Game command
+     */
+    releaseCommand(command) {
+        if (!this.inputHandler.isHorizontalCommand(command)) {
+            return;
+        }
+
+        const stillHeld = this.inputHandler.isCommandHeld(command) ||
+            [...this.pads.values()].some(state => state.commands.has(command));
+        if (!stillHeld) {
+            this.inputHandler.releaseHorizontal(command);
+        }
+    }
+
+    /**
+     * Gets the profile used for a controller
+     * @param {string} gamepadId - Gamepad.id
+     * @returns {Object} Copy of the controller's custom profile, or of the default one
+     */
+    getProfile(gamepadId) {
+        const profile = this.profiles[gamepadId] || GAMEPAD_DEFAULT_PROFILE;
+        return {
+            deadZone: profile.deadZone,
+            buttons: { ...profile.buttons },
+            axes: { ...profile.axes }
+        };
+    }
+
+    /**
+     * Sets and saves a controller's remapping profile
+     * @param {string} gamepadId - Gamepad.id
+     * @param {Object} profile - { deadZone, buttons: { index: command }, axes: { 'index+|-': command } }
+     * @returns {boolean} True if the profile was valid and applied
+     */
+    setProfile(gamepadId, profile) {
+        const normalized = this.normalizeProfile(profile);
+        if (typeof gamepadId !== 'string' || gamepadId.length === 0 || !normalized) {
+            console.warn(`GamepadInputHandler: Invalid profile for gamepad: ${gamepadId}`, profile);
+            return false;
+        }
+
+        this.profiles[gamepadId] = normalized;
+        this.applyProfile(gamepadId);
+        this.saveProfiles();
+        return true;
+    }
+
+    /**
+     * Returns a controller to the default mapping
+     * @param {string} gamepadId - Gamepad.id
+     * @returns {boolean} True if the controller had a custom profile
+     */
+    resetProfile(gamepadId) {
+        if (!this.profiles[gamepadId]) {
+            return false;
+        }
+
+        delete this.profiles[gamepadId];
+        this.applyProfile(gamepadId);
+        this.saveProfiles();
+        return true;
+    }
+
+    /**
+     * Switches connected controllers with this id to their current profile
+     * @param {string} gamepadId - Gamepad.id
+     */
+    applyProfile(gamepadId) {
+        for (const state of this.pads.values()) {
+            if (state.id === gamepadId) {
+                state.profile = this.getProfile(gamepadId);
+            }
+        }
+    }
+
+    /**
+     * Validates a profile
+     * @param {Object} profile - Profile to check
+     * @returns {Object|null} Clean copy of the profile, or null if it is invalid
+     */
+    normalizeProfile(profile) {
+        if (!profile || typeof profile !== 'object') {
+            return null;
+        }
+
+        const deadZone = profile.deadZone === undefined ? CONFIG.GAMEPAD.DEAD_ZONE : profile.deadZone;
+        if (typeof deadZone !== 'number' || !(deadZone >= 0 && deadZone < 1)) {
+            return null;
+        }
+
+        const buttons = profile.buttons || {};
+        const axes = profile.axes || {};
+        if (typeof buttons !== 'object' || typeof axes !== 'object') {
+            return null;
+        }
+
+        const isCommand = command => GAME_COMMANDS.includes(command);
+        const validButtons = Object.entries(buttons).every(([button, command]) =>
+            /^\d+$/.test(button) && isCommand(command));
+        const validAxes = Object.entries(axes).every(([axis, command]) =>
+            /^\d+[+-]$/.test(axis) && isCommand(command));
+        if (!validButtons || !validAxes) {
+            return null;
+        }
+
+        return { deadZone, buttons: { ...buttons }, axes: { ...axes } };
+    }
+
+    /**
+     * Loads saved profiles, skipping any that are no longer valid
+     * @returns {Object} Gamepad id -> profile
+     */
+    loadProfiles() {
+        const profiles = {};
+        if (!this.storage) {
+            return profiles;
+        }
+
+        try {
+            const raw = this.storage.getItem(CONFIG.GAMEPAD.STORAGE_KEY);
+            const saved = raw === null ? {} : JSON.parse(raw);
+            for (const [gamepadId, profile] of Object.entries(saved || {})) {
+                const normalized = this.normalizeProfile(profile);
+                if (normalized) {
+                    profiles[gamepadId] = normalized;
+                } else {
+                    console.warn(`GamepadInputHandler: Ignoring invalid saved profile for ${gamepadId}`);
+                }
+            }
+        } catch (error) {
+            console.warn('GamepadInputHandler: Saved profiles are unreadable, using defaults:', error.message);
+        }
+        return profiles;
+    }
+
+    /**
+     * Writes the profiles to storage
+     * @returns {boolean} True if the profiles were saved
+     */
+    saveProfiles() {
+        if (!this.storage) {
+            return false;
+        }
+
+        try {
+            this.storage.setItem(CONFIG.GAMEPAD.STORAGE_KEY, JSON.stringify(this.profiles));
+            return true;
+        } catch (error) {
+            console.warn('GamepadInputHandler: Could not save profiles:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Lists the gamepads being tracked
+     * @returns {Object[]} { index, id, hasCustomProfile } for each gamepad
+     */
+    getConnectedGamepads() {
+        return [...this.pads.entries()].map(([index, state]) => ({
+            index,
+            id: state.id,
+            hasCustomProfile: Boolean(this.profiles[state.id])
+        }));
+    }
+
+    /**
+     * Cleans up the gamepad handler
+     */
+    destroy() {
+        this.unbindEvents();
+        this.onConnectionChange = null;
+        for (const index of [...this.pads.keys()]) {
+            this.disconnectPad(index);
+        }
+        console.log('GamepadInputHandler: Destroyed and cleaned up');
+    }
+}
+
+/**
+ * Looks up the value for a number of cleared lines in a scoring or attack table
+ * Clears of more than 4 rows (pentominoes, big pieces) get the value of the table's largest line count.
+ * @param {Object} table - Values keyed by lines cleared
+ * @param {number} linesCleared - Number of lines cleared
+ * @returns {number|undefined} Table value, or undefined if the table has none for the line count
+ */
+function getLineCountValue(table, linesCleared) {
+    if (!Number.isInteger(linesCleared) || linesCleared < 0) {
+        return undefined;
+    }
+    if (linesCleared > 4) {
+        return table[Math.max(...Object.keys(table).map(Number))];
+    }
+    return table[linesCleared];
+}
+
+/**
+ * GameState class - Manages game state including score, level, lines, and game status
+ * Handles scoring calculations and level progression logic
+ */
+class GameState {
+    /**
+     * Creates a new GameState instance
+     */
+    constructor() {
+        // Level curve of the game mode (kept across resets)
+        this.levelCurve = { linesPerLevel: 10, maxLevel: Infinity };
+        this.reset();
+    }
+
+    /**
+     * Sets how levels follow cleared lines
+     * @param {Object} curve - { linesPerLevel, maxLevel } (maxLevel null for no cap)
+     * @returns {boolean} True if the curve was applied
+     */
+    setLevelCurve(curve) {
+        if (!curve || typeof curve !== 'object') {
+            console.warn('GameState: Invalid level curve:', curve);
+            return false;
+        }
+
+        const maxLevel = curve.maxLevel === null || curve.maxLevel === undefined ? Infinity : curve.maxLevel;
+        if (!Number.isInteger(curve.linesPerLevel) || curve.linesPerLevel < 1 ||
+            !(maxLevel === Infinity || (Number.isInteger(maxLevel) && maxLevel >= 1))) {
+            console.warn('GameState: Invalid level curve:', curve);
+            return false;
+        }
+
+        this.levelCurve = { linesPerLevel: curve.linesPerLevel, maxLevel };
+        return true;
+    }
+
+    /**
+     * Checks if the level has reached the level curve's cap
+     * @returns {boolean} True if no further level ups are possible
+     */
+    isMaxLevel() {
+        return this.level >= this.levelCurve.maxLevel;
+    }
+
+    /**
+     * Resets all game state to initial values
+     */
+    reset() {
+        this.score = 0;
+        this.level = 1;
+        this.lines = 0;
+        this.isPaused = false;
+        this.isGameOver = false;
+        this.isRunning = false;
+        
+        // Guideline scoring state (combo is -1 until a piece clears lines)
+        this.combo = -1;
+        this.backToBack = false;
+        this.maxCombo = 0;
+        this.tSpins = 0;
+        this.tetrises = 0;
+        this.perfectClears = 0;
+        
+        console.log('GameState: State reset to initial values');
+    }
+
+    /**
+     * Gets the current score
+     * @returns {number} Current score
+     */
+    getScore() {
+        return this.score;
+    }
+
+    /**
+     * Gets the current level
+     * @returns {number} Current level
+     */
+    getLevel() {
+        return this.level;
+    }
+
+    /**
+     * Gets the number of lines cleared
+     * @returns {number} Total lines cleared
+     */
+    getLines() {
+        return this.lines;
+    }
+
+    /**
+     * Checks if the game is paused
+     * @returns {boolean} True if game is paused
+     */
+    isPausedState() {
+        return this.isPaused;
+    }
+
+    /**
+     * Checks if the game is over
+     * @returns {boolean} True if game is over
+     */
+    isGameOverState() {
+        return this.isGameOver;
+    }
+
+    /**
+     * Checks if the game is running
+     * @returns {boolean} True if game is running
+     */
+    isRunningState() {
+        return this.isRunning;
+    }
+
+    /**
+     * Sets the paused state
+     * @param {boolean} paused - Whether the game should be paused
+     */
+    setPaused(paused) {
+        if (this.isGameOver) {
+            return; // Cannot pause when game is over
+        }
+        
+        this.isPaused = Boolean(paused);
+        console.log(`GameState: Paused state set to ${this.isPaused}`);
+    }
+
+    /**
+     * Sets the game over state
+     * @param {boolean} gameOver - Whether the game is over
+     */
+    setGameOver(gameOver) {
+        this.isGameOver = Boolean(gameOver);
+        if (this.isGameOver) {
+            this.isRunning = false;
+            this.isPaused = false;
+        }
+        console.log(`GameState: Game over state set to ${this.isGameOver}`);
+    }
+
+    /**
+     * Sets the running state
+     * @param {boolean} running - Whether the game is running
+     */
+    setRunning(running) {
+        this.isRunning = Boolean(running);
+        if (this.isRunning) {
+            this.isGameOver = false;
+        }
+        console.log(`GameState: Running state set to ${this.isRunning}`);
+    }
+
+    /**
+     * Updates the score for a locked piece
+     * Applies guideline scoring including T-spins, back-to-back, combos and perfect clears
+     * @param {number} linesCleared - Number of lines cleared (0-4, up to 8 with pentominoes and big pieces)
+     * @param {Object} options - Clear details
+     * @param {string} options.tSpin - 'none', 'mini' or 'full'
+     * @param {boolean} options.perfectClear - True if the board is empty after the clear
+     * @returns {number} Points awarded for this line clear
+     */
+    updateScore(linesCleared, options = {}) {
+        const clear = this.scoreClear(linesCleared, options);
+        return clear ? clear.pointsAwarded : 0;
+    }
+
+    /**
+     * Scores a locked piece and advances the combo and back-to-back state
+     * @param {number} linesCleared - Number of lines cleared (0-4, up to 8 with pentominoes and big pieces)
+     * @param {Object} options - Clear details (see updateScore)
+     * @returns {Object|null} Score breakdown, or null if the input was invalid
+     */
+    scoreClear(linesCleared, options = {}) {
+        const clear = this.calculateClearScore(linesCleared, options);
+        if (!clear) {
+            console.warn('GameState: Invalid line clear:', linesCleared, options);
+            return null;
+        }
+
+        this.score += clear.pointsAwarded;
+        this.combo = clear.combo;
+        this.maxCombo = Math.max(this.maxCombo, clear.combo);
+        
+        // Only line clears change back-to-back; a T-spin without lines keeps it alive
+        if (linesCleared > 0) {
+            this.backToBack = clear.isDifficult;
+        }
+        
+        if (clear.tSpin !== 'none') {
+            this.tSpins++;
+        }
+        if (linesCleared === 4) {
+            this.tetrises++;
+        }
+        if (clear.perfectClear) {
+            this.perfectClears++;
+        }
+        
+        if (clear.pointsAwarded > 0) {
+            console.log(`GameState: ${clear.lineClearType}! ${clear.pointsAwarded} points (level ${this.level})`);
+        }
+        
+        return clear;
+    }
+
+    /**
+     * Calculates the score breakdown for a locked piece without changing any state
+     * @param {number} linesCleared - Number of lines cleared (0-4, up to 8 with pentominoes and big pieces)
+     * @param {Object} options - Clear details (see updateScore)
+     * @returns {Object|null} Score breakdown, or null if the input is invalid
+     */
+    calculateClearScore(linesCleared, { tSpin = 'none', perfectClear = false } = {}) {
+        const scoring = CONFIG.SCORING;
+        const tables = {
+            none: scoring.LINE_CLEAR,
+            mini: scoring.T_SPIN_MINI,
+            full: scoring.T_SPIN
+        };
+        const table = tables[tSpin];
+        
+        const points = table ? getLineCountValue(table, linesCleared) : undefined;
+        if (points === undefined) {
+            return null;
+        }
+
+        const level = this.level;
+        const basePoints = points * level;
+        
+        // Tetrises (and bigger clears) and T-spins that clear lines are "difficult" and chain back-to-back
+        const isDifficult = linesCleared > 0 && (linesCleared >= 4 || tSpin !== 'none');
+        const isBackToBack = isDifficult && this.backToBack;
+        const backToBackBonus = isBackToBack
+            ? Math.floor(basePoints * (scoring.BACK_TO_BACK_MULTIPLIER - 1))
+            : 0;
+        
+        // Consecutive clearing pieces build a combo; a piece that clears nothing ends it
+        const combo = linesCleared > 0 ? this.combo + 1 : -1;
+        const comboBonus = combo > 0 ? scoring.COMBO * combo * level : 0;
+        
+        const isPerfectClear = linesCleared > 0 && Boolean(perfectClear);
+        let perfectClearBonus = 0;
+        if (isPerfectClear) {
+            const perfectClearPoints = linesCleared >= 4 && isBackToBack
+                ? scoring.BACK_TO_BACK_PERFECT_CLEAR
+                : getLineCountValue(scoring.PERFECT_CLEAR, linesCleared);
+            perfectClearBonus = perfectClearPoints * level;
+        }
+        
+        return {
+            linesCleared,
+            lineClearType: this.getClearName(linesCleared, tSpin, isBackToBack),
+            tSpin,
+            isDifficult,
+            isBackToBack,
+            combo,
+            perfectClear: isPerfectClear,
+            basePoints,
+            backToBackBonus,
+            comboBonus,
+            perfectClearBonus,
+            pointsAwarded: basePoints + backToBackBonus + comboBonus + perfectClearBonus
+        };
+    }
+
+    /**
+     * Gets the display name of a clear, e.g. "Back-to-Back T-Spin Double"
+     * @param {number} linesCleared - Number of lines cleared (0-4, up to 8 with pentominoes and big pieces)
+     * @param {string} tSpin - 'none', 'mini' or 'full'
+     * @param {boolean} isBackToBack - True if the clear continues a back-to-back chain
+     * @returns {string} Clear name (empty for a plain lock without lines)
+     */
+    getClearName(linesCleared, tSpin = 'none', isBackToBack = false) {
+        const lineNames = {
+            0: '',
+            1: 'Single',
+            2: 'Double',
+            3: 'Triple',
+            4: 'Tetris'
+        };
+        const tSpinNames = {
+            none: '',
+            mini: 'T-Spin Mini',
+            full: 'T-Spin'
+        };
+        
+        const name = [
+            isBackToBack ? 'Back-to-Back' : '',
+            tSpinNames[tSpin] || '',
+            lineNames[linesCleared] !== undefined ? lineNames[linesCleared] : `${linesCleared} lines`
+        ].filter(part => part.length > 0).join(' ');
+        
+        return name;
+    }
+
+    /**
+     * Adds lines to the total count and updates level if necessary
+     * Level progression: every linesPerLevel lines (10 by default) increases the level by 1, up to maxLevel
+     * @param {number} linesCleared - Number of lines to add
+     * @returns {boolean} True if level increased
+     */
+    addLines(linesCleared) {
+        if (typeof linesCleared !== 'number' || linesCleared < 0) {
+            console.warn('GameState: Invalid linesCleared value:', linesCleared);
+            return false;
+        }
+
+        const previousLevel = this.level;
+        const previousLines = this.lines;
+        this.lines += linesCleared;
+        
+        // Level progression: Every 10 lines = level up (with the default curve)
+        // Level 1: 0-9 lines, Level 2: 10-19 lines, etc.
+        const { linesPerLevel, maxLevel } = this.levelCurve;
+        const newLevel = Math.min(maxLevel, Math.floor(this.lines / linesPerLevel) + 1);
+        const levelIncreased = newLevel > this.level;
+        
+        if (levelIncreased) {
+            const levelsGained = newLevel - this.level;
+            this.level = newLevel;
+            
+            console.log(`GameState: Level up! Level ${previousLevel} → ${this.level} (+${levelsGained})`);
+            console.log(`GameState: Lines: ${previousLines} → ${this.lines} (+${linesCleared})`);
+            if (!this.isMaxLevel()) {
+                console.log(`GameState: Next level at ${this.level * linesPerLevel} lines (${this.getLinesUntilNextLevel()} lines to go)`);
+            }
+        }
+        
+        return levelIncreased;
+    }
+
+    /**
+     * Gets the drop speed for the current level
+     * Drop speed decreases (gets faster) as level increases
+     * @returns {number} Drop speed in milliseconds
+     */
+    getDropSpeed() {
+        const baseSpeed = CONFIG.INITIAL_DROP_SPEED;
+        const speedRate = CONFIG.SPEED_INCREASE_RATE;
+        const minSpeed = 50; // Minimum drop speed (maximum speed)
+        
+        const calculatedSpeed = baseSpeed * Math.pow(speedRate, this.level - 1);
+        return Math.max(minSpeed, calculatedSpeed);
+    }
+
+    /**
+     * Gets the number of lines needed to reach the next level
+     * @returns {number} Lines needed for next level (0 at the level cap)
+     */
+    getLinesUntilNextLevel() {
+        if (this.isMaxLevel()) {
+            return 0;
+        }
+        const nextLevelThreshold = this.level * this.levelCurve.linesPerLevel;
+        return Math.max(0, nextLevelThreshold - this.lines);
+    }
+
+    /**
+     * Gets the progress towards the next level as a percentage
+     * @returns {number} Progress percentage (0-100)
+     */
+    getLevelProgress() {
+        if (this.isMaxLevel()) {
+            return 100;
+        }
+        const { linesPerLevel } = this.levelCurve;
+        const currentLevelStart = (this.level - 1) * linesPerLevel;
+        const nextLevelStart = this.level * linesPerLevel;
+        const progressInLevel = this.lines - currentLevelStart;
+        const levelRange = nextLevelStart - currentLevelStart;
+        
+        return Math.min(100, (progressInLevel / levelRange) * 100);
+    }
+
+    /**
+     * Calculates the score that would be awarded for clearing a specific number of lines
+     * Does not modify the actual score - used for preview/calculation purposes
+     * @param {number} linesCleared - Number of lines to calculate score for
+     * @param {Object} options - Clear details (see updateScore)
+     * @returns {number} Points that would be awarded
+     */
+    calculateScorePreview(linesCleared, options = {}) {
+        const clear = this.calculateClearScore(linesCleared, options);
+        return clear ? clear.pointsAwarded : 0;
+    }
+
+    /**
+     * Awards points for soft drop (manual fast drop)
+     * Gives CONFIG.SCORING.SOFT_DROP points per cell dropped manually
+     * @param {number} cellsDropped - Number of cells the piece was dropped
+     * @returns {number} Points awarded for soft drop
+     */
+    awardSoftDropPoints(cellsDropped) {
+        if (typeof cellsDropped !== 'number' || cellsDropped <= 0) {
+            return 0;
+        }
+        
+        const points = cellsDropped * CONFIG.SCORING.SOFT_DROP;
+        this.score += points;
+        
+        console.log(`GameState: Soft drop bonus: ${points} points for ${cellsDropped} cells`);
+        return points;
+    }
+
+    /**
+     * Awards points for hard drop (instant drop to bottom)
+     * Gives CONFIG.SCORING.HARD_DROP points per cell dropped instantly
+     * @param {number} cellsDropped - Number of cells the piece was dropped
+     * @returns {number} Points awarded for hard drop
+     */
+    awardHardDropPoints(cellsDropped) {
+        if (typeof cellsDropped !== 'number' || cellsDropped <= 0) {
+            return 0;
+        }
+        
+        const points = cellsDropped * CONFIG.SCORING.HARD_DROP;
+        this.score += points;
+        
+        console.log(`GameState: Hard drop bonus: ${points} points for ${cellsDropped} cells`);
+        return points;
+    }
+
+    /**
+     * Gets scoring statistics
+     * @returns {Object} Scoring statistics and information
+     */
+    getScoringStats() {
+        return {
+            score: this.score,
+            level: this.level,
+            lines: this.lines,
+            linesUntilNextLevel: this.getLinesUntilNextLevel(),
+            levelProgress: this.getLevelProgress(),
+            dropSpeed: this.getDropSpeed(),
+            combo: this.combo,
+            maxCombo: this.maxCombo,
+            backToBack: this.backToBack,
+            tSpins: this.tSpins,
+            tetrises: this.tetrises,
+            perfectClears: this.perfectClears,
+            scorePreview: {
+                single: this.calculateScorePreview(1),
+                double: this.calculateScorePreview(2),
+                triple: this.calculateScorePreview(3),
+                tetris: this.calculateScorePreview(4)
+            }
+        };
+    }
+
+    /**
+     * Processes a locked piece
+     * Updates score and lines, returns comprehensive information about the update.
+     * Call it for every lock, including ones that clear nothing, so combos end correctly.
+     * @param {number} linesCleared - Number of lines cleared
+     * @param {Object} options - Clear details (see updateScore)
+     * @returns {Object} Detailed information about the score and level update
+     */
+    processLineClear(linesCleared, options = {}) {
+        // Store previous values for comparison
+        const previousScore = this.score;
+        const previousLevel = this.level;
+        const previousLines = this.lines;
+        
+        // Score before adding lines so the clear uses the level it happened on
+        const clear = this.scoreClear(linesCleared, options) || this.calculateClearScore(0);
+        const levelIncreased = this.addLines(clear.linesCleared);
+        
+        return {
+            // Line clear information
+            linesCleared: clear.linesCleared,
+            lineClearType: clear.lineClearType,
+            tSpin: clear.tSpin,
+            perfectClear: clear.perfectClear,
+            isBackToBack: clear.isBackToBack,
+            backToBack: this.backToBack,
+            combo: clear.combo,
+            
+            // Score information
+            pointsAwarded: clear.pointsAwarded,
+            basePoints: clear.basePoints,
+            backToBackBonus: clear.backToBackBonus,
+            comboBonus: clear.comboBonus,
+            perfectClearBonus: clear.perfectClearBonus,
+            previousScore,
+            newScore: this.score,
+            
+            // Level information
+            levelIncreased,
+            previousLevel,
+            newLevel: this.level,
+            levelsGained: this.level - previousLevel,
+            
+            // Lines information
+            previousLines,
+            newLines: this.lines,
+            linesUntilNextLevel: this.getLinesUntilNextLevel(),
+            levelProgress: this.getLevelProgress(),
+            
+            // Game speed information
+            newDropSpeed: this.getDropSpeed(),
+            
+            // Complete state
+            gameState: this.getState()
+        };
+    }
+
+    /**
+     * Gets a complete snapshot of the current game state
+     * @returns {Object} Complete game state object
+     */
+    getState() {
+        return {
+            score: this.score,
+            level: this.level,
+            lines: this.lines,
+            isPaused: this.isPaused,
+            isGameOver: this.isGameOver,
+            isRunning: this.isRunning,
+            dropSpeed: this.getDropSpeed(),
+            combo: this.combo,
+            backToBack: this.backToBack
+        };
+    }
+
+    /**
+     * Validates the current game state
+     * @returns {boolean} True if state is valid
+     */
+    validateState() {
+        try {
+            let isValid = true;
+            const errors = [];
+
+            // Check that all numeric values are valid
+            if (typeof this.score !== 'number' || this.score < 0 || !Number.isFinite(this.score)) {
+                errors.push(`Invalid score: ${this.score}`);
+                isValid = false;
+            }
+
+            if (typeof this.level !== 'number' || this.level < 1 || !Number.isFinite(this.level)) {
+                errors.push(`Invalid level: ${this.level}`);
+                isValid = false;
+            }
+
+            if (typeof this.lines !== 'number' || this.lines < 0 || !Number.isFinite(this.lines)) {
+                errors.push(`Invalid lines: ${this.lines}`);
+                isValid = false;
+            }
+
+            // Check that boolean values are actually booleans
+            if (typeof this.isPaused !== 'boolean') {
+                errors.push(`Invalid isPaused type: ${typeof this.isPaused}`);
+                isValid = false;
+            }
+
+            if (typeof this.isGameOver !== 'boolean') {
+                errors.push(`Invalid isGameOver type: ${typeof this.isGameOver}`);
+                isValid = false;
+            }
+
+            if (typeof this.isRunning !== 'boolean') {
+                errors.push(`Invalid isRunning type: ${typeof this.isRunning}`);
+                isValid = false;
+            }
+
+            // Check logical consistency
+            if (this.isGameOver && this.isRunning) {
+                errors.push('Inconsistent state - cannot be both game over and running');
+                isValid = false;
+            }
+
+            if (this.isPaused && this.isGameOver) {
+                errors.push('Inconsistent state - cannot be paused when game is over');
+                isValid = false;
+            }
+
+            // Check reasonable value ranges
+            if (this.score > 999999999) {
+                errors.push(`Score too high: ${this.score}`);
+                isValid = false;
+            }
+
+            if (this.level > 999) {
+                errors.push(`Level too high: ${this.level}`);
+                isValid = false;
+            }
+
+            if (this.lines > 999999) {
+                errors.push(`Lines too high: ${this.lines}`);
+                isValid = false;
+            }
+
+            // Log errors if any
+            if (!isValid) {
+                console.error('GameState: Validation failed:', errors);
+            }
+
+            return isValid;
+
+        } catch (error) {
+            console.error('GameState: Error during validation:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Attempts to fix invalid state values
+     * @returns {boolean} True if state was fixed successfully
+     */
+    fixInvalidState() {
+        try {
+            let wasFixed = false;
+
+            // Fix numeric values
+            if (typeof this.score !== 'number' || this.score < 0 || !Number.isFinite(this.score)) {
+                this.score = 0;
+                wasFixed = true;
+                console.warn('GameState: Fixed invalid score');
+            }
+
+            if (typeof this.level !== 'number' || this.level < 1 || !Number.isFinite(this.level)) {
+                this.level = 1;
+                wasFixed = true;
+                console.warn('GameState: Fixed invalid level');
+            }
+
+            if (typeof this.lines !== 'number' || this.lines < 0 || !Number.isFinite(this.lines)) {
+                this.lines = 0;
+                wasFixed = true;
+                console.warn('GameState: Fixed invalid lines');
+            }
+
+            // Fix boolean values
+            if (typeof this.isPaused !== 'boolean') {
+                this.isPaused = false;
+                wasFixed = true;
+                console.warn('GameState: Fixed invalid isPaused');
+            }
+
+            if (typeof this.isGameOver !== 'boolean') {
+                this.isGameOver = false;
+                wasFixed = true;
+                console.warn('GameState: Fixed invalid isGameOver');
+            }
+
+            if (typeof this.isRunning !== 'boolean') {
+                this.isRunning = false;
+                wasFixed = true;
+                console.warn('GameState: Fixed invalid isRunning');
+            }
+
+            // Fix logical inconsistencies
+            if (this.isGameOver && this.isRunning) {
+                this.isRunning = false;
+                wasFixed = true;
+                console.warn('GameState: Fixed inconsistent running/game over state');
+            }
+
+            if (this.isPaused && this.isGameOver) {
+                this.isPaused = false;
+                wasFixed = true;
+                console.warn('GameState: Fixed inconsistent paused/game over state');
+            }
+
+            // Fix unreasonable values
+            if (this.score > 999999999) {
+                this.score = 999999999;
+                wasFixed = true;
+                console.warn('GameState: Capped excessive score');
+            }
+
+            if (this.level > 999) {
+                this.level = 999;
+                wasFixed = true;
+                console.warn('GameState: Capped excessive level');
+            }
+
+            if (this.lines > 999999) {
+                this.lines = 999999;
+                wasFixed = true;
+                console.warn('GameState: Capped excessive lines');
+            }
+
+            if (wasFixed) {
+                console.log('GameState: State corruption fixed');
+            }
+
+            return wasFixed;
+
+        } catch (error) {
+            console.error('GameState: Error fixing invalid state:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Validates and fixes state if necessary
+     * @returns {boolean} True if state is valid after any fixes
+     */
+    validateAndFix() {
+        if (this.validateState()) {
+            return true;
+        }
+
+        // Try to fix the state
+        this.fixInvalidState();
+
+        // Validate again after fixing
+        return this.validateState();
+    }
+
+    /**
+     * Creates a string representation of the game state for debugging
+     * @returns {string} String representation
+     */
+    toString() {
+        return `GameState: Score=${this.score}, Level=${this.level}, Lines=${this.lines}, ` +
+               `Running=${this.isRunning}, Paused=${this.isPaused}, GameOver=${this.isGameOver}`;
+    }
+}
+
+// Game modes; high scores are kept separately for each mode
+// goalLines/timeLimit end the game when reached (null = no such goal), timer is the direction the
+// clock counts, topOut is 'gameOver' or 'clearStack' (the stack is wiped and play goes on),
+// ranking orders the high score table ('score', or 'time' for the fastest cleared game) and
+// results lists the figures on the results screen
+const GAME_MODES = {
+    marathon: {
+        name: 'マラソン',
+        description: '150ラインでクリア。レベル15まで加速',
+        goalLines: 150,
+        timeLimit: null,
+        timer: 'up',
+        levelCurve: { linesPerLevel: 10, maxLevel: 15 },
+        topOut: 'gameOver',
+        ranking: 'score',
+        players: 1,
+        results: ['score', 'lines', 'level', 'time']
+    },
+    sprint: {
+        name: 'スプリント',
+        description: '40ラインを消すまでのタイムを競う',
+        goalLines: 40,
+        timeLimit: null,
+        timer: 'up',
+        levelCurve: { linesPerLevel: 10, maxLevel: 1 },
+        topOut: 'gameOver',
+        ranking: 'time',
+        players: 1,
+        results: ['time', 'lines', 'pieces', 'piecesPerSecond']
+    },
+    ultra: {
+        name: 'ウルトラ',
+        description: '2分間でスコアを競う',
+        goalLines: null,
+        timeLimit: 120000,
+        timer: 'down',
+        levelCurve: { linesPerLevel: 10, maxLevel: 15 },
+        topOut: 'gameOver',
+        ranking: 'score',
+        players: 1,
+        results: ['score', 'lines', 'level', 'piecesPerSecond']
+    },
+    zen: {
+        name: 'ゼン',
+        description: 'ゲームオーバーなし。積み上がると盤面がリセット',
+        goalLines: null,
+        timeLimit: null,
+        timer: 'up',
+        levelCurve: { linesPerLevel: 10, maxLevel: 1 },
+        topOut: 'clearStack',
+        ranking: 'score',
+        players: 1,
+        results: ['score', 'lines', 'time', 'stackClears']
+    },
+    versus: {
+        name: '対戦',
+        description: '2人で対戦。ライン消去でおじゃまラインを送る',
+        goalLines: null,
+        timeLimit: null,
+        timer: 'up',
+        levelCurve: { linesPerLevel: 10, maxLevel: 1 },
+        topOut: 'gameOver',
+        ranking: null, // No high score table
+        players: 2,
+        results: ['lines', 'pieces', 'piecesPerSecond', 'garbageSent', 'garbageReceived']
+    }
+};
+
+// Results screen titles by how the game ended (see GameCore.gameOver)
+const GAME_END_TITLES = {
+    topOut: 'ゲームオーバー',
+    goal: 'クリア!',
+    timeUp: 'タイムアップ',
+    quit: '終了',
+    win: '勝利!'
+};
+
+// Labels of the figures a mode can list in its results
+const GAME_RESULT_LABELS = {
+    score: 'スコア',
+    lines: 'ライン',
+    level: 'レベル',
+    time: 'タイム',
+    pieces: 'ピース数',
+    piecesPerSecond: 'ピース/秒',
+    stackClears: 'リセット回数',
+    garbageSent: '送ったライン',
+    garbageReceived: '受けたライン'
+};
+
+const HIGH_SCORE_STORAGE_VERSION = 1;
+
+/**
+ * HighScoreStore class - Persists a top-N high score table per game mode
+ * Data is versioned; unreadable data is backed up and replaced with an empty table
+ */
+class HighScoreStore {
+    /**
+     * Creates a new HighScoreStore instance
+     * @param {Storage|null} storage - localStorage-compatible storage (null keeps scores in memory)
+     * @param {string} key - Storage key
+     * @param {number} maxEntries - Entries kept per mode
+     */
+    constructor(storage = getBrowserStorage(), key = CONFIG.HIGH_SCORES.STORAGE_KEY,
+        maxEntries = CONFIG.HIGH_SCORES.MAX_ENTRIES) {
+        this.storage = storage;
+        this.key = key;
+        this.maxEntries = maxEntries;
+        this.data = this.load();
+    }
+
+    /**
+     * Creates empty high score data
+     * @returns {Object} Empty data in the current format
+     */
+    createEmptyData() {
+        return {
+            version: HIGH_SCORE_STORAGE_VERSION,
+            lastName: '',
+            modes: {}
+        };
+    }
+
+    /**
+     * Loads high scores from storage, recovering from missing or corrupt data
+     * @returns {Object} High score data
+     */
+    load() {
+        if (!this.storage) {
+            return this.createEmptyData();
+        }
+
+        let raw = null;
+        try {
+            raw = this.storage.getItem(this.key);
+            if (raw === null) {
+                return this.createEmptyData();
+            }
+            return this.migrate(JSON.parse(raw));
+        } catch (error) {
+            console.warn('HighScoreStore: Stored high scores are unreadable, starting a new table:', error.message);
+            this.backupCorruptData(raw);
+            return this.createEmptyData();
+        }
+    }
+
+    /**
+     * Brings stored data up to the current format and drops invalid entries
+     * @param {Object} data - Parsed stored data
+     * @returns {Object} Data in the current format
+     * @throws {Error} If the data cannot be understood
+     */
+    migrate(data) {
+        if (!data || typeof data !== 'object' || typeof data.modes !== 'object' || data.modes === null) {
+            throw new Error('HighScoreStore: Unrecognized data');
+        }
+
+        if (data.version !== HIGH_SCORE_STORAGE_VERSION) {
+            throw new Error(`HighScoreStore: Unsupported data version ${data.version}`);
+        }
+
+        const migrated = this.createEmptyData();
+        migrated.lastName = typeof data.lastName === 'string' ? data.lastName : '';
+        
+        for (const [mode, entries] of Object.entries(data.modes)) {
+            if (!Array.isArray(entries)) {
+                continue;
+            }
+            const validEntries = entries.map(entry => this.normalizeEntry(entry)).filter(Boolean);
+            if (validEntries.length !== entries.length) {
+                console.warn(`HighScoreStore: Dropped ${entries.length - validEntries.length} invalid ${mode} entries`);
+            }
+            migrated.modes[mode] = this.sortEntries(validEntries, mode).slice(0, this.maxEntries);
+        }
+
+        return migrated;
+    }
+
+    /**
+     * Keeps a copy of unreadable data so it is not lost silently
+     * @param {string|null} raw - Raw stored value
+     */
+    backupCorruptData(raw) {
+        if (!this.storage || raw === null) {
+            return;
+        }
+
+        try {
+            this.storage.setItem(`${this.key}.corrupt`, raw);
+        } catch (error) {
+            console.warn('HighScoreStore: Could not back up corrupt data:', error.message);
+        }
+    }
+
+    /**
+     * Writes the high scores to storage
+     * @returns {boolean} True if the data was saved
+     */
+    save() {
+        if (!this.storage) {
+            return false;
+        }
+
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.data));
+            return true;
+        } catch (error) {
+            console.error('HighScoreStore: Failed to save high scores:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Validates and cleans up a high score entry
+     * @param {Object} entry - Entry to check
+     * @returns {Object|null} Normalized entry, or null if it is invalid
+     */
+    normalizeEntry(entry) {
+        if (!entry || typeof entry !== 'object') {
+            return null;
+        }
+
+        const isCount = value => Number.isInteger(value) && value >= 0;
+        if (!isCount(entry.score) || !isCount(entry.lines) || !isCount(entry.level) || !isCount(entry.duration)) {
+            return null;
+        }
+
+        const date = new Date(entry.date);
+        if (Number.isNaN(date.getTime())) {
+            return null;
+        }
+
+        return {
+            name: this.normalizeName(entry.name),
+            score: entry.score,
+            lines: entry.lines,
+            level: entry.level,
+            duration: entry.duration,
+            date: date.toISOString()
+        };
+    }
+
+    /**
+     * Trims a player name to the allowed length
+     * @param {string} name - Name as entered
+     * @returns {string} Name to store ('---' if empty)
+     */
+    normalizeName(name) {
+        const trimmed = typeof name === 'string' ? name.trim().slice(0, CONFIG.HIGH_SCORES.NAME_MAX_LENGTH) : '';
+        return trimmed.length > 0 ? trimmed : '---';
+    }
+
+    /**
+     * Gets how a mode's table is ranked
+     * @param {string} mode - Game mode
+     * @returns {string|null} 'score' (highest first), 'time' (fastest first) or null for unranked modes
+     */
+    getRanking(mode) {
+        return GAME_MODES[mode] ? GAME_MODES[mode].ranking : 'score';
+    }
+
+    /**
+     * Sorts entries best first (score, then lines, then the earlier date)
+     * Time-ranked modes sort by the shortest duration first
+     * @param {Object[]} entries - Entries to sort
+     * @param {string|null} mode - Game mode the entries belong to
+     * @returns {Object[]} Sorted copy
+     */
+    sortEntries(entries, mode = null) {
+        if (this.getRanking(mode) === 'time') {
+            return [...entries].sort((a, b) =>
+                a.duration - b.duration || b.score - a.score || a.date.localeCompare(b.date)
+            );
+        }
+
+        return [...entries].sort((a, b) =>
+            b.score - a.score || b.lines - a.lines || a.date.localeCompare(b.date)
+        );
+    }
+
+    /**
+     * Gets the table for a mode
+     * @param {string} mode - Game mode
+     * @returns {Object[]} Entries, best first
+     */
+    getScores(mode) {
+        return [...(this.data.modes[mode] || [])];
+    }
+
+    /**
+     * Gets the modes that have at least one entry
+     * @returns {string[]} Mode ids
+     */
+    getModes() {
+        return Object.keys(this.data.modes).filter(mode => this.data.modes[mode].length > 0);
+    }
+
+    /**
+     * Checks if a score would enter the table for a mode
+     * @param {string} mode - Game mode
+     * @param {number} score - Final score
+     * @param {number|null} duration - Game time in ms (used by time-ranked modes)
+     * @returns {boolean} True if the score earns a place
+     */
+    qualifies(mode, score, duration = null) {
+        const scores = this.getScores(mode);
+        
+        if (this.getRanking(mode) === 'time') {
+            if (!Number.isInteger(duration) || duration <= 0) {
+                return false;
+            }
+            return scores.length < this.maxEntries || duration < scores[scores.length - 1].duration;
+        }
+
+        if (!Number.isInteger(score) || score <= 0) {
+            return false;
+        }
+
+        return scores.length < this.maxEntries || score > scores[scores.length - 1].score;
+    }
+
+    /**
+     * Adds an entry to a mode's table
+     * @param {string} mode - Game mode
+     * @param {Object} entry - { name, score, lines, level, duration, date }
+     * @returns {number} 1-based rank, or 0 if the entry did not make the table
+     */
+    addScore(mode, entry) {
+        const normalized = this.normalizeEntry(entry);
+        if (!normalized) {
+            console.warn('HighScoreStore: Invalid high score entry', entry);
+            return 0;
+        }
+
+        const scores = this.sortEntries([...this.getScores(mode), normalized], mode).slice(0, this.maxEntries);
+        const rank = scores.indexOf(normalized) + 1;
+        
+        if (rank > 0) {
+            this.data.modes[mode] = scores;
+            this.data.lastName = normalized.name;
+            this.save();
+        }
+
+        return rank;
+    }
+
+    /**
+     * Gets the name used for the last entry (pre-fills name entry)
+     * @returns {string} Last name entered
+     */
+    getLastName() {
+        return this.data.lastName;
+    }
+
+    /**
+     * Clears one mode's table, or every table
+     * @param {string|null} mode - Game mode, or null for all modes
+     */
+    clear(mode = null) {
+        if (mode === null) {
+            this.data.modes = {};
+        } else {
+            delete this.data.modes[mode];
+        }
+        this.save();
+    }
+
+    /**
+     * Serializes all tables for download
+     * @returns {string} High score JSON
+     */
+    export() {
+        return JSON.stringify(this.data, null, 2);
+    }
+}
+
+// Replay file identification and the commands a replay may contain
+const REPLAY_FORMAT = 'tetris-replay';
+const REPLAY_VERSION = 1;
+const REPLAY_COMMANDS = ['moveLeft', 'moveRight', 'rotate', 'rotateCounterClockwise', 'softDrop', 'hardDrop', 'hold'];
+const REPLAY_SPEED_RANGE = { MIN: 0.25, MAX: 4 };
+
+// Commands a driver may send to GameCore.executeCommand / step (pause is not recorded in replays)
+const GAME_COMMANDS = [...REPLAY_COMMANDS, 'pause'];
+
+/**
+ * ReplayRecorder class - Captures the input stream of a game
+ * Inputs are stored as a flat [frameDelta, commandIndex, ...] array to keep replays compact
+ */
+class ReplayRecorder {
+    /**
+     * Creates a new ReplayRecorder instance
+     * @param {Object} header - Seed, ruleset and metadata describing the recorded game
+     */
+    constructor(header) {
+        this.header = header;
+        this.inputs = [];
+        this.lastFrame = 0;
+    }
+
+    /**
+     * Records a command executed before the given frame
+     * @param {number} frame - Frame the command was applied on
+     * @param {string} command - Game command
+     * @returns {boolean} True if the command was recorded (pause and unknown commands are not)
+     */
+    record(frame, command) {
+        const commandIndex = REPLAY_COMMANDS.indexOf(command);
+        if (commandIndex === -1) {
+            return false;
+        }
+
+        this.inputs.push(frame - this.lastFrame, commandIndex);
+        this.lastFrame = frame;
+        return true;
+    }
+
+    /**
+     * Gets the number of recorded inputs
+     * @returns {number} Input count
+     */
+    getInputCount() {
+        return this.inputs.length / 2;
+    }
+
+    /**
+     * Builds the replay object for everything recorded so far
+     * @param {number} frames - Total frames played
+     * @param {Object} result - Final score, lines and level
+     * @returns {Object} Serializable replay
+     */
+    toReplay(frames, result) {
+        return {
+            ...this.header,
+            frames,
+            inputs: [...this.inputs],
+            result
+        };
+    }
+}
+
+/**
+ * ReplayPlayer class - Feeds a recorded input stream back into the game engine
+ * Holds playback state (speed, paused); the engine advances the frames
+ */
+class ReplayPlayer {
+    /**
+     * Creates a new ReplayPlayer instance
+     * @param {Object} replay - Replay object (validated)
+     */
+    constructor(replay) {
+        ReplayPlayer.validate(replay);
+
+        this.replay = replay;
+        this.totalFrames = replay.frames;
+        this.speed = 1;
+        this.paused = false;
+        this.commandsByFrame = new Map();
+
+        // Decode the delta-encoded input stream into frame -> commands
+        let frame = 0;
+        for (let i = 0; i < replay.inputs.length; i += 2) {
+            frame += replay.inputs[i];
+            if (!this.commandsByFrame.has(frame)) {
+                this.commandsByFrame.set(frame, []);
+            }
+            this.commandsByFrame.get(frame).push(REPLAY_COMMANDS[replay.inputs[i + 1]]);
+        }
+    }
+
+    /**
+     * Parses a replay file
+     * @param {string} json - Replay JSON text
+     * @returns {Object} Validated replay object
+     */
+    static parse(json) {
+        let replay;
+        try {
+            replay = JSON.parse(json);
+        } catch (error) {
+            throw new Error('ReplayPlayer: Replay file is not valid JSON');
+        }
+
+        ReplayPlayer.validate(replay);
+        return replay;
+    }
+
+    /**
+     * Validates a replay object
+     * @param {Object} replay - Replay object
+     * @throws {Error} If the replay is malformed or from an unsupported version
+     */
+    static validate(replay) {
+        if (!replay || typeof replay !== 'object' || replay.format !== REPLAY_FORMAT) {
+            throw new Error('ReplayPlayer: Not a replay file');
+        }
+
+        if (replay.version !== REPLAY_VERSION) {
+            throw new Error(`ReplayPlayer: Unsupported replay version ${replay.version}`);
+        }
+
+        const ruleset = replay.ruleset;
+        if (!ruleset || !RANDOMIZER_TYPES[ruleset.randomizer]) {
+            throw new Error('ReplayPlayer: Replay ruleset is missing or uses an unknown randomizer');
+        }
+
+        if (ruleset.mode !== undefined && !GAME_MODES[ruleset.mode]) {
+            throw new Error(`ReplayPlayer: Unknown game mode ${ruleset.mode}`);
+        }
+
+        if (ruleset.pieceSet !== undefined && !Object.prototype.hasOwnProperty.call(PIECE_SETS, ruleset.pieceSet)) {
+            throw new Error(`ReplayPlayer: Unknown piece set ${ruleset.pieceSet}`);
+        }
+
+        const isDelay = value => value === undefined ||
+            (typeof value === 'number' && value >= 0 && value <= CONFIG.ENTRY_DELAY.MAX);
+        if (!isDelay(ruleset.lineClearDelay) || !isDelay(ruleset.spawnDelay)) {
+            throw new Error('ReplayPlayer: Replay spawn timing is invalid');
+        }
+
+        const isCount = value => Number.isInteger(value) && value >= 0;
+        if (!isCount(ruleset.lockDelay) || !isCount(ruleset.maxLockResets)) {
+            throw new Error('ReplayPlayer: Replay lock delay is invalid');
+        }
+
+        // Garbage from the opponent is not part of the inputs, so versus games cannot be replayed
+        if (ruleset.mode !== undefined && GAME_MODES[ruleset.mode].players > 1) {
+            throw new Error(`ReplayPlayer: ${ruleset.mode} games cannot be replayed`);
+        }
+
+        if (!Number.isInteger(replay.seed) || !Number.isInteger(replay.frames) || replay.frames < 0) {
+            throw new Error('ReplayPlayer: Replay seed or frame count is invalid');
+        }
+
+        const inputs = replay.inputs;
+        if (!Array.isArray(inputs) || inputs.length % 2 !== 0) {
+            throw new Error('ReplayPlayer: Replay input stream is malformed');
+        }
+
+        for (let i = 0; i < inputs.length; i += 2) {
+            if (!Number.isInteger(inputs[i]) || inputs[i] < 0 || !REPLAY_COMMANDS[inputs[i + 1]]) {
+                throw new Error(`ReplayPlayer: Invalid input at position ${i / 2}`);
+            }
+        }
+    }
+
+    /**
+     * Gets the commands to apply before a frame
+     * @param {number} frame - Frame number
+     * @returns {string[]} Commands in recorded order
+     */
+    getCommands(frame) {
+        return this.commandsByFrame.get(frame) || [];
+    }
+
+    /**
+     * Checks whether playback has reached the end of the recording
+     * @param {number} frame - Current frame
+     * @returns {boolean} True if there are no frames left
+     */
+    isFinished(frame) {
+        return frame >= this.totalFrames;
+    }
+
+    /**
+     * Sets the playback speed
+     * @param {number} speed - Multiplier between 0.25 and 4
+     * @returns {boolean} True if the speed was set
+     */
+    setSpeed(speed) {
+        if (typeof speed !== 'number' || speed < REPLAY_SPEED_RANGE.MIN || speed > REPLAY_SPEED_RANGE.MAX) {
+            console.warn(`ReplayPlayer: Invalid playback speed: ${speed}`);
+            return false;
+        }
+
+        this.speed = speed;
+        return true;
+    }
+
+    /**
+     * Pauses playback
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * Resumes playback
+     */
+    play() {
+        this.paused = false;
+    }
+}
+
+const SAVED_GAME_FORMAT = 'tetris-saved-game';
+const SAVED_GAME_VERSION = 1;
+const SAVED_SCORE_FIELDS = [
+    'score', 'level', 'lines', 'combo', 'backToBack', 'maxCombo', 'tSpins', 'tetrises', 'perfectClears'
+];
+
+/**
+ * SavedGameStore class - Keeps one game in progress in localStorage so it survives a reload
+ * Only the envelope (format and version) is checked here; GameCore.restoreSaveData checks the rest.
+ */
+class SavedGameStore {
+    /**
+     * Creates a new SavedGameStore instance
+     * @param {Storage|null} storage - localStorage-compatible storage (null disables saving)
+     * @param {string} key - Storage key
+     */
+    constructor(storage = getBrowserStorage(), key = CONFIG.SAVED_GAME.STORAGE_KEY) {
+        this.storage = storage;
+        this.key = key;
+    }
+
+    /**
+     * Writes a saved game
+     * @param {Object} data - Snapshot from GameCore.createSaveData
+     * @returns {boolean} True if the game was saved
+     */
+    save(data) {
+        if (!this.storage || !data) {
+            return false;
+        }
+
+        try {
+            this.storage.setItem(this.key, JSON.stringify(data));
+            return true;
+        } catch (error) {
+            console.error('SavedGameStore: Failed to save the game:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Reads the saved game
+     * Unreadable data and other versions are removed, so they are only reported once.
+     * @returns {Object|null} Saved game, or null if there is none
+     */
+    load() {
+        if (!this.storage) {
+            return null;
+        }
+
+        try {
+            const raw = this.storage.getItem(this.key);
+            if (raw === null) {
+                return null;
+            }
+
+            const data = JSON.parse(raw);
+            if (!data || data.format !== SAVED_GAME_FORMAT) {
+                throw new Error('Unrecognized data');
+            }
+            if (data.version !== SAVED_GAME_VERSION) {
+                throw new Error(`Unsupported saved game version ${data.version}`);
+            }
+            return data;
+        } catch (error) {
+            console.warn('SavedGameStore: Discarding the saved game:', error.message);
+            this.clear();
+            return null;
+        }
+    }
+
+    /**
+     * Checks if a game is waiting to be resumed
+     * @returns {boolean} True if a readable saved game exists
+     */
+    has() {
+        return this.load() !== null;
+    }
+
+    /**
+     * Removes the saved game
+     */
+    clear() {
+        if (!this.storage) {
+            return;
+        }
+
+        try {
+            this.storage.removeItem(this.key);
+        } catch (error) {
+            console.warn('SavedGameStore: Could not remove the saved game:', error.message);
+        }
+    }
+}
+
+/**
+ * GameCore class - DOM-free game simulation
+ * Owns the board, pieces, score and timers and advances them in fixed frames. Drawing and
+ * input are pluggable: a renderer adapter is any object with render(game), an input adapter
+ * may implement enable(), disable(), update(gameTime), poll(time) and destroy(). Runs in Node as
+ * well as in the browser (see GameEngine for the browser front end).
+ */
+class GameCore {
+    /**
+     * Creates a new GameCore instance
+     * @param {Object} options - Optional adapters
+     * @param {Object} options.renderer - Renderer adapter called after every step
+     * @param {Object[]} options.inputAdapters - Input adapters updated every frame
+     */
+    constructor(options = {}) {
+        try {
+            // Pluggable adapters
+            this.renderer = options.renderer || null;
+            this.inputAdapters = [];
+            this.listeners = new Map();
+            
+            // Initialize error handling
+            this.errorLog = [];
+            this.isInErrorState = false;
+            this.lastErrorTime = 0;
+            this.errorRecoveryAttempts = 0;
+            this.maxErrorRecoveryAttempts = 3;
+            
+            // Initialize game components with error handling
+            this.initializeGameComponents();
+            
+            // Game pieces and positioning
+            this.currentPiece = null;
+            this.nextQueue = [];
+            this.nextQueueLength = CONFIG.NEXT_QUEUE_LENGTH;
+            this.pieceX = 0;
+            this.pieceY = 0;
+            
+            // Hold slot (one swap allowed per piece)
+            this.holdPiece = null;
+            this.canHold = true;
+            
+            // Piece randomizer (seed is null until one is chosen; a fresh seed is rolled per game)
+            // dealing the pieces of the chosen piece set
+            this.randomizerType = CONFIG.DEFAULT_RANDOMIZER;
+            this.pieceSet = CONFIG.DEFAULT_PIECE_SET;
+            this.seed = null;
+            this.randomizer = null;
+            
+            // Timing (gameTime is simulated time; it only advances in fixed frames while playing)
+            this.frame = 0;
+            this.gameTime = 0;
+            this.frameAccumulator = 0;
+            this.lastDropTime = 0;
+            this.replayInputFrame = -1; // Frame whose replay commands were applied last
+            
+            // Game mode (high scores are kept per mode); gameResult describes the last finished game
+            this.gameMode = CONFIG.DEFAULT_GAME_MODE;
+            this.gameState.setLevelCurve(GAME_MODES[this.gameMode].levelCurve);
+            this.gameResult = null;
+            this.piecesLocked = 0;
+            this.stackClears = 0;
+            
+            // Replay recording of the current game, and the player while watching one
+            this.replayRecorder = null;
+            this.replayPlayer = null;
+            this.savedRuleset = null;
+            
+            // T-spin detection needs to know how the piece got where it is
+            this.lastMoveWasRotation = false;
+            this.lastKickIndex = 0;
+            this.lastClearResult = null;
+            
+            // Lock delay (lockTimerStart is null while the piece is airborne with resets left)
+            this.lockDelay = CONFIG.LOCK_DELAY.DURATION;
+            this.maxLockResets = CONFIG.LOCK_DELAY.MAX_RESETS;
+            this.lockTimerStart = null;
+            this.lockResets = 0;
+            
+            // Line clear delay and spawn delay (ARE). While one runs there is no current piece:
+            // delayPhase is 'lineClear' or 'spawn' until game time delayEnd, and clearingRows stay
+            // on the board until the line clear delay ends.
+            this.lineClearDelay = CONFIG.ENTRY_DELAY.LINE_CLEAR;
+            this.spawnDelay = CONFIG.ENTRY_DELAY.SPAWN;
+            this.delayPhase = null;
+            this.delayEnd = 0;
+            this.clearingRows = [];
+            
+            // Rotations and hold pressed during a delay, applied when the next piece spawns (IRS/IHS)
+            this.bufferedRotation = 0;
+            this.bufferedHold = false;
+            
+            (options.inputAdapters || []).forEach(adapter => this.addInputAdapter(adapter));
+            
+            // Validate initial state
+            this.validateGameState();
+            
+            console.log('GameCore: Initialized successfully');
+            
+        } catch (error) {
+            this.handleConstructorError(error);
+            throw error;
+        }
+    }
+
+    /**
+     * Initializes game components with error handling
+     */
+    initializeGameComponents() {
+        try {
+            this.gameBoard = new GameBoard();
+            if (!this.gameBoard.validateBoard()) {
+                throw new Error('GameBoard initialization failed validation');
+            }
+            
+            this.gameState = new GameState();
+            if (!this.gameState.validateState()) {
+                throw new Error('GameState initialization failed validation');
+            }
+            
+        } catch (error) {
+            this.logError('Component initialization failed', error);
+            throw new Error(`GameCore: Failed to initialize components - ${error.message}`);
+        }
+    }
+
+    /**
+     * Handles constructor errors
+     * @param {Error} error - The error that occurred
+     */
+    handleConstructorError(error) {
+        console.error('GameCore: Constructor error:', error);
+        
+        // Try to display error to user if possible
+        try {
+            this.displayCriticalError('Failed to initialize game. Please refresh the page.');
+        } catch (displayError) {
+            console.error('GameCore: Could not display error message:', displayError);
+        }
+    }
+
+    /**
+     * Subscribes to a game event
+     * Events: gameStart, pieceLock, lineClear, stackClear, gameOver, reset, replayChange, modeChange, pauseChange
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event data
+     * @returns {Function} Call to unsubscribe
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Removes an event listener
+     * @param {string} event - Event name
+     * @param {Function} listener - Listener passed to on()
+     */
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+    }
+
+    /**
+     * Notifies the listeners of an event
+     * A failing listener is logged and does not stop the game
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    emit(event, data) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) {
+            return;
+        }
+
+        for (const listener of [...listeners]) {
+            try {
+                listener(data);
+            } catch (error) {
+                console.error(`GameCore: Error in ${event} listener:`, error);
+            }
+        }
+    }
+
+    /**
+     * Sets the renderer adapter
+     * @param {Object|null} renderer - Object with a render(game) method, or null for none
+     * @returns {boolean} True if the renderer was set
+     */
+    setRenderer(renderer) {
+        if (renderer !== null && (!renderer || typeof renderer.render !== 'function')) {
+            console.warn('GameCore: Invalid renderer, it needs a render(game) method');
+            return false;
+        }
+
+        this.renderer = renderer;
+        return true;
+    }
+
+    /**
+     * Adds an input adapter
+     * @param {Object} adapter - Input adapter (enable, disable, update and destroy are optional)
+     * @returns {boolean} True if the adapter was added
+     */
+    addInputAdapter(adapter) {
+        if (!adapter || typeof adapter !== 'object' || this.inputAdapters.includes(adapter)) {
+            return false;
+        }
+
+        this.inputAdapters.push(adapter);
+        return true;
+    }
+
+    /**
+     * Removes an input adapter
+     * @param {Object} adapter - Adapter passed to addInputAdapter
+     * @returns {boolean} True if the adapter was removed
+     */
+    removeInputAdapter(adapter) {
+        const index = this.inputAdapters.indexOf(adapter);
+        if (index === -1) {
+            return false;
+        }
+
+        this.inputAdapters.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Enables or disables every input adapter
+     * @param {boolean} enabled - Whether input is accepted
+     */
+    setInputEnabled(enabled) {
+        for (const adapter of this.inputAdapters) {
+            const toggle = enabled ? adapter.enable : adapter.disable;
+            if (typeof toggle === 'function') {
+                toggle.call(adapter);
+            }
+        }
+    }
+
+    /**
+     * Lets polled input adapters (e.g. gamepads) read their devices
+     * Unlike update(), this runs while paused too, so a polled pause button can resume.
+     * @param {number} time - Current time in milliseconds
+     */
+    pollInputAdapters(time) {
+        for (const adapter of this.inputAdapters) {
+            if (typeof adapter.poll === 'function') {
+                adapter.poll(time);
+            }
+        }
+    }
+
+    /**
+     * Runs a game command and records it for the replay if it changed the game
+     * Entry point for headless drivers; InputHandler does the same for the keyboard
+     * @param {string} command - One of GAME_COMMANDS
+     * @returns {*} Command result (false if the command was unknown, blocked or failed)
+     */
+    executeCommand(command) {
+        if (!GAME_COMMANDS.includes(command)) {
+            console.warn(`GameCore: Unknown command: ${command}`);
+            return false;
+        }
+
+        const result = this[command]();
+        if (result !== false) {
+            this.recordInput(command);
+        }
+        return result;
+    }
+
+    /**
+     * Advances the game without a browser: applies commands, then simulates dt milliseconds
+     * Time is simulated in fixed frames, so the same seed, commands and dt give the same game
+     * @param {string[]} inputs - Commands applied before time advances
+     * @param {number} dt - Game time to simulate in milliseconds (defaults to one frame)
+     * @returns {number} Number of frames simulated
+     */
+    step(inputs = [], dt = CONFIG.FRAME_DURATION) {
+        if (!Array.isArray(inputs) || typeof dt !== 'number' || !Number.isFinite(dt) || dt < 0) {
+            console.warn('GameCore: Invalid step arguments', { inputs, dt });
+            return 0;
+        }
+
+        for (const command of inputs) {
+            this.executeCommand(command);
+        }
+
+        const frames = this.advanceTime(dt);
+        this.render();
+        return frames;
+    }
+
+    /**
+     * Starts a new game
+     * Initializes game state and begins the game loop
+     * @param {number|string|null} seed - Seed for this game only (defaults to the fixed seed, or a new one)
+     */
+    start(seed = null) {
+        // Starting a game ends any replay being watched
+        if (this.replayPlayer) {
+            this.stopReplay();
+        }
+
+        if (this.gameState.isRunningState()) {
+            console.warn('GameCore: Game is already running');
+            return;
+        }
+
+        const gameSeed = seed !== null ? seed : this.seed;
+        if (!this.beginGame(gameSeed !== null ? gameSeed : generateSeed())) {
+            return;
+        }
+        
+        // Record the game from its first frame (versus games depend on the opponent, so they are not recorded)
+        this.replayRecorder = this.getGameModeConfig().players === 1
+            ? new ReplayRecorder(this.createReplayHeader())
+            : null;
+        
+        // Enable input
+        this.setInputEnabled(true);
+        
+        console.log('GameCore: Game started');
+    }
+
+    /**
+     * Sets up a fresh game from a seed without touching input or the game loop
+     * Shared by live games and replay playback
+     * @param {number|string} seed - Seed for the piece randomizer
+     * @returns {boolean} True if the first piece could spawn
+     */
+    beginGame(seed) {
+        // Reset game state
+        this.reset();
+        this.gameState.setLevelCurve(this.getGameModeConfig().levelCurve);
+        
+        // Create the randomizer for this game
+        this.randomizer = createRandomizer(this.randomizerType, seed, getPieceSetTypes(this.pieceSet));
+        console.log(`GameCore: Using ${this.randomizerType} randomizer with seed ${this.randomizer.getSeed()}` +
+            ` and the ${this.pieceSet} piece set`);
+        
+        // Generate first pieces
+        this.currentPiece = this.createNextPiece();
+        this.fillNextQueue();
+        
+        // Position the first piece at the top center
+        this.moveToSpawnPosition();
+        
+        this.emit('gameStart', {
+            seed: this.randomizer.getSeed(),
+            mode: this.gameMode,
+            replay: this.replayPlayer !== null
+        });
+        
+        // Check if starting position is valid
+        if (!this.gameBoard.isValidPosition(this.currentPiece, this.pieceX, this.pieceY)) {
+            this.gameOver();
+            return false;
+        }
+        
+        this.gameState.setRunning(true);
+        return true;
+    }
+
+    /**
+     * Pauses or resumes the game
+     * Toggles between paused and running states
+     */
+    pause() {
+        // While watching a replay the pause key controls playback instead
+        if (this.replayPlayer) {
+            this.toggleReplayPause();
+            return;
+        }
+
+        if (this.gameState.isGameOverState()) {
+            return; // Cannot pause when game is over
+        }
+
+        if (!this.gameState.isRunningState()) {
+            return; // Cannot pause when not running
+        }
+
+        const wasPaused = this.gameState.isPausedState();
+        this.gameState.setPaused(!wasPaused);
+        
+        if (this.gameState.isPausedState()) {
+            // Disable input when paused (except pause key)
+            this.setInputEnabled(false);
+            console.log('GameCore: Game paused');
+        } else {
+            // Re-enable input when resuming; game time stood still, so gravity
+            // and lock delay carry on where they stopped
+            this.setInputEnabled(true);
+            console.log('GameCore: Game resumed');
+        }
+        
+        this.emit('pauseChange', { paused: this.gameState.isPausedState() });
+    }
+
+    /**
+     * Resumes the game from paused state
+     */
+    resume() {
+        if (!this.gameState.isPausedState()) {
+            return;
+        }
+        this.pause(); // Toggle pause state
+    }
+
+    /**
+     * Ends the game
+     * Sets game over state, disables input and records the result of the game
+     * @param {string} reason - 'topOut', 'goal' (line goal reached), 'timeUp' or 'quit' (ended by the player)
+     */
+    gameOver(reason = 'topOut') {
+        // Rows still in their line clear delay are removed, so the final board is settled
+        this.clearEntryDelay();
+        this.gameState.setGameOver(true);
+        this.gameResult = this.createGameResult(reason);
+        
+        // Disable input
+        this.setInputEnabled(false);
+        
+        if (this.replayPlayer) {
+            this.replayPlayer.pause();
+        }
+        
+        this.emit('gameOver', { ...this.gameState.getState(), result: this.gameResult });
+        
+        if (this.replayPlayer) {
+            this.emit('replayChange');
+        }
+        
+        console.log(`GameCore: Game over (${reason})`);
+    }
+
+    /**
+     * Ends a running game at the player's request
+     * Used by modes without a game over (Zen) to finish and record the session
+     * @returns {boolean} True if the game was ended
+     */
+    endGame() {
+        if (this.replayPlayer || !this.gameState.isRunningState() || this.gameState.isGameOverState()) {
+            return false;
+        }
+
+        this.gameOver('quit');
+        return true;
+    }
+
+    /**
+     * Builds the result of the game that is ending
+     * @param {string} reason - Why the game ended (see gameOver)
+     * @returns {Object} { mode, reason, cleared, ranked, score, lines, level, time, pieces, piecesPerSecond, stackClears }
+     *     (VersusMatch adds garbageSent and garbageReceived)
+     */
+    createGameResult(reason) {
+        const mode = this.getGameModeConfig();
+        const time = Math.round(this.gameTime);
+        
+        return {
+            mode: this.gameMode,
+            reason,
+            cleared: reason !== 'topOut',
+            // Time-ranked modes only rank games that reached the goal; unranked modes never do,
+            // and neither do games with other pieces than the tetrominoes
+            ranked: mode.ranking !== null && (mode.ranking !== 'time' || reason === 'goal') &&
+                this.pieceSet === 'classic',
+            score: this.gameState.getScore(),
+            lines: this.gameState.getLines(),
+            level: this.gameState.getLevel(),
+            time,
+            pieces: this.piecesLocked,
+            piecesPerSecond: time > 0 ? Math.round(this.piecesLocked / (time / 1000) * 100) / 100 : 0,
+            stackClears: this.stackClears
+        };
+    }
+
+    /**
+     * Gets the result of the last finished game
+     * @returns {Object|null} Result from createGameResult, or null while no game has ended
+     */
+    getGameResult() {
+        return this.gameResult;
+    }
+
+    /**
+     * Selects the game mode for the next game
+     * @param {string} mode - Mode key from GAME_MODES
+     * @returns {boolean} True if the mode was set
+     */
+    setGameMode(mode) {
+        if (!GAME_MODES[mode]) {
+            console.warn(`GameCore: Unknown game mode: ${mode}`);
+            return false;
+        }
+
+        if (this.gameState.isRunningState() || this.replayPlayer) {
+            console.warn('GameCore: The game mode cannot change during a game');
+            return false;
+        }
+
+        this.gameMode = mode;
+        this.gameState.setLevelCurve(GAME_MODES[mode].levelCurve);
+        this.emit('modeChange', { mode });
+        return true;
+    }
+
+    /**
+     * Gets the selected game mode
+     * @returns {string} Mode key
+     */
+    getGameMode() {
+        return this.gameMode;
+    }
+
+    /**
+     * Gets the definition of the selected game mode
+     * @returns {Object} Entry from GAME_MODES
+     */
+    getGameModeConfig() {
+        return GAME_MODES[this.gameMode];
+    }
+
+    /**
+     * Gets the mode clock
+     * @returns {{elapsed: number, remaining: number|null, display: number, countdown: boolean}} Times in ms;
+     *     display is the remaining time for countdown modes and the elapsed time otherwise
+     */
+    getModeTimer() {
+        const mode = this.getGameModeConfig();
+        const elapsed = this.gameTime;
+        const remaining = mode.timeLimit !== null ? Math.max(0, mode.timeLimit - elapsed) : null;
+        const countdown = mode.timer === 'down' && remaining !== null;
+        
+        return { elapsed, remaining, display: countdown ? remaining : elapsed, countdown };
+    }
+
+    /**
+     * Ends the game if the mode's line goal has been reached
+     * @returns {boolean} True if the game ended
+     */
+    checkLineGoal() {
+        const goalLines = this.getGameModeConfig().goalLines;
+        if (goalLines === null || this.gameState.getLines() < goalLines) {
+            return false;
+        }
+
+        this.gameOver('goal');
+        return true;
+    }
+
+    /**
+     * Ends the game if the mode's time limit has run out
+     * @returns {boolean} True if the game ended
+     */
+    checkTimeLimit() {
+        const timeLimit = this.getGameModeConfig().timeLimit;
+        if (timeLimit === null || this.gameTime < timeLimit ||
+            !this.gameState.isRunningState() || this.gameState.isGameOverState()) {
+            return false;
+        }
+
+        this.gameOver('timeUp');
+        return true;
+    }
+
+    /**
+     * Creates the next piece from the game's randomizer
+     * @returns {Tetromino} New tetromino instance
+     */
+    createNextPiece() {
+        return createRandomTetromino(this.randomizer);
+    }
+
+    /**
+     * Tops up the next queue from the randomizer
+     */
+    fillNextQueue() {
+        while (this.nextQueue.length < this.nextQueueLength) {
+            this.nextQueue.push(this.createNextPiece());
+        }
+    }
+
+    /**
+     * Takes the first piece out of the next queue and refills it
+     * @returns {Tetromino} The next piece
+     */
+    takeNextPiece() {
+        this.fillNextQueue();
+        const piece = this.nextQueue.shift();
+        this.fillNextQueue();
+        return piece;
+    }
+
+    /**
+     * Gets the visible part of the next queue
+     * @returns {Tetromino[]} Upcoming pieces, first to spawn first
+     */
+    getNextQueue() {
+        return this.nextQueue.slice(0, this.nextQueueLength);
+    }
+
+    /**
+     * Sets how many upcoming pieces are shown
+     * Shortening the queue only hides pieces, so the piece sequence for a seed never changes
+     * @param {number} length - Queue length (1-6)
+     * @returns {boolean} True if the length was set
+     */
+    setNextQueueLength(length) {
+        if (!Number.isInteger(length) || length < 1 || length > 6) {
+            console.warn(`GameCore: Invalid next queue length: ${length}`);
+            return false;
+        }
+
+        this.nextQueueLength = length;
+
+        // Only draw more pieces while a game is in progress
+        if (this.randomizer && this.currentPiece) {
+            this.fillNextQueue();
+        }
+
+        this.render();
+        return true;
+    }
+
+    /**
+     * Builds the replay header for the game that is starting
+     * Holds everything besides the inputs needed to reproduce the game
+     * @returns {Object} Replay header
+     */
+    createReplayHeader() {
+        const { width, height } = this.gameBoard.getDimensions();
+        
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            createdAt: new Date().toISOString(),
+            seed: this.randomizer.getSeed(),
+            ruleset: {
+                mode: this.gameMode,
+                randomizer: this.randomizerType,
+                pieceSet: this.pieceSet,
+                boardWidth: width,
+                boardHeight: height,
+                frameDuration: CONFIG.FRAME_DURATION,
+                lockDelay: this.lockDelay,
+                maxLockResets: this.maxLockResets,
+                lineClearDelay: this.lineClearDelay,
+                spawnDelay: this.spawnDelay
+            }
+        };
+    }
+
+    /**
+     * Records a player command for the replay and announces it with a 'command' event
+     * Called by InputHandler.executeCommand for every command that changed the game
+     * @param {string} command - Game command
+     */
+    recordInput(command) {
+        this.emit('command', { command });
+        if (!this.replayRecorder || this.replayPlayer) {
+            return;
+        }
+        this.replayRecorder.record(this.frame, command);
+    }
+
+    /**
+     * Gets the replay of the current (or last finished) game
+     * While watching a replay, the replay being watched is returned
+     * @returns {Object|null} Replay object, or null if no game has been played
+     */
+    getReplay() {
+        if (this.replayPlayer) {
+            return this.replayPlayer.replay;
+        }
+
+        if (!this.replayRecorder) {
+            return null;
+        }
+
+        return this.replayRecorder.toReplay(this.frame, {
+            score: this.gameState.getScore(),
+            lines: this.gameState.getLines(),
+            level: this.gameState.getLevel(),
+            gameOver: this.gameState.isGameOverState()
+        });
+    }
+
+    /**
+     * Serializes the current replay for saving to a file
+     * @returns {string|null} Replay JSON, or null if there is nothing to export
+     */
+    exportReplay() {
+        const replay = this.getReplay();
+        return replay ? JSON.stringify(replay) : null;
+    }
+
+    /**
+     * Starts playing back a replay in this engine
+     * The player's own settings are restored when playback stops
+     * @param {Object|string} replay - Replay object or JSON text
+     * @returns {boolean} True if playback started
+     */
+    playReplay(replay) {
+        try {
+            const player = new ReplayPlayer(typeof replay === 'string' ? ReplayPlayer.parse(replay) : replay);
+            const ruleset = player.replay.ruleset;
+            const { width, height } = this.gameBoard.getDimensions();
+            
+            if (ruleset.boardWidth !== width || ruleset.boardHeight !== height) {
+                throw new Error(`GameCore: Replay needs a ${ruleset.boardWidth}x${ruleset.boardHeight} board`);
+            }
+            if (ruleset.frameDuration !== CONFIG.FRAME_DURATION) {
+                throw new Error('GameCore: Replay was recorded with a different frame rate');
+            }
+
+            if (!this.replayPlayer) {
+                this.savedRuleset = {
+                    gameMode: this.gameMode,
+                    randomizerType: this.randomizerType,
+                    pieceSet: this.pieceSet,
+                    lockDelay: this.lockDelay,
+                    maxLockResets: this.maxLockResets,
+                    lineClearDelay: this.lineClearDelay,
+                    spawnDelay: this.spawnDelay
+                };
+            }
+
+            this.replayPlayer = player;
+            this.setInputEnabled(false);
+            this.restartReplay();
+            
+            console.log(`GameCore: Playing replay (seed ${player.replay.seed}, ${player.totalFrames} frames)`);
+            return true;
+            
+        } catch (error) {
+            console.error('GameCore: Failed to load replay:', error);
+            this.displayErrorMessage('リプレイを読み込めませんでした');
+            return false;
+        }
+    }
+
+    /**
+     * Restarts the loaded replay from its first frame
+     */
+    restartReplay() {
+        const replay = this.replayPlayer.replay;
+        
+        // Replays from before game modes were recorded are Marathon games
+        this.gameMode = replay.ruleset.mode || 'marathon';
+        this.randomizerType = replay.ruleset.randomizer;
+        // Replays from before piece sets were recorded dealt the tetrominoes
+        this.pieceSet = replay.ruleset.pieceSet || 'classic';
+        this.lockDelay = replay.ruleset.lockDelay;
+        this.maxLockResets = replay.ruleset.maxLockResets;
+        // Replays from before spawn timing was recorded had no delays
+        this.lineClearDelay = replay.ruleset.lineClearDelay || 0;
+        this.spawnDelay = replay.ruleset.spawnDelay || 0;
+        
+        this.beginGame(replay.seed);
+        this.emit('replayChange');
+    }
+
+    /**
+     * Jumps to a frame of the replay
+     * Seeking backwards replays the game from the start without rendering
+     * @param {number} frame - Target frame
+     * @returns {boolean} True if the replay moved to the frame
+     */
+    seekReplay(frame) {
+        if (!this.replayPlayer || typeof frame !== 'number' || !Number.isFinite(frame)) {
+            return false;
+        }
+
+        const target = Math.max(0, Math.min(Math.floor(frame), this.replayPlayer.totalFrames));
+        const wasPaused = this.replayPlayer.paused;
+        
+        if (target < this.frame || !this.gameState.isRunningState()) {
+            this.restartReplay();
+        }
+
+        while (this.frame < target && this.gameState.isRunningState()) {
+            this.advanceFrame();
+        }
+        
+        // The last frame's inputs only apply once playback reaches the end
+        if (target === this.replayPlayer.totalFrames && this.gameState.isRunningState()) {
+            this.advanceFrame();
+        }
+
+        // Reaching the end pauses playback; keep the user's choice otherwise
+        if (!wasPaused && !this.replayPlayer.isFinished(this.frame)) {
+            this.replayPlayer.play();
+        }
+
+        this.render();
+        this.emit('replayChange');
+        return true;
+    }
+
+    /**
+     * Sets the replay playback speed
+     * @param {number} speed - Multiplier between 0.25 and 4
+     * @returns {boolean} True if the speed was set
+     */
+    setReplaySpeed(speed) {
+        if (!this.replayPlayer) {
+            return false;
+        }
+        return this.replayPlayer.setSpeed(speed);
+    }
+
+    /**
+     * Pauses or resumes replay playback
+     * Resuming a finished replay starts it again from the beginning
+     */
+    toggleReplayPause() {
+        if (!this.replayPlayer) {
+            return;
+        }
+
+        if (!this.replayPlayer.paused) {
+            this.replayPlayer.pause();
+        } else if (this.replayPlayer.isFinished(this.frame) || !this.gameState.isRunningState()) {
+            this.restartReplay();
+            this.replayPlayer.play();
+        } else {
+            this.replayPlayer.play();
+        }
+        
+        this.emit('replayChange');
+    }
+
+    /**
+     * Leaves replay playback and restores the player's settings
+     */
+    stopReplay() {
+        if (!this.replayPlayer) {
+            return;
+        }
+
+        this.replayPlayer = null;
+        
+        if (this.savedRuleset) {
+            this.gameMode = this.savedRuleset.gameMode;
+            this.gameState.setLevelCurve(GAME_MODES[this.gameMode].levelCurve);
+            this.randomizerType = this.savedRuleset.randomizerType;
+            this.pieceSet = this.savedRuleset.pieceSet;
+            this.lockDelay = this.savedRuleset.lockDelay;
+            this.maxLockResets = this.savedRuleset.maxLockResets;
+            this.lineClearDelay = this.savedRuleset.lineClearDelay;
+            this.spawnDelay = this.savedRuleset.spawnDelay;
+            this.savedRuleset = null;
+        }
+
+        this.reset();
+        this.render();
+        this.emit('replayChange');
+        
+        console.log('GameCore: Replay stopped');
+    }
+
+    /**
+     * Checks if a replay is being watched
+     * @returns {boolean} True during replay playback
+     */
+    isReplaying() {
+        return this.replayPlayer !== null;
+    }
+
+    /**
+     * Captures the game in progress so it can be resumed after a reload (see restoreSaveData)
+     * The replay recorded so far is included, so a resumed game still exports a complete replay.
+     * @returns {Object|null} Serializable snapshot, or null if no one-player game is being played
+     */
+    createSaveData() {
+        if (!this.gameState.isRunningState() || this.gameState.isGameOverState() || this.replayPlayer ||
+            !(this.currentPiece || this.delayPhase) || this.getGameModeConfig().players !== 1) {
+            return null;
+        }
+
+        const state = this.gameState;
+        const recorder = this.replayRecorder;
+
+        return {
+            format: SAVED_GAME_FORMAT,
+            version: SAVED_GAME_VERSION,
+            savedAt: new Date().toISOString(),
+            mode: this.gameMode,
+            pieceSet: this.pieceSet,
+            randomizer: {
+                type: this.randomizerType,
+                seed: this.randomizer.getSeed(),
+                state: this.randomizer.getState()
+            },
+            board: this.gameBoard.getBoardCopy(),
+            piece: this.currentPiece ? {
+                type: this.currentPiece.getType(),
+                rotation: this.currentPiece.getRotation(),
+                x: this.pieceX,
+                y: this.pieceY
+            } : null,
+            nextQueue: this.nextQueue.map(piece => piece.getType()),
+            hold: this.holdPiece ? this.holdPiece.getType() : null,
+            canHold: this.canHold,
+            score: Object.fromEntries(SAVED_SCORE_FIELDS.map(field => [field, state[field]])),
+            timers: {
+                frame: this.frame,
+                lastDropTime: this.lastDropTime,
+                lockTimerStart: this.lockTimerStart,
+                lockResets: this.lockResets,
+                lockDelay: this.lockDelay,
+                maxLockResets: this.maxLockResets,
+                lineClearDelay: this.lineClearDelay,
+                spawnDelay: this.spawnDelay
+            },
+            // Saved between pieces: the delay that was running and the inputs buffered for the next piece
+            delay: this.delayPhase ? {
+                phase: this.delayPhase,
+                end: this.delayEnd,
+                rows: [...this.clearingRows],
+                rotation: this.bufferedRotation,
+                hold: this.bufferedHold
+            } : null,
+            spin: { lastMoveWasRotation: this.lastMoveWasRotation, lastKickIndex: this.lastKickIndex },
+            counters: { piecesLocked: this.piecesLocked, stackClears: this.stackClears },
+            replay: recorder
+                ? { header: recorder.header, inputs: [...recorder.inputs], lastFrame: recorder.lastFrame }
+                : null
+        };
+    }
+
+    /**
+     * Continues a game saved by createSaveData
+     * Everything is checked first (see validateSaveData); a rejected save leaves the game untouched.
+     * @param {Object} data - Saved game
+     * @returns {boolean} True if the game was restored and is running
+     */
+    restoreSaveData(data) {
+        if (this.gameState.isRunningState() || this.replayPlayer) {
+            console.warn('GameCore: A saved game cannot be restored during a game');
+            return false;
+        }
+
+        let restored;
+        try {
+            restored = this.validateSaveData(data);
+        } catch (error) {
+            console.warn('GameCore: Saved game rejected:', error.message);
+            return false;
+        }
+
+        this.setGameMode(data.mode);
+        this.reset();
+
+        this.randomizerType = data.randomizer.type;
+        this.pieceSet = restored.pieceSet;
+        this.randomizer = restored.randomizer;
+        this.gameBoard.setBoard(restored.board.getBoard());
+        Object.assign(this.gameState, restored.score);
+
+        this.currentPiece = restored.piece;
+        this.pieceX = data.piece ? data.piece.x : 0;
+        this.pieceY = data.piece ? data.piece.y : 0;
+        this.nextQueue = restored.nextQueue;
+        this.fillNextQueue();
+        this.holdPiece = restored.hold;
+        this.canHold = data.canHold;
+
+        const timers = data.timers;
+        this.frame = timers.frame;
+        this.gameTime = timers.frame * CONFIG.FRAME_DURATION;
+        this.lastDropTime = timers.lastDropTime;
+        this.lockTimerStart = timers.lockTimerStart;
+        this.lockResets = timers.lockResets;
+        this.lockDelay = timers.lockDelay;
+        this.maxLockResets = timers.maxLockResets;
+        this.lineClearDelay = restored.lineClearDelay;
+        this.spawnDelay = restored.spawnDelay;
+        if (data.delay) {
+            this.delayPhase = data.delay.phase;
+            this.delayEnd = data.delay.end;
+            this.clearingRows = [...data.delay.rows];
+            this.bufferedRotation = data.delay.rotation;
+            this.bufferedHold = data.delay.hold;
+        }
+        this.lastMoveWasRotation = data.spin.lastMoveWasRotation;
+        this.lastKickIndex = data.spin.lastKickIndex;
+        this.piecesLocked = data.counters.piecesLocked;
+        this.stackClears = data.counters.stackClears;
+        this.replayRecorder = restored.recorder;
+
+        this.emit('gameStart', {
+            seed: this.randomizer.getSeed(),
+            mode: this.gameMode,
+            replay: false,
+            resumed: true
+        });
+        this.gameState.setRunning(true);
+        this.setInputEnabled(true);
+
+        console.log(`GameCore: Resumed a ${this.gameMode} game at frame ${this.frame}`);
+        return true;
+    }
+
+    /**
+     * Checks a saved game and builds the objects it describes
+     * The board goes through GameBoard.validateBoard and the score through GameState.validateState.
+     * @param {Object} data - Saved game
+     * @returns {{board: GameBoard, score: Object, randomizer: PieceRandomizer, piece: Tetromino|null,
+     *          nextQueue: Tetromino[], hold: Tetromino|null, recorder: ReplayRecorder|null,
+     *          lineClearDelay: number, spawnDelay: number, pieceSet: string}} Restored objects
+     * @throws {Error} Describing the first problem found
+     */
+    validateSaveData(data) {
+        if (!data || typeof data !== 'object' || data.format !== SAVED_GAME_FORMAT) {
+            throw new Error('Not a saved game');
+        }
+        if (data.version !== SAVED_GAME_VERSION) {
+            throw new Error(`Unsupported saved game version ${data.version}`);
+        }
+
+        const mode = GAME_MODES[data.mode];
+        if (!Object.prototype.hasOwnProperty.call(GAME_MODES, data.mode) || mode.players !== 1) {
+            throw new Error(`Unsupported game mode: ${data.mode}`);
+        }
+
+        // Saves from before piece sets were recorded dealt the tetrominoes
+        const pieceSet = data.pieceSet === undefined ? 'classic' : data.pieceSet;
+        const types = getPieceSetTypes(pieceSet);
+        if (!types) {
+            throw new Error(`Unknown piece set: ${pieceSet}`);
+        }
+
+        const isCount = value => Number.isInteger(value) && value >= 0;
+        const createPiece = (type, rotation = 0) => {
+            const piece = types.includes(type) ? new Tetromino(type) : null;
+            if (!piece || !piece.setRotation(rotation)) {
+                throw new Error(`Invalid piece: ${type}`);
+            }
+            return piece;
+        };
+
+        const board = new GameBoard(this.gameBoard.width, this.gameBoard.height);
+        if (!board.setBoard(data.board) || !board.validateBoard() ||
+            !board.getBoard().every(row => row.every(cell => cell === 0 ||
+                Object.prototype.hasOwnProperty.call(CELL_TYPES, cell)))) {
+            throw new Error('Invalid board');
+        }
+
+        // Only the known score fields are copied, so a save cannot overwrite anything else on GameState
+        const saved = data.score || {};
+        const score = {};
+        SAVED_SCORE_FIELDS.forEach(field => {
+            score[field] = saved[field];
+        });
+        const state = new GameState();
+        state.setLevelCurve(mode.levelCurve);
+        Object.assign(state, score);
+        state.setRunning(true);
+        if (!state.validateState() || !Number.isInteger(score.combo) || score.combo < -1 ||
+            typeof score.backToBack !== 'boolean' ||
+            !SAVED_SCORE_FIELDS.filter(field => !['combo', 'backToBack'].includes(field))
+                .every(field => isCount(score[field]))) {
+            throw new Error('Invalid score state');
+        }
+
+        const { piece: position, timers = {}, spin = {}, counters = {} } = data;
+        const delay = this.validateSavedDelay(data.delay, board);
+        let piece = null;
+        if (position || !delay) {
+            // There is no current piece only between pieces, during a delay
+            const { type, rotation, x, y } = position || {};
+            piece = createPiece(type, rotation);
+            if (delay || !Number.isInteger(x) || !Number.isInteger(y) || !board.isValidPosition(piece, x, y)) {
+                throw new Error('The current piece overlaps the board');
+            }
+        }
+        if (!Array.isArray(data.nextQueue) || typeof data.canHold !== 'boolean') {
+            throw new Error('Invalid next queue or hold slot');
+        }
+        const nextQueue = data.nextQueue.map(type => createPiece(type));
+        const hold = data.hold === null ? null : createPiece(data.hold);
+
+        const gameTime = isCount(timers.frame) ? timers.frame * CONFIG.FRAME_DURATION : -1;
+        const isTime = value => typeof value === 'number' && value >= 0 && value <= gameTime;
+        // Saves from before spawn timing was recorded were played without delays
+        const lineClearDelay = timers.lineClearDelay === undefined ? 0 : timers.lineClearDelay;
+        const spawnDelay = timers.spawnDelay === undefined ? 0 : timers.spawnDelay;
+        if (gameTime < 0 || !isTime(timers.lastDropTime) ||
+            !(timers.lockTimerStart === null || isTime(timers.lockTimerStart)) ||
+            !isCount(lineClearDelay) || !isCount(spawnDelay) ||
+            (delay && delay.end > gameTime + (delay.phase === 'lineClear' ? lineClearDelay : spawnDelay)) ||
+            !isCount(timers.lockResets) || !isCount(timers.lockDelay) || !isCount(timers.maxLockResets) ||
+            typeof spin.lastMoveWasRotation !== 'boolean' || !isCount(spin.lastKickIndex) ||
+            !isCount(counters.piecesLocked) || !isCount(counters.stackClears)) {
+            throw new Error('Invalid timers or counters');
+        }
+
+        const randomizer = this.restoreRandomizer(data.randomizer, types);
+        const recorder = data.replay === null ? null : this.restoreReplayRecorder(data.replay, timers.frame);
+
+        return { board, score, randomizer, piece, nextQueue, hold, recorder, lineClearDelay, spawnDelay, pieceSet };
+    }
+
+    /**
+     * Checks the delay a game was saved in, if any
+     * @param {Object|null|undefined} delay - { phase, end, rows, rotation, hold }
+     * @param {GameBoard} board - Saved board (rows being cleared must still be complete on it)
+     * @returns {Object|null} The delay, or null if the game was saved with a piece in play
+     * @throws {Error} If the delay is damaged
+     */
+    validateSavedDelay(delay, board) {
+        if (delay === null || delay === undefined) {
+            return null;
+        }
+
+        const rows = delay.rows;
+        const rowsValid = Array.isArray(rows) && rows.every(row => board.isLineComplete(row)) &&
+            (delay.phase === 'lineClear' ? rows.length > 0 : rows.length === 0);
+        if (!['lineClear', 'spawn'].includes(delay.phase) || !rowsValid ||
+            typeof delay.end !== 'number' || !(delay.end >= 0) ||
+            ![0, 1, 2, 3].includes(delay.rotation) || typeof delay.hold !== 'boolean') {
+            throw new Error('Invalid delay');
+        }
+        return delay;
+    }
+
+    /**
+     * Rebuilds a saved randomizer and checks that it deals valid pieces
+     * @param {Object} saved - { type, seed, state }
+     * @param {string[]} types - Piece types of the saved game's piece set
+     * @returns {PieceRandomizer} Randomizer continuing the saved sequence
+     * @throws {Error} If the randomizer cannot be restored
+     */
+    restoreRandomizer(saved, types = getTetrominoTypes()) {
+        if (!saved || !Object.prototype.hasOwnProperty.call(RANDOMIZER_TYPES, saved.type) ||
+            !saved.state || typeof saved.state !== 'object') {
+            throw new Error('Invalid randomizer');
+        }
+
+        const restore = () => {
+            const randomizer = createRandomizer(saved.type, saved.seed, types);
+            randomizer.setState(saved.state);
+            return randomizer;
+        };
+
+        // Deal a few pieces from a copy: a damaged state shows up as unknown piece types
+        const probe = restore();
+        for (let i = 0; i < 14; i++) {
+            if (!types.includes(probe.next())) {
+                throw new Error('The randomizer state deals invalid pieces');
+            }
+        }
+        return restore();
+    }
+
+    /**
+     * Rebuilds the replay recorder of a saved game
+     * @param {Object} saved - { header, inputs, lastFrame }
+     * @param {number} frame - Frame the game was saved on
+     * @returns {ReplayRecorder} Recorder continuing the saved input stream
+     * @throws {Error} If the recording is damaged
+     */
+    restoreReplayRecorder(saved, frame) {
+        const inputs = saved && Array.isArray(saved.inputs) ? saved.inputs : null;
+        if (!inputs || inputs.length % 2 !== 0 || !saved.header || saved.header.format !== REPLAY_FORMAT ||
+            !Number.isInteger(saved.lastFrame) || saved.lastFrame < 0 || saved.lastFrame > frame ||
+            !inputs.every((value, index) => Number.isInteger(value) && value >= 0 &&
+                (index % 2 === 0 || value < REPLAY_COMMANDS.length))) {
+            throw new Error('Invalid replay recording');
+        }
+
+        const recorder = new ReplayRecorder(saved.header);
+        recorder.inputs = [...inputs];
+        recorder.lastFrame = saved.lastFrame;
+        return recorder;
+    }
+
+    /**
+     * Selects the randomizer used for the next game
+     * @param {string} type - Randomizer key from RANDOMIZER_TYPES
+     * @returns {boolean} True if the randomizer type was set
+     */
+    setRandomizerType(type) {
+        if (!RANDOMIZER_TYPES[type]) {
+            console.warn(`GameCore: Unknown randomizer type: ${type}`);
+            return false;
+        }
+
+        this.randomizerType = type;
+        return true;
+    }
+
+    /**
+     * Gets the randomizer type used for games
+     * @returns {string} Randomizer key
+     */
+    getRandomizerType() {
+        return this.randomizerType;
+    }
+
+    /**
+     * Selects the piece set dealt in the next game
+     * Refused during a game, since replays record the set the game started with.
+     * @param {string} id - Piece set key from PIECE_SETS
+     * @returns {boolean} True if the piece set was selected
+     */
+    setPieceSet(id) {
+        if (!Object.prototype.hasOwnProperty.call(PIECE_SETS, id)) {
+            console.warn(`GameCore: Unknown piece set: ${id}`);
+            return false;
+        }
+
+        if (this.gameState.isRunningState() || this.replayPlayer) {
+            console.warn('GameCore: The piece set cannot change during a game');
+            return false;
+        }
+
+        this.pieceSet = id;
+        return true;
+    }
+
+    /**
+     * Gets the piece set dealt in games
+     * @returns {string} Piece set key
+     */
+    getPieceSet() {
+        return this.pieceSet;
+    }
+
+    /**
+     * Fixes the seed used for the next games, so their piece sequences are identical
+     * @param {number|string|null} seed - Seed to use, or null to roll a new seed per game
+     * @returns {boolean} True if the seed was set
+     */
+    setSeed(seed) {
+        if (seed === null) {
+            this.seed = null;
+            return true;
+        }
+
+        try {
+            this.seed = normalizeSeed(seed);
+            return true;
+        } catch (error) {
+            console.warn(`GameCore: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Gets the seed of the current game (or the fixed seed if no game has started)
+     * @returns {number|null} Seed value
+     */
+    getSeed() {
+        return this.randomizer ? this.randomizer.getSeed() : this.seed;
+    }
+
+    /**
+     * Gets the spawn position for a piece
+     * Pieces spawn with their filled blocks horizontally centred (rounded left) and their top filled
+     * row on row 0; for the tetrominoes this is the same as centring their SRS bounding box
+     * @param {Tetromino} piece - The piece to position
+     * @returns {{x: number, y: number}} Spawn position on the board
+     */
+    getSpawnPosition(piece) {
+        const blocks = piece.getFilledBlocks();
+        const topRow = Math.min(...blocks.map(block => block.row));
+        const leftCol = Math.min(...blocks.map(block => block.col));
+        const width = Math.max(...blocks.map(block => block.col)) - leftCol + 1;
+
+        return {
+            x: Math.floor((this.gameBoard.width - width) / 2) - leftCol,
+            y: -topRow
+        };
+    }
+
+    /**
+     * Moves the current piece to its spawn position
+     */
+    moveToSpawnPosition() {
+        const spawn = this.getSpawnPosition(this.currentPiece);
+        this.pieceX = spawn.x;
+        this.pieceY = spawn.y;
+    }
+
+    /**
+     * Checks if the game should end
+     * Evaluates game over conditions
+     * @returns {boolean} True if game should end
+     */
+    checkGameOverCondition() {
+        // Primary game over condition: new piece cannot be placed at spawn position
+        if (this.currentPiece) {
+            const spawn = this.getSpawnPosition(this.currentPiece);
+            
+            if (!this.gameBoard.isValidPosition(this.currentPiece, spawn.x, spawn.y)) {
+                return true;
+            }
+        }
+        
+        // Secondary condition: check if board is filled to the top
+        return this.gameBoard.isGameOver();
+    }
+
+    /**
+     * Restarts the game
+     * Resets all state and starts a new game
+     */
+    restart() {
+        console.log('GameCore: Restarting game...');
+        
+        // Reset the game
+        this.reset();
+        
+        // Start new game
+        this.start();
+        
+        console.log('GameCore: Game restarted successfully');
+    }
+
+    /**
+     * Resets the game to initial state
+     * Clears the board and resets all game state
+     */
+    reset() {
+        // Reset game components
+        this.gameBoard.clear();
+        this.gameState.reset();
+        
+        // Clear pieces
+        this.currentPiece = null;
+        this.nextQueue = [];
+        this.holdPiece = null;
+        this.canHold = true;
+        this.pieceX = 0;
+        this.pieceY = 0;
+        
+        // Reset timing
+        this.frame = 0;
+        this.gameTime = 0;
+        this.frameAccumulator = 0;
+        this.lastDropTime = 0;
+        this.replayInputFrame = -1;
+        this.clearLockDelay();
+        this.clearEntryDelay();
+        
+        // Reset scoring feedback
+        this.lastMoveWasRotation = false;
+        this.lastKickIndex = 0;
+        this.lastClearResult = null;
+        
+        // Reset the mode result and counters
+        this.gameResult = null;
+        this.piecesLocked = 0;
+        this.stackClears = 0;
+        
+        this.emit('reset');
+        
+        console.log('GameCore: Game reset');
+    }
+
+    /**
+     * Runs as many fixed simulation frames as the elapsed game time allows
+     * Leftover time is carried to the next call; nothing advances while paused
+     * @param {number} elapsed - Milliseconds to simulate
+     * @returns {number} Number of frames simulated
+     */
+    advanceTime(elapsed) {
+        if (this.gameState.isPausedState() || (this.replayPlayer && this.replayPlayer.paused)) {
+            return 0;
+        }
+
+        const speed = this.replayPlayer ? this.replayPlayer.speed : 1;
+        this.frameAccumulator += elapsed * speed;
+
+        let frames = 0;
+        while (this.frameAccumulator >= CONFIG.FRAME_DURATION && this.gameState.isRunningState() &&
+               !(this.replayPlayer && this.replayPlayer.paused)) {
+            this.frameAccumulator -= CONFIG.FRAME_DURATION;
+            this.safeCall(this.advanceFrame, 'piece_movement');
+            frames++;
+        }
+        return frames;
+    }
+
+    /**
+     * Applies the replay's recorded commands for the current frame, once per frame
+     */
+    applyReplayInputs() {
+        if (this.replayInputFrame === this.frame) {
+            return;
+        }
+
+        this.replayInputFrame = this.frame;
+        for (const command of this.replayPlayer.getCommands(this.frame)) {
+            this[command]();
+        }
+    }
+
+    /**
+     * Advances the simulation by one fixed frame
+     * Inputs for the frame are applied first: auto-shift from held keys while playing,
+     * or the recorded commands while watching a replay
+     */
+    advanceFrame() {
+        if (this.replayPlayer) {
+            this.applyReplayInputs();
+            
+            // Inputs on the last frame (e.g. the hard drop that ended the game) apply before stopping
+            if (this.replayPlayer.isFinished(this.frame) || !this.gameState.isRunningState()) {
+                this.replayPlayer.pause();
+                this.emit('replayChange');
+                return;
+            }
+        } else {
+            // Held inputs (e.g. DAS) keep charging between pieces, so they update before any piece checks
+            for (const adapter of this.inputAdapters) {
+                if (typeof adapter.update === 'function') {
+                    adapter.update(this.gameTime);
+                }
+            }
+        }
+
+        this.frame++;
+        this.gameTime = this.frame * CONFIG.FRAME_DURATION;
+        this.update(this.gameTime);
+        this.checkTimeLimit();
+    }
+
+    /**
+     * Updates the game state
+     * Handles gravity and lock delay for the current piece
+     * @param {number} currentTime - Game time in milliseconds
+     */
+    update(currentTime = this.gameTime) {
+        if (this.delayPhase) {
+            this.updateEntryDelay(currentTime);
+            return;
+        }
+
+        if (!this.currentPiece) {
+            return;
+        }
+
+        // Handle automatic piece dropping based on level
+        this.handleAutomaticDrop(currentTime);
+        
+        // Lock the piece once it has rested on the stack long enough
+        this.updateLockDelay(currentTime);
+    }
+
+    /**
+     * Handles automatic tetromino dropping based on level speed
+     * Implements the core drop timer system with level-based speed adjustment
+     * @param {number} currentTime - Game time in milliseconds
+     */
+    handleAutomaticDrop(currentTime = this.gameTime) {
+        const dropSpeed = this.gameState.getDropSpeed();
+        
+        // Check if enough time has passed for the next drop
+        if (currentTime - this.lastDropTime >= dropSpeed) {
+            this.performAutomaticDrop(currentTime);
+            this.lastDropTime = currentTime;
+        }
+    }
+
+    /**
+     * Performs an automatic drop of the current piece
+     * A grounded piece is not placed here; it starts the lock delay instead
+     * @param {number} currentTime - Game time in milliseconds
+     */
+    performAutomaticDrop(currentTime = this.gameTime) {
+        if (!this.currentPiece) {
+            return;
+        }
+
+        const newY = this.pieceY + 1;
+        
+        // Check if piece can move down one more row
+        if (this.gameBoard.isValidPosition(this.currentPiece, this.pieceX, newY)) {
+            // Move piece down
+            this.pieceY = newY;
+            this.lastMoveWasRotation = false;
+        } else if (this.lockTimerStart === null) {
+            // Piece has reached bottom or hit another piece
+            this.startLockDelay(currentTime);
+        }
+    }
+
+    /**
+     * Handles the completion of a piece drop
+     * Places the piece, clears lines, and spawns the next piece
+     */
+    handleDropCompletion() {
+        if (!this.currentPiece) {
+            return;
+        }
+
+        console.log(`GameCore: Drop completed for ${this.currentPiece.getType()} at (${this.pieceX}, ${this.pieceY})`);
+        
+        // T-spins are judged on the final position, before the piece joins the board
+        const tSpin = this.detectTSpin();
+        
+        // Place the piece on the board
+        const placed = this.gameBoard.placePiece(this.currentPiece, this.pieceX, this.pieceY);
+        
+        if (!placed) {
+            console.error('GameCore: Failed to place piece during drop completion');
+            this.gameOver();
+            return;
+        }
+
+        // Process line clearing (with a line clear delay the rows stay until it ends)
+        const lockedPiece = { type: this.currentPiece.getType(), x: this.pieceX, y: this.pieceY };
+        const rows = this.gameBoard.findCompletedLines();
+        const result = this.processLineClearAfterDrop(tSpin, rows);
+        this.piecesLocked++;
+        this.emit('pieceLock', { ...lockedPiece, clear: result, rows });
+        
+        // A listener may have ended the game (e.g. versus garbage pushing the stack out)
+        if (this.gameState.isGameOverState()) {
+            return;
+        }
+        
+        // Reaching the mode's line goal ends the game instead of spawning
+        if (this.checkLineGoal()) {
+            return;
+        }
+        
+        // Spawn the next piece, after the delays
+        this.beginEntryDelay();
+    }
+
+    /**
+     * Processes line clearing after a piece has been placed
+     * Updates score and level based on lines cleared and the kind of clear
+     * @param {string} tSpin - T-spin result for the locked piece ('none', 'mini' or 'full')
+     * @param {number[]} rows - Completed rows (removed now, or kept as clearingRows during a line clear delay)
+     * @returns {Object} Line clear result from GameState.processLineClear
+     */
+    processLineClearAfterDrop(tSpin = 'none', rows = this.gameBoard.findCompletedLines()) {
+        const linesCleared = rows.length;
+        const perfectClear = linesCleared > 0 &&
+            this.gameBoard.getFilledCellCount() === linesCleared * this.gameBoard.width;
+        if (linesCleared > 0 && this.lineClearDelay > 0) {
+            this.clearingRows = rows;
+        } else {
+            this.gameBoard.clearLines();
+        }
+        
+        // Every lock is scored so that combos end on a piece that clears nothing
+        const result = this.gameState.processLineClear(linesCleared, { tSpin, perfectClear });
+        this.lastClearResult = result;
+        
+        if (result.pointsAwarded > 0 || result.linesCleared > 0) {
+            console.log(`GameCore: ${result.lineClearType}! +${result.pointsAwarded} points`);
+            this.emit('lineClear', result);
+        }
+        
+        if (result.levelIncreased) {
+            console.log(`GameCore: Level up! Now level ${result.newLevel} (speed: ${result.newDropSpeed}ms)`);
+        }
+        
+        return result;
+    }
+
+    /**
+     * Detects a T-spin for the current piece using the 3-corner rule
+     * The last successful action must be a rotation. Three of the four cells diagonal to the
+     * T's centre must be blocked; if both corners the T points at are blocked it is a full
+     * T-spin, otherwise a mini. The last SRS kick (index 4) always counts as a full T-spin.
+     * @returns {string} 'none', 'mini' or 'full'
+     */
+    detectTSpin() {
+        if (!this.currentPiece || this.currentPiece.getType() !== 'T' || !this.lastMoveWasRotation) {
+            return 'none';
+        }
+
+        // Corners of the 3x3 bounding box: top-left, top-right, bottom-right, bottom-left
+        const corners = [[0, 0], [0, 2], [2, 2], [2, 0]].map(([row, col]) =>
+            this.isCellBlocked(this.pieceY + row, this.pieceX + col)
+        );
+        const blockedCount = corners.filter(Boolean).length;
+        
+        if (blockedCount < 3) {
+            return 'none';
+        }
+
+        // The two corners on the side the T points to, indexed by rotation (0 = up, 1 = right, ...)
+        const rotation = this.currentPiece.getRotation();
+        const frontCorners = [corners[rotation], corners[(rotation + 1) % 4]];
+        
+        if (frontCorners.every(Boolean) || this.lastKickIndex === 4) {
+            return 'full';
+        }
+        return 'mini';
+    }
+
+    /**
+     * Checks if a board cell blocks a piece (filled, or beside/below the playfield)
+     * Cells above the visible board count as open
+     * @param {number} row - Board row
+     * @param {number} col - Board column
+     * @returns {boolean} True if the cell is blocked
+     */
+    isCellBlocked(row, col) {
+        const { width, height } = this.gameBoard.getDimensions();
+        
+        if (col < 0 || col >= width || row >= height) {
+            return true;
+        }
+        if (row < 0) {
+            return false;
+        }
+        return this.gameBoard.isFilled(row, col);
+    }
+
+    /**
+     * Gets the current drop speed based on level
+     * @returns {number} Drop speed in milliseconds
+     */
+    getCurrentDropSpeed() {
+        return this.gameState.getDropSpeed();
+    }
+
+    /**
+     * Resets the drop timer
+     * Used when resuming from pause or after manual movements
+     */
+    resetDropTimer() {
+        this.lastDropTime = this.gameTime;
+        console.log('GameCore: Drop timer reset');
+    }
+
+    /**
+     * Checks whether the current piece is resting on the floor or the stack
+     * @returns {boolean} True if the piece cannot move down
+     */
+    isPieceGrounded() {
+        if (!this.currentPiece) {
+            return false;
+        }
+        return !this.gameBoard.isValidPosition(this.currentPiece, this.pieceX, this.pieceY + 1);
+    }
+
+    /**
+     * Starts the lock delay timer for a grounded piece
+     * @param {number} currentTime - Game time in milliseconds
+     */
+    startLockDelay(currentTime = this.gameTime) {
+        this.lockTimerStart = currentTime;
+        console.log('GameCore: Piece touched down, lock delay started');
+    }
+
+    /**
+     * Starts the delays between a lock and the next piece, or spawns it at once without them
+     * The line clear delay runs first when rows are being cleared, then the spawn delay (ARE).
+     */
+    beginEntryDelay() {
+        this.currentPiece = null;
+        this.clearLockDelay();
+        
+        if (this.clearingRows.length > 0) {
+            this.delayPhase = 'lineClear';
+            this.delayEnd = this.gameTime + this.lineClearDelay;
+        } else if (this.spawnDelay > 0) {
+            this.delayPhase = 'spawn';
+            this.delayEnd = this.gameTime + this.spawnDelay;
+        } else {
+            this.spawnNextPiece();
+        }
+    }
+
+    /**
+     * Advances the line clear and spawn delays
+     * @param {number} currentTime - Game time in milliseconds
+     */
+    updateEntryDelay(currentTime = this.gameTime) {
+        if (currentTime < this.delayEnd) {
+            return;
+        }
+
+        if (this.delayPhase === 'lineClear') {
+            this.removeClearingRows();
+            if (this.spawnDelay > 0) {
+                this.delayPhase = 'spawn';
+                this.delayEnd = currentTime + this.spawnDelay;
+                return;
+            }
+        }
+        
+        this.spawnAfterDelay(currentTime);
+    }
+
+    /**
+     * Removes the rows kept on the board during the line clear delay
+     */
+    removeClearingRows() {
+        if (this.clearingRows.length > 0) {
+            // Nothing else changes the board during the delay, so the same rows are still complete
+            this.gameBoard.clearLines();
+            this.clearingRows = [];
+        }
+    }
+
+    /**
+     * Spawns the next piece once the delays are over, then applies the buffered hold and rotation
+     * @param {number} currentTime - Game time in milliseconds
+     */
+    spawnAfterDelay(currentTime = this.gameTime) {
+        const hold = this.bufferedHold;
+        const rotation = this.bufferedRotation;
+        this.clearEntryDelay();
+        
+        this.spawnNextPiece();
+        if (!this.currentPiece || this.gameState.isGameOverState()) {
+            return;
+        }
+        
+        // Gravity starts with the piece, rather than counting the delay as falling time
+        this.lastDropTime = currentTime;
+        if (hold) {
+            this.hold();
+        }
+        if (rotation === 2) {
+            this.performRotation(1);
+            this.performRotation(1);
+        } else if (rotation !== 0) {
+            this.performRotation(rotation === 1 ? 1 : -1);
+        }
+    }
+
+    /**
+     * Ends any delay and forgets buffered inputs
+     * Rows still waiting to be cleared are removed.
+     */
+    clearEntryDelay() {
+        this.removeClearingRows();
+        this.delayPhase = null;
+        this.delayEnd = 0;
+        this.bufferedRotation = 0;
+        this.bufferedHold = false;
+    }
+
+    /**
+     * Checks if the game is waiting out a line clear or spawn delay
+     * @returns {boolean} True while there is no piece because of a delay
+     */
+    isInEntryDelay() {
+        return this.delayPhase !== null;
+    }
+
+    /**
+     * Gets how far the line clear delay has run
+     * @returns {number} 0 at the lock to 1 when the rows are removed (1 when no rows are clearing)
+     */
+    getLineClearProgress() {
+        if (this.delayPhase !== 'lineClear' || this.lineClearDelay <= 0) {
+            return 1;
+        }
+        return Math.min(1, Math.max(0, 1 - (this.delayEnd - this.gameTime) / this.lineClearDelay));
+    }
+
+    /**
+     * Buffers a rotation or hold pressed during a delay, to apply when the next piece spawns
+     * @param {string} command - 'rotate', 'rotateCounterClockwise' or 'hold'
+     * @returns {boolean} True if the command was buffered
+     */
+    bufferEntryInput(command) {
+        if (!this.delayPhase || !this.gameState.isRunningState() ||
+            this.gameState.isPausedState() || this.gameState.isGameOverState()) {
+            return false;
+        }
+
+        if (command === 'hold') {
+            if (this.bufferedHold) {
+                return false;
+            }
+            this.bufferedHold = true;
+        } else {
+            this.bufferedRotation = (this.bufferedRotation + (command === 'rotate' ? 1 : 3)) % 4;
+        }
+        console.log(`GameCore: Buffered ${command} for the next piece`);
+        return true;
+    }
+
+    /**
+     * Sets the line clear delay and the spawn delay (ARE)
+     * Refused during a game, since replays record the timing the game started with.
+     * @param {number} lineClearDelay - ms completed rows stay before they are removed (0 = at once)
+     * @param {number} spawnDelay - ms before the next piece appears (0 = at once)
+     * @returns {boolean} True if the delays were applied
+     */
+    setSpawnTiming(lineClearDelay, spawnDelay = this.spawnDelay) {
+        const isDelay = value => typeof value === 'number' && Number.isFinite(value) &&
+            value >= 0 && value <= CONFIG.ENTRY_DELAY.MAX;
+        if (!isDelay(lineClearDelay) || !isDelay(spawnDelay)) {
+            console.warn(`GameCore: Invalid spawn timing: ${lineClearDelay}, ${spawnDelay}`);
+            return false;
+        }
+
+        if (this.gameState.isRunningState() || this.replayPlayer) {
+            console.warn('GameCore: Spawn timing cannot change during a game');
+            return false;
+        }
+
+        this.lineClearDelay = lineClearDelay;
+        this.spawnDelay = spawnDelay;
+        return true;
+    }
+
+    /**
+     * Stops the lock delay timer and clears the reset count
+     * Called whenever a new piece becomes the current piece
+     */
+    clearLockDelay() {
+        this.lockTimerStart = null;
+        this.lockResets = 0;
+    }
+
+    /**
+     * Advances the lock delay and locks the piece once it expires
+     * A piece that slides off a ledge becomes airborne again and its timer stops, unless its resets
+     * are used up: then the timer keeps running, so lifting and landing the piece cannot stall the game
+     * @param {number} currentTime - Game time in milliseconds
+     */
+    updateLockDelay(currentTime = this.gameTime) {
+        if (!this.currentPiece) {
+            return;
+        }
+
+        if (!this.isPieceGrounded()) {
+            if (this.lockResets < this.maxLockResets) {
+                this.lockTimerStart = null;
+            }
+            return;
+        }
+
+        if (this.lockTimerStart === null) {
+            this.startLockDelay(currentTime);
+            return;
+        }
+
+        if (currentTime - this.lockTimerStart >= this.lockDelay) {
+            this.handleDropCompletion();
+        }
+    }
+
+    /**
+     * Restarts the lock delay after a successful move or rotation
+     * Each piece may reset the timer at most maxLockResets times
+     */
+    resetLockDelay() {
+        if (this.lockTimerStart === null || this.lockResets >= this.maxLockResets) {
+            return;
+        }
+
+        this.lockResets++;
+        this.lockTimerStart = this.gameTime;
+    }
+
+    /**
+     * Gets the time left before a grounded piece locks
+     * @param {number} currentTime - Game time in milliseconds
+     * @returns {number|null} Remaining milliseconds, or null while the timer is stopped
+     */
+    getLockDelayRemaining(currentTime = this.gameTime) {
+        if (this.lockTimerStart === null) {
+            return null;
+        }
+        return Math.max(0, this.lockDelay - (currentTime - this.lockTimerStart));
+    }
+
+    /**
+     * Configures the lock delay
+     * Refused during a game, since replays record the lock delay the game started with.
+     * @param {number} duration - Lock delay in whole milliseconds (0 locks on touchdown)
+     * @param {number} maxResets - Move/rotate resets allowed per piece
+     * @returns {boolean} True if the settings were applied
+     */
+    setLockDelay(duration, maxResets = this.maxLockResets) {
+        if (!Number.isInteger(duration) || duration < 0) {
+            console.warn(`GameCore: Invalid lock delay: ${duration}`);
+            return false;
+        }
+
+        if (!Number.isInteger(maxResets) || maxResets < 0) {
+            console.warn(`GameCore: Invalid lock reset limit: ${maxResets}`);
+            return false;
+        }
+
+        if (this.gameState.isRunningState() || this.replayPlayer) {
+            console.warn('GameCore: The lock delay cannot change during a game');
+            return false;
+        }
+
+        this.lockDelay = duration;
+        this.maxLockResets = maxResets;
+        return true;
+    }
+
+    /**
+     * Draws the current frame with the renderer adapter, if one is set
+     */
+    render() {
+        if (this.renderer) {
+            this.renderer.render(this);
+        }
+    }
+
+    /**
+     * Performs a hard drop (instant drop to bottom)
+     * @returns {boolean} True if a piece was dropped and locked
+     */
+    hardDrop() {
+        if (!this.canMove()) {
+            return false;
+        }
+
+        const originalY = this.pieceY;
+        
+        // Drop piece as far as possible
+        this.pieceY = this.getHardDropY();
+        
+        // Award points for hard drop
+        const cellsDropped = this.pieceY - originalY;
+        if (cellsDropped > 0) {
+            this.lastMoveWasRotation = false;
+            this.gameState.awardHardDropPoints(cellsDropped);
+        }
+        
+        // Place the piece immediately
+        this.handleDropCompletion();
+        
+        console.log(`GameCore: Hard drop - ${cellsDropped} cells`);
+        return true;
+    }
+
+    /**
+     * Gets the row the current piece would land on if hard dropped
+     * Also used for the ghost piece projection
+     * @returns {number} Landing Y position (the current Y if there is no piece)
+     */
+    getHardDropY() {
+        if (!this.currentPiece) {
+            return this.pieceY;
+        }
+
+        let landingY = this.pieceY;
+        while (this.gameBoard.isValidPosition(this.currentPiece, this.pieceX, landingY + 1)) {
+            landingY++;
+        }
+
+        return landingY;
+    }
+
+    /**
+     * Moves the current piece left
+     * Validates the move before applying it
+     * @returns {boolean} True if the piece moved
+     */
+    moveLeft() {
+        if (!this.canMove() || !this.currentPiece) {
+            return false;
+        }
+
+        const newX = this.pieceX - 1;
+        
+        if (!this.gameBoard.isValidPosition(this.currentPiece, newX, this.pieceY)) {
+            return false;
+        }
+
+        this.pieceX = newX;
+        this.lastMoveWasRotation = false;
+        this.resetLockDelay();
+        console.log('GameCore: Moved piece left');
+        return true;
+    }
+
+    /**
+     * Moves the current piece right
+     * Validates the move before applying it
+     * @returns {boolean} True if the piece moved
+     */
+    moveRight() {
+        if (!this.canMove() || !this.currentPiece) {
+            return false;
+        }
+
+        const newX = this.pieceX + 1;
+        
+        if (!this.gameBoard.isValidPosition(this.currentPiece, newX, this.pieceY)) {
+            return false;
+        }
+
+        this.pieceX = newX;
+        this.lastMoveWasRotation = false;
+        this.resetLockDelay();
+        console.log('GameCore: Moved piece right');
+        return true;
+    }
+
+    /**
+     * Rotates the current piece clockwise
+     * Validates the rotation before applying it
+     * @returns {boolean} True if the piece was rotated
+     */
+    rotate() {
+        return this.performRotation(1);
+    }
+
+    /**
+     * Rotates the current piece counter-clockwise
+     * Validates the rotation before applying it
+     * @returns {boolean} True if the piece was rotated
+     */
+    rotateCounterClockwise() {
+        return this.performRotation(-1);
+    }
+
+    /**
+     * Rotates the current piece using the Super Rotation System
+     * Each SRS kick offset is tested in order and the first valid one is applied
+     * @param {number} direction - 1 for clockwise, -1 for counter-clockwise
+     * @returns {boolean} True if the piece was rotated
+     */
+    performRotation(direction) {
+        if (this.bufferEntryInput(direction === 1 ? 'rotate' : 'rotateCounterClockwise')) {
+            return true;
+        }
+        if (!this.canMove() || !this.currentPiece) {
+            return false;
+        }
+
+        try {
+            const result = this.currentPiece.tryRotateWithKicks(this.gameBoard, this.pieceX, this.pieceY, direction);
+
+            if (!result) {
+                console.log('GameCore: Rotation blocked - no valid kick');
+                return false;
+            }
+
+            this.pieceX = result.x;
+            this.pieceY = result.y;
+            this.lastMoveWasRotation = true;
+            this.lastKickIndex = result.kickIndex;
+            this.resetLockDelay();
+
+            if (result.kickIndex > 0) {
+                console.log(`GameCore: Rotated piece with wall kick ${result.kickIndex} (${result.x}, ${result.y})`);
+            } else {
+                console.log('GameCore: Rotated piece');
+            }
+            return true;
+        } catch (error) {
+            console.warn('GameCore: Rotation failed:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Performs soft drop (fast drop) of the current piece
+     * Moves the piece down faster than normal drop speed and awards bonus points
+     * @returns {boolean} True if the piece moved down
+     */
+    softDrop() {
+        if (!this.canMove() || !this.currentPiece) {
+            return false;
+        }
+
+        const newY = this.pieceY + 1;
+        
+        if (this.gameBoard.isValidPosition(this.currentPiece, this.pieceX, newY)) {
+            this.pieceY = newY;
+            this.lastMoveWasRotation = false;
+            
+            // Award soft drop points for the cell dropped manually
+            this.gameState.awardSoftDropPoints(1);
+            
+            // Reset drop timer to prevent double-drop
+            this.lastDropTime = this.gameTime;
+            console.log('GameCore: Soft drop');
+            return true;
+        }
+        
+        // A grounded piece is left to the lock delay so it can still slide
+        return false;
+    }
+
+    /**
+     * Spawns the next piece and generates a new next piece
+     * @returns {boolean} True if the piece was spawned, false if the game is over
+     */
+    spawnNextPiece() {
+        // Move next piece to current
+        const piece = this.takeNextPiece();
+        
+        // A new piece from the queue re-enables holding
+        this.canHold = true;
+        
+        if (!this.spawnPiece(piece)) {
+            return false;
+        }
+        
+        console.log(`GameCore: Spawned new ${this.currentPiece.getType()} piece`);
+        return true;
+    }
+
+    /**
+     * Makes a piece the current piece at its spawn position and orientation
+     * Ends the game if the spawn position is blocked, unless the mode clears the stack instead
+     * @param {Tetromino} piece - The piece to spawn
+     * @returns {boolean} True if the piece was spawned, false if the game is over
+     */
+    spawnPiece(piece) {
+        this.currentPiece = piece;
+        this.currentPiece.resetRotation();
+        this.clearLockDelay();
+        this.lastMoveWasRotation = false;
+        this.lastKickIndex = 0;
+        
+        // Position new piece at top center
+        this.moveToSpawnPosition();
+        
+        // Check if new piece can be placed (game over condition)
+        if (!this.gameBoard.isValidPosition(this.currentPiece, this.pieceX, this.pieceY) && !this.clearStackOnTopOut()) {
+            this.gameOver();
+            return false;
+        }
+        
+        this.emit('pieceSpawn', { type: this.currentPiece.getType(), x: this.pieceX, y: this.pieceY });
+        return true;
+    }
+
+    /**
+     * Wipes the stack when a piece cannot spawn in modes without a game over
+     * @returns {boolean} True if the stack was cleared and the current piece now fits
+     */
+    clearStackOnTopOut() {
+        if (this.getGameModeConfig().topOut !== 'clearStack') {
+            return false;
+        }
+
+        this.gameBoard.clear();
+        this.stackClears++;
+        this.emit('stackClear', { count: this.stackClears });
+        console.log(`GameCore: Stack cleared (${this.stackClears})`);
+        
+        return this.gameBoard.isValidPosition(this.currentPiece, this.pieceX, this.pieceY);
+    }
+
+    /**
+     * Moves the current piece into the hold slot
+     * The previously held piece (or the next piece if the slot was empty) spawns in its place.
+     * Only one hold is allowed per piece until it locks.
+     * If the piece swapped in cannot spawn, the game ends as any other top out.
+     * @returns {boolean} True if the piece was held, false if not or if the swap ended the game
+     */
+    hold() {
+        if (this.bufferEntryInput('hold')) {
+            return true;
+        }
+        if (!this.canMove() || !this.currentPiece) {
+            return false;
+        }
+
+        if (!this.canHold) {
+            console.log('GameCore: Hold already used for this piece');
+            return false;
+        }
+
+        const pieceToHold = this.currentPiece;
+        pieceToHold.resetRotation();
+
+        let spawned;
+        if (this.holdPiece) {
+            const heldPiece = this.holdPiece;
+            this.holdPiece = pieceToHold;
+            spawned = this.spawnPiece(heldPiece);
+        } else {
+            this.holdPiece = pieceToHold;
+            spawned = this.spawnNextPiece();
+        }
+        if (!spawned) {
+            return false;
+        }
+
+        // Swapped pieces cannot be held again until the next piece locks
+        this.canHold = false;
+        this.resetDropTimer();
+
+        console.log(`GameCore: Held ${pieceToHold.getType()} piece`);
+        return true;
+    }
+
+    /**
+     * Checks if the current piece can be moved
+     * @returns {boolean} True if piece can be moved
+     */
+    canMove() {
+        return this.gameState.isRunningState() && 
+               !this.gameState.isPausedState() && 
+               !this.gameState.isGameOverState() && 
+               this.currentPiece;
+    }
+
+    /**
+     * Gets the current game state
+     * @returns {Object} Current game state
+     */
+    getGameState() {
+        const state = this.gameState.getState();
+        return {
+            ...state,
+            currentPiece: this.currentPiece ? {
+                type: this.currentPiece.getType(),
+                x: this.pieceX,
+                y: this.pieceY,
+                rotation: this.currentPiece.getRotation()
+            } : null,
+            nextPiece: this.nextQueue.length > 0 ? {
+                type: this.nextQueue[0].getType()
+            } : null,
+            nextQueue: this.getNextQueue().map(piece => ({
+                type: piece.getType()
+            })),
+            holdPiece: this.holdPiece ? {
+                type: this.holdPiece.getType()
+            } : null,
+            canHold: this.canHold,
+            ghostY: this.currentPiece ? this.getHardDropY() : null,
+            frame: this.frame,
+            gameTime: this.gameTime,
+            replay: {
+                playing: this.replayPlayer !== null,
+                paused: this.replayPlayer ? this.replayPlayer.paused : false,
+                speed: this.replayPlayer ? this.replayPlayer.speed : 1,
+                totalFrames: this.replayPlayer ? this.replayPlayer.totalFrames : null,
+                recordedInputs: this.replayRecorder ? this.replayRecorder.getInputCount() : 0
+            },
+            combo: this.gameState.combo,
+            backToBack: this.gameState.backToBack,
+            lastClear: this.lastClearResult ? {
+                linesCleared: this.lastClearResult.linesCleared,
+                lineClearType: this.lastClearResult.lineClearType,
+                tSpin: this.lastClearResult.tSpin,
+                perfectClear: this.lastClearResult.perfectClear,
+                pointsAwarded: this.lastClearResult.pointsAwarded
+            } : null,
+            lockDelay: {
+                remaining: this.getLockDelayRemaining(),
+                resets: this.lockResets,
+                maxResets: this.maxLockResets
+            },
+            randomizer: this.randomizerType,
+            pieceSet: this.pieceSet,
+            seed: this.getSeed()
+        };
+    }
+
+    /**
+     * Validates the game engine state
+     * @returns {boolean} True if state is valid
+     */
+    validateState() {
+        // Check required components
+        if (!this.gameBoard || !this.gameState) {
+            console.error('GameCore: Missing required components');
+            return false;
+        }
+
+        // Validate game state
+        if (!this.gameState.validateState()) {
+            console.error('GameCore: Invalid game state');
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Cleans up the game
+     * Destroys the input adapters and releases all references
+     */
+    destroy() {
+        // Clean up input adapters
+        for (const adapter of this.inputAdapters) {
+            if (typeof adapter.destroy === 'function') {
+                adapter.destroy();
+            }
+        }
+        this.inputAdapters = [];
+        this.listeners.clear();
+
+        // Clear references
+        this.gameBoard = null;
+        this.gameState = null;
+        this.currentPiece = null;
+        this.nextQueue = [];
+        this.holdPiece = null;
+        this.replayRecorder = null;
+        this.replayPlayer = null;
+        this.renderer = null;
+        
+        console.log('GameCore: Destroyed and cleaned up');
+    }
+
+    // ===== ERROR HANDLING METHODS =====
+
+    /**
+     * Validates the current game state
+     * @returns {boolean} True if game state is valid
+     */
+    validateGameState() {
+        try {
+            // Check if core components exist
+            if (!this.gameBoard || !this.gameState) {
+                this.logError('Core components missing', { 
+                    gameBoard: !!this.gameBoard, 
+                    gameState: !!this.gameState 
+                });
+                return false;
+            }
+
+            // Validate game board
+            if (!this.gameBoard.validateBoard()) {
+                this.logError('GameBoard validation failed');
+                return false;
+            }
+
+            // Validate game state
+            if (!this.gameState.validateState()) {
+                this.logError('GameState validation failed');
+                return false;
+            }
+
+            // Check piece consistency
+            if (this.currentPiece && !this.validateCurrentPiece()) {
+                this.logError('Current piece validation failed');
+                return false;
+            }
+
+            return true;
+            
+        } catch (error) {
+            this.logError('Error during game state validation', error);
+            return false;
+        }
+    }
+
+    /**
+     * Validates the current piece state
+     * @returns {boolean} True if current piece is valid
+     */
+    validateCurrentPiece() {
+        try {
+            if (!this.currentPiece) {
+                return true; // No piece is valid state
+            }
+
+            // Check piece validity
+            if (!this.currentPiece.validateCurrentShape()) {
+                return false;
+            }
+
+            // Check piece position bounds
+            if (typeof this.pieceX !== 'number' || typeof this.pieceY !== 'number') {
+                return false;
+            }
+
+            // Check if piece position is reasonable (not too far out of bounds)
+            if (this.pieceX < -10 || this.pieceX > this.gameBoard.width + 10 ||
+                this.pieceY < -10 || this.pieceY > this.gameBoard.height + 10) {
+                return false;
+            }
+
+            return true;
+            
+        } catch (error) {
+            this.logError('Error validating current piece', error);
+            return false;
+        }
+    }
+
+    /**
+     * Logs an error with detailed information
+     * @param {string} message - Error message
+     * @param {Error|Object} details - Error details or additional information
+     */
+    logError(message, details = null) {
+        const errorInfo = {
+            timestamp: new Date().toISOString(),
+            message,
+            details: details instanceof Error ? {
+                name: details.name,
+                message: details.message,
+                stack: details.stack
+            } : details,
+            gameState: this.gameState ? {
+                isRunning: this.gameState.isRunningState(),
+                isPaused: this.gameState.isPausedState(),
+                isGameOver: this.gameState.isGameOverState(),
+                score: this.gameState.getScore(),
+                level: this.gameState.getLevel()
+            } : null,
+            currentPiece: this.currentPiece ? {
+                type: this.currentPiece.getType(),
+                rotation: this.currentPiece.getRotation(),
+                x: this.pieceX,
+                y: this.pieceY
+            } : null
+        };
+
+        console.error('GameCore Error:', errorInfo);
+
+        // Store error for debugging (keep last 20 errors)
+        if (!this.errorLog) {
+            this.errorLog = [];
+        }
+        
+        this.errorLog.push(errorInfo);
+        if (this.errorLog.length > 20) {
+            this.errorLog.shift();
+        }
+    }
+
+    /**
+     * Handles game logic errors
+     * @param {Error} error - The game logic error
+     * @param {string} operation - The operation that failed
+     */
+    handleGameLogicError(error, operation) {
+        this.logError(`Game logic error in ${operation}`, error);
+        
+        // Try to recover based on the operation
+        switch (operation) {
+            case 'piece_movement':
+                this.recoverFromMovementError();
+                break;
+            case 'line_clearing':
+                this.recoverFromLineClearError();
+                break;
+            case 'piece_generation':
+                this.recoverFromPieceGenerationError();
+                break;
+            default:
+                this.attemptGeneralRecovery();
+        }
+    }
+
+    /**
+     * Recovers from piece movement errors
+     */
+    recoverFromMovementError() {
+        try {
+            // Reset piece to a safe position
+            if (this.currentPiece) {
+                // Try to place piece at center top
+                this.moveToSpawnPosition();
+                
+                // If that doesn't work, generate a new piece
+                if (!this.gameBoard.isValidPosition(this.currentPiece, this.pieceX, this.pieceY)) {
+                    this.generateNewPiece();
+                }
+            }
+            
+            console.log('GameCore: Recovered from movement error');
+            
+        } catch (error) {
+            this.logError('Movement error recovery failed', error);
+            this.handleCriticalError('Cannot recover from movement error.');
+        }
+    }
+
+    /**
+     * Recovers from line clearing errors
+     */
+    recoverFromLineClearError() {
+        try {
+            // Validate board state
+            if (!this.gameBoard.validateBoard()) {
+                // Reset board if corrupted
+                this.gameBoard.clear();
+                console.warn('GameCore: Board reset due to corruption');
+            }
+            
+            // Continue game
+            console.log('GameCore: Recovered from line clear error');
+            
+        } catch (error) {
+            this.logError('Line clear error recovery failed', error);
+            this.handleCriticalError('Cannot recover from line clearing error.');
+        }
+    }
+
+    /**
+     * Recovers from piece generation errors
+     */
+    recoverFromPieceGenerationError() {
+        try {
+            // Try to generate a simple piece (I-piece as fallback)
+            this.currentPiece = new Tetromino('I');
+            this.nextQueue = [new Tetromino('O')];
+            this.fillNextQueue();
+            
+            // Position at center top
+            this.moveToSpawnPosition();
+            
+            console.log('GameCore: Recovered from piece generation error');
+            
+        } catch (error) {
+            this.logError('Piece generation error recovery failed', error);
+            this.handleCriticalError('Cannot recover from piece generation error.');
+        }
+    }
+
+    /**
+     * Attempts general error recovery
+     */
+    attemptGeneralRecovery() {
+        try {
+            // Validate and fix game state
+            if (!this.validateGameState()) {
+                // Reset to safe state
+                this.reset();
+                console.warn('GameCore: Game reset due to invalid state');
+            }
+            
+            console.log('GameCore: General recovery completed');
+            
+        } catch (error) {
+            this.logError('General recovery failed', error);
+            this.handleCriticalError('Cannot recover from error.');
+        }
+    }
+
+    /**
+     * Handles critical errors that cannot be recovered from
+     * @param {string} message - Critical error message
+     */
+    handleCriticalError(message) {
+        console.error('GameCore: CRITICAL ERROR -', message);
+        
+        // Stop the game
+        this.gameState.setGameOver(true);
+        
+        // Disable input
+        this.setInputEnabled(false);
+        
+        // Display critical error to user
+        this.displayCriticalError(message);
+    }
+
+    /**
+     * Reports an error message (GameEngine shows it on the page)
+     * @param {string} message - Error message to display
+     */
+    displayErrorMessage(message) {
+        console.warn(`GameCore: ${message}`);
+    }
+
+    /**
+     * Reports a critical error message (GameEngine shows it on the page)
+     * @param {string} message - Critical error message
+     */
+    displayCriticalError(message) {
+        console.error(`GameCore: CRITICAL: ${message}`);
+    }
+
+    /**
+     * Gets error log for debugging
+     * @returns {Array} Array of recent errors
+     */
+    getErrorLog() {
+        return this.errorLog ? [...this.errorLog] : [];
+    }
+
+    /**
+     * Clears the error log
+     */
+    clearErrorLog() {
+        this.errorLog = [];
+        this.errorRecoveryAttempts = 0;
+    }
+
+    /**
+     * Checks if game is in error state
+     * @returns {boolean} True if in error state
+     */
+    isInError() {
+        return this.isInErrorState;
+    }
+
+    /**
+     * Wraps a method call with error handling
+     * @param {Function} method - Method to call
+     * @param {string} operationName - Name of the operation for error reporting
+     * @param {...any} args - Arguments to pass to the method
+     * @returns {any} Method result or null if error occurred
+     */
+    safeCall(method, operationName, ...args) {
+        try {
+            return method.apply(this, args);
+        } catch (error) {
+            this.handleGameLogicError(error, operationName);
+            return null;
+        }
+    }
+}
+
+/**
+ * VersusMatch class - Links two GameCores into a local versus match
+ * DOM-free like GameCore. Line clears are turned into garbage for the opponent using the
+ * CONFIG.VERSUS attack tables. Garbage waits in the receiver's meter and rises when they lock
+ * a piece that clears nothing; an attack of their own cancels waiting garbage first.
+ */
+class VersusMatch {
+    /**
+     * Creates a new VersusMatch instance
+     * @param {GameCore} first - Player 1
+     * @param {GameCore} second - Player 2
+     */
+    constructor(first, second) {
+        if (!first || !second || first === second) {
+            throw new Error('VersusMatch: Two different GameCore instances are required');
+        }
+
+        // pending holds garbage batches waiting to rise ({ lines, hole }), oldest first
+        this.players = [first, second].map(core => ({ core, pending: [], sent: 0, received: 0 }));
+        this.listeners = new Map();
+        this.random = new SeededRandom(generateSeed()); // Picks the hole column of each batch
+        this.winner = null;
+        this.finished = false;
+
+        this.unsubscribers = this.players.flatMap((player, index) => [
+            player.core.on('pieceLock', event => this.handlePieceLock(index, event.clear)),
+            player.core.on('gameOver', () => this.handleGameOver(index)),
+            player.core.on('pauseChange', event => this.syncPause(index, event.paused))
+        ]);
+    }
+
+    /**
+     * Subscribes to a match event
+     * Events: garbageChange, attack, end
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event data
+     * @returns {Function} Call to unsubscribe
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Removes an event listener
+     * @param {string} event - Event name
+     * @param {Function} listener - Listener passed to on()
+     */
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+    }
+
+    /**
+     * Notifies the listeners of an event
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    emit(event, data) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) {
+            return;
+        }
+
+        for (const listener of [...listeners]) {
+            try {
+                listener(data);
+            } catch (error) {
+                console.error(`VersusMatch: Error in ${event} listener:`, error);
+            }
+        }
+    }
+
+    /**
+     * Clears the garbage meters and the winner for a new match
+     * Both cores must be started separately (see start)
+     * @param {number|string} seed - Seed for the garbage hole columns
+     */
+    prepare(seed = generateSeed()) {
+        for (const player of this.players) {
+            player.pending = [];
+            player.sent = 0;
+            player.received = 0;
+        }
+        this.random = new SeededRandom(seed);
+        this.winner = null;
+        this.finished = false;
+        this.emit('garbageChange', { pending: this.getPendingGarbage() });
+    }
+
+    /**
+     * Starts a match: both players get the same seed, so they receive the same pieces
+     * @param {number|string} seed - Match seed
+     */
+    start(seed = generateSeed()) {
+        this.prepare(seed);
+        for (const player of this.players) {
+            player.core.start(seed);
+        }
+    }
+
+    /**
+     * Advances both players by the same time
+     * @param {number} elapsed - Milliseconds to simulate
+     */
+    advanceTime(elapsed) {
+        for (const player of this.players) {
+            player.core.advanceTime(elapsed);
+        }
+    }
+
+    /**
+     * Works out how many garbage rows a locked piece sends
+     * @param {Object} clear - Line clear result from GameState.processLineClear
+     * @returns {number} Garbage rows
+     */
+    calculateAttack(clear) {
+        if (!clear || clear.linesCleared === 0) {
+            return 0;
+        }
+
+        const attack = CONFIG.VERSUS;
+        if (clear.perfectClear) {
+            return attack.PERFECT_CLEAR_ATTACK;
+        }
+
+        const table = clear.tSpin === 'full' ? attack.T_SPIN_ATTACK
+            : clear.tSpin === 'mini' ? attack.T_SPIN_MINI_ATTACK
+            : attack.LINE_ATTACK;
+        const comboAttack = attack.COMBO_ATTACK[Math.min(clear.combo, attack.COMBO_ATTACK.length - 1)];
+
+        return (getLineCountValue(table, clear.linesCleared) || 0) +
+            (clear.isBackToBack ? attack.BACK_TO_BACK_ATTACK : 0) +
+            comboAttack;
+    }
+
+    /**
+     * Sends the attack of a locked piece, or raises waiting garbage if it cleared nothing
+     * @param {number} index - Player who locked the piece
+     * @param {Object} clear - Line clear result of the lock
+     */
+    handlePieceLock(index, clear) {
+        if (this.finished) {
+            return;
+        }
+
+        const player = this.players[index];
+        if (!clear || clear.linesCleared === 0) {
+            this.raiseGarbage(index);
+            return;
+        }
+
+        const attack = this.calculateAttack(clear);
+        if (attack === 0) {
+            return;
+        }
+
+        // Offset: the attack cancels the player's own waiting garbage before anything is sent
+        const cancelled = this.cancelGarbage(player, attack);
+        const lines = attack - cancelled;
+        if (lines > 0) {
+            this.players[1 - index].pending.push({ lines, hole: this.random.nextInt(CONFIG.BOARD_WIDTH) });
+            player.sent += lines;
+        }
+
+        this.emit('attack', { from: index, attack, cancelled, sent: lines });
+        this.emit('garbageChange', { pending: this.getPendingGarbage() });
+    }
+
+    /**
+     * Removes up to a number of rows from a player's waiting garbage, oldest batch first
+     * @param {Object} player - Player entry
+     * @param {number} lines - Rows to cancel
+     * @returns {number} Rows cancelled
+     */
+    cancelGarbage(player, lines) {
+        let cancelled = 0;
+        while (cancelled < lines && player.pending.length > 0) {
+            const batch = player.pending[0];
+            const count = Math.min(batch.lines, lines - cancelled);
+            batch.lines -= count;
+            cancelled += count;
+            if (batch.lines === 0) {
+                player.pending.shift();
+            }
+        }
+        return cancelled;
+    }
+
+    /**
+     * Pushes a player's waiting garbage into their board, at most CONFIG.VERSUS.GARBAGE_CAP rows
+     * Garbage that pushes blocks off the top ends the player's game.
+     * @param {number} index - Player index
+     */
+    raiseGarbage(index) {
+        const player = this.players[index];
+        if (player.pending.length === 0) {
+            return;
+        }
+
+        let rowsLeft = CONFIG.VERSUS.GARBAGE_CAP;
+        let toppedOut = false;
+        while (rowsLeft > 0 && player.pending.length > 0 && !toppedOut) {
+            const batch = player.pending[0];
+            const count = Math.min(batch.lines, rowsLeft);
+            toppedOut = !player.core.gameBoard.addGarbageRows(count, batch.hole);
+            batch.lines -= count;
+            rowsLeft -= count;
+            player.received += count;
+            if (batch.lines === 0) {
+                player.pending.shift();
+            }
+        }
+
+        this.emit('garbageChange', { pending: this.getPendingGarbage() });
+        if (toppedOut) {
+            player.core.gameOver('topOut');
+        }
+    }
+
+    /**
+     * Ends the match when one player's game ends; the other player wins
+     * @param {number} index - Player whose game ended
+     */
+    handleGameOver(index) {
+        if (this.finished) {
+            return;
+        }
+
+        this.finished = true;
+        this.winner = 1 - index;
+        const winner = this.players[this.winner].core;
+        if (winner.gameState.isRunningState() && !winner.gameState.isGameOverState()) {
+            winner.gameOver('win');
+        }
+
+        console.log(`VersusMatch: Player ${this.winner + 1} wins`);
+        this.emit('end', { winner: this.winner, results: this.getResults() });
+    }
+
+    /**
+     * Pauses or resumes the other player along with this one
+     * @param {number} index - Player whose pause state changed
+     * @param {boolean} paused - New pause state
+     */
+    syncPause(index, paused) {
+        const other = this.players[1 - index].core;
+        if (this.finished || !other.gameState.isRunningState() || other.gameState.isGameOverState()) {
+            return;
+        }
+
+        if (other.gameState.isPausedState() !== paused) {
+            other.pause();
+        }
+    }
+
+    /**
+     * Gets the garbage rows waiting for each player
+     * @returns {number[]} Waiting rows for player 1 and player 2
+     */
+    getPendingGarbage() {
+        return this.players.map(player => player.pending.reduce((sum, batch) => sum + batch.lines, 0));
+    }
+
+    /**
+     * Gets each player's game result with their garbage totals
+     * @returns {Object[]} Results from GameCore.getGameResult plus garbageSent and garbageReceived
+     */
+    getResults() {
+        return this.players.map(player => ({
+            ...player.core.getGameResult(),
+            garbageSent: player.sent,
+            garbageReceived: player.received
+        }));
+    }
+
+    /**
+     * Gets the winner of the finished match
+     * @returns {number|null} 0 or 1, or null while the match is being played
+     */
+    getWinner() {
+        return this.winner;
+    }
+
+    /**
+     * Stops listening to the players
+     */
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.listeners.clear();
+    }
+}
+
+/**
+ * AutoPlayer class - Plays a GameCore by itself
+ * Finds every placement the current (or held) piece can reach, scores the board each one
+ * leaves with CONFIG.BOT.WEIGHTS and plays the best through executeCommand, so its games
+ * are recorded like any other. Runs as an input adapter; getHint() serves the hint overlay.
+ */
+class AutoPlayer {
+    /**
+     * Creates a new AutoPlayer instance
+     * @param {GameCore} game - Game to play
+     * @param {Object} options - Optional settings
+     * @param {string} options.strength - Key of CONFIG.BOT.STRENGTHS
+     * @param {number} options.actionDelay - Game-time ms between commands (0 = a whole placement per frame)
+     * @param {number|string} options.seed - Seed for the mistakes of weaker strengths
+     */
+    constructor(game, options = {}) {
+        if (!game || typeof game.executeCommand !== 'function') {
+            throw new Error('AutoPlayer: GameCore reference is required');
+        }
+
+        this.game = game;
+        this.strength = CONFIG.BOT.DEFAULT_STRENGTH;
+        this.actionDelay = CONFIG.BOT.ACTION_DELAY;
+        this.random = new SeededRandom(options.seed !== undefined ? options.seed : generateSeed());
+        this.plan = null;           // { piece, commands } for the piece being played
+        this.lastActionTime = 0;
+        this.hint = null;           // { piece, holdPiece, move } cached for the current piece
+
+        if (options.strength !== undefined) {
+            this.setStrength(options.strength);
+        }
+        if (options.actionDelay !== undefined) {
+            this.setActionDelay(options.actionDelay);
+        }
+    }
+
+    /**
+     * Sets how well the bot plays
+     * @param {string} strength - Key of CONFIG.BOT.STRENGTHS
+     * @returns {boolean} True if the strength was set
+     */
+    setStrength(strength) {
+        if (!Object.prototype.hasOwnProperty.call(CONFIG.BOT.STRENGTHS, strength)) {
+            console.warn(`AutoPlayer: Unknown strength: ${strength}`);
+            return false;
+        }
+
+        this.strength = strength;
+        this.plan = null;
+        this.hint = null;
+        return true;
+    }
+
+    /**
+     * Gets the current strength
+     * @returns {string} Key of CONFIG.BOT.STRENGTHS
+     */
+    getStrength() {
+        return this.strength;
+    }
+
+    /**
+     * Sets how fast the bot plays
+     * @param {number} delay - Game-time ms between commands, 0 to place a whole piece every frame
+     * @returns {boolean} True if the delay was set
+     */
+    setActionDelay(delay) {
+        if (typeof delay !== 'number' || !Number.isFinite(delay) || delay < 0 || delay > CONFIG.BOT.MAX_ACTION_DELAY) {
+            console.warn(`AutoPlayer: Action delay must be between 0 and ${CONFIG.BOT.MAX_ACTION_DELAY} ms`);
+            return false;
+        }
+
+        this.actionDelay = delay;
+        return true;
+    }
+
+    /**
+     * Plays the next command(s) of the plan; called by the core every frame
+     * @param {number} gameTime - Current game time in milliseconds
+     */
+    update(gameTime) {
+        const game = this.game;
+        if (!game.canMove()) {
+            return;
+        }
+
+        if (!this.plan || this.plan.piece !== game.currentPiece) {
+            const move = this.chooseMove();
+            if (!move) {
+                return;
+            }
+
+            this.plan = {
+                piece: game.currentPiece,
+                commands: [...(move.hold ? ['hold'] : []), ...move.commands, 'hardDrop']
+            };
+            this.lastActionTime = gameTime;
+        }
+
+        if (this.actionDelay === 0) {
+            while (this.plan && this.runNextCommand()) {
+                // A whole placement per frame
+            }
+        } else if (gameTime - this.lastActionTime >= this.actionDelay) {
+            this.lastActionTime = gameTime;
+            this.runNextCommand();
+        }
+    }
+
+    /**
+     * Runs the next command of the plan
+     * A blocked command (gravity or garbage moved the piece first) drops the plan,
+     * so the next frame plans again from where the piece is.
+     * @returns {boolean} True if more commands are left
+     */
+    runNextCommand() {
+        const command = this.plan.commands.shift();
+        const result = this.game.executeCommand(command);
+
+        if (result === false || this.plan.commands.length === 0) {
+            this.plan = null;
+            return false;
+        }
+
+        // The held piece spawned in its place and carries on with the plan
+        if (command === 'hold') {
+            this.plan.piece = this.game.currentPiece;
+        }
+        return true;
+    }
+
+    /**
+     * Picks the move to play, with the occasional mistake for weaker strengths
+     * @returns {Object|null} Move from findMoves, or null if the piece cannot go anywhere
+     */
+    chooseMove() {
+        const moves = this.findMoves();
+        if (moves.length === 0) {
+            return null;
+        }
+
+        if (this.random.next() < CONFIG.BOT.STRENGTHS[this.strength].mistakeRate) {
+            return moves[this.random.nextInt(Math.min(moves.length, CONFIG.BOT.MISTAKE_CHOICES))];
+        }
+        return moves[0];
+    }
+
+    /**
+     * Gets the best move for the current piece, for the hint overlay
+     * The result is cached until the piece (or the hold slot) changes.
+     * @returns {Object|null} Best move from findMoves, or null while no piece is in play
+     */
+    getHint() {
+        const game = this.game;
+        if (!game.canMove()) {
+            return null;
+        }
+
+        if (!this.hint || this.hint.piece !== game.currentPiece || this.hint.holdPiece !== game.holdPiece) {
+            this.hint = {
+                piece: game.currentPiece,
+                holdPiece: game.holdPiece,
+                move: this.findMoves()[0] || null
+            };
+        }
+        return this.hint.move;
+    }
+
+    /**
+     * Scores every placement of the current piece, and of the held piece when the strength holds
+     * @returns {Object[]} Moves ({ hold, piece, x, y, commands, score }), best first
+     */
+    findMoves() {
+        const game = this.game;
+        if (!game.currentPiece) {
+            return [];
+        }
+
+        const settings = CONFIG.BOT.STRENGTHS[this.strength];
+        const queue = game.getNextQueue();
+        const options = [{ hold: false, piece: game.currentPiece, x: game.pieceX, y: game.pieceY, next: queue[0] }];
+
+        if (settings.hold && game.canHold) {
+            // Holding spawns the held piece, or the next one when the slot is empty
+            const swapped = game.holdPiece || queue[0];
+            if (swapped) {
+                const piece = swapped.clone();
+                piece.resetRotation();
+                const spawn = game.getSpawnPosition(piece);
+                options.push({
+                    hold: true, piece, x: spawn.x, y: spawn.y,
+                    next: game.holdPiece ? queue[0] : queue[1]
+                });
+            }
+        }
+
+        // Looking ahead needs the next piece of every option to be visible
+        const lookahead = settings.lookahead && options.every(option => option.next);
+        const moves = [];
+
+        for (const option of options) {
+            for (const placement of this.findPlacements(game.gameBoard, option.piece, option.x, option.y)) {
+                const result = this.placeOnGrid(game.gameBoard.getBoard(), placement.piece, placement.x, placement.y);
+                const score = lookahead
+                    ? this.scoreNextPiece(result, option.next)
+                    : this.evaluateBoard(result.grid, result.linesCleared).score;
+
+                moves.push({ hold: option.hold, ...placement, score });
+            }
+        }
+
+        return moves.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Scores a board by the best placement of the next piece on it
+     * The next piece is only tried with plain drops, which keeps the lookahead affordable.
+     * @param {{grid: number[][], linesCleared: number}} result - Board after the first placement
+     * @param {Tetromino} nextPiece - Next piece
+     * @returns {number} Best score after both placements (-Infinity if the next piece cannot spawn)
+     */
+    scoreNextPiece(result, nextPiece) {
+        const board = new GameBoard(result.grid[0].length, result.grid.length);
+        board.setBoard(result.grid);
+
+        const piece = nextPiece.clone();
+        piece.resetRotation();
+        const spawn = this.game.getSpawnPosition(piece);
+        if (!board.isValidPosition(piece, spawn.x, spawn.y)) {
+            return -Infinity;
+        }
+
+        let best = -Infinity;
+        for (const placement of this.findDropPlacements(board, piece, spawn.y)) {
+            const next = this.placeOnGrid(result.grid, placement.piece, placement.x, placement.y);
+            const score = this.evaluateBoard(next.grid, result.linesCleared + next.linesCleared).score;
+            best = Math.max(best, score);
+        }
+        return best;
+    }
+
+    /**
+     * Finds every resting position a piece can reach from where it is
+     * Searches moves, rotations (with SRS kicks) and soft drops breadth first, so each
+     * placement comes with the shortest command list that reaches it, tucks and spins included.
+     * @param {GameBoard} board - Board to search
+     * @param {Tetromino} piece - Piece in its current rotation
+     * @param {number} startX - Column of the piece
+     * @param {number} startY - Row of the piece
+     * @returns {Object[]} Placements ({ piece, x, y, commands }); the commands end before the hard drop
+     */
+    findPlacements(board, piece, startX, startY) {
+        const probe = piece.clone();
+        if (!board.isValidPosition(probe, startX, startY)) {
+            return [];
+        }
+
+        const start = { rotation: probe.getRotation(), x: startX, y: startY, parent: null, command: null };
+        const queue = [start];
+        const visited = new Set([`${start.rotation},${startX},${startY}`]);
+        const placements = new Map(); // By covered cells, so symmetric rotations count once
+
+        for (let index = 0; index < queue.length; index++) {
+            const state = queue[index];
+            probe.setRotation(state.rotation);
+
+            if (!board.isValidPosition(probe, state.x, state.y + 1)) {
+                const cells = probe.getFilledBlocks()
+                    .map(block => (state.y + block.row) * board.width + state.x + block.col)
+                    .sort((a, b) => a - b)
+                    .join(',');
+                if (!placements.has(cells)) {
+                    const placed = probe.clone();
+                    placements.set(cells, { piece: placed, x: state.x, y: state.y, commands: this.getPath(state) });
+                }
+            }
+
+            for (const next of this.getNextStates(board, probe, state)) {
+                const key = `${next.rotation},${next.x},${next.y}`;
+                if (!visited.has(key)) {
+                    visited.add(key);
+                    queue.push(next);
+                }
+            }
+        }
+
+        return [...placements.values()];
+    }
+
+    /**
+     * Finds the resting positions of a piece dropped straight down in each rotation and column
+     * @param {GameBoard} board - Board to search
+     * @param {Tetromino} piece - Piece to drop
+     * @param {number} startY - Row the drops start from
+     * @returns {Object[]} Placements ({ piece, x, y })
+     */
+    findDropPlacements(board, piece, startY) {
+        const placements = [];
+
+        for (let rotation = 0; rotation < 4; rotation++) {
+            const probe = piece.clone();
+            probe.setRotation(rotation);
+            const blocks = probe.getFilledBlocks();
+            const minCol = Math.min(...blocks.map(block => block.col));
+            const maxCol = Math.max(...blocks.map(block => block.col));
+
+            for (let x = -minCol; x + maxCol < board.width; x++) {
+                let y = startY;
+                if (!board.isValidPosition(probe, x, y)) {
+                    continue;
+                }
+                while (board.isValidPosition(probe, x, y + 1)) {
+                    y++;
+                }
+                placements.push({ piece: probe, x, y });
+            }
+        }
+
+        return placements;
+    }
+
+    /**
+     * Gets the positions one command away
+     * @param {GameBoard} board - Board to search
+     * @param {Tetromino} probe - Piece set to the state's rotation (rotated while testing)
+     * @param {Object} state - Search state ({ rotation, x, y })
+     * @returns {Object[]} Reachable states with their parent and command
+     */
+    getNextStates(board, probe, state) {
+        const states = [];
+        const shifts = { moveLeft: [-1, 0], moveRight: [1, 0], softDrop: [0, 1] };
+
+        for (const [command, [dx, dy]] of Object.entries(shifts)) {
+            if (board.isValidPosition(probe, state.x + dx, state.y + dy)) {
+                states.push({ rotation: state.rotation, x: state.x + dx, y: state.y + dy, parent: state, command });
+            }
+        }
+
+        for (const [command, direction] of [['rotate', 1], ['rotateCounterClockwise', -1]]) {
+            probe.setRotation(state.rotation);
+            const result = probe.tryRotateWithKicks(board, state.x, state.y, direction);
+            if (result) {
+                states.push({ rotation: result.rotation, x: result.x, y: result.y, parent: state, command });
+            }
+        }
+
+        probe.setRotation(state.rotation);
+        return states;
+    }
+
+    /**
+     * Gets the commands that lead to a search state
+     * Trailing soft drops are left out; the hard drop covers them.
+     * @param {Object} state - Search state
+     * @returns {string[]} Commands from the start position
+     */
+    getPath(state) {
+        const commands = [];
+        for (let current = state; current.parent; current = current.parent) {
+            commands.unshift(current.command);
+        }
+
+        while (commands[commands.length - 1] === 'softDrop') {
+            commands.pop();
+        }
+        return commands;
+    }
+
+    /**
+     * Places a piece on a copy of a board and removes the full rows
+     * @param {number[][]} grid - Board cells
+     * @param {Tetromino} piece - Piece to place
+     * @param {number} x - Column of the piece
+     * @param {number} y - Row of the piece
+     * @returns {{grid: number[][], linesCleared: number}} New cells and the rows cleared
+     */
+    placeOnGrid(grid, piece, x, y) {
+        const cells = grid.map(row => row.slice());
+        for (const block of piece.getFilledBlocks()) {
+            cells[y + block.row][x + block.col] = 1;
+        }
+
+        const kept = cells.filter(row => row.some(cell => cell === 0));
+        const linesCleared = cells.length - kept.length;
+        while (kept.length < cells.length) {
+            kept.unshift(Array(grid[0].length).fill(0));
+        }
+        return { grid: kept, linesCleared };
+    }
+
+    /**
+     * Scores a board with the heuristic weights
+     * @param {number[][]} grid - Board cells
+     * @param {number} linesCleared - Rows cleared on the way to this board
+     * @returns {{aggregateHeight: number, holes: number, bumpiness: number, linesCleared: number,
+     *          score: number}} Board features and their weighted sum
+     */
+    evaluateBoard(grid, linesCleared = 0) {
+        const heights = [];
+        let holes = 0;
+
+        for (let col = 0; col < grid[0].length; col++) {
+            let height = 0;
+            for (let row = 0; row < grid.length; row++) {
+                if (grid[row][col] !== 0) {
+                    height = height || grid.length - row;
+                } else if (height > 0) {
+                    holes++; // Empty cell under the top of the column
+                }
+            }
+            heights.push(height);
+        }
+
+        const aggregateHeight = heights.reduce((sum, height) => sum + height, 0);
+        let bumpiness = 0;
+        for (let col = 1; col < heights.length; col++) {
+            bumpiness += Math.abs(heights[col] - heights[col - 1]);
+        }
+
+        const weights = CONFIG.BOT.WEIGHTS;
+        const score = weights.aggregateHeight * aggregateHeight + weights.linesCleared * linesCleared +
+            weights.holes * holes + weights.bumpiness * bumpiness;
+
+        return { aggregateHeight, holes, bumpiness, linesCleared, score };
+    }
+
+    /**
+     * Forgets the plan and the cached hint (e.g. when the bot is removed)
+     */
+    destroy() {
+        this.plan = null;
+        this.hint = null;
+    }
+}
+
+const AUDIO_SETTINGS_VERSION = 1;
+const AUDIO_CHANNELS = ['master', 'music', 'effects'];
+
+// Synthesized effects: the notes (Hz) play one after another, each noteLength seconds long
+const SOUND_EFFECTS = {
+    move: { wave: 'square', notes: [196], noteLength: 0.03, volume: 0.15 },
+    rotate: { wave: 'triangle', notes: [392, 523], noteLength: 0.03, volume: 0.3 },
+    hold: { wave: 'triangle', notes: [523, 392], noteLength: 0.05, volume: 0.3 },
+    lock: { wave: 'sine', notes: [110], noteLength: 0.08, volume: 0.5 },
+    single: { wave: 'square', notes: [523, 659], noteLength: 0.06, volume: 0.3 },
+    double: { wave: 'square', notes: [523, 659, 784], noteLength: 0.06, volume: 0.3 },
+    triple: { wave: 'square', notes: [523, 659, 784, 988], noteLength: 0.06, volume: 0.3 },
+    tetris: { wave: 'square', notes: [523, 659, 784, 1047, 1319], noteLength: 0.07, volume: 0.35 },
+    tSpin: { wave: 'sawtooth', notes: [392, 587, 392, 784], noteLength: 0.06, volume: 0.25 },
+    levelUp: { wave: 'triangle', notes: [523, 784, 1047, 1568], noteLength: 0.09, volume: 0.4 },
+    gameOver: { wave: 'sawtooth', notes: [392, 330, 262, 196, 131], noteLength: 0.18, volume: 0.3 }
+};
+
+// Effects for commands that changed the game (drops are heard through the lock sound)
+const COMMAND_SOUNDS = {
+    moveLeft: 'move',
+    moveRight: 'move',
+    rotate: 'rotate',
+    rotateCounterClockwise: 'rotate',
+    hold: 'hold'
+};
+
+// Background track: A natural minor, i-VI-III-VII, with a melody rolled every few bars
+const MUSIC_PATTERN = {
+    ROOT: 220,                          // A3 (Hz)
+    SCALE: [0, 2, 3, 5, 7, 8, 10],      // Semitones above the root
+    PROGRESSION: [0, 5, 2, 6],          // Chord roots as scale degrees, one per bar
+    ARPEGGIO: [0, 1, 2, 1, 0, 1, 2, 1], // Chord tone per step
+    STEPS_PER_BAR: 8,
+    PHRASE_BARS: 4,                     // A melody phrase plays twice before a new one is rolled
+    MELODY_DENSITY: 0.55                // Chance of a melody note on a step
+};
+
+/**
+ * Creates the page's AudioContext
+ * @returns {AudioContext|null} New context, or null where WebAudio is unavailable
+ */
+function createAudioContext() {
+    const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+    return AudioContextClass ? new AudioContextClass() : null;
+}
+
+/**
+ * AudioEngine class - WebAudio sound effects and background music, all synthesized
+ * Browsers only allow audio after a user gesture, so the AudioContext is created by unlock().
+ * Until then effects are dropped, while music state is kept and starts once unlocked.
+ */
+class AudioEngine {
+    /**
+     * Creates a new AudioEngine instance
+     * @param {Object} options - { storage, storageKey, createContext, seed }
+     */
+    constructor({
+        storage = getBrowserStorage(),
+        storageKey = CONFIG.AUDIO.STORAGE_KEY,
+        createContext = createAudioContext,
+        seed = generateSeed()
+    } = {}) {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.createContext = createContext;
+        this.random = new SeededRandom(seed);
+        
+        this.volumes = { ...CONFIG.AUDIO.VOLUME };
+        this.muted = false;
+        this.loadSettings();
+        
+        // WebAudio graph (built by unlock): channel gains feed the master gain
+        this.context = null;
+        this.gains = null;
+        
+        // Music sequencer (nextStepTime is in AudioContext seconds)
+        this.musicPlaying = false;
+        this.tempo = CONFIG.AUDIO.MUSIC.BASE_TEMPO;
+        this.step = 0;
+        this.nextStepTime = 0;
+        this.melody = [];
+    }
+
+    /**
+     * Creates the AudioContext (call from a user gesture handler)
+     * Later calls resume a context the browser suspended.
+     * @returns {boolean} True if audio is available
+     */
+    unlock() {
+        if (this.context) {
+            if (this.context.state === 'suspended') {
+                Promise.resolve(this.context.resume()).catch(error => {
+                    console.warn('AudioEngine: Could not resume audio:', error.message);
+                });
+            }
+            return true;
+        }
+
+        let context;
+        try {
+            context = this.createContext();
+        } catch (error) {
+            console.warn('AudioEngine: WebAudio could not start:', error.message);
+            return false;
+        }
+        if (!context) {
+            return false;
+        }
+
+        this.context = context;
+        this.gains = {};
+        AUDIO_CHANNELS.forEach(channel => {
+            this.gains[channel] = context.createGain();
+        });
+        this.gains.music.connect(this.gains.master);
+        this.gains.effects.connect(this.gains.master);
+        this.gains.master.connect(context.destination);
+        this.applyVolumes();
+        
+        console.log('AudioEngine: Audio started');
+        return true;
+    }
+
+    /**
+     * Checks if the AudioContext exists
+     * @returns {boolean} True after a successful unlock()
+     */
+    isUnlocked() {
+        return this.context !== null;
+    }
+
+    /**
+     * Sets a channel volume and saves the settings
+     * @param {string} channel - 'master', 'music' or 'effects'
+     * @param {number} volume - 0 to 1
+     * @returns {boolean} True if the volume was applied
+     */
+    setVolume(channel, volume) {
+        if (!AUDIO_CHANNELS.includes(channel) || typeof volume !== 'number' || !(volume >= 0 && volume <= 1)) {
+            console.warn('AudioEngine: Invalid volume:', channel, volume);
+            return false;
+        }
+
+        this.volumes[channel] = volume;
+        this.applyVolumes();
+        this.saveSettings();
+        return true;
+    }
+
+    /**
+     * Gets a channel volume
+     * @param {string} channel - 'master', 'music' or 'effects'
+     * @returns {number} Volume from 0 to 1
+     */
+    getVolume(channel) {
+        return this.volumes[channel];
+    }
+
+    /**
+     * Mutes or unmutes all audio and saves the settings
+     * @param {boolean} muted - True to mute
+     */
+    setMuted(muted) {
+        this.muted = Boolean(muted);
+        this.applyVolumes();
+        this.saveSettings();
+    }
+
+    /**
+     * Checks if audio is muted
+     * @returns {boolean} True if muted
+     */
+    isMuted() {
+        return this.muted;
+    }
+
+    /**
+     * Copies the volumes and mute state to the gain nodes
+     */
+    applyVolumes() {
+        if (!this.gains) {
+            return;
+        }
+
+        this.gains.master.gain.value = this.muted ? 0 : this.volumes.master;
+        this.gains.music.gain.value = this.volumes.music;
+        this.gains.effects.gain.value = this.volumes.effects;
+    }
+
+    /**
+     * Loads saved volumes and mute state (invalid values keep their defaults)
+     * @returns {boolean} True if saved settings were applied
+     */
+    loadSettings() {
+        if (!this.storage) {
+            return false;
+        }
+
+        try {
+            const raw = this.storage.getItem(this.storageKey);
+            if (raw === null) {
+                return false;
+            }
+
+            const data = JSON.parse(raw);
+            if (!data || data.version !== AUDIO_SETTINGS_VERSION) {
+                throw new Error('Unrecognized audio settings');
+            }
+            AUDIO_CHANNELS.forEach(channel => {
+                const volume = data.volumes && data.volumes[channel];
+                if (typeof volume === 'number' && volume >= 0 && volume <= 1) {
+                    this.volumes[channel] = volume;
+                }
+            });
+            this.muted = data.muted === true;
+            return true;
+        } catch (error) {
+            console.warn('AudioEngine: Saved audio settings are unreadable, using defaults:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Writes the volumes and mute state to storage
+     * @returns {boolean} True if the settings were saved
+     */
+    saveSettings() {
+        if (!this.storage) {
+            return false;
+        }
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({
+                version: AUDIO_SETTINGS_VERSION,
+                volumes: this.volumes,
+                muted: this.muted
+            }));
+            return true;
+        } catch (error) {
+            console.warn('AudioEngine: Could not save audio settings:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Plays a sound effect
+     * @param {string} name - Key of SOUND_EFFECTS
+     * @param {number} delay - Seconds to wait before playing
+     * @returns {boolean} True if the effect was scheduled
+     */
+    playEffect(name, delay = 0) {
+        const effect = SOUND_EFFECTS[name];
+        if (!effect) {
+            console.warn(`AudioEngine: Unknown sound effect: ${name}`);
+            return false;
+        }
+        if (!this.context || this.muted || this.volumes.master === 0 || this.volumes.effects === 0) {
+            return false;
+        }
+
+        const start = this.context.currentTime + delay;
+        effect.notes.forEach((frequency, index) => {
+            this.playNote(this.gains.effects, effect.wave, frequency, start + index * effect.noteLength,
+                effect.noteLength, effect.volume);
+        });
+        return true;
+    }
+
+    /**
+     * Gets the length of a sound effect
+     * @param {string} name - Key of SOUND_EFFECTS
+     * @returns {number} Seconds from the first note to the end of the last
+     */
+    getEffectDuration(name) {
+        const effect = SOUND_EFFECTS[name];
+        return effect ? effect.notes.length * effect.noteLength : 0;
+    }
+
+    /**
+     * Picks the effect for a lock's line clear result
+     * @param {Object|null} clear - Result from GameState.processLineClear
+     * @returns {string|null} Effect name, or null if nothing was cleared
+     */
+    getClearEffect(clear) {
+        if (!clear) {
+            return null;
+        }
+        if (clear.tSpin && clear.tSpin !== 'none') {
+            return 'tSpin';
+        }
+        return [null, 'single', 'double', 'triple', 'tetris'][clear.linesCleared] || null;
+    }
+
+    /**
+     * Plays one enveloped oscillator note
+     * @param {AudioNode} destination - Channel gain to play into
+     * @param {string} wave - Oscillator type
+     * @param {number} frequency - Pitch in Hz
+     * @param {number} time - AudioContext time to start at
+     * @param {number} duration - Seconds
+     * @param {number} volume - Peak gain
+     */
+    playNote(destination, wave, frequency, time, duration, volume) {
+        const oscillator = this.context.createOscillator();
+        const envelope = this.context.createGain();
+        
+        oscillator.type = wave;
+        oscillator.frequency.setValueAtTime(frequency, time);
+        envelope.gain.setValueAtTime(volume, time);
+        envelope.gain.exponentialRampToValueAtTime(0.001, time + duration);
+        
+        oscillator.connect(envelope);
+        envelope.connect(destination);
+        oscillator.start(time);
+        oscillator.stop(time + duration);
+    }
+
+    /**
+     * Starts the background track from its first bar
+     */
+    startMusic() {
+        this.musicPlaying = true;
+        this.step = 0;
+        this.nextStepTime = 0;
+        this.melody = [];
+    }
+
+    /**
+     * Stops the background track (notes already scheduled fade out)
+     */
+    stopMusic() {
+        this.musicPlaying = false;
+    }
+
+    /**
+     * Pauses or continues the background track where it was
+     * @param {boolean} paused - True to pause
+     */
+    setMusicPaused(paused) {
+        this.musicPlaying = !paused;
+    }
+
+    /**
+     * Checks if the background track is playing
+     * @returns {boolean} True while music is on
+     */
+    isMusicPlaying() {
+        return this.musicPlaying;
+    }
+
+    /**
+     * Gets the music tempo for a drop speed
+     * The tempo rises with the square root of the speed-up, up to CONFIG.AUDIO.MUSIC.MAX_TEMPO.
+     * @param {number} dropSpeed - ms per row, from GameState.getDropSpeed()
+     * @returns {number} Beats per minute
+     */
+    getTempo(dropSpeed) {
+        const { BASE_TEMPO, MAX_TEMPO } = CONFIG.AUDIO.MUSIC;
+        if (typeof dropSpeed !== 'number' || !(dropSpeed > 0)) {
+            return BASE_TEMPO;
+        }
+        return Math.min(MAX_TEMPO, BASE_TEMPO * Math.sqrt(CONFIG.INITIAL_DROP_SPEED / dropSpeed));
+    }
+
+    /**
+     * Schedules the music steps falling within the lookahead window
+     * Called once per animation frame; the AudioContext clock keeps the notes in time.
+     * @param {number} dropSpeed - Current drop speed, which sets the tempo
+     * @returns {number} Number of steps scheduled
+     */
+    update(dropSpeed) {
+        if (!this.context || !this.musicPlaying) {
+            return 0;
+        }
+
+        const { STEPS_PER_BEAT, LOOKAHEAD } = CONFIG.AUDIO.MUSIC;
+        this.tempo = this.getTempo(dropSpeed);
+        const stepLength = 60 / this.tempo / STEPS_PER_BEAT;
+        const now = this.context.currentTime;
+        
+        // After a pause or a stalled tab, carry on from now instead of catching up
+        if (this.nextStepTime < now) {
+            this.nextStepTime = now;
+        }
+        
+        let scheduled = 0;
+        while (this.nextStepTime < now + LOOKAHEAD) {
+            this.scheduleStep(this.step, this.nextStepTime, stepLength);
+            this.nextStepTime += stepLength;
+            this.step++;
+            scheduled++;
+        }
+        return scheduled;
+    }
+
+    /**
+     * Schedules the bass, arpeggio and melody notes of one step
+     * @param {number} step - Step number since the music started
+     * @param {number} time - AudioContext time of the step
+     * @param {number} stepLength - Seconds per step
+     */
+    scheduleStep(step, time, stepLength) {
+        const { PROGRESSION, ARPEGGIO, STEPS_PER_BAR, PHRASE_BARS } = MUSIC_PATTERN;
+        const phraseSteps = STEPS_PER_BAR * PHRASE_BARS;
+        const bar = Math.floor(step / STEPS_PER_BAR);
+        const beat = step % STEPS_PER_BAR;
+        const chord = PROGRESSION[bar % PROGRESSION.length];
+        
+        // Every other phrase gets a new melody, so each one is heard twice
+        if (step % (phraseSteps * 2) === 0) {
+            this.melody = this.createMelody(phraseSteps);
+        }
+        
+        if (beat % 4 === 0) {
+            this.playNote(this.gains.music, 'triangle', this.getScaleFrequency(chord, -1),
+                time, stepLength * 3.5, 0.35);
+        }
+        this.playNote(this.gains.music, 'square', this.getScaleFrequency(chord + ARPEGGIO[beat] * 2, 0),
+            time, stepLength * 0.9, 0.06);
+        
+        const note = this.melody[step % phraseSteps];
+        if (note !== null && note !== undefined) {
+            this.playNote(this.gains.music, 'triangle', this.getScaleFrequency(chord + note, 1),
+                time, stepLength * 1.8, 0.12);
+        }
+    }
+
+    /**
+     * Rolls a melody phrase from chord-relative scale degrees
+     * @param {number} length - Steps in the phrase
+     * @returns {Array<number|null>} Scale degree above the chord root per step (null = rest)
+     */
+    createMelody(length) {
+        const degrees = [0, 2, 4, 1, 3, 5]; // Chord tones first: strong beats only use those
+        const melody = [];
+        for (let i = 0; i < length; i++) {
+            const strongBeat = i % 2 === 0;
+            melody.push(strongBeat || this.random.next() < MUSIC_PATTERN.MELODY_DENSITY
+                ? degrees[this.random.nextInt(strongBeat ? 3 : degrees.length)]
+                : null);
+        }
+        return melody;
+    }
+
+    /**
+     * Gets the frequency of a scale degree
+     * @param {number} degree - Degree of MUSIC_PATTERN.SCALE (may pass the octave)
+     * @param {number} octave - Octaves above the root
+     * @returns {number} Frequency in Hz
+     */
+    getScaleFrequency(degree, octave) {
+        const { ROOT, SCALE } = MUSIC_PATTERN;
+        const index = ((degree % SCALE.length) + SCALE.length) % SCALE.length;
+        const semitones = SCALE[index] + 12 * (Math.floor(degree / SCALE.length) + octave);
+        return ROOT * Math.pow(2, semitones / 12);
+    }
+
+    /**
+     * Stops the music and closes the AudioContext
+     */
+    destroy() {
+        this.musicPlaying = false;
+        if (this.context && typeof this.context.close === 'function') {
+            Promise.resolve(this.context.close()).catch(() => {});
+        }
+        this.context = null;
+        this.gains = null;
+    }
+}
+
+// Block colours by piece type; 'garbage' is the grey of versus garbage rows
+const COLOR_PALETTES = {
+    standard: null, // The theme's own colours (see BUILT_IN_THEMES)
+    // Fully saturated colours, each far apart in brightness from its neighbours on the black board
+    highContrast: {
+        I: '#00ffff', O: '#ffff00', T: '#ff00ff', S: '#00ff00', Z: '#ff0000', J: '#5c8aff', L: '#ff9900',
+        garbage: '#ffffff'
+    },
+    // Okabe-Ito colours, told apart with protanopia, deuteranopia and tritanopia
+    colorBlind: {
+        I: '#56b4e9', O: '#f0e442', T: '#cc79a7', S: '#009e73', Z: '#d55e00', J: '#0072b2', L: '#e69f00',
+        garbage: '#999999'
+    }
+};
+
+const ACCESSIBILITY_SETTINGS_VERSION = 1;
+
+/**
+ * Checks whether the system asks for reduced motion
+ * @returns {boolean} True if prefers-reduced-motion is set (false outside the browser)
+ */
+function prefersReducedMotion() {
+    if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') {
+        return false;
+    }
+    return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * Picks black or white, whichever reads better on a colour
+ * @param {string} color - '#rrggbb'
+ * @returns {string} '#000000' on light colours, '#ffffff' on dark ones
+ */
+function getContrastingColor(color) {
+    const value = parseInt(color.slice(1), 16);
+    const luma = 0.299 * (value >> 16) + 0.587 * ((value >> 8) & 0xff) + 0.114 * (value & 0xff);
+    return luma > 140 ? '#000000' : '#ffffff';
+}
+
+/**
+ * AccessibilitySettings class - Colour palette, piece glyphs and reduced motion, kept in storage
+ * Without a saved choice, reduced motion follows the system's prefers-reduced-motion setting.
+ */
+class AccessibilitySettings {
+    /**
+     * Creates a new AccessibilitySettings instance
+     * @param {Object} options - { storage, storageKey, reducedMotion (default before anything is saved) }
+     */
+    constructor({
+        storage = getBrowserStorage(),
+        storageKey = CONFIG.ACCESSIBILITY.STORAGE_KEY,
+        reducedMotion = prefersReducedMotion()
+    } = {}) {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.palette = CONFIG.ACCESSIBILITY.PALETTE;
+        this.glyphs = false;
+        this.reducedMotion = reducedMotion;
+        this.loadSettings();
+    }
+
+    /**
+     * Gets the current settings
+     * @returns {{palette: string, glyphs: boolean, reducedMotion: boolean}} Settings
+     */
+    getSettings() {
+        return { palette: this.palette, glyphs: this.glyphs, reducedMotion: this.reducedMotion };
+    }
+
+    /**
+     * Selects the block colour palette
+     * @param {string} palette - Key of COLOR_PALETTES
+     * @returns {boolean} True if the palette was applied
+     */
+    setPalette(palette) {
+        if (!Object.prototype.hasOwnProperty.call(COLOR_PALETTES, palette)) {
+            console.warn(`AccessibilitySettings: Unknown palette: ${palette}`);
+            return false;
+        }
+        this.palette = palette;
+        this.saveSettings();
+        return true;
+    }
+
+    /**
+     * Turns the piece glyphs on or off
+     * @param {boolean} enabled - Whether glyphs are drawn on blocks
+     */
+    setGlyphs(enabled) {
+        this.glyphs = Boolean(enabled);
+        this.saveSettings();
+    }
+
+    /**
+     * Turns reduced motion on or off
+     * @param {boolean} enabled - Whether animations and particles are left out
+     */
+    setReducedMotion(enabled) {
+        this.reducedMotion = Boolean(enabled);
+        this.saveSettings();
+    }
+
+    /**
+     * Reads the settings from storage
+     * Unreadable settings are ignored and the defaults kept.
+     * @returns {boolean} True if saved settings were loaded
+     */
+    loadSettings() {
+        if (!this.storage) {
+            return false;
+        }
+
+        try {
+            const raw = this.storage.getItem(this.storageKey);
+            if (raw === null) {
+                return false;
+            }
+
+            const data = JSON.parse(raw);
+            if (!data || data.version !== ACCESSIBILITY_SETTINGS_VERSION) {
+                throw new Error('Unrecognized accessibility settings');
+            }
+            if (Object.prototype.hasOwnProperty.call(COLOR_PALETTES, data.palette)) {
+                this.palette = data.palette;
+            }
+            this.glyphs = data.glyphs === true;
+            if (typeof data.reducedMotion === 'boolean') {
+                this.reducedMotion = data.reducedMotion;
+            }
+            return true;
+        } catch (error) {
+            console.warn('AccessibilitySettings: Saved settings are unreadable, using defaults:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Writes the settings to storage
+     * @returns {boolean} True if the settings were saved
+     */
+    saveSettings() {
+        if (!this.storage) {
+            return false;
+        }
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({
+                version: ACCESSIBILITY_SETTINGS_VERSION,
+                ...this.getSettings()
+            }));
+            return true;
+        } catch (error) {
+            console.warn('AccessibilitySettings: Could not save settings:', error.message);
+            return false;
+        }
+    }
+}
+
+/**
+ * Announcer class - Reads messages out through an ARIA live region
+ * Messages announced together (e.g. a line clear and the piece spawning with it) are joined
+ * into one update, since a later update can cut an earlier one off. Screen readers speak a live
+ * region when its text changes, so a message repeating the last one gets a trailing no-break
+ * space to count as new.
+ */
+class Announcer {
+    /**
+     * Creates a new Announcer instance
+     * @param {HTMLElement} element - Live region (optional; set later with setElement)
+     */
+    constructor(element = null) {
+        this.element = null;
+        this.lastMessage = '';
+        this.queue = [];
+        this.setElement(element);
+    }
+
+    /**
+     * Sets the live region, making it a polite status region
+     * @param {HTMLElement|null} element - Element whose text is read out
+     */
+    setElement(element) {
+        this.element = element || null;
+        if (this.element) {
+            this.element.setAttribute('role', 'status');
+            this.element.setAttribute('aria-live', 'polite');
+            this.element.setAttribute('aria-atomic', 'true');
+        }
+    }
+
+    /**
+     * Queues a message; everything queued in the same task is read out together
+     * @param {string} message - Text to announce
+     * @returns {boolean} True if the message was queued
+     */
+    announce(message) {
+        if (!message) {
+            return false;
+        }
+
+        this.queue.push(message);
+        if (this.queue.length === 1) {
+            queueMicrotask(() => this.flush());
+        }
+        return true;
+    }
+
+    /**
+     * Writes the queued messages to the live region
+     * @returns {string} Text written ('' if nothing was queued)
+     */
+    flush() {
+        if (this.queue.length === 0) {
+            return '';
+        }
+
+        const message = this.queue.join('。');
+        this.queue = [];
+        const text = message === this.lastMessage.trimEnd() && !this.lastMessage.endsWith('\u00a0')
+            ? `${message}\u00a0`
+            : message;
+        this.lastMessage = text;
+        if (this.element) {
+            this.element.textContent = text;
+        }
+        return text;
+    }
+}
+
+// Block drawing styles a theme can pick (see Renderer.drawCell)
+const BLOCK_STYLES = ['flat', 'bevel', 'sprite', 'outline'];
+
+// Page colours a theme can set; the defaults are in style.css :root
+const THEME_CSS_VARIABLES = [
+    '--page-background', '--text-color', '--title-gradient', '--panel-background',
+    '--panel-border', '--accent-color', '--board-background', '--board-border'
+];
+
+const THEME_FORMAT = 'tetris-theme';
+const THEME_VERSION = 1;
+const THEME_SETTINGS_VERSION = 1;
+
+// Pixel art tile of the built-in sprite theme: '#' outline, '+' highlight, '-' shade, '.' block colour
+const PIXEL_TILE = [
+    '########',
+    '#+++++.#',
+    '#+....-#',
+    '#+.++.-#',
+    '#+.+..-#',
+    '#+....-#',
+    '#.-----#',
+    '########'
+];
+
+// Themes that come with the game, in the format of an imported theme file (without format and version)
+const BUILT_IN_THEMES = {
+    classic: {
+        name: 'クラシック',
+        blockStyle: 'flat',
+        colors: { background: '#000000', grid: '#333333', border: '#ffffff' },
+        pieces: {
+            I: '#00f0f0', O: '#f0f000', T: '#a000f0', S: '#00f000', Z: '#f00000', J: '#0000f0', L: '#f0a000',
+            garbage: '#808080'
+        }
+    },
+    bevel: {
+        name: 'ベベル',
+        blockStyle: 'bevel',
+        colors: { background: '#101018', grid: '#24243a', border: '#000000' },
+        pieces: {
+            I: '#31c7ef', O: '#f7d308', T: '#ad4d9c', S: '#42b642', Z: '#ef2029', J: '#5a65ad', L: '#ef7921',
+            garbage: '#7a7a8c'
+        },
+        css: {
+            '--page-background': 'linear-gradient(135deg, #232526, #414345)',
+            '--title-gradient': 'linear-gradient(45deg, #f7d308, #ef7921, #ef2029)',
+            '--accent-color': '#f7d308',
+            '--board-border': '#6a6a80'
+        }
+    },
+    pixel: {
+        name: 'ドット絵',
+        blockStyle: 'sprite',
+        colors: { background: '#1b1b2f', grid: '#26264a', border: '#000000' },
+        pieces: {
+            I: '#3cbcfc', O: '#fce0a8', T: '#d800cc', S: '#58d854', Z: '#e45c10', J: '#0058f8', L: '#fca044',
+            garbage: '#7c7c7c'
+        },
+        sprite: { pattern: PIXEL_TILE },
+        css: {
+            '--page-background': '#1b1b2f',
+            '--title-gradient': 'linear-gradient(45deg, #3cbcfc, #58d854, #fca044)',
+            '--panel-background': 'rgba(0, 0, 0, 0.5)',
+            '--accent-color': '#fca044',
+            '--board-border': '#e45c10'
+        }
+    },
+    neon: {
+        name: 'ネオン',
+        blockStyle: 'outline',
+        colors: { background: '#05010f', grid: '#1a0f33', border: '#ffffff' },
+        pieces: {
+            I: '#00f0ff', O: '#fff200', T: '#ff2bd6', S: '#39ff14', Z: '#ff3131', J: '#4d6bff', L: '#ff9f1c',
+            garbage: '#8a8aa0'
+        },
+        css: {
+            '--page-background': 'radial-gradient(circle at top, #1a0033, #05010f)',
+            '--title-gradient': 'linear-gradient(45deg, #00f0ff, #ff2bd6, #fff200)',
+            '--panel-border': 'rgba(0, 240, 255, 0.4)',
+            '--accent-color': '#ff2bd6',
+            '--board-border': '#00f0ff'
+        }
+    }
+};
+
+/**
+ * Builds a theme from theme file data, filling in what the data leaves out
+ * Piece colours default to the classic theme's, and the board background doubles as the page's
+ * --board-background unless the theme sets it.
+ * @param {string} id - Theme ID
+ * @param {Object} data - Built-in theme or validated theme file (see ThemeManager.validate)
+ * @returns {Object} Theme: { id, name, blockStyle, colors, pieces, sprite, css }
+ */
+function createTheme(id, data) {
+    const colors = { ...data.colors };
+    return {
+        id,
+        name: data.name,
+        blockStyle: data.blockStyle,
+        colors,
+        pieces: { ...BUILT_IN_THEMES.classic.pieces, ...data.pieces },
+        sprite: data.sprite || null,
+        css: { '--board-background': colors.background, ...data.css }
+    };
+}
+
+/**
+ * Checks whether a theme can colour a type of block
+ * @param {string} type - Piece type or 'garbage'
+ * @returns {boolean} True for the types a board cell can hold
+ */
+function isPieceType(type) {
+    return Object.values(CELL_TYPES).includes(type);
+}
+
+/**
+ * Mixes a colour with white or black
+ * @param {string} color - '#rrggbb'
+ * @param {number} amount - -1 (black) to 1 (white); 0 keeps the colour
+ * @returns {string} '#rrggbb'
+ */
+function shadeColor(color, amount) {
+    const value = parseInt(color.slice(1), 16);
+    const target = amount < 0 ? 0 : 255;
+    const weight = Math.min(Math.abs(amount), 1);
+    const channels = [value >> 16, (value >> 8) & 0xff, value & 0xff]
+        .map(channel => Math.round(channel + (target - channel) * weight));
+    return `#${channels.map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * ThemeManager class - Keeps the built-in and imported themes and remembers the selected one
+ * Themes decide how the board and its blocks are drawn and set the page colours through
+ * THEME_CSS_VARIABLES. Imported themes are stored with the selection, so they survive a reload.
+ */
+class ThemeManager {
+    /**
+     * Creates a new ThemeManager instance
+     * @param {Object} options - { storage, storageKey }
+     */
+    constructor({ storage = getBrowserStorage(), storageKey = CONFIG.THEMES.STORAGE_KEY } = {}) {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.customThemes = {}; // Theme ID -> validated theme file
+        this.selected = CONFIG.THEMES.DEFAULT;
+        this.loadSettings();
+    }
+
+    /**
+     * Lists the themes players can pick, built-in first
+     * @returns {Array<{id: string, name: string, custom: boolean}>} Themes
+     */
+    listThemes() {
+        return [
+            ...Object.entries(BUILT_IN_THEMES).map(([id, data]) => ({ id, name: data.name, custom: false })),
+            ...Object.entries(this.customThemes).map(([id, data]) => ({ id, name: data.name, custom: true }))
+        ];
+    }
+
+    /**
+     * Gets a theme
+     * @param {string} id - Theme ID
+     * @returns {Object|null} Theme (see createTheme), or null if there is no such theme
+     */
+    getTheme(id) {
+        const has = (themes, key) => Object.prototype.hasOwnProperty.call(themes, key);
+        if (has(BUILT_IN_THEMES, id)) {
+            return createTheme(id, BUILT_IN_THEMES[id]);
+        }
+        return has(this.customThemes, id) ? createTheme(id, this.customThemes[id]) : null;
+    }
+
+    /**
+     * Gets the selected theme
+     * @returns {Object} Theme (see createTheme)
+     */
+    getSelectedTheme() {
+        return this.getTheme(this.selected) || this.getTheme(CONFIG.THEMES.DEFAULT);
+    }
+
+    /**
+     * Selects a theme and saves the choice
+     * @param {string} id - Theme ID
+     * @returns {boolean} True if the theme was selected
+     */
+    selectTheme(id) {
+        if (!this.getTheme(id)) {
+            console.warn(`ThemeManager: Unknown theme: ${id}`);
+            return false;
+        }
+        this.selected = id;
+        this.saveSettings();
+        return true;
+    }
+
+    /**
+     * Adds a theme from a theme file and saves it
+     * A theme with the same name replaces the earlier import; past CONFIG.THEMES.MAX_CUSTOM
+     * imports the oldest one is dropped.
+     * @param {string} json - Theme file text
+     * @returns {string|null} ID of the imported theme, or null if the file was refused
+     */
+    importTheme(json) {
+        let data;
+        try {
+            data = ThemeManager.parse(json);
+        } catch (error) {
+            console.warn(error.message);
+            return null;
+        }
+
+        const id = `custom:${data.name}`;
+        delete this.customThemes[id];
+        this.customThemes[id] = data;
+
+        const ids = Object.keys(this.customThemes);
+        for (const oldId of ids.slice(0, Math.max(0, ids.length - CONFIG.THEMES.MAX_CUSTOM))) {
+            delete this.customThemes[oldId];
+            if (this.selected === oldId) {
+                this.selected = CONFIG.THEMES.DEFAULT;
+            }
+        }
+
+        this.saveSettings();
+        return id;
+    }
+
+    /**
+     * Parses a theme file
+     * @param {string} json - Theme file text
+     * @returns {Object} Validated theme file
+     */
+    static parse(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new Error('ThemeManager: Theme file is not valid JSON');
+        }
+
+        ThemeManager.validate(data);
+        return data;
+    }
+
+    /**
+     * Validates a theme file
+     * Colours must be '#rrggbb'. Sprite images must be data: URLs and CSS values may not use url(),
+     * so a theme never loads anything from the network.
+     * @param {Object} data - Theme file contents
+     * @throws {Error} If the theme is malformed or from an unsupported version
+     */
+    static validate(data) {
+        const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+        const isColor = value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+
+        if (!isObject(data) || data.format !== THEME_FORMAT) {
+            throw new Error('ThemeManager: Not a theme file');
+        }
+        if (data.version !== THEME_VERSION) {
+            throw new Error(`ThemeManager: Unsupported theme version ${data.version}`);
+        }
+        if (typeof data.name !== 'string' || data.name.trim() === '' || data.name.length > 40) {
+            throw new Error('ThemeManager: Theme name must be 1-40 characters');
+        }
+        if (!BLOCK_STYLES.includes(data.blockStyle)) {
+            throw new Error(`ThemeManager: Unknown block style ${data.blockStyle}`);
+        }
+        if (!isObject(data.colors) || !['background', 'grid', 'border'].every(key => isColor(data.colors[key]))) {
+            throw new Error('ThemeManager: Theme needs background, grid and border colours');
+        }
+
+        if (data.pieces !== undefined) {
+            if (!isObject(data.pieces)) {
+                throw new Error('ThemeManager: Piece colours must be an object');
+            }
+            for (const [type, color] of Object.entries(data.pieces)) {
+                if (!isPieceType(type)) {
+                    throw new Error(`ThemeManager: Unknown piece type ${type}`);
+                }
+                if (!isColor(color)) {
+                    throw new Error(`ThemeManager: Invalid colour for ${type}`);
+                }
+            }
+        }
+
+        if (data.blockStyle === 'sprite') {
+            ThemeManager.validateSprite(data.sprite);
+        } else if (data.sprite !== undefined) {
+            throw new Error('ThemeManager: Only sprite themes can have a sprite');
+        }
+
+        if (data.css !== undefined) {
+            if (!isObject(data.css)) {
+                throw new Error('ThemeManager: CSS variables must be an object');
+            }
+            for (const [name, value] of Object.entries(data.css)) {
+                if (!THEME_CSS_VARIABLES.includes(name)) {
+                    throw new Error(`ThemeManager: Unknown CSS variable ${name}`);
+                }
+                if (typeof value !== 'string' || value.length > 200 || /[;{}<>\\]|url\(/i.test(value)) {
+                    throw new Error(`ThemeManager: Invalid value for ${name}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Validates the sprite of a sprite theme
+     * Either a pixel pattern (one string per row; '#', '+', '-' and '.' as in PIXEL_TILE, ' ' clear)
+     * or an image atlas: { src: data URL, tileSize, tiles: piece types in the order their tiles
+     * appear, left to right in one row }.
+     * @param {Object} sprite - Sprite of the theme file
+     * @throws {Error} If the sprite is malformed
+     */
+    static validateSprite(sprite) {
+        if (!sprite || typeof sprite !== 'object') {
+            throw new Error('ThemeManager: Sprite themes need a sprite');
+        }
+
+        if (sprite.pattern !== undefined) {
+            const pattern = sprite.pattern;
+            if (!Array.isArray(pattern) || pattern.length < 4 || pattern.length > 32 ||
+                !pattern.every(row => typeof row === 'string' && row.length === pattern.length &&
+                    /^[#+\-. ]*$/.test(row))) {
+                throw new Error('ThemeManager: Sprite pattern must be 4-32 square rows of "#+-. "');
+            }
+            return;
+        }
+
+        if (typeof sprite.src !== 'string' || !sprite.src.startsWith('data:image/')) {
+            throw new Error('ThemeManager: Sprite image must be a data:image/ URL');
+        }
+        if (!Number.isInteger(sprite.tileSize) || sprite.tileSize < 1 || sprite.tileSize > 128) {
+            throw new Error('ThemeManager: Sprite tile size must be 1-128 pixels');
+        }
+        if (!Array.isArray(sprite.tiles) || sprite.tiles.length === 0 ||
+            new Set(sprite.tiles).size !== sprite.tiles.length ||
+            !sprite.tiles.every(isPieceType)) {
+            throw new Error('ThemeManager: Sprite tiles must list distinct piece types');
+        }
+    }
+
+    /**
+     * Reads the selection and the imported themes from storage
+     * Imported themes that no longer validate are dropped.
+     * @returns {boolean} True if saved settings were loaded
+     */
+    loadSettings() {
+        if (!this.storage) {
+            return false;
+        }
+
+        try {
+            const raw = this.storage.getItem(this.storageKey);
+            if (raw === null) {
+                return false;
+            }
+
+            const data = JSON.parse(raw);
+            if (!data || data.version !== THEME_SETTINGS_VERSION || !Array.isArray(data.custom)) {
+                throw new Error('Unrecognized theme settings');
+            }
+            for (const theme of data.custom) {
+                try {
+                    ThemeManager.validate(theme);
+                    this.customThemes[`custom:${theme.name}`] = theme;
+                } catch (error) {
+                    console.warn('ThemeManager: Dropping a saved theme:', error.message);
+                }
+            }
+            if (this.getTheme(data.selected)) {
+                this.selected = data.selected;
+            }
+            return true;
+        } catch (error) {
+            console.warn('ThemeManager: Saved themes are unreadable, using defaults:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Writes the selection and the imported themes to storage
+     * @returns {boolean} True if the settings were saved
+     */
+    saveSettings() {
+        if (!this.storage) {
+            return false;
+        }
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({
+                version: THEME_SETTINGS_VERSION,
+                selected: this.selected,
+                custom: Object.values(this.customThemes)
+            }));
+            return true;
+        } catch (error) {
+            console.warn('ThemeManager: Could not save themes:', error.message);
+            return false;
+        }
+    }
+}
+
+/**
+ * Gets the display's device pixel ratio
+ * @returns {number} Physical pixels per CSS pixel (1 outside the browser), capped at CONFIG.RENDERER.MAX_PIXEL_RATIO
+ */
+function getDevicePixelRatio() {
+    const ratio = typeof window !== 'undefined' ? window.devicePixelRatio : undefined;
+    if (typeof ratio !== 'number' || !Number.isFinite(ratio) || ratio <= 0) {
+        return 1;
+    }
+    return Math.min(ratio, CONFIG.RENDERER.MAX_PIXEL_RATIO);
+}
+
+/**
+ * Creates a canvas that is never attached to the page
+ * @param {number} width - Width in device pixels
+ * @param {number} height - Height in device pixels
+ * @returns {HTMLCanvasElement|OffscreenCanvas} New canvas
+ */
+function createOffscreenCanvas(width, height) {
+    if (typeof document !== 'undefined' && typeof document.createElement === 'function') {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    throw new Error('Renderer: No canvas available for offscreen layers');
+}
+
+/**
+ * Renderer class - Draws a game onto canvases
+ * The browser's renderer adapter for GameCore; reads the game's public state in render(game).
+ * The board is composed from layers, bottom to top: background/grid, locked stack, ghost,
+ * falling piece and overlay effects. The first two are cached on offscreen canvases, and each
+ * frame only the cells that changed since the previous frame are composed onto the board canvas.
+ */
+class Renderer {
+    /**
+     * Creates a new Renderer instance
+     * @param {HTMLCanvasElement} canvas - Board canvas
+     * @param {CanvasRenderingContext2D} context - Board context (defaults to the canvas' 2D context)
+     * @param {HTMLCanvasElement} nextCanvas - Next queue canvas (optional)
+     * @param {Object} options - Optional settings
+     * @param {number} options.pixelRatio - Fixed pixel ratio (default: follow window.devicePixelRatio)
+     * @param {Function} options.createCanvas - (width, height) => canvas for the offscreen layers
+     */
+    constructor(canvas, context = canvas ? canvas.getContext('2d') : null, nextCanvas = null, options = {}) {
+        if (!canvas || !context) {
+            throw new Error('Renderer: A canvas with a 2D context is required');
+        }
+
+        this.canvas = canvas;
+        this.context = context;
+        this.blockSize = CONFIG.BLOCK_SIZE;
+        
+        // Logical size in CSS pixels; the backing store is this size times the pixel ratio
+        this.width = canvas.width;
+        this.height = canvas.height;
+        this.pixelRatio = 1;
+        this.followDevicePixelRatio = options.pixelRatio === undefined;
+        this.createCanvas = options.createCanvas || createOffscreenCanvas;
+        
+        // Ghost piece projection settings
+        this.ghostPieceEnabled = CONFIG.GHOST_PIECE.ENABLED;
+        this.ghostPieceStyle = CONFIG.GHOST_PIECE.STYLE;
+        
+        // Board and block look (see setTheme), block colours and glyphs (see setPalette and setGlyphs)
+        this.theme = createTheme(CONFIG.THEMES.DEFAULT, BUILT_IN_THEMES[CONFIG.THEMES.DEFAULT]);
+        this.spriteAtlas = null; // Built on first use (see getSpriteAtlas)
+        this.spriteImage = null; // Loaded image of an image sprite theme
+        this.paletteName = CONFIG.ACCESSIBILITY.PALETTE;
+        this.glyphsEnabled = false;
+        
+        // Cached layers and what was drawn last frame
+        this.backgroundLayer = null;
+        this.stackLayer = null;
+        this.stackSnapshot = null; // Board cells the stack layer currently shows
+        this.pieceLayer = { key: '', cells: [] }; // Falling piece and ghost of the last frame
+        this.effects = [];
+        this.effectsActive = false;
+        this.needsFullRedraw = true;
+        
+        // Preview canvases (the next canvas is sized for nextSlotCount pieces)
+        this.holdCanvas = null;
+        this.holdContext = null;
+        this.holdKey = null;
+        this.nextCanvas = null;
+        this.nextContext = null;
+        this.nextKey = null;
+        this.nextSlotCount = CONFIG.NEXT_QUEUE_LENGTH;
+        
+        this.resetMetrics();
+        this.setPixelRatio(this.followDevicePixelRatio ? getDevicePixelRatio() : options.pixelRatio);
+        this.setNextCanvas(nextCanvas);
+    }
+
+    /**
+     * Checks if the renderer can draw
+     * @returns {boolean} True if the board canvas and context are available
+     */
+    isReady() {
+        return Boolean(this.canvas && this.context);
+    }
+
+    /**
+     * Sets the pixel ratio and rebuilds every canvas at the new resolution
+     * @param {number} ratio - Physical pixels per CSS pixel
+     * @returns {boolean} True if the ratio was applied
+     */
+    setPixelRatio(ratio) {
+        if (typeof ratio !== 'number' || !Number.isFinite(ratio) || ratio <= 0) {
+            console.warn(`Renderer: Invalid pixel ratio: ${ratio}`);
+            return false;
+        }
+
+        this.pixelRatio = ratio;
+        this.scaleCanvas(this.canvas, this.context, this.width, this.height);
+        
+        this.backgroundLayer = this.createLayer();
+        this.drawBackground(this.backgroundLayer.context);
+        this.stackLayer = this.createLayer();
+        this.stackSnapshot = null;
+        
+        if (this.holdCanvas) {
+            this.scaleCanvas(this.holdCanvas, this.holdContext, this.holdWidth, this.holdHeight);
+            this.holdKey = null;
+        }
+        if (this.nextCanvas) {
+            this.resizeNextCanvas(this.nextSlotCount);
+        }
+        
+        this.invalidate();
+        return true;
+    }
+
+    /**
+     * Gives a canvas a backing store of its logical size times the pixel ratio
+     * Drawing code keeps using logical coordinates through the context transform.
+     * @param {HTMLCanvasElement} canvas - Canvas to size
+     * @param {CanvasRenderingContext2D} context - Its 2D context
+     * @param {number} width - Logical width in CSS pixels
+     * @param {number} height - Logical height in CSS pixels
+     */
+    scaleCanvas(canvas, context, width, height) {
+        // Resizing resets the context, so the transform is set afterwards
+        canvas.width = Math.round(width * this.pixelRatio);
+        canvas.height = Math.round(height * this.pixelRatio);
+        if (canvas.style) {
+            canvas.style.width = `${width}px`;
+            canvas.style.height = `${height}px`;
+        }
+        context.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    }
+
+    /**
+     * Creates an offscreen layer the size of the board canvas
+     * @returns {{canvas: HTMLCanvasElement, context: CanvasRenderingContext2D}} Layer
+     */
+    createLayer() {
+        const canvas = this.createCanvas(Math.round(this.width * this.pixelRatio), Math.round(this.height * this.pixelRatio));
+        const context = canvas.getContext('2d');
+        context.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        return { canvas, context };
+    }
+
+    /**
+     * Forces the next render to redraw the whole board
+     */
+    invalidate() {
+        this.needsFullRedraw = true;
+    }
+
+    /**
+     * Draws a frame of the game, redrawing only the cells that changed
+     * @param {GameCore} game - Game to draw
+     */
+    render(game) {
+        const startTime = this.getTime();
+
+        // Follow the window between displays with different pixel densities
+        if (this.followDevicePixelRatio && getDevicePixelRatio() !== this.pixelRatio) {
+            this.setPixelRatio(getDevicePixelRatio());
+        }
+
+        const board = game.gameBoard.getBoard();
+        const dirtyCells = new Set();
+        const markDirty = cell => {
+            if (cell.row >= 0 && cell.row < board.length && cell.col >= 0 && cell.col < board[0].length) {
+                dirtyCells.add(cell.row * board[0].length + cell.col);
+            }
+        };
+
+        this.updateStackLayer(board).forEach(markDirty);
+
+        const pieceLayer = this.getPieceLayer(game);
+        if (pieceLayer.key !== this.pieceLayer.key) {
+            this.pieceLayer.cells.forEach(markDirty);
+            pieceLayer.cells.forEach(markDirty);
+        }
+        this.pieceLayer = pieceLayer;
+
+        // Effects move every frame, and the frame after the last one ends wipes what it left
+        const hasEffects = this.effects.length > 0;
+        if (hasEffects || this.effectsActive) {
+            this.needsFullRedraw = true;
+        }
+
+        const fullRedraw = this.needsFullRedraw;
+        const regions = fullRedraw
+            ? [{ x: 0, y: 0, width: this.width, height: this.height }]
+            : this.getDirtyRegions(dirtyCells, board[0].length);
+
+        for (const region of regions) {
+            this.composeRegion(region, startTime);
+        }
+
+        this.effectsActive = hasEffects;
+        this.needsFullRedraw = false;
+
+        this.drawHoldPiece(game.holdPiece, game.canHold);
+        this.drawNextQueue(game.getNextQueue(), game.nextQueueLength);
+
+        this.recordFrame(this.getTime() - startTime, regions.length,
+            fullRedraw ? board.length * board[0].length : dirtyCells.size, fullRedraw);
+    }
+
+    /**
+     * Brings the cached stack layer in line with the board
+     * @param {number[][]} board - Board cells (0 = empty, otherwise a colour ID)
+     * @returns {{row: number, col: number}[]} Cells that changed since the last frame
+     */
+    updateStackLayer(board) {
+        const previous = this.stackSnapshot;
+        const sameSize = previous && previous.length === board.length && previous[0].length === board[0].length;
+        const context = this.stackLayer.context;
+        const changed = [];
+
+        if (!sameSize) {
+            context.clearRect(0, 0, this.width, this.height);
+            this.invalidate();
+        }
+
+        for (let row = 0; row < board.length; row++) {
+            for (let col = 0; col < board[row].length; col++) {
+                const value = board[row][col];
+                if (sameSize && previous[row][col] === value) {
+                    continue;
+                }
+
+                changed.push({ row, col });
+                const x = col * this.blockSize;
+                const y = row * this.blockSize;
+                context.clearRect(x, y, this.blockSize, this.blockSize);
+                if (value > 0) {
+                    this.drawCell(context, x, y, CELL_TYPES[value], 1);
+                }
+            }
+        }
+
+        this.stackSnapshot = board.map(row => [...row]);
+        return changed;
+    }
+
+    /**
+     * Describes the falling piece and its ghost for this frame
+     * @param {GameCore} game - Game to draw
+     * @returns {Object} Piece, position, ghost row (null when hidden), change key and covered cells
+     */
+    getPieceLayer(game) {
+        const piece = game.currentPiece;
+        if (!piece) {
+            return { key: '', cells: [] };
+        }
+
+        const ghostY = game.getHardDropY();
+        // The ghost is hidden behind the piece once it has landed
+        const showGhost = this.ghostPieceEnabled && ghostY !== game.pieceY;
+        const blocks = piece.getFilledBlocks();
+        const cells = blocks.map(block => ({ row: game.pieceY + block.row, col: game.pieceX + block.col }));
+        if (showGhost) {
+            cells.push(...blocks.map(block => ({ row: ghostY + block.row, col: game.pieceX + block.col })));
+        }
+
+        return {
+            piece,
+            x: game.pieceX,
+            y: game.pieceY,
+            ghostY: showGhost ? ghostY : null,
+            key: [piece.getType(), piece.getRotation(), game.pieceX, game.pieceY, showGhost ? ghostY : '-'].join(':'),
+            cells
+        };
+    }
+
+    /**
+     * Merges dirty cells into rectangles
+     * Runs of cells in a row become one rectangle; identical runs in consecutive rows are joined
+     * @param {Set<number>} dirtyCells - Cell indices (row * width + col)
+     * @param {number} boardWidth - Cells per row
+     * @returns {{x: number, y: number, width: number, height: number}[]} Regions in CSS pixels
+     */
+    getDirtyRegions(dirtyCells, boardWidth) {
+        const cells = [...dirtyCells].sort((a, b) => a - b);
+        const runs = [];
+
+        for (const index of cells) {
+            const row = Math.floor(index / boardWidth);
+            const col = index % boardWidth;
+            const last = runs[runs.length - 1];
+            if (last && last.row === row && last.endCol === col - 1) {
+                last.endCol = col;
+            } else {
+                runs.push({ row, startCol: col, endCol: col, rows: 1 });
+            }
+        }
+
+        const merged = [];
+        for (const run of runs) {
+            const above = merged.find(region => region.startCol === run.startCol && region.endCol === run.endCol &&
+                region.row + region.rows === run.row);
+            if (above) {
+                above.rows++;
+            } else {
+                merged.push(run);
+            }
+        }
+
+        return merged.map(run => ({
+            x: run.startCol * this.blockSize,
+            y: run.row * this.blockSize,
+            width: (run.endCol - run.startCol + 1) * this.blockSize,
+            height: run.rows * this.blockSize
+        }));
+    }
+
+    /**
+     * Redraws one region of the board canvas from all layers
+     * @param {{x: number, y: number, width: number, height: number}} region - Area in CSS pixels
+     * @param {number} time - Frame time passed to effects
+     */
+    composeRegion(region, time) {
+        const context = this.context;
+        const ratio = this.pixelRatio;
+        const { x, y, width, height } = region;
+
+        context.save();
+        context.beginPath();
+        context.rect(x, y, width, height);
+        context.clip();
+        context.clearRect(x, y, width, height);
+
+        for (const layer of [this.backgroundLayer, this.stackLayer]) {
+            context.drawImage(layer.canvas, x * ratio, y * ratio, width * ratio, height * ratio, x, y, width, height);
+        }
+
+        const pieceLayer = this.pieceLayer;
+        if (pieceLayer.piece) {
+            if (pieceLayer.ghostY !== null) {
+                this.drawGhostPiece(pieceLayer.piece, pieceLayer.x, pieceLayer.ghostY);
+            }
+            this.drawCurrentPiece(pieceLayer.piece, pieceLayer.x, pieceLayer.y);
+        }
+
+        this.drawEffects(time);
+        context.restore();
+    }
+
+    /**
+     * Adds an effect to the overlay layer
+     * While any effect is running the whole board is redrawn each frame.
+     * @param {Object} effect - Object with draw(context, time) returning false once finished
+     * @returns {boolean} True if the effect was added
+     */
+    addEffect(effect) {
+        if (!effect || typeof effect.draw !== 'function') {
+            console.warn('Renderer: Effects need a draw(context, time) method');
+            return false;
+        }
+        this.effects.push(effect);
+        return true;
+    }
+
+    /**
+     * Removes every running effect
+     */
+    clearEffects() {
+        this.effects = [];
+        this.invalidate();
+    }
+
+    /**
+     * Draws the overlay effects and drops the finished ones
+     * @param {number} time - Frame time in milliseconds
+     */
+    drawEffects(time) {
+        this.effects = this.effects.filter(effect => {
+            try {
+                return effect.draw(this.context, time) !== false;
+            } catch (error) {
+                console.error('Renderer: Error drawing effect, removing it:', error);
+                return false;
+            }
+        });
+    }
+
+    /**
+     * Clears the board canvas
+     * The next render redraws every layer.
+     */
+    clear() {
+        this.context.clearRect(0, 0, this.width, this.height);
+        this.invalidate();
+    }
+
+    /**
+     * Draws a block that stays inside its own cell
+     * Borders are inset by half their width so redrawing a neighbouring cell never cuts into them.
+     * @param {CanvasRenderingContext2D} context - Context to draw on
+     * @param {number} x - Left edge in CSS pixels
+     * @param {number} y - Top edge in CSS pixels
+     * @param {string} color - Fill colour
+     * @param {number} lineWidth - Border width
+     * @param {number} size - Block size
+     */
+    drawBlock(context, x, y, color, lineWidth, size = this.blockSize) {
+        const inset = lineWidth / 2;
+
+        context.fillStyle = color;
+        context.fillRect(x, y, size, size);
+        context.strokeStyle = this.theme.colors.border;
+        context.lineWidth = lineWidth;
+        context.strokeRect(x + inset, y + inset, size - lineWidth, size - lineWidth);
+    }
+
+    /**
+     * Draws a block with lit top and left edges and shaded bottom and right ones
+     * @param {CanvasRenderingContext2D} context - Context to draw on
+     * @param {number} x - Left edge in CSS pixels
+     * @param {number} y - Top edge in CSS pixels
+     * @param {string} color - Block colour ('#rrggbb')
+     * @param {number} size - Block size
+     */
+    drawBevelBlock(context, x, y, color, size = this.blockSize) {
+        const edge = Math.max(2, Math.round(size / 6));
+        const right = x + size;
+        const bottom = y + size;
+
+        context.fillStyle = color;
+        context.fillRect(x, y, size, size);
+
+        const bevels = [
+            [shadeColor(color, 0.45), [[x, y], [right, y], [right - edge, y + edge], [x + edge, y + edge],
+                [x + edge, bottom - edge], [x, bottom]]],
+            [shadeColor(color, -0.45), [[right, bottom], [x, bottom], [x + edge, bottom - edge],
+                [right - edge, bottom - edge], [right - edge, y + edge], [right, y]]]
+        ];
+        for (const [shade, points] of bevels) {
+            context.fillStyle = shade;
+            context.beginPath();
+            context.moveTo(...points[0]);
+            for (const point of points.slice(1)) {
+                context.lineTo(...point);
+            }
+            context.closePath();
+            context.fill();
+        }
+    }
+
+    /**
+     * Draws only a block's outline, leaving the board showing through
+     * @param {CanvasRenderingContext2D} context - Context to draw on
+     * @param {number} x - Left edge in CSS pixels
+     * @param {number} y - Top edge in CSS pixels
+     * @param {string} color - Outline colour
+     * @param {number} lineWidth - Border width of the other styles (outlines are at least 2 wide)
+     * @param {number} size - Block size
+     */
+    drawOutlineBlock(context, x, y, color, lineWidth, size = this.blockSize) {
+        const width = Math.max(2, lineWidth);
+        const inset = width / 2 + 1;
+
+        context.strokeStyle = color;
+        context.lineWidth = width;
+        context.strokeRect(x + inset, y + inset, size - 2 * inset, size - 2 * inset);
+    }
+
+    /**
+     * Draws a block from the theme's sprite atlas
+     * @param {CanvasRenderingContext2D} context - Context to draw on
+     * @param {number} x - Left edge in CSS pixels
+     * @param {number} y - Top edge in CSS pixels
+     * @param {string} type - Piece type or 'garbage'
+     * @param {number} size - Block size
+     * @returns {boolean} True if drawn; false if the atlas has no tile for the type or is not ready yet
+     */
+    drawSpriteBlock(context, x, y, type, size = this.blockSize) {
+        const atlas = this.getSpriteAtlas();
+        const tile = atlas ? atlas.tiles[type] : undefined;
+        if (tile === undefined) {
+            return false;
+        }
+
+        context.save();
+        context.imageSmoothingEnabled = false;
+        context.drawImage(atlas.image, tile * atlas.tileSize, 0, atlas.tileSize, atlas.tileSize, x, y, size, size);
+        context.restore();
+        return true;
+    }
+
+    /**
+     * Gets the sprite atlas of a sprite theme, building it on first use
+     * Pattern sprites are painted in the block colours, so they follow the palette. Image sprites have
+     * their own colours and are left out while another palette is chosen.
+     * @returns {{image: CanvasImageSource, tileSize: number, tiles: Object}|null} Atlas
+     *     (tiles maps a piece type to its tile index), or null if there is none to draw from
+     */
+    getSpriteAtlas() {
+        const sprite = this.theme.sprite;
+        if (this.spriteAtlas || !sprite) {
+            return this.spriteAtlas;
+        }
+
+        if (sprite.pattern) {
+            this.spriteAtlas = this.buildPatternAtlas(sprite.pattern);
+        } else if (this.spriteImage && !COLOR_PALETTES[this.paletteName]) {
+            this.spriteAtlas = {
+                image: this.spriteImage,
+                tileSize: sprite.tileSize,
+                tiles: Object.fromEntries(sprite.tiles.map((type, index) => [type, index]))
+            };
+        }
+        return this.spriteAtlas;
+    }
+
+    /**
+     * Paints a pixel pattern once per block type onto an offscreen atlas
+     * @param {string[]} pattern - Pixel rows (see ThemeManager.validateSprite)
+     * @returns {{image: CanvasImageSource, tileSize: number, tiles: Object}} Atlas
+     */
+    buildPatternAtlas(pattern) {
+        const tileSize = pattern.length;
+        const types = Object.values(CELL_TYPES);
+        const image = this.createCanvas(tileSize * types.length, tileSize);
+        const context = image.getContext('2d');
+
+        types.forEach((type, index) => {
+            const color = this.getBlockColor(type);
+            const shades = { '#': shadeColor(color, -0.6), '-': shadeColor(color, -0.3), '+': shadeColor(color, 0.4),
+                '.': color };
+            pattern.forEach((row, y) => [...row].forEach((pixel, x) => {
+                if (shades[pixel]) {
+                    context.fillStyle = shades[pixel];
+                    context.fillRect(index * tileSize + x, y, 1, 1);
+                }
+            }));
+        });
+
+        return { image, tileSize, tiles: Object.fromEntries(types.map((type, index) => [type, index])) };
+    }
+
+    /**
+     * Draws a block of a piece type in the theme's block style and the palette's colour,
+     * with its glyph when glyphs are on
+     * @param {CanvasRenderingContext2D} context - Context to draw on
+     * @param {number} x - Left edge in CSS pixels
+     * @param {number} y - Top edge in CSS pixels
+     * @param {string} type - Piece type or 'garbage' (undefined for an unknown cell)
+     * @param {number} lineWidth - Border width
+     * @param {string} fallbackColor - Colour for types the palette and theme do not cover
+     * @param {number} size - Block size
+     */
+    drawCell(context, x, y, type, lineWidth, fallbackColor = '#ffffff', size = this.blockSize) {
+        const cellType = getPieceCellType(type);
+        const color = this.getBlockColor(cellType, fallbackColor);
+        const style = this.theme.blockStyle;
+
+        if (style === 'bevel') {
+            this.drawBevelBlock(context, x, y, color, size);
+        } else if (style === 'outline') {
+            this.drawOutlineBlock(context, x, y, color, lineWidth, size);
+        } else if (style !== 'sprite' || !this.drawSpriteBlock(context, x, y, cellType, size)) {
+            // Flat, and sprite blocks whose image is not loaded yet
+            this.drawBlock(context, x, y, color, lineWidth, size);
+        }
+        this.drawGlyph(context, cellType, style === 'outline' ? this.theme.colors.background : color, x, y, size);
+    }
+
+    /**
+     * Draws a piece type's glyph in the middle of a block, if glyphs are on
+     * @param {CanvasRenderingContext2D} context - Context to draw on
+     * @param {string} type - Piece type or 'garbage'
+     * @param {string} color - Colour of the block underneath
+     * @param {number} x - Left edge of the block
+     * @param {number} y - Top edge of the block
+     * @param {number} size - Block size
+     */
+    drawGlyph(context, type, color, x, y, size) {
+        const glyph = PIECE_GLYPHS[type];
+        if (!this.glyphsEnabled || !glyph) {
+            return;
+        }
 
-            // Check that boolean values are actually booleans
-            if (typeof this.isPaused !== 'boolean') {
-                errors.push(`Invalid isPaused type: ${typeof this.isPaused}`);
-                isValid = false;
+        context.save();
+        context.fillStyle = getContrastingColor(color);
+        context.font = `bold ${Math.round(size * 0.6)}px sans-serif`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(glyph, x + size / 2, y + size / 2);
+        context.restore();
+    }
+
+    /**
+     * Gets the colour of a piece type: the chosen palette's, or the theme's with the standard palette
+     * Pieces neither covers (such as pentominoes) keep the colour of their definition.
+     * @param {string} type - Piece type or 'garbage'
+     * @param {string} fallbackColor - Colour for types that have no colour anywhere
+     * @returns {string} Hex colour
+     */
+    getBlockColor(type, fallbackColor = '#ffffff') {
+        const cellType = getPieceCellType(type);
+        const colors = COLOR_PALETTES[this.paletteName] || this.theme.pieces;
+        if (colors[cellType]) {
+            return colors[cellType];
+        }
+        return Object.prototype.hasOwnProperty.call(TETROMINO_TYPES, cellType) ?
+            TETROMINO_TYPES[cellType].color : fallbackColor;
+    }
+
+    /**
+     * Switches to a theme and redraws everything in it
+     * Image sprites load in the background; blocks are drawn flat until the image is ready.
+     * @param {Object} theme - Theme (see createTheme and ThemeManager.getTheme)
+     * @returns {boolean} True if the theme was applied
+     */
+    setTheme(theme) {
+        if (!theme || !BLOCK_STYLES.includes(theme.blockStyle) || !theme.colors || !theme.pieces) {
+            console.warn('Renderer: Invalid theme');
+            return false;
+        }
+
+        this.theme = theme;
+        this.spriteAtlas = null;
+        this.spriteImage = null;
+        if (theme.sprite && theme.sprite.src && typeof Image !== 'undefined') {
+            const image = new Image();
+            image.onload = () => {
+                if (this.theme === theme) {
+                    this.spriteImage = image;
+                    this.spriteAtlas = null;
+                    this.redrawBlocks();
+                }
+            };
+            image.onerror = () => console.warn(`Renderer: Could not load the sprite of theme ${theme.name}`);
+            image.src = theme.sprite.src;
+        }
+
+        this.backgroundLayer = this.createLayer();
+        this.drawBackground(this.backgroundLayer.context);
+        this.redrawBlocks();
+        return true;
+    }
+
+    /**
+     * Selects the block colour palette and redraws everything in it
+     * @param {string} palette - Key of COLOR_PALETTES
+     * @returns {boolean} True if the palette was applied
+     */
+    setPalette(palette) {
+        if (!Object.prototype.hasOwnProperty.call(COLOR_PALETTES, palette)) {
+            console.warn(`Renderer: Unknown palette: ${palette}`);
+            return false;
+        }
+        this.paletteName = palette;
+        this.spriteAtlas = null; // Pattern sprites are painted in the palette
+        this.redrawBlocks();
+        return true;
+    }
+
+    /**
+     * Turns the piece glyphs on or off
+     * @param {boolean} enabled - Whether blocks show their piece's glyph
+     */
+    setGlyphs(enabled) {
+        this.glyphsEnabled = Boolean(enabled);
+        this.redrawBlocks();
+    }
+
+    /**
+     * Redraws the stack layer and both previews on the next render, after block styles change
+     */
+    redrawBlocks() {
+        this.stackSnapshot = null;
+        this.holdKey = null;
+        this.nextKey = null;
+        this.invalidate();
+    }
+
+    /**
+     * Fills the board with the theme's background and draws the grid over it
+     * @param {CanvasRenderingContext2D} context - Context to draw on
+     */
+    drawBackground(context) {
+        context.fillStyle = this.theme.colors.background;
+        context.fillRect(0, 0, this.width, this.height);
+        this.drawGrid(context);
+    }
+
+    /**
+     * Draws the grid lines
+     * @param {CanvasRenderingContext2D} context - Context to draw on
+     * @param {number} width - Columns
+     * @param {number} height - Rows
+     */
+    drawGrid(context, width = CONFIG.BOARD_WIDTH, height = CONFIG.BOARD_HEIGHT) {
+        const blockSize = this.blockSize;
+
+        context.strokeStyle = this.theme.colors.grid;
+        context.lineWidth = 1;
+        
+        // Vertical lines
+        for (let col = 0; col <= width; col++) {
+            const x = col * blockSize;
+            context.beginPath();
+            context.moveTo(x, 0);
+            context.lineTo(x, height * blockSize);
+            context.stroke();
+        }
+        
+        // Horizontal lines
+        for (let row = 0; row <= height; row++) {
+            const y = row * blockSize;
+            context.beginPath();
+            context.moveTo(0, y);
+            context.lineTo(width * blockSize, y);
+            context.stroke();
+        }
+    }
+
+    /**
+     * Draws the grid and the locked blocks straight onto the board canvas
+     * Bypasses the layer cache; render() keeps using the cache afterwards.
+     * @param {number[][]} board - Board cells (0 = empty, otherwise a colour ID); omit for an empty grid
+     */
+    drawBoard(board = null) {
+        try {
+            const height = board ? board.length : CONFIG.BOARD_HEIGHT;
+            const width = board ? board[0].length : CONFIG.BOARD_WIDTH;
+
+            this.drawGrid(this.context, width, height);
+
+            if (board) {
+                for (let row = 0; row < height; row++) {
+                    for (let col = 0; col < width; col++) {
+                        if (board[row][col] > 0) {
+                            this.drawCell(this.context, col * this.blockSize, row * this.blockSize,
+                                CELL_TYPES[board[row][col]], 1);
+                        }
+                    }
+                }
+            }
+            
+            this.invalidate();
+
+        } catch (error) {
+            console.error('Renderer: Error rendering game board:', error);
+        }
+    }
+
+    /**
+     * Draws the falling piece
+     * @param {Tetromino} piece - The piece to draw
+     * @param {number} pieceX - Board column of the piece
+     * @param {number} pieceY - Board row of the piece
+     */
+    drawCurrentPiece(piece, pieceX, pieceY) {
+        try {
+            const type = piece.getType();
+
+            for (const block of piece.getFilledBlocks()) {
+                this.drawCell(this.context, (pieceX + block.col) * this.blockSize,
+                    (pieceY + block.row) * this.blockSize, type, 2, piece.getColor());
+            }
+
+        } catch (error) {
+            console.error('Renderer: Error rendering current piece:', error);
+        }
+    }
+
+    /**
+     * Draws the ghost piece where the current piece would land on hard drop
+     * @param {Tetromino} piece - The falling piece
+     * @param {number} pieceX - Board column of the piece
+     * @param {number} ghostY - Board row the piece would land on
+     */
+    drawGhostPiece(piece, pieceX, ghostY) {
+        try {
+            const context = this.context;
+            const blockSize = this.blockSize;
+            const color = this.getBlockColor(piece.getType(), piece.getColor());
+
+            context.save();
+
+            if (this.ghostPieceStyle === 'outline') {
+                context.strokeStyle = color;
+                context.lineWidth = 2;
+            } else {
+                context.globalAlpha = CONFIG.GHOST_PIECE.OPACITY;
+                context.fillStyle = color;
+            }
+
+            for (const block of piece.getFilledBlocks()) {
+                const x = (pieceX + block.col) * blockSize;
+                const y = (ghostY + block.row) * blockSize;
+
+                if (this.ghostPieceStyle === 'outline') {
+                    // Inset by half the line width so neighbouring outlines do not overlap
+                    context.strokeRect(x + 1, y + 1, blockSize - 2, blockSize - 2);
+                } else {
+                    context.fillRect(x, y, blockSize, blockSize);
+                }
+            }
+
+            context.restore();
+
+        } catch (error) {
+            console.error('Renderer: Error rendering ghost piece:', error);
+        }
+    }
+
+    /**
+     * Configures the ghost piece projection
+     * @param {boolean} enabled - Whether the ghost piece is drawn
+     * @param {string} style - 'translucent' or 'outline' (optional, keeps the current style)
+     * @returns {boolean} True if the settings were applied
+     */
+    setGhostPiece(enabled, style = this.ghostPieceStyle) {
+        if (style !== 'translucent' && style !== 'outline') {
+            console.warn(`Renderer: Unknown ghost piece style: ${style}`);
+            return false;
+        }
+
+        this.ghostPieceEnabled = Boolean(enabled);
+        this.ghostPieceStyle = style;
+        this.invalidate();
+        console.log(`Renderer: Ghost piece ${this.ghostPieceEnabled ? `enabled (${style})` : 'disabled'}`);
+        return true;
+    }
+
+    /**
+     * Draws a dashed outline where a hint suggests placing a piece
+     * Meant to be called from an overlay effect (see addEffect).
+     * @param {Tetromino} piece - Piece in the suggested rotation
+     * @param {number} pieceX - Board column of the piece
+     * @param {number} pieceY - Board row of the piece
+     */
+    drawHintPiece(piece, pieceX, pieceY) {
+        const context = this.context;
+        const blockSize = this.blockSize;
+
+        context.save();
+        context.strokeStyle = CONFIG.BOT.HINT_COLOR;
+        context.lineWidth = 2;
+        context.setLineDash([4, 3]);
+
+        for (const block of piece.getFilledBlocks()) {
+            context.strokeRect((pieceX + block.col) * blockSize + 3, (pieceY + block.row) * blockSize + 3,
+                blockSize - 6, blockSize - 6);
+        }
+
+        context.restore();
+    }
+
+    /**
+     * Draws the rows being cleared during the line clear delay
+     * Meant to be called from an overlay effect (see addEffect).
+     * @param {number[]} rows - Board rows being cleared
+     * @param {number} progress - 0 at the lock to 1 when the rows are removed
+     * @param {string} style - 'flash' (the rows blink white) or 'dissolve' (cells vanish from the middle out)
+     */
+    drawLineClear(rows, progress, style = CONFIG.LINE_CLEAR_EFFECT.STYLE) {
+        const context = this.context;
+        const blockSize = this.blockSize;
+        const width = CONFIG.BOARD_WIDTH;
+
+        context.save();
+        if (style === 'dissolve') {
+            // Columns go in pairs, starting from the middle two
+            const gone = Math.ceil(progress * width / 2);
+            context.fillStyle = this.theme.colors.background;
+            context.strokeStyle = this.theme.colors.grid;
+            context.lineWidth = 1;
+            for (const row of rows) {
+                for (let col = 0; col < width; col++) {
+                    if (Math.abs(col + 0.5 - width / 2) < gone) {
+                        context.fillRect(col * blockSize, row * blockSize, blockSize, blockSize);
+                        context.strokeRect(col * blockSize, row * blockSize, blockSize, blockSize);
+                    }
+                }
+            }
+        } else if (Math.floor(progress * 8) % 2 === 0) {
+            // Four blinks, fading towards the end
+            context.fillStyle = '#ffffff';
+            context.globalAlpha = 1 - progress / 2;
+            for (const row of rows) {
+                context.fillRect(0, row * blockSize, width * blockSize, blockSize);
+            }
+        }
+        context.restore();
+    }
+
+    /**
+     * Bursts particles out of cleared rows
+     * The particles fly apart and fall for CONFIG.LINE_CLEAR_EFFECT.PARTICLE_LIFETIME ms, fading out.
+     * They are only decoration, so they use Math.random rather than the game's seeded generator.
+     * @param {number[]} rows - Board rows the particles start from
+     * @param {string} color - Particle colour
+     * @param {number} startTime - Frame time the burst starts at (see getTime)
+     * @param {Function} random - Returns numbers in [0, 1)
+     * @returns {boolean} True if the burst was added
+     */
+    addParticleBurst(rows, color, startTime = this.getTime(), random = Math.random) {
+        const { PARTICLES, PARTICLE_LIFETIME } = CONFIG.LINE_CLEAR_EFFECT;
+        if (rows.length === 0 || PARTICLES <= 0) {
+            return false;
+        }
+
+        const blockSize = this.blockSize;
+        const gravity = 0.0008; // px/ms²
+        const particles = Array.from({ length: PARTICLES * rows.length }, (_, index) => {
+            const angle = random() * Math.PI * 2;
+            const speed = 0.05 + random() * 0.2; // px/ms
+            return {
+                x: random() * CONFIG.BOARD_WIDTH * blockSize,
+                y: (rows[Math.floor(index / PARTICLES)] + 0.5) * blockSize,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed - 0.15,
+                size: 2 + random() * 3
+            };
+        });
+
+        return this.addEffect({
+            draw: (context, time) => {
+                const age = Math.max(0, time - startTime);
+                if (age >= PARTICLE_LIFETIME) {
+                    return false;
+                }
+
+                context.save();
+                context.fillStyle = color;
+                context.globalAlpha = 1 - age / PARTICLE_LIFETIME;
+                for (const particle of particles) {
+                    const x = particle.x + particle.vx * age;
+                    const y = particle.y + particle.vy * age + gravity * age * age / 2;
+                    context.fillRect(x - particle.size / 2, y - particle.size / 2, particle.size, particle.size);
+                }
+                context.restore();
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Sets the canvas used to display the held piece
+     * @param {HTMLCanvasElement} canvas - Hold preview canvas (optional)
+     */
+    setHoldCanvas(canvas) {
+        if (canvas && canvas !== this.holdCanvas) {
+            // The canvas' attribute size is its logical size
+            this.holdWidth = canvas.width;
+            this.holdHeight = canvas.height;
+            this.holdContext = canvas.getContext('2d');
+            this.holdCanvas = canvas;
+            this.scaleCanvas(canvas, this.holdContext, this.holdWidth, this.holdHeight);
+        } else if (!canvas) {
+            this.holdCanvas = null;
+            this.holdContext = null;
+        }
+        this.holdKey = null;
+    }
+
+    /**
+     * Draws the held piece into the hold canvas
+     * The piece is dimmed while holding is locked for the current piece. Nothing is drawn
+     * when the held piece and its availability are unchanged.
+     * @param {Tetromino|null} piece - Held piece
+     * @param {boolean} available - Whether the piece can be swapped in
+     */
+    drawHoldPiece(piece, available = true) {
+        try {
+            if (!this.holdCanvas) {
+                return;
+            }
+
+            const key = piece ? `${piece.getType()}:${available}` : '';
+            if (key === this.holdKey) {
+                return;
+            }
+            this.holdKey = key;
+
+            const context = this.holdContext;
+            context.clearRect(0, 0, this.holdWidth, this.holdHeight);
+
+            if (!piece) {
+                return;
+            }
+
+            context.globalAlpha = available ? 1 : 0.35;
+            this.drawPreviewPiece(context, piece, 0, 0, this.holdWidth, this.holdHeight);
+            context.globalAlpha = 1;
+
+        } catch (error) {
+            console.error('Renderer: Error rendering hold piece:', error);
+        }
+    }
+
+    /**
+     * Sets the canvas used to display the next queue
+     * @param {HTMLCanvasElement} canvas - Next queue canvas (optional)
+     * @param {number} slotCount - Number of pieces the canvas shows
+     */
+    setNextCanvas(canvas, slotCount = this.nextSlotCount) {
+        if (canvas && canvas !== this.nextCanvas) {
+            // The canvas' attribute width is its logical width; the height follows the slot count
+            this.nextWidth = canvas.width;
+            this.nextContext = canvas.getContext('2d');
+        }
+        this.nextCanvas = canvas || null;
+        this.nextContext = canvas ? this.nextContext : null;
+        this.resizeNextCanvas(slotCount);
+    }
+
+    /**
+     * Gets the height of one slot in the next queue preview
+     * The first slot is square, later slots are shorter to keep the panel compact
+     * @param {number} index - Slot index (0 = next piece)
+     * @returns {number} Slot height in CSS pixels
+     */
+    getNextSlotHeight(index) {
+        const width = this.nextWidth;
+        return index === 0 ? width : Math.round(width * 0.6);
+    }
+
+    /**
+     * Resizes the next queue canvas to fit all slots
+     * @param {number} slotCount - Number of pieces shown
+     */
+    resizeNextCanvas(slotCount) {
+        this.nextSlotCount = slotCount;
+        this.nextKey = null;
+        if (!this.nextCanvas) {
+            return;
+        }
+
+        let height = 0;
+        for (let index = 0; index < slotCount; index++) {
+            height += this.getNextSlotHeight(index);
+        }
+        this.nextHeight = height;
+        this.scaleCanvas(this.nextCanvas, this.nextContext, this.nextWidth, height);
+    }
+
+    /**
+     * Draws the next queue into the next canvas, one piece per slot
+     * Nothing is drawn when the queue is unchanged.
+     * @param {Tetromino[]} pieces - Upcoming pieces, next first
+     * @param {number} slotCount - Number of slots the canvas shows
+     */
+    drawNextQueue(pieces, slotCount = pieces.length) {
+        try {
+            if (!this.nextCanvas) {
+                return;
+            }
+
+            // Resizing clears the canvas, so only do it when the queue length changed
+            if (slotCount !== this.nextSlotCount) {
+                this.resizeNextCanvas(slotCount);
+            }
+
+            const key = `${slotCount}:${pieces.map(piece => piece.getType()).join(',')}`;
+            if (key === this.nextKey) {
+                return;
+            }
+            this.nextKey = key;
+
+            const context = this.nextContext;
+            context.clearRect(0, 0, this.nextWidth, this.nextHeight);
+
+            let slotY = 0;
+            pieces.forEach((piece, index) => {
+                const slotHeight = this.getNextSlotHeight(index);
+                this.drawPreviewPiece(context, piece, 0, slotY, this.nextWidth, slotHeight);
+                slotY += slotHeight;
+            });
+
+        } catch (error) {
+            console.error('Renderer: Error rendering next queue:', error);
+        }
+    }
+
+    /**
+     * Draws a piece centred inside a preview area
+     * Centring uses the filled blocks rather than the SRS bounding box, and pieces
+     * too big for the usual block size (pentominoes, big pieces) are drawn smaller
+     * @param {CanvasRenderingContext2D} context - Canvas context
+     * @param {Tetromino} piece - The piece to draw
+     * @param {number} areaX - Left edge of the preview area
+     * @param {number} areaY - Top edge of the preview area
+     * @param {number} areaWidth - Width of the preview area
+     * @param {number} areaHeight - Height of the preview area
+     */
+    drawPreviewPiece(context, piece, areaX, areaY, areaWidth, areaHeight) {
+        const blocks = piece.getFilledBlocks();
+        const minRow = Math.min(...blocks.map(block => block.row));
+        const maxRow = Math.max(...blocks.map(block => block.row));
+        const minCol = Math.min(...blocks.map(block => block.col));
+        const maxCol = Math.max(...blocks.map(block => block.col));
+        const pieceWidth = maxCol - minCol + 1;
+        const pieceHeight = maxRow - minRow + 1;
+
+        // Leave one block of padding around the piece, sized for at least the widest (I = 4)
+        // and tallest (2) tetromino so that every tetromino is drawn at the same size
+        const blockSize = Math.floor(Math.min(areaWidth / Math.max(5, pieceWidth + 1),
+            areaHeight / Math.max(3, pieceHeight + 1), this.blockSize));
+        const offsetX = areaX + (areaWidth - pieceWidth * blockSize) / 2;
+        const offsetY = areaY + (areaHeight - pieceHeight * blockSize) / 2;
+
+        const type = piece.getType();
+
+        for (const block of blocks) {
+            const x = offsetX + (block.col - minCol) * blockSize;
+            const y = offsetY + (block.row - minRow) * blockSize;
+            this.drawCell(context, x, y, type, 1, piece.getColor(), blockSize);
+        }
+    }
+
+    /**
+     * Draws one block of every type on the theme's background, to preview a theme
+     * Fills the whole board canvas; meant for a small canvas of its own.
+     * @returns {boolean} True if the sample was drawn
+     */
+    drawThemeSample() {
+        const types = [...PIECE_SETS.classic.types, 'garbage'];
+        const size = Math.floor(Math.min(this.width / types.length, this.height));
+        if (size <= 0) {
+            return false;
+        }
+
+        const context = this.context;
+        context.clearRect(0, 0, this.width, this.height);
+        context.fillStyle = this.theme.colors.background;
+        context.fillRect(0, 0, this.width, this.height);
+        const offsetX = (this.width - size * types.length) / 2;
+        const offsetY = (this.height - size) / 2;
+        types.forEach((type, index) => {
+            this.drawCell(context, offsetX + index * size, offsetY, type, 1, '#ffffff', size);
+        });
+        return true;
+    }
+
+    /**
+     * Gets a high-resolution timestamp
+     * @returns {number} Milliseconds
+     */
+    getTime() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+
+    /**
+     * Clears the frame timing metrics
+     */
+    resetMetrics() {
+        this.frameTimes = [];
+        this.metrics = {
+            frames: 0,
+            fullRedraws: 0,
+            lastFrameTime: 0,
+            averageFrameTime: 0,
+            maxFrameTime: 0,
+            dirtyRegions: 0,
+            dirtyCells: 0
+        };
+    }
+
+    /**
+     * Records the cost of one rendered frame
+     * @param {number} duration - Milliseconds spent in render()
+     * @param {number} regions - Regions composed this frame
+     * @param {number} cells - Board cells redrawn this frame
+     * @param {boolean} fullRedraw - Whether the whole board was redrawn
+     */
+    recordFrame(duration, regions, cells, fullRedraw) {
+        this.frameTimes.push(duration);
+        if (this.frameTimes.length > CONFIG.RENDERER.METRICS_WINDOW) {
+            this.frameTimes.shift();
+        }
+
+        const metrics = this.metrics;
+        metrics.frames++;
+        metrics.fullRedraws += fullRedraw ? 1 : 0;
+        metrics.lastFrameTime = duration;
+        metrics.averageFrameTime = this.frameTimes.reduce((sum, time) => sum + time, 0) / this.frameTimes.length;
+        metrics.maxFrameTime = Math.max(...this.frameTimes);
+        metrics.dirtyRegions = regions;
+        metrics.dirtyCells = cells;
+    }
+
+    /**
+     * Gets per-frame rendering metrics
+     * Average and maximum cover the last CONFIG.RENDERER.METRICS_WINDOW frames; the dirty
+     * counts describe the last frame.
+     * @returns {Object} frames, fullRedraws, lastFrameTime, averageFrameTime, maxFrameTime (ms),
+     *     dirtyRegions, dirtyCells and pixelRatio
+     */
+    getMetrics() {
+        return { ...this.metrics, pixelRatio: this.pixelRatio };
+    }
+}
+
+/**
+ * TextRenderer class - Renders a game as plain text
+ * A renderer adapter for Node scripts and bots that want to watch a game without a canvas
+ */
+class TextRenderer {
+    /**
+     * Creates a new TextRenderer instance
+     * @param {Function} write - Receives every rendered frame (defaults to console.log)
+     */
+    constructor(write = text => console.log(text)) {
+        this.write = write;
+    }
+
+    /**
+     * Renders the game and passes the text to the writer
+     * @param {GameCore} game - Game to draw
+     */
+    render(game) {
+        this.write(this.toText(game));
+    }
+
+    /**
+     * Draws the board as text
+     * Locked cells show their piece letter, the falling piece '@' and empty cells '.'
+     * @param {GameCore} game - Game to draw
+     * @returns {string} Board rows followed by a status line
+     */
+    toText(game) {
+        // Pieces show as their one-character glyph, garbage and unknown cells as '#'
+        const rows = game.gameBoard.getBoard().map(row => row.map(cell => {
+            const type = CELL_TYPES[cell];
+            return cell > 0 ? (type && type !== 'garbage' ? PIECE_GLYPHS[type] : '#') : '.';
+        }));
+
+        if (game.currentPiece) {
+            for (const block of game.currentPiece.getFilledBlocks()) {
+                const row = rows[game.pieceY + block.row];
+                if (row && game.pieceX + block.col >= 0 && game.pieceX + block.col < row.length) {
+                    row[game.pieceX + block.col] = '@';
+                }
+            }
+        }
+
+        const state = game.gameState.getState();
+        const status = `Score ${state.score}  Lines ${state.lines}  Level ${state.level}` +
+            (state.isGameOver ? '  GAME OVER' : '');
+        return [...rows.map(row => row.join('')), status].join('\n');
+    }
+}
+
+/**
+ * GameEngine class - Runs a GameCore in the browser
+ * Adds the canvas Renderer, keyboard input, the animation frame loop and the page UI
+ * (score display, game over screen, high scores, replay controls)
+ */
+class GameEngine extends GameCore {
+    /**
+     * Creates a new GameEngine instance
+     * @param {HTMLCanvasElement} canvas - The canvas element for rendering
+     * @param {HTMLElement} scoreElement - Element to display score
+     * @param {HTMLElement} levelElement - Element to display level
+     * @param {HTMLElement} linesElement - Element to display lines cleared (optional)
+     */
+    constructor(canvas, scoreElement, levelElement, linesElement = null) {
+        super();
+        
+        try {
+            // Validate required parameters
+            this.validateConstructorParameters(canvas, scoreElement, levelElement);
+
+            this.canvas = canvas;
+            this.scoreElement = scoreElement;
+            this.levelElement = levelElement;
+            this.linesElement = linesElement;
+            
+            // Canvas drawing and keyboard input are the core's adapters
+            this.setRenderer(new Renderer(canvas));
+            
+            this.inputHandler = new InputHandler(this);
+            if (!this.inputHandler.validateConfiguration()) {
+                throw new Error('GameEngine: InputHandler initialization failed validation');
             }
+            this.inputHandler.loadKeyBindings();
+            this.addInputAdapter(this.inputHandler);
+            this.touchInput = null; // Added by setTouchElements
+            
+            this.gamepadInput = new GamepadInputHandler(this.inputHandler, {
+                onConnectionChange: info => this.emit('gamepadChange', info)
+            });
+            this.addInputAdapter(this.gamepadInput);
+            
+            // Second player for local versus: a headless core with its own key binding set
+            // (drawn once setVersusElements gives it a canvas)
+            this.opponent = new GameCore();
+            this.opponent.setGameMode('versus');
+            this.player2Input = new InputHandler(this.opponent, undefined, {
+                defaultKeyMap: PLAYER_2_KEY_MAP,
+                storageKey: CONFIG.KEY_BINDINGS.PLAYER_2_STORAGE_KEY
+            });
+            this.player2Input.loadKeyBindings();
+            this.opponent.addInputAdapter(this.player2Input);
+            this.inputHandler.shareKeyboardWith(this.player2Input);
+            this.versusMatch = null; // Set while a versus match is on the screen (see startVersus)
+            this.keyBindingPlayer = 0; // Player whose keys the key settings screen edits
+            
+            // Bot player and hint overlay (the bot is an input adapter only while it plays)
+            this.autoPlayer = new AutoPlayer(this);
+            this.autoPlayUsed = false; // The bot played part of this game, so it is not ranked
+            this.hintEffect = null;    // Renderer effect drawing the hint while hints are on
+            
+            // How rows being cleared are animated (see drawLineClear)
+            this.lineClearStyle = CONFIG.LINE_CLEAR_EFFECT.STYLE;
+            
+            // Sound effects and music (silent until unlock() is called from a user gesture)
+            this.audio = new AudioEngine();
+            
+            // Screen reader announcements, and the palette, glyph and reduced motion settings
+            this.accessibility = new AccessibilitySettings();
+            this.announcer = new Announcer();
+            
+            // Board, block and page look (the preview draws a theme before it is applied)
+            this.themes = new ThemeManager();
+            this.themePreview = null;
+            
+            // Real-time loop (lastFrameTime is the wall clock of the previous animation frame)
+            this.animationId = null;
+            this.lastFrameTime = null;
+            
+            // High scores (the finished game's entry waits here until a name is entered)
+            this.highScoreStore = new HighScoreStore();
+            this.pendingHighScore = null;
+            
+            // Game in progress, kept across reloads (see saveGame and resumeSavedGame)
+            this.savedGameStore = new SavedGameStore();
+            
+            // Randomizer and piece set chosen in the settings panel, kept across reloads
+            this.gameSettings = new GameSettings();
+            this.randomizerType = this.gameSettings.getSettings().randomizer;
+            this.pieceSet = this.gameSettings.getSettings().pieceSet;
+            
+            // Page elements set after construction
+            this.replayElements = null;
+            this.modeElements = null;
+            this.versusElements = null;
+            this.autoPlayElements = null;
+            this.audioElements = null;
+            this.accessibilityElements = null;
+            this.themeElements = null;
+            this.clearMessageElement = null;
+            
+            this.bindCoreEvents();
+            this.applyAccessibilitySettings();
+            this.applyTheme();
+            
+            console.log('GameEngine: Initialized successfully');
+            
+        } catch (error) {
+            this.handleConstructorError(error);
+            throw error;
+        }
+    }
 
-            if (typeof this.isGameOver !== 'boolean') {
-                errors.push(`Invalid isGameOver type: ${typeof this.isGameOver}`);
-                isValid = false;
-            }
+    /**
+     * Validates constructor parameters
+     * @param {HTMLCanvasElement} canvas - Canvas element
+     * @param {HTMLElement} scoreElement - Score display element
+     * @param {HTMLElement} levelElement - Level display element
+     */
+    validateConstructorParameters(canvas, scoreElement, levelElement) {
+        if (!canvas) {
+            throw new Error('GameEngine: Canvas element is required');
+        }
+        
+        if (!(canvas instanceof HTMLCanvasElement)) {
+            throw new Error('GameEngine: Canvas parameter must be an HTMLCanvasElement');
+        }
+        
+        if (!scoreElement || !(scoreElement instanceof HTMLElement)) {
+            throw new Error('GameEngine: Score element must be a valid HTMLElement');
+        }
+        
+        if (!levelElement || !(levelElement instanceof HTMLElement)) {
+            throw new Error('GameEngine: Level element must be a valid HTMLElement');
+        }
+        
+        // Validate canvas context
+        const context = canvas.getContext('2d');
+        if (!context) {
+            throw new Error('GameEngine: Cannot get 2D context from canvas');
+        }
+    }
 
-            if (typeof this.isRunning !== 'boolean') {
-                errors.push(`Invalid isRunning type: ${typeof this.isRunning}`);
-                isValid = false;
+    /**
+     * Keeps the page in step with the simulation
+     */
+    bindCoreEvents() {
+        this.on('reset', () => {
+            this.hideGameOverScreen();
+            this.showClearMessage(null);
+            this.updateScore();
+            this.updateLevel();
+            this.updateLines();
+            this.updateModeTimer();
+            this.hideVersusResult();
+        });
+        this.on('gameStart', event => {
+            this.hideStartScreen();
+            this.autoPlayUsed = this.isAutoPlaying();
+            // A new game gives up the saved one (watching a replay keeps it)
+            if (!event.replay && !event.resumed) {
+                this.savedGameStore.clear();
             }
-
-            // Check logical consistency
-            if (this.isGameOver && this.isRunning) {
-                errors.push('Inconsistent state - cannot be both game over and running');
-                isValid = false;
+            // A one-player game or replay takes the screen back from versus play
+            if (GAME_MODES[event.mode].players === 1) {
+                this.endVersus();
             }
-
-            if (this.isPaused && this.isGameOver) {
-                errors.push('Inconsistent state - cannot be paused when game is over');
-                isValid = false;
+        });
+        this.on('modeChange', () => this.updateModeDisplay());
+        this.on('lineClear', result => this.showClearMessage(result));
+        this.on('gameOver', () => this.handleGameOver());
+        this.on('pauseChange', event => {
+            if (event.paused) {
+                this.saveGame();
             }
+        });
+        this.bindAudioEvents();
+        this.bindLineClearEffects();
+        this.bindAnnouncements();
+        this.on('replayChange', () => this.updateReplayControls());
+    }
 
-            // Check reasonable value ranges
-            if (this.score > 999999999) {
-                errors.push(`Score too high: ${this.score}`);
-                isValid = false;
+    /**
+     * Plays sound effects and runs the music for live games (replays play silently)
+     */
+    bindAudioEvents() {
+        this.on('gameStart', event => {
+            if (event.replay) {
+                this.audio.stopMusic();
+            } else {
+                this.audio.startMusic();
+            }
+        });
+        this.on('pauseChange', event => this.audio.setMusicPaused(event.paused));
+        this.on('reset', () => this.audio.stopMusic());
+        this.on('command', event => {
+            if (COMMAND_SOUNDS[event.command] && !this.replayPlayer) {
+                this.audio.playEffect(COMMAND_SOUNDS[event.command]);
+            }
+        });
+        this.on('pieceLock', event => {
+            if (this.replayPlayer) {
+                return;
+            }
+            this.audio.playEffect('lock');
+            const clearEffect = this.audio.getClearEffect(event.clear);
+            if (clearEffect) {
+                this.audio.playEffect(clearEffect);
+            }
+            if (event.clear && event.clear.levelIncreased) {
+                this.audio.playEffect('levelUp', clearEffect ? this.audio.getEffectDuration(clearEffect) : 0);
             }
+        });
+        this.on('gameOver', () => {
+            this.audio.stopMusic();
+            if (!this.replayPlayer) {
+                this.audio.playEffect('gameOver');
+            }
+        });
+    }
 
-            if (this.level > 999) {
-                errors.push(`Level too high: ${this.level}`);
-                isValid = false;
+    /**
+     * Animates rows through the line clear delay, and bursts particles on a Tetris or T-spin clear
+     */
+    bindLineClearEffects() {
+        this.on('pieceLock', event => {
+            const rows = event.rows;
+            if (rows.length === 0 || this.accessibility.reducedMotion) {
+                return;
             }
 
-            if (this.lines > 999999) {
-                errors.push(`Lines too high: ${this.lines}`);
-                isValid = false;
+            // The animation ends with the delay, when the game lets go of these rows
+            if (this.clearingRows === rows) {
+                this.renderer.addEffect({
+                    draw: () => {
+                        if (this.clearingRows !== rows) {
+                            return false;
+                        }
+                        this.renderer.drawLineClear(rows, this.getLineClearProgress(), this.lineClearStyle);
+                        return true;
+                    }
+                });
             }
 
-            // Log errors if any
-            if (!isValid) {
-                console.error('GameState: Validation failed:', errors);
+            if (event.clear.tSpin !== 'none') {
+                this.renderer.addParticleBurst(rows, this.renderer.getBlockColor('T'));
+            } else if (rows.length >= 4) {
+                this.renderer.addParticleBurst(rows, this.renderer.getBlockColor('I'));
             }
+        });
+    }
 
-            return isValid;
+    /**
+     * Reads out spawns, clears, level ups and the end of the game (replays are not read out)
+     */
+    bindAnnouncements() {
+        const announce = message => {
+            if (!this.replayPlayer) {
+                this.announcer.announce(message);
+            }
+        };
+        this.on('gameStart', event => {
+            announce(`${GAME_MODES[event.mode].name} ${event.resumed ? '再開' : '開始'}`);
+            // The first piece is dealt without a pieceSpawn event
+            if (this.currentPiece) {
+                announce(`${this.currentPiece.getType()}ミノ`);
+            }
+        });
+        this.on('pieceSpawn', event => announce(`${event.type}ミノ`));
+        this.on('lineClear', result => announce(this.describeClear(result)));
+        this.on('stackClear', () => announce('盤面をリセット'));
+        this.on('gameOver', state => {
+            announce(`${GAME_END_TITLES[state.result.reason]} スコア ${state.score.toLocaleString()}`);
+        });
+    }
 
-        } catch (error) {
-            console.error('GameState: Error during validation:', error);
-            return false;
+    /**
+     * Describes a scoring lock for screen readers
+     * @param {Object} result - processLineClear result
+     * @returns {string} e.g. "2ライン消去 (T-Spin Double)、レベル3"
+     */
+    describeClear(result) {
+        const parts = [];
+        if (result.linesCleared > 0) {
+            parts.push(`${result.linesCleared}ライン消去${result.lineClearType ? ` (${result.lineClearType})` : ''}`);
+        } else if (result.lineClearType) {
+            parts.push(result.lineClearType);
+        }
+        if (result.combo > 0) {
+            parts.push(`${result.combo}コンボ`);
         }
+        if (result.perfectClear) {
+            parts.push('All Clear');
+        }
+        if (result.levelIncreased) {
+            parts.push(`レベル${result.newLevel}`);
+        }
+        return parts.join('、');
     }
 
     /**
-     * Attempts to fix invalid state values
-     * @returns {boolean} True if state was fixed successfully
+     * Describes the board for screen readers: column heights, holes and the pieces in play
+     * @returns {string} Summary text
      */
-    fixInvalidState() {
-        try {
-            let wasFixed = false;
+    describeBoard() {
+        const heights = this.gameBoard.getColumnHeights();
+        const holes = this.gameBoard.getColumnHoles();
+        const holeCount = holes.reduce((sum, count) => sum + count, 0);
+        const holeColumns = holes
+            .map((count, col) => (count > 0 ? `${col + 1}列目 ${count}` : null))
+            .filter(text => text !== null);
 
-            // Fix numeric values
-            if (typeof this.score !== 'number' || this.score < 0 || !Number.isFinite(this.score)) {
-                this.score = 0;
-                wasFixed = true;
-                console.warn('GameState: Fixed invalid score');
-            }
+        const parts = [
+            `列の高さ (左から): ${heights.join(', ')}`,
+            holeCount > 0 ? `穴 ${holeCount}個 (${holeColumns.join(', ')})` : '穴なし'
+        ];
+        if (this.currentPiece) {
+            parts.push(`操作中: ${this.currentPiece.getType()}ミノ`);
+        }
+        if (this.holdPiece) {
+            parts.push(`ホールド: ${this.holdPiece.getType()}ミノ`);
+        }
+        const next = this.getNextQueue().map(piece => piece.getType());
+        if (next.length > 0) {
+            parts.push(`ネクスト: ${next.join(', ')}`);
+        }
+        return parts.join('。');
+    }
 
-            if (typeof this.level !== 'number' || this.level < 1 || !Number.isFinite(this.level)) {
-                this.level = 1;
-                wasFixed = true;
-                console.warn('GameState: Fixed invalid level');
-            }
+    /**
+     * Reads the board summary out
+     * @returns {string} The summary
+     */
+    announceBoardSummary() {
+        const summary = this.describeBoard();
+        this.announcer.announce(summary);
+        return summary;
+    }
 
-            if (typeof this.lines !== 'number' || this.lines < 0 || !Number.isFinite(this.lines)) {
-                this.lines = 0;
-                wasFixed = true;
-                console.warn('GameState: Fixed invalid lines');
-            }
+    /**
+     * Stops the loop, offers a high score and shows the game over screen
+     */
+    handleGameOver() {
+        this.stopLoop();
+        if (!this.replayPlayer) {
+            this.savedGameStore.clear();
+        }
+        
+        // Versus games end on the winner screen instead (see showVersusResult)
+        if (this.versusMatch) {
+            this.updateModeTimer();
+            return;
+        }
+        
+        // Offer a place in the mode's high score table (not for replays, bot games or unfinished time trials)
+        const result = this.gameResult;
+        this.pendingHighScore = null;
+        if (!this.replayPlayer && !this.autoPlayUsed && result && result.ranked &&
+            this.highScoreStore.qualifies(this.gameMode, result.score, result.time)) {
+            this.pendingHighScore = this.createHighScoreEntry();
+        }
+        this.updateModeTimer();
+        
+        // Display game over information
+        this.displayGameOverInfo();
+    }
 
-            // Fix boolean values
-            if (typeof this.isPaused !== 'boolean') {
-                this.isPaused = false;
-                wasFixed = true;
-                console.warn('GameState: Fixed invalid isPaused');
-            }
+    /**
+     * Starts a new game and its animation frame loop
+     * Two-player modes start a versus match instead
+     * @param {number|string|null} seed - Seed for this game only (defaults to the fixed seed, or a new one)
+     */
+    start(seed = null) {
+        // Stop a replay first, so the player's own mode decides what starts
+        if (this.replayPlayer) {
+            this.stopReplay();
+        }
 
-            if (typeof this.isGameOver !== 'boolean') {
-                this.isGameOver = false;
-                wasFixed = true;
-                console.warn('GameState: Fixed invalid isGameOver');
-            }
+        if (this.getGameModeConfig().players > 1) {
+            this.startVersus(seed);
+            return;
+        }
 
-            if (typeof this.isRunning !== 'boolean') {
-                this.isRunning = false;
-                wasFixed = true;
-                console.warn('GameState: Fixed invalid isRunning');
-            }
+        super.start(seed);
+        
+        if (this.gameState.isRunningState() && !this.gameState.isGameOverState()) {
+            this.startLoop();
+        }
+    }
 
-            // Fix logical inconsistencies
-            if (this.isGameOver && this.isRunning) {
-                this.isRunning = false;
-                wasFixed = true;
-                console.warn('GameState: Fixed inconsistent running/game over state');
-            }
+    /**
+     * Saves the game in progress so it can be resumed after the tab is closed
+     * Called on pause and when the page is hidden; versus games and replays are not saved.
+     * @returns {boolean} True if the game was saved
+     */
+    saveGame() {
+        const data = this.createSaveData();
+        if (!data) {
+            return false;
+        }
+        return this.savedGameStore.save({ ...data, autoPlayed: this.autoPlayUsed });
+    }
 
-            if (this.isPaused && this.isGameOver) {
-                this.isPaused = false;
-                wasFixed = true;
-                console.warn('GameState: Fixed inconsistent paused/game over state');
-            }
+    /**
+     * Checks if a saved game is waiting to be resumed
+     * @returns {boolean} True if one can be offered
+     */
+    hasSavedGame() {
+        return this.savedGameStore.has();
+    }
 
-            // Fix unreasonable values
-            if (this.score > 999999999) {
-                this.score = 999999999;
-                wasFixed = true;
-                console.warn('GameState: Capped excessive score');
-            }
+    /**
+     * Continues the saved game
+     * A save that fails validation is discarded and a fresh game of the selected mode starts instead.
+     * @returns {boolean} True if the saved game was resumed
+     */
+    resumeSavedGame() {
+        if (this.gameState.isRunningState() && !this.replayPlayer) {
+            console.warn('GameEngine: Game is already running');
+            return false;
+        }
 
-            if (this.level > 999) {
-                this.level = 999;
-                wasFixed = true;
-                console.warn('GameState: Capped excessive level');
-            }
+        const data = this.savedGameStore.load();
+        if (!data) {
+            return false;
+        }
 
-            if (this.lines > 999999) {
-                this.lines = 999999;
-                wasFixed = true;
-                console.warn('GameState: Capped excessive lines');
-            }
+        if (this.replayPlayer) {
+            this.stopReplay();
+        }
+        this.endVersus();
+        
+        if (!this.restoreSaveData(data)) {
+            this.savedGameStore.clear();
+            this.displayErrorMessage('保存されたゲームを再開できませんでした。新しいゲームを始めます');
+            this.start();
+            return false;
+        }
+        
+        // Bot play before the save still keeps the game out of the high scores
+        this.autoPlayUsed = this.autoPlayUsed || data.autoPlayed === true;
+        this.startLoop();
+        return true;
+    }
 
-            if (wasFixed) {
-                console.log('GameState: State corruption fixed');
-            }
+    /**
+     * Starts a local versus match against the second player
+     * Both players get the same piece sequence and run in the same animation frame loop.
+     * @param {number|string|null} seed - Match seed (defaults to the fixed seed, or a new one)
+     * @returns {boolean} True if the match started
+     */
+    startVersus(seed = null) {
+        if (this.gameState.isRunningState()) {
+            console.warn('GameEngine: Game is already running');
+            return false;
+        }
 
-            return wasFixed;
+        const fixedSeed = seed !== null ? seed : this.seed;
+        const matchSeed = fixedSeed !== null ? fixedSeed : generateSeed();
+        
+        this.endVersus();
+        this.versusMatch = new VersusMatch(this, this.opponent);
+        this.versusMatch.on('garbageChange', event => this.updateGarbageMeters(event.pending));
+        this.versusMatch.on('end', event => this.showVersusResult(event));
+        this.versusMatch.prepare(matchSeed);
+        this.setVersusLayout(true);
+        // The opponent must deal from the same piece set to get the same pieces
+        this.opponent.setPieceSet(this.pieceSet);
+        
+        super.start(matchSeed);
+        this.opponent.start(matchSeed);
+        
+        if (this.gameState.isRunningState() && !this.gameState.isGameOverState()) {
+            this.startLoop();
+        }
+        return true;
+    }
 
-        } catch (error) {
-            console.error('GameState: Error fixing invalid state:', error);
+    /**
+     * Leaves versus play: stops the match, clears the second board and hides the versus layout
+     * @returns {boolean} True if a match was ended
+     */
+    endVersus() {
+        if (!this.versusMatch) {
             return false;
         }
+
+        this.versusMatch.destroy();
+        this.versusMatch = null;
+        this.opponent.reset();
+        this.setVersusLayout(false);
+        this.hideVersusResult();
+        return true;
     }
 
     /**
-     * Validates and fixes state if necessary
-     * @returns {boolean} True if state is valid after any fixes
+     * Restarts the loaded replay from its first frame and runs the loop for playback
      */
-    validateAndFix() {
-        if (this.validateState()) {
-            return true;
-        }
+    restartReplay() {
+        super.restartReplay();
+        this.startLoop();
+    }
 
-        // Try to fix the state
-        this.fixInvalidState();
+    /**
+     * Resets the game and stops the animation frame loop
+     */
+    reset() {
+        this.stopLoop();
+        super.reset();
+    }
 
-        // Validate again after fixing
-        return this.validateState();
+    /**
+     * Starts the animation frame loop, replacing a running one
+     */
+    startLoop() {
+        this.stopLoop();
+        this.lastFrameTime = null;
+        this.gameLoop();
     }
 
     /**
-     * Creates a string representation of the game state for debugging
-     * @returns {string} String representation
+     * Stops the animation frame loop
      */
-    toString() {
-        return `GameState: Score=${this.score}, Level=${this.level}, Lines=${this.lines}, ` +
-               `Running=${this.isRunning}, Paused=${this.isPaused}, GameOver=${this.isGameOver}`;
+    stopLoop() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
     }
-}
 
-/**
- * GameEngine class - Main game engine that manages game state and operations
- * Handles game logic, piece movement, and coordinates between different game components
- */
-class GameEngine {
     /**
-     * Creates a new GameEngine instance
-     * @param {HTMLCanvasElement} canvas - The canvas element for rendering
-     * @param {HTMLElement} scoreElement - Element to display score
-     * @param {HTMLElement} levelElement - Element to display level
-     * @param {HTMLElement} linesElement - Element to display lines cleared (optional)
+     * Main game loop
+     * Handles timing, updates, and rendering
      */
-    constructor(canvas, scoreElement, levelElement, linesElement = null) {
+    gameLoop() {
         try {
-            // Validate required parameters
-            this.validateConstructorParameters(canvas, scoreElement, levelElement);
+            // Check if we're in an error state
+            if (this.isInErrorState) {
+                // Try to recover from error state
+                if (Date.now() - this.lastErrorTime > 1000) { // Wait 1 second before retry
+                    this.attemptRenderingRecovery();
+                }
+                
+                // Continue loop even in error state to allow recovery
+                this.animationId = requestAnimationFrame(() => this.gameLoop());
+                return;
+            }
 
-            this.canvas = canvas;
-            this.scoreElement = scoreElement;
-            this.levelElement = levelElement;
-            this.linesElement = linesElement;
+            // Validate game state before proceeding
+            if (!this.validateGameState()) {
+                this.handleGameLogicError(new Error('Invalid game state in game loop'), 'game_loop');
+                return;
+            }
+
+            if (!this.gameState.isRunningState() || this.gameState.isGameOverState()) {
+                return;
+            }
+
+            const currentTime = Date.now();
             
-            // Initialize error handling
-            this.errorLog = [];
-            this.isInErrorState = false;
-            this.lastErrorTime = 0;
-            this.errorRecoveryAttempts = 0;
-            this.maxErrorRecoveryAttempts = 3;
+            // Validate timing
+            if (typeof currentTime !== 'number' || !Number.isFinite(currentTime)) {
+                this.handleGameLogicError(new Error('Invalid current time'), 'timing');
+                return;
+            }
+
+            const dropSpeed = this.gameState.getDropSpeed();
             
-            // Initialize game components with error handling
-            this.initializeGameComponents();
+            // Validate drop speed
+            if (typeof dropSpeed !== 'number' || dropSpeed <= 0 || !Number.isFinite(dropSpeed)) {
+                this.handleGameLogicError(new Error(`Invalid drop speed: ${dropSpeed}`), 'timing');
+                return;
+            }
             
-            // Game pieces and positioning
-            this.currentPiece = null;
-            this.nextPiece = null;
-            this.pieceX = 0;
-            this.pieceY = 0;
+            // Gamepads have no events for buttons, so they are read once per animation frame
+            this.safeCall(this.pollInputAdapters, 'input', currentTime);
             
-            // Timing
-            this.lastDropTime = 0;
+            // Advance the simulation in fixed frames so games and replays are frame-exact
+            this.advanceGameTime(currentTime);
+            this.updateModeTimer();
             
-            // Animation frame ID for cleanup
-            this.animationId = null;
+            // Keep the music scheduled ahead, at the tempo of the current drop speed
+            this.safeCall(() => this.audio.update(this.gameState.getDropSpeed()), 'audio');
             
-            // Validate initial state
-            this.validateGameState();
+            // Render the game
+            this.safeCall(this.render, 'rendering');
             
-            console.log('GameEngine: Initialized successfully');
+            // Continue game loop
+            this.animationId = requestAnimationFrame(() => this.gameLoop());
             
         } catch (error) {
-            this.handleConstructorError(error);
-            throw error;
+            this.handleGameLogicError(error, 'game_loop');
+            
+            // Try to continue the game loop after error
+            setTimeout(() => {
+                if (!this.gameState.isGameOverState()) {
+                    this.animationId = requestAnimationFrame(() => this.gameLoop());
+                }
+            }, 100);
         }
     }
 
     /**
-     * Validates constructor parameters
-     * @param {HTMLCanvasElement} canvas - Canvas element
-     * @param {HTMLElement} scoreElement - Score display element
-     * @param {HTMLElement} levelElement - Level display element
+     * Simulates the real time that passed since the previous animation frame
+     * @param {number} currentTime - Real time in milliseconds
      */
-    validateConstructorParameters(canvas, scoreElement, levelElement) {
-        if (!canvas) {
-            throw new Error('GameEngine: Canvas element is required');
-        }
-        
-        if (!(canvas instanceof HTMLCanvasElement)) {
-            throw new Error('GameEngine: Canvas parameter must be an HTMLCanvasElement');
-        }
-        
-        if (!scoreElement || !(scoreElement instanceof HTMLElement)) {
-            throw new Error('GameEngine: Score element must be a valid HTMLElement');
-        }
-        
-        if (!levelElement || !(levelElement instanceof HTMLElement)) {
-            throw new Error('GameEngine: Level element must be a valid HTMLElement');
-        }
-        
-        // Validate canvas context
-        const context = canvas.getContext('2d');
-        if (!context) {
-            throw new Error('GameEngine: Cannot get 2D context from canvas');
+    advanceGameTime(currentTime) {
+        const elapsed = this.lastFrameTime === null ? 0 : currentTime - this.lastFrameTime;
+        this.lastFrameTime = currentTime;
+
+        // Skip long gaps (e.g. a hidden tab) instead of simulating them in one burst
+        const step = Math.min(Math.max(0, elapsed), CONFIG.MAX_FRAME_CATCH_UP);
+        this.advanceTime(step);
+        if (this.versusMatch) {
+            this.opponent.advanceTime(step);
         }
     }
 
     /**
-     * Initializes game components with error handling
+     * Renders the game
+     * Updates the score displays and draws the frame with the Renderer
      */
-    initializeGameComponents() {
+    render() {
         try {
-            this.gameBoard = new GameBoard();
-            if (!this.gameBoard.validateBoard()) {
-                throw new Error('GameBoard initialization failed validation');
+            // Check if we're in error state
+            if (this.isInErrorState) {
+                return; // Skip rendering if in error state
             }
-            
-            this.gameState = new GameState();
-            if (!this.gameState.validateState()) {
-                throw new Error('GameState initialization failed validation');
+
+            // Validate canvas and renderer
+            if (!this.canvas || !this.renderer) {
+                throw new Error('Canvas or renderer is missing');
             }
+
+            // Update UI elements with error handling
+            this.safeCall(this.updateScore, 'ui_update');
+            this.safeCall(this.updateLevel, 'ui_update');
+            this.safeCall(this.updateLines, 'ui_update');
+
+            super.render();
             
-            this.inputHandler = new InputHandler(this);
-            if (!this.inputHandler.validateConfiguration()) {
-                throw new Error('InputHandler initialization failed validation');
+            if (this.versusMatch) {
+                this.opponent.render();
             }
             
+            if (this.replayPlayer) {
+                this.updateReplayControls();
+            }
+
         } catch (error) {
-            this.logError('Component initialization failed', error);
-            throw new Error(`GameEngine: Failed to initialize components - ${error.message}`);
+            this.handleRenderingError(error);
         }
     }
 
     /**
-     * Handles constructor errors
-     * @param {Error} error - The error that occurred
+     * Selects the randomizer used for the next games
+     * @param {string} type - Randomizer key from RANDOMIZER_TYPES
+     * @param {boolean} save - Whether to keep the choice across reloads (false for shared links)
+     * @returns {boolean} True if the randomizer type was set
      */
-    handleConstructorError(error) {
-        console.error('GameEngine: Constructor error:', error);
-        
-        // Try to display error to user if possible
-        try {
-            this.displayCriticalError('Failed to initialize game. Please refresh the page.');
-        } catch (displayError) {
-            console.error('GameEngine: Could not display error message:', displayError);
+    setRandomizerType(type, save = true) {
+        if (!super.setRandomizerType(type)) {
+            return false;
         }
+        if (save) {
+            this.gameSettings.setRandomizer(type);
+        }
+        return true;
     }
 
     /**
-     * Starts the game
-     * Initializes game state and begins the game loop
+     * Selects the piece set dealt in the next game
+     * Refused during a game, since replays record the set the game started with.
+     * @param {string} id - Piece set key from PIECE_SETS
+     * @param {boolean} save - Whether to keep the choice across reloads (false for shared links)
+     * @returns {boolean} True if the piece set was selected
      */
-    start() {
-        if (this.gameState.isRunningState()) {
-            console.warn('GameEngine: Game is already running');
-            return;
+    setPieceSet(id, save = true) {
+        if (!super.setPieceSet(id)) {
+            return false;
+        }
+        if (save) {
+            this.gameSettings.setPieceSet(id);
+        }
+        return true;
+    }
+
+    /**
+     * Configures the ghost piece projection
+     * @param {boolean} enabled - Whether the ghost piece is drawn
+     * @param {string} style - 'translucent' or 'outline' (optional, keeps the current style)
+     * @returns {boolean} True if the settings were applied
+     */
+    setGhostPiece(enabled, style) {
+        return this.renderer.setGhostPiece(enabled, style);
+    }
+
+    /**
+     * Sets how rows being cleared are animated during the line clear delay
+     * @param {string} style - 'flash' or 'dissolve'
+     * @returns {boolean} True if the style was applied
+     */
+    setLineClearStyle(style) {
+        if (style !== 'flash' && style !== 'dissolve') {
+            console.warn(`GameEngine: Invalid line clear style: ${style}`);
+            return false;
         }
+        this.lineClearStyle = style;
+        return true;
+    }
 
-        // Hide game over screen if visible
-        this.hideGameOverScreen();
-        
-        // Reset game state
-        this.reset();
-        
-        // Generate first pieces
-        this.currentPiece = createRandomTetromino();
-        this.nextPiece = createRandomTetromino();
-        
-        // Position the first piece at the top center
-        this.pieceX = Math.floor(this.gameBoard.width / 2) - Math.floor(this.currentPiece.getWidth() / 2);
-        this.pieceY = 0;
-        
-        // Check if starting position is valid
-        if (!this.gameBoard.isValidPosition(this.currentPiece, this.pieceX, this.pieceY)) {
-            this.gameOver();
-            return;
+    /**
+     * Gets the renderer's per-frame timing metrics
+     * @returns {Object} See Renderer.getMetrics
+     */
+    getRenderMetrics() {
+        return this.renderer.getMetrics();
+    }
+
+    /**
+     * Sets the canvas used to display the held piece
+     * @param {HTMLCanvasElement} canvas - Hold preview canvas (optional)
+     */
+    setHoldCanvas(canvas) {
+        this.renderer.setHoldCanvas(canvas);
+    }
+
+    /**
+     * Sets the canvas used to display the next queue
+     * The canvas height is adjusted to fit the queue length
+     * @param {HTMLCanvasElement} canvas - Next queue canvas (optional)
+     */
+    setNextCanvas(canvas) {
+        this.renderer.setNextCanvas(canvas, this.nextQueueLength);
+    }
+
+    /**
+     * Sets up touch gestures and on-screen buttons
+     * Replaces any touch input set up before; passing nothing removes it.
+     * @param {HTMLElement|null} element - Element receiving gestures (usually the game canvas)
+     * @param {HTMLElement|null} buttonContainer - Container of [data-command] buttons (optional)
+     * @returns {TouchInputHandler|null} The touch input adapter
+     */
+    setTouchElements(element, buttonContainer = null) {
+        if (this.touchInput) {
+            this.removeInputAdapter(this.touchInput);
+            this.touchInput.destroy();
+            this.touchInput = null;
         }
-        
-        this.gameState.setRunning(true);
-        
-        // Enable input
-        this.inputHandler.enable();
-        
-        // Start game loop
-        this.lastDropTime = Date.now();
-        this.gameLoop();
-        
-        console.log('GameEngine: Game started');
+
+        if (!element && !buttonContainer) {
+            return null;
+        }
+
+        this.touchInput = new TouchInputHandler(this.inputHandler, element || null, buttonContainer);
+        this.addInputAdapter(this.touchInput);
+        return this.touchInput;
+    }
+
+    /**
+     * Lets the bot play (or stops it); the keyboard keeps working alongside it
+     * A game the bot played any part of gets no high score.
+     * @param {boolean} enabled - Whether the bot plays
+     */
+    setAutoPlay(enabled) {
+        if (enabled) {
+            this.addInputAdapter(this.autoPlayer);
+            if (this.gameState.isRunningState()) {
+                this.autoPlayUsed = true;
+            }
+        } else {
+            this.removeInputAdapter(this.autoPlayer);
+            this.autoPlayer.destroy(); // Forget the half-played plan
+        }
+        this.updateAutoPlayControls();
+    }
+
+    /**
+     * Checks if the bot is playing
+     * @returns {boolean} True while the bot is an input adapter
+     */
+    isAutoPlaying() {
+        return this.inputAdapters.includes(this.autoPlayer);
+    }
+
+    /**
+     * Shows or hides the best move for the current piece
+     * The hint is an overlay effect, recalculated only when the piece changes.
+     * @param {boolean} enabled - Whether the hint is shown
+     */
+    setHint(enabled) {
+        if (enabled && !this.hintEffect) {
+            const effect = { draw: () => this.drawHint(effect) };
+            this.hintEffect = effect;
+            this.renderer.addEffect(effect);
+        } else if (!enabled && this.hintEffect) {
+            this.hintEffect = null; // drawHint ends the effect on the next frame
+            if (this.renderer.holdCanvas) {
+                this.renderer.holdCanvas.classList.remove('hint-hold');
+            }
+        }
+        this.updateAutoPlayControls();
     }
 
     /**
-     * Pauses or resumes the game
-     * Toggles between paused and running states
+     * Checks if the hint is shown
+     * @returns {boolean} True while the hint overlay is on
      */
-    pause() {
-        if (this.gameState.isGameOverState()) {
-            return; // Cannot pause when game is over
+    isHintEnabled() {
+        return this.hintEffect !== null;
+    }
+
+    /**
+     * Draws the hint overlay; runs as a renderer effect
+     * @param {Object} effect - The effect being drawn
+     * @returns {boolean} False once that effect is no longer the hint, which removes it
+     */
+    drawHint(effect) {
+        if (effect !== this.hintEffect) {
+            return false;
         }
 
-        if (!this.gameState.isRunningState()) {
-            return; // Cannot pause when not running
+        const move = this.replayPlayer ? null : this.autoPlayer.getHint();
+        if (move) {
+            this.renderer.drawHintPiece(move.piece, move.x, move.y);
         }
 
-        const wasPaused = this.gameState.isPausedState();
-        this.gameState.setPaused(!wasPaused);
-        
-        if (this.gameState.isPausedState()) {
-            // Disable input when paused (except pause key)
-            this.inputHandler.disable();
-            console.log('GameEngine: Game paused');
-        } else {
-            // Re-enable input when resuming
-            this.inputHandler.enable();
-            // Reset drop timer to prevent immediate drop after resume
-            this.resetDropTimer();
-            console.log('GameEngine: Game resumed');
+        // A hint that plays the held piece also marks the hold preview
+        if (this.renderer.holdCanvas) {
+            this.renderer.holdCanvas.classList.toggle('hint-hold', Boolean(move && move.hold));
         }
+        return true;
     }
 
     /**
-     * Resumes the game from paused state
+     * Sets the bot controls (all optional)
+     * @param {Object} elements - { playButton, hintButton, strengthSelect, speedSelect }
      */
-    resume() {
-        if (!this.gameState.isPausedState()) {
+    setAutoPlayElements(elements) {
+        this.autoPlayElements = elements || null;
+        if (!this.autoPlayElements) {
             return;
         }
-        this.pause(); // Toggle pause state
+
+        const { strengthSelect, speedSelect } = this.autoPlayElements;
+        if (strengthSelect) {
+            strengthSelect.value = this.autoPlayer.getStrength();
+        }
+        if (speedSelect) {
+            speedSelect.value = String(this.autoPlayer.actionDelay);
+        }
+        this.updateAutoPlayControls();
     }
 
     /**
-     * Ends the game
-     * Sets game over state and disables input
+     * Shows whether the bot and the hint are on
      */
-    gameOver() {
-        this.gameState.setGameOver(true);
-        
-        // Disable input
-        this.inputHandler.disable();
-        
-        // Cancel animation frame
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
+    updateAutoPlayControls() {
+        if (!this.autoPlayElements) {
+            return;
+        }
+
+        const { playButton, hintButton } = this.autoPlayElements;
+        if (playButton) {
+            const playing = this.isAutoPlaying();
+            playButton.textContent = playing ? '停止' : '開始';
+            playButton.setAttribute('aria-pressed', String(playing));
+        }
+        if (hintButton) {
+            const shown = this.isHintEnabled();
+            hintButton.textContent = shown ? '非表示' : '表示';
+            hintButton.setAttribute('aria-pressed', String(shown));
         }
-        
-        // Display game over information
-        this.displayGameOverInfo();
-        
-        console.log('GameEngine: Game over');
     }
 
     /**
-     * Checks if the game should end
-     * Evaluates game over conditions
-     * @returns {boolean} True if game should end
+     * Sets the sound controls (all optional)
+     * Volume sliders run from 0 to 100.
+     * @param {Object} elements - { muteButton, masterInput, musicInput, effectsInput }
      */
-    checkGameOverCondition() {
-        // Primary game over condition: new piece cannot be placed at spawn position
-        if (this.currentPiece) {
-            const spawnX = Math.floor(this.gameBoard.width / 2) - Math.floor(this.currentPiece.getWidth() / 2);
-            const spawnY = 0;
-            
-            if (!this.gameBoard.isValidPosition(this.currentPiece, spawnX, spawnY)) {
-                return true;
+    setAudioElements(elements) {
+        this.audioElements = elements || null;
+        if (!this.audioElements) {
+            return;
+        }
+
+        const inputs = { master: 'masterInput', music: 'musicInput', effects: 'effectsInput' };
+        for (const [channel, name] of Object.entries(inputs)) {
+            const input = this.audioElements[name];
+            if (input) {
+                input.value = String(Math.round(this.audio.getVolume(channel) * 100));
             }
         }
-        
-        // Secondary condition: check if board is filled to the top
-        return this.gameBoard.isGameOver();
+        this.updateAudioControls();
     }
 
     /**
-     * Displays game over information
-     * Shows final score, level, and lines cleared
+     * Shows whether audio is muted
      */
-    displayGameOverInfo() {
-        const finalState = this.gameState.getState();
-        
-        console.log('=== GAME OVER ===');
-        console.log(`Final Score: ${finalState.score}`);
-        console.log(`Final Level: ${finalState.level}`);
-        console.log(`Lines Cleared: ${finalState.lines}`);
-        console.log('================');
-        
-        // Update UI to show game over state
-        this.showGameOverScreen();
+    updateAudioControls() {
+        const muteButton = this.audioElements && this.audioElements.muteButton;
+        if (muteButton) {
+            const muted = this.audio.isMuted();
+            muteButton.textContent = muted ? 'ミュート解除' : 'ミュート';
+            muteButton.setAttribute('aria-pressed', String(muted));
+        }
     }
 
     /**
-     * Shows the game over screen
-     * Displays game over message and restart option
+     * Mutes or unmutes all audio
+     * @param {boolean} muted - True to mute
      */
-    showGameOverScreen() {
-        // Find the game over screen element
-        const gameOverScreen = document.getElementById('gameOverScreen');
-        const restartButton = document.getElementById('restartButton');
-        
-        if (gameOverScreen) {
-            gameOverScreen.classList.remove('hidden');
-            gameOverScreen.style.display = 'flex';
-        }
-        
-        if (restartButton) {
-            restartButton.focus(); // Focus on restart button for accessibility
-        }
-        
-        console.log('GameEngine: Game over screen displayed');
+    setMuted(muted) {
+        this.audio.setMuted(muted);
+        this.updateAudioControls();
     }
 
     /**
-     * Hides the game over screen
-     * Called when starting a new game
+     * Sets the accessibility elements (all optional)
+     * @param {Object} elements - { liveRegion, paletteSelect, glyphButton, motionButton }
      */
-    hideGameOverScreen() {
-        const gameOverScreen = document.getElementById('gameOverScreen');
-        
-        if (gameOverScreen) {
-            gameOverScreen.classList.add('hidden');
-            gameOverScreen.style.display = 'none';
-        }
-        
-        console.log('GameEngine: Game over screen hidden');
+    setAccessibilityElements(elements) {
+        this.accessibilityElements = elements || null;
+        this.announcer.setElement(this.accessibilityElements && this.accessibilityElements.liveRegion);
+        this.updateAccessibilityControls();
     }
 
     /**
-     * Restarts the game
-     * Resets all state and starts a new game
+     * Shows the accessibility settings on their controls
      */
-    restart() {
-        console.log('GameEngine: Restarting game...');
-        
-        // Hide game over screen
-        this.hideGameOverScreen();
-        
-        // Reset the game
-        this.reset();
-        
-        // Start new game
-        this.start();
-        
-        console.log('GameEngine: Game restarted successfully');
+    updateAccessibilityControls() {
+        if (!this.accessibilityElements) {
+            return;
+        }
+
+        const { paletteSelect, glyphButton, motionButton } = this.accessibilityElements;
+        const { palette, glyphs, reducedMotion } = this.accessibility.getSettings();
+        if (paletteSelect) {
+            paletteSelect.value = palette;
+        }
+        if (glyphButton) {
+            glyphButton.textContent = glyphs ? 'オン' : 'オフ';
+            glyphButton.setAttribute('aria-pressed', String(glyphs));
+        }
+        if (motionButton) {
+            motionButton.textContent = reducedMotion ? 'オン' : 'オフ';
+            motionButton.setAttribute('aria-pressed', String(reducedMotion));
+        }
     }
 
     /**
-     * Resets the game to initial state
-     * Clears the board and resets all game state
+     * Applies the accessibility settings to both boards and the page
+     * Reduced motion also adds the 'reduced-motion' class to the page body, which stops CSS animations.
      */
-    reset() {
-        // Cancel any running animation
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
+    applyAccessibilitySettings() {
+        const { palette, glyphs, reducedMotion } = this.accessibility.getSettings();
+        for (const renderer of [this.renderer, this.opponent.renderer]) {
+            if (renderer instanceof Renderer) {
+                renderer.setPalette(palette);
+                renderer.setGlyphs(glyphs);
+            }
+        }
+        if (typeof document !== 'undefined' && document.body) {
+            document.body.classList.toggle('reduced-motion', reducedMotion);
+        }
+        this.updateAccessibilityControls();
+        if (this.themeElements && this.themeElements.select) {
+            this.previewTheme(this.themeElements.select.value);
         }
-
-        // Reset game components
-        this.gameBoard.clear();
-        this.gameState.reset();
-        
-        // Clear pieces
-        this.currentPiece = null;
-        this.nextPiece = null;
-        this.pieceX = 0;
-        this.pieceY = 0;
-        
-        // Reset timing
-        this.lastDropTime = 0;
-        
-        // Update UI
-        this.updateScore();
-        this.updateLevel();
-        this.updateLines();
-        
-        console.log('GameEngine: Game reset');
     }
 
     /**
-     * Main game loop using requestAnimationFrame
-     * Handles game updates and rendering
+     * Selects the block colour palette
+     * @param {string} palette - Key of COLOR_PALETTES
+     * @returns {boolean} True if the palette was applied
      */
-    gameLoop() {
-        // Store animation ID for cleanup
-        this.animationId = requestAnimationFrame(() => this.gameLoop());
-        
-        // Skip update if game is not running or is paused
-        if (!this.gameState.isRunningState() || this.gameState.isPausedState()) {
-            return;
+    setPalette(palette) {
+        if (!this.accessibility.setPalette(palette)) {
+            this.updateAccessibilityControls();
+            return false;
         }
-        
-        // Update game state
-        this.update();
-        
-        // Render the game
-        this.render();
+        this.applyAccessibilitySettings();
+        return true;
     }
 
     /**
-     * Updates the game state
-     * Handles piece dropping, collision detection, and line clearing
+     * Turns the piece glyphs on or off
+     * @param {boolean} enabled - Whether blocks show their piece's letter
      */
-    update() {
-        if (!this.currentPiece) {
-            return;
-        }
+    setGlyphs(enabled) {
+        this.accessibility.setGlyphs(enabled);
+        this.applyAccessibilitySettings();
+    }
 
-        // Handle automatic piece dropping based on level
-        this.handleAutomaticDrop();
+    /**
+     * Turns reduced motion on or off; with it on, line clears are neither animated nor burst
+     * @param {boolean} enabled - Whether motion is reduced
+     */
+    setReducedMotion(enabled) {
+        this.accessibility.setReducedMotion(enabled);
+        this.applyAccessibilitySettings();
     }
 
     /**
-     * Handles automatic tetromino dropping based on level speed
-     * Implements the core drop timer system with level-based speed adjustment
+     * Sets the theme elements (all optional)
+     * @param {Object} elements - { select, previewCanvas }
      */
-    handleAutomaticDrop() {
-        const currentTime = Date.now();
-        const dropSpeed = this.gameState.getDropSpeed();
-        
-        // Check if enough time has passed for the next drop
-        if (currentTime - this.lastDropTime >= dropSpeed) {
-            this.performAutomaticDrop();
-            this.lastDropTime = currentTime;
-        }
+    setThemeElements(elements) {
+        this.themeElements = elements || null;
+        const previewCanvas = this.themeElements && this.themeElements.previewCanvas;
+        this.themePreview = previewCanvas ? new Renderer(previewCanvas) : null;
+        this.updateThemeControls();
     }
 
     /**
-     * Performs an automatic drop of the current piece
-     * Handles the drop completion and piece placement logic
+     * Lists the themes on the theme select, selects the current one and previews it
      */
-    performAutomaticDrop() {
-        if (!this.currentPiece) {
+    updateThemeControls() {
+        const select = this.themeElements && this.themeElements.select;
+        if (!select) {
             return;
         }
 
-        const newY = this.pieceY + 1;
-        
-        // Check if piece can move down one more row
-        if (this.gameBoard.isValidPosition(this.currentPiece, this.pieceX, newY)) {
-            // Move piece down
-            this.pieceY = newY;
-            console.log(`GameEngine: Auto-dropped piece to row ${this.pieceY}`);
-        } else {
-            // Piece has reached bottom or hit another piece
-            this.handleDropCompletion();
+        select.innerHTML = '';
+        for (const { id, name, custom } of this.themes.listThemes()) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = custom ? `${name} (読込)` : name;
+            select.appendChild(option);
         }
+        select.value = this.themes.selected;
+        this.previewTheme(this.themes.selected);
     }
 
     /**
-     * Handles the completion of a piece drop
-     * Places the piece, clears lines, and spawns the next piece
+     * Draws a theme on the preview canvas without applying it
+     * @param {string} id - Theme ID
+     * @returns {boolean} True if the preview was drawn
      */
-    handleDropCompletion() {
-        if (!this.currentPiece) {
-            return;
+    previewTheme(id) {
+        const theme = this.themes.getTheme(id);
+        if (!theme || !this.themePreview) {
+            return false;
         }
 
-        console.log(`GameEngine: Drop completed for ${this.currentPiece.getType()} at (${this.pieceX}, ${this.pieceY})`);
-        
-        // Place the piece on the board
-        const placed = this.gameBoard.placePiece(this.currentPiece, this.pieceX, this.pieceY);
-        
-        if (!placed) {
-            console.error('GameEngine: Failed to place piece during drop completion');
-            this.gameOver();
-            return;
+        const { palette, glyphs } = this.accessibility.getSettings();
+        this.themePreview.setPalette(palette);
+        this.themePreview.setGlyphs(glyphs);
+        this.themePreview.setTheme(theme);
+        return this.themePreview.drawThemeSample();
+    }
+
+    /**
+     * Applies the selected theme to both boards and the page colours
+     * The theme's CSS variables are set on the document element; the ones it leaves out go back to
+     * the style.css defaults.
+     */
+    applyTheme() {
+        const theme = this.themes.getSelectedTheme();
+        for (const renderer of [this.renderer, this.opponent.renderer]) {
+            if (renderer instanceof Renderer) {
+                renderer.setTheme(theme);
+            }
         }
 
-        // Process line clearing
-        this.processLineClearAfterDrop();
-        
-        // Spawn the next piece
-        this.spawnNextPiece();
+        if (typeof document === 'undefined' || !document.documentElement || !document.documentElement.style) {
+            return;
+        }
+        const style = document.documentElement.style;
+        for (const name of THEME_CSS_VARIABLES) {
+            if (theme.css[name]) {
+                style.setProperty(name, theme.css[name]);
+            } else {
+                style.removeProperty(name);
+            }
+        }
     }
 
     /**
-     * Spawns the next piece and generates a new next piece
+     * Selects and applies a theme; the choice is kept across reloads
+     * @param {string} id - Theme ID (see ThemeManager.listThemes)
+     * @returns {boolean} True if the theme was applied
      */
-    spawnNextPiece() {
-        // Move next piece to current
-        this.currentPiece = this.nextPiece;
-        this.nextPiece = createRandomTetromino();
-        
-        // Position new piece at top center
-        this.pieceX = Math.floor(this.gameBoard.width / 2) - Math.floor(this.currentPiece.getWidth() / 2);
-        this.pieceY = 0;
-        
-        // Check game over condition before placing new piece
-        if (this.checkGameOverCondition()) {
-            console.log('GameEngine: Cannot spawn new piece - game over condition met');
-            this.gameOver();
-            return;
+    setTheme(id) {
+        if (!this.themes.selectTheme(id)) {
+            this.updateThemeControls();
+            return false;
         }
-        
-        console.log(`GameEngine: Spawned new ${this.currentPiece.getType()} piece at (${this.pieceX}, ${this.pieceY})`);
+        this.applyTheme();
+        this.updateThemeControls();
+        return true;
     }
 
     /**
-     * Processes line clearing after a piece has been placed
-     * Updates score and level based on lines cleared
+     * Imports a theme file and applies the theme
+     * @param {string} json - Theme file text (see ThemeManager.validate)
+     * @returns {boolean} True if the theme was imported
      */
-    processLineClearAfterDrop() {
-        const linesCleared = this.gameBoard.clearLines();
-        
-        if (linesCleared > 0) {
-            const result = this.gameState.processLineClear(linesCleared);
-            console.log(`GameEngine: ${result.lineClearType}! +${result.pointsAwarded} points`);
-            
-            if (result.levelIncreased) {
-                console.log(`GameEngine: Level up! Now level ${result.newLevel} (speed: ${result.newDropSpeed}ms)`);
-            }
+    importTheme(json) {
+        const id = this.themes.importTheme(json);
+        if (!id) {
+            this.displayErrorMessage('テーマファイルを読み込めませんでした');
+            return false;
         }
+        return this.setTheme(id);
     }
 
     /**
-     * Gets the current drop speed based on level
-     * @returns {number} Drop speed in milliseconds
+     * Sets the element that announces special clears (T-spins, combos, ...)
+     * @param {HTMLElement} element - Message element (optional)
      */
-    getCurrentDropSpeed() {
-        return this.gameState.getDropSpeed();
+    setClearMessageElement(element) {
+        this.clearMessageElement = element || null;
     }
 
     /**
-     * Resets the drop timer
-     * Used when resuming from pause or after manual movements
+     * Shows a short description of the last clear
+     * @param {Object|null} result - Result from GameState.processLineClear, or null to clear
      */
-    resetDropTimer() {
-        this.lastDropTime = Date.now();
-        console.log('GameEngine: Drop timer reset');
+    showClearMessage(result) {
+        if (!this.clearMessageElement) {
+            return;
+        }
+
+        if (!result) {
+            this.clearMessageElement.textContent = '';
+            return;
+        }
+
+        const parts = [];
+        if (result.lineClearType) {
+            parts.push(result.lineClearType);
+        }
+        if (result.combo > 0) {
+            parts.push(`${result.combo} Combo`);
+        }
+        if (result.perfectClear) {
+            parts.push('All Clear');
+        }
+        
+        this.clearMessageElement.textContent = parts.join(' / ');
     }
 
     /**
-     * Renders the game
-     * Draws the board, current piece, and UI elements
+     * Updates the score display in the UI
      */
-    render() {
+    updateScore() {
         try {
-            // Check if we're in error state
-            if (this.isInErrorState) {
-                return; // Skip rendering if in error state
-            }
-
-            // Validate canvas and context
-            if (!this.canvas) {
-                throw new Error('Canvas element is null');
+            if (!this.scoreElement) {
+                console.warn('GameEngine: Score element not found');
+                return;
             }
 
-            const context = this.canvas.getContext('2d');
-            if (!context) {
-                throw new Error('Cannot get 2D context from canvas');
+            if (!this.gameState) {
+                console.error('GameEngine: GameState not available for score update');
+                return;
             }
 
-            // Clear the canvas
-            context.clearRect(0, 0, this.canvas.width, this.canvas.height);
-
-            // Update UI elements with error handling
-            this.safeCall(this.updateScore, 'ui_update');
-            this.safeCall(this.updateLevel, 'ui_update');
-            this.safeCall(this.updateLines, 'ui_update');
-
-            // Basic rendering (placeholder for future Renderer class)
-            this.renderGameBoard(context);
-            this.renderCurrentPiece(context);
+            const score = this.gameState.getScore();
+            
+            // Validate score value
+            if (typeof score !== 'number' || !Number.isFinite(score) || score < 0) {
+                console.error(`GameEngine: Invalid score value: ${score}`);
+                this.scoreElement.textContent = '0';
+                return;
+            }
 
+            this.scoreElement.textContent = score.toLocaleString();
+            
         } catch (error) {
-            this.handleRenderingError(error);
+            console.error('GameEngine: Error updating score display:', error);
+            if (this.scoreElement) {
+                this.scoreElement.textContent = 'Error';
+            }
         }
     }
 
     /**
-     * Renders the game board (basic implementation)
-     * @param {CanvasRenderingContext2D} context - Canvas context
+     * Updates the level display in the UI
      */
-    renderGameBoard(context) {
+    updateLevel() {
         try {
-            if (!this.gameBoard) {
+            if (!this.levelElement) {
+                console.warn('GameEngine: Level element not found');
                 return;
             }
 
-            const board = this.gameBoard.getBoard();
-            const blockSize = 30;
-
-            // Draw filled blocks
-            for (let row = 0; row < board.length; row++) {
-                for (let col = 0; col < board[row].length; col++) {
-                    if (board[row][col] > 0) {
-                        const x = col * blockSize;
-                        const y = row * blockSize;
-                        
-                        context.fillStyle = this.gameBoard.getColorFromId(board[row][col]);
-                        context.fillRect(x, y, blockSize, blockSize);
-                        
-                        // Draw border
-                        context.strokeStyle = '#ffffff';
-                        context.lineWidth = 1;
-                        context.strokeRect(x, y, blockSize, blockSize);
-                    }
-                }
+            if (!this.gameState) {
+                console.error('GameEngine: GameState not available for level update');
+                return;
             }
 
-            // Draw grid lines
-            context.strokeStyle = '#333333';
-            context.lineWidth = 1;
-            
-            // Vertical lines
-            for (let col = 0; col <= this.gameBoard.width; col++) {
-                const x = col * blockSize;
-                context.beginPath();
-                context.moveTo(x, 0);
-                context.lineTo(x, this.gameBoard.height * blockSize);
-                context.stroke();
-            }
+            const level = this.gameState.getLevel();
             
-            // Horizontal lines
-            for (let row = 0; row <= this.gameBoard.height; row++) {
-                const y = row * blockSize;
-                context.beginPath();
-                context.moveTo(0, y);
-                context.lineTo(this.gameBoard.width * blockSize, y);
-                context.stroke();
+            // Validate level value
+            if (typeof level !== 'number' || !Number.isFinite(level) || level < 1) {
+                console.error(`GameEngine: Invalid level value: ${level}`);
+                this.levelElement.textContent = '1';
+                return;
             }
 
+            this.levelElement.textContent = level.toString();
+            
         } catch (error) {
-            console.error('GameEngine: Error rendering game board:', error);
+            console.error('GameEngine: Error updating level display:', error);
+            if (this.levelElement) {
+                this.levelElement.textContent = 'Error';
+            }
         }
     }
 
     /**
-     * Renders the current piece (basic implementation)
-     * @param {CanvasRenderingContext2D} context - Canvas context
+     * Updates the lines display in the UI
      */
-    renderCurrentPiece(context) {
+    updateLines() {
         try {
-            if (!this.currentPiece) {
+            if (!this.linesElement) {
+                // Lines element is optional, so just return silently
                 return;
             }
 
-            const shape = this.currentPiece.getShape();
-            const color = this.currentPiece.getColor();
-            const blockSize = 30;
-
-            context.fillStyle = color;
-
-            for (let row = 0; row < shape.length; row++) {
-                for (let col = 0; col < shape[row].length; col++) {
-                    if (shape[row][col] === 1) {
-                        const x = (this.pieceX + col) * blockSize;
-                        const y = (this.pieceY + row) * blockSize;
-                        
-                        context.fillRect(x, y, blockSize, blockSize);
-                        
-                        // Draw border
-                        context.strokeStyle = '#ffffff';
-                        context.lineWidth = 2;
-                        context.strokeRect(x, y, blockSize, blockSize);
-                    }
-                }
+            if (!this.gameState) {
+                console.error('GameEngine: GameState not available for lines update');
+                return;
+            }
+
+            const lines = this.gameState.getLines();
+            
+            // Validate lines value
+            if (typeof lines !== 'number' || !Number.isFinite(lines) || lines < 0) {
+                console.error(`GameEngine: Invalid lines value: ${lines}`);
+                this.linesElement.textContent = '0';
+                return;
             }
 
+            this.linesElement.textContent = lines.toString();
+            
         } catch (error) {
-            console.error('GameEngine: Error rendering current piece:', error);
+            console.error('GameEngine: Error updating lines display:', error);
+            if (this.linesElement) {
+                this.linesElement.textContent = 'Error';
+            }
         }
     }
 
     /**
-     * Drops the current piece by one row (manual or automatic)
-     * Handles piece placement and spawning new pieces
+     * Sets the elements of the mode picker and the mode clock (all optional)
+     * The picker gets one button per game mode
+     * @param {Object} elements - { startScreen, modeList, modeDescription, timerLabel, timerValue, goalValue, endButton,
+     *                            resumeButton }
      */
-    dropPiece() {
-        if (!this.currentPiece) {
-            return;
-        }
-
-        const newY = this.pieceY + 1;
+    setModeElements(elements) {
+        this.modeElements = elements || null;
         
-        // Check if piece can move down
-        if (this.gameBoard.isValidPosition(this.currentPiece, this.pieceX, newY)) {
-            this.pieceY = newY;
-        } else {
-            // Piece cannot move down, handle drop completion
-            this.handleDropCompletion();
+        const modeList = this.modeElements && this.modeElements.modeList;
+        if (modeList) {
+            modeList.innerHTML = '';
+            for (const [mode, config] of Object.entries(GAME_MODES)) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'mode-button';
+                button.dataset.mode = mode;
+                button.textContent = config.name;
+                button.addEventListener('click', () => this.setGameMode(mode));
+                modeList.appendChild(button);
+            }
         }
+        
+        this.updateModeDisplay();
     }
 
-
-
     /**
-     * Spawns the next piece and generates a new next piece
+     * Shows the selected mode in the picker and sets up the mode clock for it
      */
-    spawnNextPiece() {
-        // Move next piece to current
-        this.currentPiece = this.nextPiece;
-        this.nextPiece = createRandomTetromino();
-        
-        // Position new piece at top center
-        this.pieceX = Math.floor(this.gameBoard.width / 2) - Math.floor(this.currentPiece.getWidth() / 2);
-        this.pieceY = 0;
-        
-        // Check if new piece can be placed (game over condition)
-        if (!this.gameBoard.isValidPosition(this.currentPiece, this.pieceX, this.pieceY)) {
-            this.gameOver();
+    updateModeDisplay() {
+        if (!this.modeElements) {
             return;
         }
+
+        const { modeList, modeDescription, timerLabel, endButton, resumeButton } = this.modeElements;
+        const mode = this.getGameModeConfig();
+        
+        if (modeList) {
+            modeList.querySelectorAll('[data-mode]').forEach(button => {
+                const selected = button.dataset.mode === this.gameMode;
+                button.classList.toggle('selected', selected);
+                button.setAttribute('aria-pressed', selected);
+            });
+        }
+        if (modeDescription) {
+            modeDescription.textContent = mode.description;
+        }
+        if (timerLabel) {
+            timerLabel.textContent = mode.timer === 'down' ? '残り時間' : 'タイム';
+        }
+        if (endButton) {
+            // Only modes without a game over need a way to finish
+            endButton.classList.toggle('hidden', mode.topOut !== 'clearStack');
+        }
+        if (resumeButton) {
+            const saved = this.savedGameStore.load();
+            const savedMode = saved && GAME_MODES[saved.mode];
+            resumeButton.classList.toggle('hidden', !saved);
+            resumeButton.textContent = savedMode ? `続きから (${savedMode.name})` : '続きから';
+        }
         
-        console.log(`GameEngine: Spawned new ${this.currentPiece.getType()} piece`);
+        this.updateModeTimer();
     }
 
     /**
-     * Moves the current piece left
+     * Updates the mode clock and line goal displays
      */
-    moveLeft() {
-        if (!this.canMove()) {
+    updateModeTimer() {
+        if (!this.modeElements) {
             return;
         }
 
-        const newX = this.pieceX - 1;
+        const { timerValue, goalValue } = this.modeElements;
+        const goalLines = this.getGameModeConfig().goalLines;
         
-        if (this.gameBoard.isValidPosition(this.currentPiece, newX, this.pieceY)) {
-            this.pieceX = newX;
-            console.log('GameEngine: Moved piece left');
+        if (timerValue) {
+            const text = this.formatGameTime(this.getModeTimer().display);
+            if (timerValue.textContent !== text) {
+                timerValue.textContent = text;
+            }
+        }
+        if (goalValue) {
+            goalValue.textContent = goalLines !== null
+                ? `${Math.min(this.gameState.getLines(), goalLines)} / ${goalLines}`
+                : '';
         }
     }
 
     /**
-     * Moves the current piece right
+     * Formats game time as m:ss.cc
+     * @param {number} milliseconds - Game time
+     * @returns {string} Formatted time
      */
-    moveRight() {
-        if (!this.canMove()) {
-            return;
-        }
+    formatGameTime(milliseconds) {
+        const hundredths = Math.floor(Math.max(0, milliseconds) / 10);
+        const minutes = Math.floor(hundredths / 6000);
+        const seconds = Math.floor(hundredths / 100) % 60;
+        return `${minutes}:${String(seconds).padStart(2, '0')}.${String(hundredths % 100).padStart(2, '0')}`;
+    }
 
-        const newX = this.pieceX + 1;
+    /**
+     * Sets the elements of the versus layout (all optional)
+     * The second player's board is drawn on its own canvas with its own Renderer.
+     * @param {Object} elements - { container, canvas, holdCanvas, nextCanvas, playerMeter, opponentMeter,
+     *     resultScreen, winnerText, resultBody }
+     */
+    setVersusElements(elements) {
+        this.versusElements = elements || null;
         
-        if (this.gameBoard.isValidPosition(this.currentPiece, newX, this.pieceY)) {
-            this.pieceX = newX;
-            console.log('GameEngine: Moved piece right');
+        const { canvas, holdCanvas, nextCanvas } = this.versusElements || {};
+        if (canvas) {
+            const renderer = new Renderer(canvas);
+            renderer.setHoldCanvas(holdCanvas || null);
+            renderer.setNextCanvas(nextCanvas || null, this.opponent.nextQueueLength);
+            this.opponent.setRenderer(renderer);
+            this.applyAccessibilitySettings();
+            this.applyTheme();
         }
+        
+        this.setVersusLayout(this.versusMatch !== null);
     }
 
     /**
-     * Rotates the current piece clockwise
+     * Shows or hides the second board and the garbage meters
+     * @param {boolean} active - Whether a versus match is on the screen
      */
-    rotate() {
-        if (!this.canMove()) {
-            return;
+    setVersusLayout(active) {
+        const container = this.versusElements && this.versusElements.container;
+        if (container) {
+            container.classList.toggle('versus', active);
         }
+        this.updateGarbageMeters(active ? this.versusMatch.getPendingGarbage() : [0, 0]);
+    }
 
-        // Get the rotated shape to test
-        const rotatedShape = this.currentPiece.getRotatedShape();
-        const originalRotation = this.currentPiece.getRotation();
-        
-        // Temporarily apply rotation to test position
-        this.currentPiece.rotate();
-        
-        // Check if rotated piece fits in current position
-        if (this.gameBoard.isValidPosition(this.currentPiece, this.pieceX, this.pieceY)) {
-            console.log('GameEngine: Rotated piece');
+    /**
+     * Fills each player's garbage meter with the rows waiting to rise
+     * @param {number[]} pending - Waiting rows for player 1 and player 2
+     */
+    updateGarbageMeters(pending) {
+        if (!this.versusElements) {
             return;
         }
-        
-        // Try wall kicks (simple implementation)
-        const wallKicks = [-1, 1, -2, 2]; // Try moving left/right to fit rotation
-        
-        for (const kick of wallKicks) {
-            const testX = this.pieceX + kick;
-            if (this.gameBoard.isValidPosition(this.currentPiece, testX, this.pieceY)) {
-                this.pieceX = testX;
-                console.log(`GameEngine: Rotated piece with wall kick (${kick})`);
+
+        const { playerMeter, opponentMeter } = this.versusElements;
+        [playerMeter, opponentMeter].forEach((meter, index) => {
+            if (!meter) {
                 return;
             }
-        }
-        
-        // Rotation failed, revert to original rotation
-        this.currentPiece.setRotation(originalRotation);
-        console.log('GameEngine: Rotation blocked');
+            const lines = pending[index];
+            meter.style.height = `${Math.min(lines / CONFIG.BOARD_HEIGHT, 1) * 100}%`;
+            // A full meter rises all at once on the next lock that clears nothing
+            meter.classList.toggle('danger', lines >= CONFIG.VERSUS.GARBAGE_CAP);
+            meter.dataset.lines = String(lines);
+        });
     }
 
     /**
-     * Performs a soft drop (faster drop)
+     * Shows the winner screen with both players' results side by side
+     * @param {Object} event - VersusMatch end event ({ winner, results })
      */
-    softDrop() {
-        if (!this.canMove()) {
+    showVersusResult({ winner, results }) {
+        if (!this.versusElements) {
             return;
         }
 
-        const originalY = this.pieceY;
-        this.dropPiece();
-        
-        // Award points for soft drop
-        const cellsDropped = this.pieceY - originalY;
-        if (cellsDropped > 0) {
-            this.gameState.awardSoftDropPoints(cellsDropped);
+        const { resultScreen, winnerText, resultBody } = this.versusElements;
+        if (winnerText) {
+            winnerText.textContent = `${winner + 1}P ${GAME_END_TITLES.win}`;
+        }
+        if (resultBody) {
+            resultBody.innerHTML = '';
+            for (const field of GAME_MODES.versus.results) {
+                const row = document.createElement('tr');
+                const label = document.createElement('th');
+                label.textContent = GAME_RESULT_LABELS[field];
+                row.appendChild(label);
+                for (const result of results) {
+                    const cell = document.createElement('td');
+                    cell.textContent = this.formatResultValue(field, result);
+                    row.appendChild(cell);
+                }
+                resultBody.appendChild(row);
+            }
+        }
+        if (resultScreen) {
+            resultScreen.classList.remove('hidden');
         }
     }
 
     /**
-     * Performs a hard drop (instant drop to bottom)
+     * Hides the winner screen
      */
-    hardDrop() {
-        if (!this.canMove()) {
-            return;
-        }
-
-        const originalY = this.pieceY;
-        
-        // Drop piece as far as possible
-        while (this.gameBoard.isValidPosition(this.currentPiece, this.pieceX, this.pieceY + 1)) {
-            this.pieceY++;
-        }
-        
-        // Award points for hard drop
-        const cellsDropped = this.pieceY - originalY;
-        if (cellsDropped > 0) {
-            this.gameState.awardHardDropPoints(cellsDropped);
+    hideVersusResult() {
+        const resultScreen = this.versusElements && this.versusElements.resultScreen;
+        if (resultScreen) {
+            resultScreen.classList.add('hidden');
         }
-        
-        // Place the piece immediately
-        this.handleDropCompletion();
-        
-        console.log(`GameEngine: Hard drop - ${cellsDropped} cells`);
     }
 
     /**
-     * Resets the game to initial state
+     * Sets the elements used to control replay playback (all optional)
+     * @param {Object} elements - { controls, playButton, seekInput, timeLabel }
      */
-    reset() {
-        // Clear board
-        this.gameBoard.clear();
-        
-        // Reset game state
-        this.gameState.reset();
-        
-        // Reset timing
-        this.lastDropTime = 0;
-        
-        // Clear pieces
-        this.currentPiece = null;
-        this.nextPiece = null;
-        this.pieceX = 0;
-        this.pieceY = 0;
-        
-        // Update UI
-        this.updateScore();
-        this.updateLevel();
-        this.updateLines();
-        
-        console.log('GameEngine: Game reset');
+    setReplayElements(elements) {
+        this.replayElements = elements || null;
+        this.updateReplayControls();
     }
 
     /**
-     * Main game loop
-     * Handles timing, updates, and rendering
+     * Updates the replay controls to match the playback state
      */
-    gameLoop() {
-        try {
-            // Check if we're in an error state
-            if (this.isInErrorState) {
-                // Try to recover from error state
-                if (Date.now() - this.lastErrorTime > 1000) { // Wait 1 second before retry
-                    this.attemptRenderingRecovery();
-                }
-                
-                // Continue loop even in error state to allow recovery
-                this.animationId = requestAnimationFrame(() => this.gameLoop());
-                return;
-            }
-
-            // Validate game state before proceeding
-            if (!this.validateGameState()) {
-                this.handleGameLogicError(new Error('Invalid game state in game loop'), 'game_loop');
-                return;
-            }
-
-            if (!this.gameState.isRunningState() || this.gameState.isGameOverState()) {
-                return;
-            }
+    updateReplayControls() {
+        if (!this.replayElements) {
+            return;
+        }
 
-            const currentTime = Date.now();
-            
-            // Validate timing
-            if (typeof currentTime !== 'number' || !Number.isFinite(currentTime)) {
-                this.handleGameLogicError(new Error('Invalid current time'), 'timing');
-                return;
-            }
+        const { controls, playButton, seekInput, timeLabel } = this.replayElements;
+        const player = this.replayPlayer;
+        
+        if (controls) {
+            controls.classList.toggle('hidden', !player);
+        }
+        if (!player) {
+            return;
+        }
 
-            const dropSpeed = this.gameState.getDropSpeed();
-            
-            // Validate drop speed
-            if (typeof dropSpeed !== 'number' || dropSpeed <= 0 || !Number.isFinite(dropSpeed)) {
-                this.handleGameLogicError(new Error(`Invalid drop speed: ${dropSpeed}`), 'timing');
-                return;
-            }
-            
-            // Handle automatic piece dropping
-            if (!this.gameState.isPausedState() && currentTime - this.lastDropTime >= dropSpeed) {
-                this.safeCall(this.dropPiece, 'piece_movement');
-                this.lastDropTime = currentTime;
-            }
-            
-            // Render the game
-            this.safeCall(this.render, 'rendering');
-            
-            // Continue game loop
-            this.animationId = requestAnimationFrame(() => this.gameLoop());
-            
-        } catch (error) {
-            this.handleGameLogicError(error, 'game_loop');
-            
-            // Try to continue the game loop after error
-            setTimeout(() => {
-                if (!this.gameState.isGameOverState()) {
-                    this.animationId = requestAnimationFrame(() => this.gameLoop());
-                }
-            }, 100);
+        if (playButton) {
+            playButton.textContent = player.paused ? '再生' : '一時停止';
+        }
+        if (seekInput) {
+            seekInput.max = String(player.totalFrames);
+            seekInput.value = String(this.frame);
+        }
+        if (timeLabel) {
+            timeLabel.textContent = `${this.formatFrameTime(this.frame)} / ${this.formatFrameTime(player.totalFrames)}`;
         }
     }
 
     /**
-     * Moves the current piece left
-     * Validates the move before applying it
+     * Formats a frame count as m:ss of game time
+     * @param {number} frames - Frame count
+     * @returns {string} Formatted time
      */
-    moveLeft() {
-        if (!this.canMove() || !this.currentPiece) {
-            return;
-        }
+    formatFrameTime(frames) {
+        const totalSeconds = Math.floor(frames * CONFIG.FRAME_DURATION / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${String(seconds).padStart(2, '0')}`;
+    }
 
-        const newX = this.pieceX - 1;
+    /**
+     * Displays game over information
+     * Shows final score, level, and lines cleared
+     */
+    displayGameOverInfo() {
+        const finalState = this.gameState.getState();
+        
+        console.log('=== GAME OVER ===');
+        console.log(`Final Score: ${finalState.score}`);
+        console.log(`Final Level: ${finalState.level}`);
+        console.log(`Lines Cleared: ${finalState.lines}`);
+        console.log('================');
         
-        if (this.gameBoard.isValidPosition(this.currentPiece, newX, this.pieceY)) {
-            this.pieceX = newX;
-            console.log('GameEngine: Moved piece left');
-        }
+        // Update UI to show game over state
+        this.renderGameResult(this.gameResult);
+        this.showGameOverScreen();
+        this.showHighScoreEntry();
     }
 
     /**
-     * Moves the current piece right
-     * Validates the move before applying it
+     * Fills the results screen with the figures the mode reports
+     * @param {Object|null} result - Result from GameCore.createGameResult
      */
-    moveRight() {
-        if (!this.canMove() || !this.currentPiece) {
+    renderGameResult(result) {
+        const title = document.getElementById('gameOverTitle');
+        const list = document.getElementById('gameResultList');
+        if (!result) {
             return;
         }
 
-        const newX = this.pieceX + 1;
-        
-        if (this.gameBoard.isValidPosition(this.currentPiece, newX, this.pieceY)) {
-            this.pieceX = newX;
-            console.log('GameEngine: Moved piece right');
+        const mode = GAME_MODES[result.mode];
+        if (title) {
+            title.textContent = `${mode.name} ${GAME_END_TITLES[result.reason]}`;
+        }
+        if (!list) {
+            return;
+        }
+
+        list.innerHTML = '';
+        for (const field of mode.results) {
+            const term = document.createElement('dt');
+            const value = document.createElement('dd');
+            term.textContent = GAME_RESULT_LABELS[field];
+            value.textContent = this.formatResultValue(field, result);
+            list.appendChild(term);
+            list.appendChild(value);
         }
     }
 
     /**
-     * Rotates the current piece clockwise
-     * Validates the rotation before applying it
+     * Formats one figure of a game result
+     * @param {string} field - Key of GAME_RESULT_LABELS
+     * @param {Object} result - Game result
+     * @returns {string} Display text
      */
-    rotate() {
-        if (!this.canMove() || !this.currentPiece) {
-            return;
+    formatResultValue(field, result) {
+        if (field === 'time') {
+            return this.formatGameTime(result.time);
         }
-
-        // Create a copy to test rotation
-        const testPiece = this.currentPiece.clone();
-        
-        try {
-            testPiece.rotate();
-            
-            // Check if rotated piece fits in current position
-            if (this.gameBoard.isValidPosition(testPiece, this.pieceX, this.pieceY)) {
-                this.currentPiece.rotate();
-                console.log('GameEngine: Rotated piece');
-            } else {
-                // Try wall kicks (simple implementation)
-                const wallKickOffsets = [-1, 1, -2, 2]; // Try moving left/right to fit rotation
-                
-                for (const offset of wallKickOffsets) {
-                    const testX = this.pieceX + offset;
-                    if (this.gameBoard.isValidPosition(testPiece, testX, this.pieceY)) {
-                        this.currentPiece.rotate();
-                        this.pieceX = testX;
-                        console.log(`GameEngine: Rotated piece with wall kick (offset: ${offset})`);
-                        return;
-                    }
-                }
-                
-                console.log('GameEngine: Rotation blocked - no valid position');
-            }
-        } catch (error) {
-            console.warn('GameEngine: Rotation failed:', error.message);
+        if (field === 'piecesPerSecond') {
+            return result.piecesPerSecond.toFixed(2);
         }
+        return result[field].toLocaleString();
     }
 
     /**
-     * Performs soft drop (fast drop) of the current piece
-     * Moves the piece down faster than normal drop speed and awards bonus points
+     * Builds the high score entry for the game that just ended
+     * @returns {Object} Entry without a name
      */
-    softDrop() {
-        if (!this.canMove() || !this.currentPiece) {
+    createHighScoreEntry() {
+        return {
+            name: '',
+            score: this.gameState.getScore(),
+            lines: this.gameState.getLines(),
+            level: this.gameState.getLevel(),
+            duration: Math.round(this.gameTime),
+            date: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Shows the name entry form on the game over screen if the score made the table
+     */
+    showHighScoreEntry() {
+        const form = document.getElementById('highScoreForm');
+        const nameInput = document.getElementById('highScoreName');
+        const message = document.getElementById('highScoreRankMessage');
+        
+        if (!form) {
             return;
         }
 
-        const newY = this.pieceY + 1;
-        
-        if (this.gameBoard.isValidPosition(this.currentPiece, this.pieceX, newY)) {
-            this.pieceY = newY;
-            
-            // Award soft drop points (1 point per cell dropped manually)
-            const points = this.gameState.awardSoftDropPoints(1);
-            if (points > 0) {
-                this.updateScore(); // Update UI
-            }
-            
-            // Reset drop timer to prevent double-drop
-            this.lastDropTime = Date.now();
-            console.log('GameEngine: Soft drop');
-        } else {
-            // Piece has landed, place it immediately
-            this.placePiece();
+        if (!this.pendingHighScore) {
+            form.classList.add('hidden');
+            return;
+        }
+
+        if (message) {
+            message.textContent = this.highScoreStore.getRanking(this.gameMode) === 'time'
+                ? `ハイスコア! タイム ${this.formatGameTime(this.pendingHighScore.duration)}`
+                : `ハイスコア! スコア ${this.pendingHighScore.score}`;
         }
+        if (nameInput) {
+            nameInput.value = this.highScoreStore.getLastName();
+            nameInput.focus();
+            nameInput.select();
+        }
+        form.classList.remove('hidden');
     }
 
     /**
-     * Drops the current piece by one row (automatic drop)
-     * Called by the game loop at regular intervals
+     * Saves the pending high score under the given name
+     * @param {string} name - Player name
+     * @returns {number} 1-based rank, or 0 if nothing was saved
      */
-    dropPiece() {
-        if (!this.currentPiece) {
-            return;
+    submitHighScore(name) {
+        if (!this.pendingHighScore) {
+            return 0;
         }
 
-        const newY = this.pieceY + 1;
+        const rank = this.highScoreStore.addScore(this.gameMode, { ...this.pendingHighScore, name });
+        this.pendingHighScore = null;
         
-        if (this.gameBoard.isValidPosition(this.currentPiece, this.pieceX, newY)) {
-            this.pieceY = newY;
-        } else {
-            // Piece has landed
-            this.placePiece();
+        const form = document.getElementById('highScoreForm');
+        if (form) {
+            form.classList.add('hidden');
         }
+        
+        console.log(`GameEngine: High score saved at rank ${rank}`);
+        return rank;
     }
 
     /**
-     * Places the current piece on the board and spawns a new piece
+     * Gets the high score table for a mode
+     * @param {string} mode - Game mode (defaults to the current mode)
+     * @returns {Object[]} Entries, best first
      */
-    placePiece() {
-        if (!this.currentPiece) {
+    getHighScores(mode = this.gameMode) {
+        return this.highScoreStore.getScores(mode);
+    }
+
+    /**
+     * Opens the high score view, pausing a running game
+     * @param {string} mode - Mode to show first (defaults to the current mode)
+     */
+    showHighScores(mode = this.gameMode) {
+        const screen = document.getElementById('highScoreScreen');
+        if (!screen) {
             return;
         }
 
-        // Place the piece on the board
-        if (this.gameBoard.placePiece(this.currentPiece, this.pieceX, this.pieceY)) {
-            console.log(`GameEngine: Placed ${this.currentPiece.getType()} at (${this.pieceX}, ${this.pieceY})`);
-            
-            // Clear completed lines
-            const linesCleared = this.gameBoard.clearLines();
-            if (linesCleared > 0) {
-                const result = this.gameState.processLineClear(linesCleared);
-                console.log(`GameEngine: Cleared ${linesCleared} lines, awarded ${result.pointsAwarded} points`);
-                
-                if (result.levelIncreased) {
-                    console.log(`GameEngine: Level increased to ${result.newLevel}! New drop speed: ${result.newDropSpeed}ms`);
-                }
-                
-                // Update UI
-                this.updateScore();
-                this.updateLevel();
-                this.updateLines();
-            }
-            
-            // Spawn next piece
-            this.spawnNextPiece();
-        } else {
-            console.error('GameEngine: Failed to place piece');
-            this.gameOver();
+        if (this.canMove() && !this.replayPlayer) {
+            this.pause();
         }
+
+        // Unranked modes (versus) have no table, so open on the default mode instead
+        const shownMode = this.highScoreStore.getRanking(mode) === null ? CONFIG.DEFAULT_GAME_MODE : mode;
+        this.renderHighScoreModes(shownMode);
+        this.renderHighScoreTable(shownMode);
+        screen.classList.remove('hidden');
     }
 
     /**
-     * Spawns the next piece and generates a new next piece
+     * Closes the high score view
      */
-    spawnNextPiece() {
-        // Move next piece to current
-        this.currentPiece = this.nextPiece;
-        this.nextPiece = createRandomTetromino();
-        
-        // Position new piece at top center
-        this.pieceX = Math.floor(this.gameBoard.width / 2) - Math.floor(this.currentPiece.getWidth() / 2);
-        this.pieceY = 0;
-        
-        // Check if new piece can be placed (game over condition)
-        if (!this.gameBoard.isValidPosition(this.currentPiece, this.pieceX, this.pieceY)) {
-            this.gameOver();
-            return;
+    hideHighScores() {
+        const screen = document.getElementById('highScoreScreen');
+        if (screen) {
+            screen.classList.add('hidden');
         }
-        
-        console.log(`GameEngine: Spawned new ${this.currentPiece.getType()} piece`);
     }
 
     /**
-     * Updates the score display in the UI
+     * Fills the mode selector of the high score view
+     * @param {string} selectedMode - Mode to select
      */
-    updateScore() {
-        try {
-            if (!this.scoreElement) {
-                console.warn('GameEngine: Score element not found');
-                return;
-            }
-
-            if (!this.gameState) {
-                console.error('GameEngine: GameState not available for score update');
-                return;
-            }
-
-            const score = this.gameState.getScore();
-            
-            // Validate score value
-            if (typeof score !== 'number' || !Number.isFinite(score) || score < 0) {
-                console.error(`GameEngine: Invalid score value: ${score}`);
-                this.scoreElement.textContent = '0';
-                return;
-            }
+    renderHighScoreModes(selectedMode) {
+        const select = document.getElementById('highScoreModeSelect');
+        if (!select) {
+            return;
+        }
 
-            this.scoreElement.textContent = score.toLocaleString();
-            
-        } catch (error) {
-            console.error('GameEngine: Error updating score display:', error);
-            if (this.scoreElement) {
-                this.scoreElement.textContent = 'Error';
-            }
+        const rankedModes = Object.keys(GAME_MODES).filter(mode => GAME_MODES[mode].ranking !== null);
+        const modes = new Set([...rankedModes, ...this.highScoreStore.getModes()]);
+        select.innerHTML = '';
+        for (const mode of modes) {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = GAME_MODES[mode] ? GAME_MODES[mode].name : mode;
+            select.appendChild(option);
         }
+        select.value = selectedMode;
     }
 
     /**
-     * Updates the level display in the UI
+     * Renders a mode's high score table into the high score view
+     * @param {string} mode - Game mode
      */
-    updateLevel() {
-        try {
-            if (!this.levelElement) {
-                console.warn('GameEngine: Level element not found');
-                return;
-            }
-
-            if (!this.gameState) {
-                console.error('GameEngine: GameState not available for level update');
-                return;
-            }
+    renderHighScoreTable(mode) {
+        const tableBody = document.getElementById('highScoreTableBody');
+        if (!tableBody) {
+            return;
+        }
 
-            const level = this.gameState.getLevel();
-            
-            // Validate level value
-            if (typeof level !== 'number' || !Number.isFinite(level) || level < 1) {
-                console.error(`GameEngine: Invalid level value: ${level}`);
-                this.levelElement.textContent = '1';
-                return;
-            }
+        tableBody.innerHTML = '';
+        const scores = this.highScoreStore.getScores(mode);
+        
+        if (scores.length === 0) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 7;
+            cell.textContent = 'まだ記録がありません';
+            row.appendChild(cell);
+            tableBody.appendChild(row);
+            return;
+        }
 
-            this.levelElement.textContent = level.toString();
+        // Time trials are ranked by their time, so it is shown to the hundredth
+        const timeRanked = this.highScoreStore.getRanking(mode) === 'time';
+        scores.forEach((entry, index) => {
+            const row = document.createElement('tr');
+            const time = timeRanked
+                ? this.formatGameTime(entry.duration)
+                : this.formatFrameTime(entry.duration / CONFIG.FRAME_DURATION);
+            const values = [
+                index + 1,
+                entry.name,
+                entry.score,
+                entry.lines,
+                entry.level,
+                time,
+                new Date(entry.date).toLocaleDateString()
+            ];
             
-        } catch (error) {
-            console.error('GameEngine: Error updating level display:', error);
-            if (this.levelElement) {
-                this.levelElement.textContent = 'Error';
+            // textContent keeps player names from being interpreted as HTML
+            for (const value of values) {
+                const cell = document.createElement('td');
+                cell.textContent = String(value);
+                row.appendChild(cell);
             }
-        }
+            tableBody.appendChild(row);
+        });
     }
 
     /**
-     * Updates the lines display in the UI
+     * Opens the key settings screen, pausing a game in progress
      */
-    updateLines() {
-        try {
-            if (!this.linesElement) {
-                // Lines element is optional, so just return silently
-                return;
-            }
-
-            if (!this.gameState) {
-                console.error('GameEngine: GameState not available for lines update');
-                return;
-            }
-
-            const lines = this.gameState.getLines();
-            
-            // Validate lines value
-            if (typeof lines !== 'number' || !Number.isFinite(lines) || lines < 0) {
-                console.error(`GameEngine: Invalid lines value: ${lines}`);
-                this.linesElement.textContent = '0';
-                return;
-            }
+    showKeyBindings() {
+        const screen = document.getElementById('keyBindingScreen');
+        if (!screen) {
+            return;
+        }
 
-            this.linesElement.textContent = lines.toString();
-            
-        } catch (error) {
-            console.error('GameEngine: Error updating lines display:', error);
-            if (this.linesElement) {
-                this.linesElement.textContent = 'Error';
-            }
+        if (this.canMove() && !this.replayPlayer) {
+            this.pause();
         }
-    }
 
-    /**
-     * Checks if the current piece can be moved
-     * @returns {boolean} True if piece can be moved
-     */
-    canMove() {
-        return this.gameState.isRunningState() && 
-               !this.gameState.isPausedState() && 
-               !this.gameState.isGameOverState() && 
-               this.currentPiece;
+        this.showKeyBindingMessage('');
+        this.renderKeyBindings();
+        screen.classList.remove('hidden');
     }
 
     /**
-     * Gets the current game state
-     * @returns {Object} Current game state
+     * Closes the key settings screen and stops waiting for a key
      */
-    getGameState() {
-        const state = this.gameState.getState();
-        return {
-            ...state,
-            currentPiece: this.currentPiece ? {
-                type: this.currentPiece.getType(),
-                x: this.pieceX,
-                y: this.pieceY,
-                rotation: this.currentPiece.getRotation()
-            } : null,
-            nextPiece: this.nextPiece ? {
-                type: this.nextPiece.getType()
-            } : null
-        };
+    hideKeyBindings() {
+        this.inputHandler.cancelKeyCapture();
+        this.player2Input.cancelKeyCapture();
+        const screen = document.getElementById('keyBindingScreen');
+        if (screen) {
+            screen.classList.add('hidden');
+        }
     }
 
     /**
-     * Validates the game engine state
-     * @returns {boolean} True if state is valid
+     * Chooses whose keys the key settings screen edits
+     * @param {number} player - 0 for player 1, 1 for player 2 (local versus)
+     * @returns {boolean} True if the player was selected
      */
-    validateState() {
-        // Check required components
-        if (!this.gameBoard || !this.gameState || !this.inputHandler) {
-            console.error('GameEngine: Missing required components');
-            return false;
-        }
-
-        // Check UI elements
-        if (!this.canvas || !this.scoreElement || !this.levelElement) {
-            console.error('GameEngine: Missing required UI elements');
-            return false;
-        }
-
-        // Validate game state
-        if (!this.gameState.validateState()) {
-            console.error('GameEngine: Invalid game state');
+    setKeyBindingPlayer(player) {
+        if (player !== 0 && player !== 1) {
+            console.warn(`GameEngine: Invalid key binding player: ${player}`);
             return false;
         }
 
+        this.getKeyBindingHandler().cancelKeyCapture();
+        this.keyBindingPlayer = player;
+        this.showKeyBindingMessage('');
+        this.renderKeyBindings();
         return true;
     }
 
     /**
-     * Cleans up the game engine
-     * Stops the game loop and cleans up resources
+     * Gets the input handler whose keys the key settings screen edits
+     * @returns {InputHandler} Player 1's or player 2's handler
      */
-    destroy() {
-        // Stop game loop
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
-        }
-
-        // Clean up input handler
-        if (this.inputHandler) {
-            this.inputHandler.destroy();
-            this.inputHandler = null;
-        }
-
-        // Clear references
-        this.gameBoard = null;
-        this.gameState = null;
-        this.currentPiece = null;
-        this.nextPiece = null;
-        this.canvas = null;
-        this.scoreElement = null;
-        this.levelElement = null;
-        
-        console.log('GameEngine: Destroyed and cleaned up');
+    getKeyBindingHandler() {
+        return this.keyBindingPlayer === 1 ? this.player2Input : this.inputHandler;
     }
 
-    // ===== ERROR HANDLING METHODS =====
-
     /**
-     * Validates the current game state
-     * @returns {boolean} True if game state is valid
+     * Shows a status line on the key settings screen
+     * @param {string} message - Message text (empty to clear)
      */
-    validateGameState() {
-        try {
-            // Check if core components exist
-            if (!this.gameBoard || !this.gameState) {
-                this.logError('Core components missing', { 
-                    gameBoard: !!this.gameBoard, 
-                    gameState: !!this.gameState 
-                });
-                return false;
-            }
+    showKeyBindingMessage(message) {
+        const element = document.getElementById('keyBindingMessage');
+        if (element) {
+            element.textContent = message;
+        }
+    }
 
-            // Validate game board
-            if (!this.gameBoard.validateBoard()) {
-                this.logError('GameBoard validation failed');
-                return false;
-            }
+    /**
+     * Gets a readable name for a key
+     * @param {string} key - KeyboardEvent.key value
+     * @returns {string} Name shown on the key settings screen
+     */
+    formatKeyName(key) {
+        const names = { ' ': 'Space', ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Escape: 'Esc' };
+        if (names[key]) {
+            return names[key];
+        }
+        return key.length === 1 ? key.toUpperCase() : key;
+    }
 
-            // Validate game state
-            if (!this.gameState.validateState()) {
-                this.logError('GameState validation failed');
-                return false;
-            }
+    /**
+     * Renders one row per action with its keys and an add button
+     */
+    renderKeyBindings() {
+        const tableBody = document.getElementById('keyBindingTableBody');
+        if (!tableBody) {
+            return;
+        }
 
-            // Check piece consistency
-            if (this.currentPiece && !this.validateCurrentPiece()) {
-                this.logError('Current piece validation failed');
-                return false;
+        tableBody.innerHTML = '';
+        const handler = this.getKeyBindingHandler();
+        const bindings = handler.getBindings();
+
+        for (const { command, name } of KEY_BINDING_ACTIONS) {
+            const row = document.createElement('tr');
+            const nameCell = document.createElement('td');
+            nameCell.textContent = name;
+            row.appendChild(nameCell);
+
+            const keysCell = document.createElement('td');
+            for (const key of bindings[command]) {
+                const chip = document.createElement('button');
+                chip.className = 'key-chip';
+                chip.textContent = `${this.formatKeyName(key)} ×`;
+                chip.title = '削除';
+                chip.addEventListener('click', () => {
+                    if (!handler.unbindKey(key)) {
+                        this.showKeyBindingMessage('ポーズのキーは1つ以上必要です');
+                    }
+                    this.renderKeyBindings();
+                });
+                keysCell.appendChild(chip);
             }
+            row.appendChild(keysCell);
 
-            return true;
-            
-        } catch (error) {
-            this.logError('Error during game state validation', error);
-            return false;
+            const addCell = document.createElement('td');
+            const addButton = document.createElement('button');
+            addButton.className = 'panel-button';
+            addButton.textContent = '追加';
+            addButton.addEventListener('click', () => this.startKeyCapture(command, name));
+            addCell.appendChild(addButton);
+            row.appendChild(addCell);
+
+            tableBody.appendChild(row);
         }
     }
 
     /**
-     * Validates the current piece state
-     * @returns {boolean} True if current piece is valid
+     * Waits for the next key press and binds it to an action
+     * A key already used by another action, or by the other player, is only moved after the player confirms.
+     * @param {string} command - Action to bind
+     * @param {string} name - Action name for messages
      */
-    validateCurrentPiece() {
-        try {
-            if (!this.currentPiece) {
-                return true; // No piece is valid state
-            }
+    startKeyCapture(command, name) {
+        this.showKeyBindingMessage(`「${name}」に割り当てるキーを押してください（Escでキャンセル）`);
 
-            // Check piece validity
-            if (!this.currentPiece.validateCurrentShape()) {
-                return false;
+        const handler = this.getKeyBindingHandler();
+        const otherHandler = handler === this.inputHandler ? this.player2Input : this.inputHandler;
+        const otherPlayer = handler === this.inputHandler ? '2P' : '1P';
+        const getActionName = action => {
+            const entry = KEY_BINDING_ACTIONS.find(binding => binding.command === action);
+            return entry ? entry.name : action;
+        };
+
+        handler.captureNextKey(key => {
+            if (key === null) {
+                this.showKeyBindingMessage('キャンセルしました');
+                return;
             }
 
-            // Check piece position bounds
-            if (typeof this.pieceX !== 'number' || typeof this.pieceY !== 'number') {
-                return false;
+            const keyName = this.formatKeyName(key);
+            const conflict = handler.findBindingConflict(key, command);
+            if (conflict) {
+                const conflictName = getActionName(conflict);
+                if (!this.confirmKeyConflict(`${keyName} は「${conflictName}」に割り当て済みです。「${name}」に変更しますか？`)) {
+                    this.showKeyBindingMessage(`${keyName} は「${conflictName}」のままです`);
+                    return;
+                }
             }
 
-            // Check if piece position is reasonable (not too far out of bounds)
-            if (this.pieceX < -10 || this.pieceX > this.gameBoard.width + 10 ||
-                this.pieceY < -10 || this.pieceY > this.gameBoard.height + 10) {
-                return false;
+            // Both players read the same keyboard, so a key can only belong to one of them
+            const otherConflict = otherHandler.findBindingConflict(key, null);
+            if (otherConflict) {
+                const conflictName = `${otherPlayer}の「${getActionName(otherConflict)}」`;
+                if (!this.confirmKeyConflict(`${keyName} は${conflictName}に割り当て済みです。「${name}」に変更しますか？`)) {
+                    this.showKeyBindingMessage(`${keyName} は${conflictName}のままです`);
+                    return;
+                }
+                if (!otherHandler.unbindKey(key)) {
+                    this.showKeyBindingMessage(`${keyName} は${otherPlayer}のポーズに必要です`);
+                    return;
+                }
             }
 
-            return true;
-            
-        } catch (error) {
-            this.logError('Error validating current piece', error);
-            return false;
-        }
+            this.showKeyBindingMessage(handler.bindKey(key, command)
+                ? `${keyName} を「${name}」に割り当てました`
+                : `${keyName} は割り当てられません`);
+            this.renderKeyBindings();
+        });
     }
 
     /**
-     * Logs an error with detailed information
-     * @param {string} message - Error message
-     * @param {Error|Object} details - Error details or additional information
+     * Asks the player whether a key may move to another action
+     * @param {string} message - Question to show
+     * @returns {boolean} True if the key should be moved
      */
-    logError(message, details = null) {
-        const errorInfo = {
-            timestamp: new Date().toISOString(),
-            message,
-            details: details instanceof Error ? {
-                name: details.name,
-                message: details.message,
-                stack: details.stack
-            } : details,
-            gameState: this.gameState ? {
-                isRunning: this.gameState.isRunningState(),
-                isPaused: this.gameState.isPausedState(),
-                isGameOver: this.gameState.isGameOverState(),
-                score: this.gameState.getScore(),
-                level: this.gameState.getLevel()
-            } : null,
-            currentPiece: this.currentPiece ? {
-                type: this.currentPiece.getType(),
-                rotation: this.currentPiece.getRotation(),
-                x: this.pieceX,
-                y: this.pieceY
-            } : null
-        };
-
-        console.error('GameEngine Error:', errorInfo);
-
-        // Store error for debugging (keep last 20 errors)
-        if (!this.errorLog) {
-            this.errorLog = [];
-        }
-        
-        this.errorLog.push(errorInfo);
-        if (this.errorLog.length > 20) {
-            this.errorLog.shift();
-        }
+    confirmKeyConflict(message) {
+        return typeof window !== 'undefined' && typeof window.confirm === 'function' && window.confirm(message);
     }
 
     /**
-     * Handles rendering errors
-     * @param {Error} error - The rendering error
+     * Shows the game over screen
+     * Displays game over message and restart option
      */
-    handleRenderingError(error) {
-        this.logError('Rendering error occurred', error);
+    showGameOverScreen() {
+        // Find the game over screen element
+        const gameOverScreen = document.getElementById('gameOverScreen');
+        const restartButton = document.getElementById('restartButton');
         
-        // Set error state to prevent further rendering attempts
-        this.isInErrorState = true;
+        if (gameOverScreen) {
+            gameOverScreen.classList.remove('hidden');
+            gameOverScreen.style.display = 'flex';
+        }
         
-        // Try to recover
-        this.attemptRenderingRecovery();
+        if (restartButton) {
+            restartButton.focus(); // Focus on restart button for accessibility
+        }
         
-        // Display error to user
-        this.displayErrorMessage('Display error occurred. Attempting to recover...');
+        console.log('GameEngine: Game over screen displayed');
     }
 
     /**
-     * Attempts to recover from rendering errors
+     * Shows the start screen with the mode picker
+     * A finished game is cleared away; a game in progress keeps going
+     * @returns {boolean} True if the start screen was shown
      */
-    attemptRenderingRecovery() {
-        try {
-            // Increment recovery attempts
-            this.errorRecoveryAttempts++;
-            
-            if (this.errorRecoveryAttempts > this.maxErrorRecoveryAttempts) {
-                this.handleCriticalError('Too many rendering errors. Game cannot continue.');
-                return;
-            }
-
-            // Try to get a fresh canvas context
-            const context = this.canvas.getContext('2d');
-            if (!context) {
-                throw new Error('Cannot get canvas context');
-            }
+    showStartScreen() {
+        const startScreen = this.modeElements && this.modeElements.startScreen;
+        if (!startScreen || (this.gameState.isRunningState() && !this.replayPlayer)) {
+            return false;
+        }
 
-            // Clear the canvas
-            context.clearRect(0, 0, this.canvas.width, this.canvas.height);
-            
-            // Reset error state
-            this.isInErrorState = false;
-            
-            console.log('GameEngine: Rendering recovery successful');
-            
-        } catch (recoveryError) {
-            this.logError('Rendering recovery failed', recoveryError);
-            this.handleCriticalError('Cannot recover from rendering error.');
+        this.endVersus();
+        if (this.replayPlayer) {
+            this.stopReplay();
+        } else {
+            this.reset();
         }
+        
+        startScreen.classList.remove('hidden');
+        this.updateModeDisplay();
+        return true;
     }
 
     /**
-     * Handles game logic errors
-     * @param {Error} error - The game logic error
-     * @param {string} operation - The operation that failed
+     * Hides the start screen (when a game or replay starts)
      */
-    handleGameLogicError(error, operation) {
-        this.logError(`Game logic error in ${operation}`, error);
-        
-        // Try to recover based on the operation
-        switch (operation) {
-            case 'piece_movement':
-                this.recoverFromMovementError();
-                break;
-            case 'line_clearing':
-                this.recoverFromLineClearError();
-                break;
-            case 'piece_generation':
-                this.recoverFromPieceGenerationError();
-                break;
-            default:
-                this.attemptGeneralRecovery();
+    hideStartScreen() {
+        const startScreen = this.modeElements && this.modeElements.startScreen;
+        if (startScreen) {
+            startScreen.classList.add('hidden');
         }
     }
 
     /**
-     * Recovers from piece movement errors
+     * Hides the game over screen
+     * Called when starting a new game
      */
-    recoverFromMovementError() {
-        try {
-            // Reset piece to a safe position
-            if (this.currentPiece) {
-                // Try to place piece at center top
-                this.pieceX = Math.floor(this.gameBoard.width / 2) - Math.floor(this.currentPiece.getWidth() / 2);
-                this.pieceY = 0;
-                
-                // If that doesn't work, generate a new piece
-                if (!this.gameBoard.isValidPosition(this.currentPiece, this.pieceX, this.pieceY)) {
-                    this.generateNewPiece();
-                }
-            }
-            
-            console.log('GameEngine: Recovered from movement error');
-            
-        } catch (error) {
-            this.logError('Movement error recovery failed', error);
-            this.handleCriticalError('Cannot recover from movement error.');
+    hideGameOverScreen() {
+        const gameOverScreen = document.getElementById('gameOverScreen');
+        const highScoreForm = document.getElementById('highScoreForm');
+        
+        if (gameOverScreen) {
+            gameOverScreen.classList.add('hidden');
+            gameOverScreen.style.display = 'none';
+        }
+        
+        // An unsaved high score is given up when a new game starts
+        this.pendingHighScore = null;
+        if (highScoreForm) {
+            highScoreForm.classList.add('hidden');
         }
+        
+        console.log('GameEngine: Game over screen hidden');
     }
 
     /**
-     * Recovers from line clearing errors
+     * Validates the game engine state
+     * @returns {boolean} True if state is valid
      */
-    recoverFromLineClearError() {
-        try {
-            // Validate board state
-            if (!this.gameBoard.validateBoard()) {
-                // Reset board if corrupted
-                this.gameBoard.clear();
-                console.warn('GameEngine: Board reset due to corruption');
-            }
-            
-            // Continue game
-            console.log('GameEngine: Recovered from line clear error');
-            
-        } catch (error) {
-            this.logError('Line clear error recovery failed', error);
-            this.handleCriticalError('Cannot recover from line clearing error.');
+    validateState() {
+        if (!this.inputHandler || !this.renderer) {
+            console.error('GameEngine: Missing required components');
+            return false;
         }
-    }
 
-    /**
-     * Recovers from piece generation errors
-     */
-    recoverFromPieceGenerationError() {
-        try {
-            // Try to generate a simple piece (I-piece as fallback)
-            this.currentPiece = new Tetromino('I');
-            this.nextPiece = new Tetromino('O');
-            
-            // Position at center top
-            this.pieceX = Math.floor(this.gameBoard.width / 2) - Math.floor(this.currentPiece.getWidth() / 2);
-            this.pieceY = 0;
-            
-            console.log('GameEngine: Recovered from piece generation error');
-            
-        } catch (error) {
-            this.logError('Piece generation error recovery failed', error);
-            this.handleCriticalError('Cannot recover from piece generation error.');
+        // Check UI elements
+        if (!this.canvas || !this.scoreElement || !this.levelElement) {
+            console.error('GameEngine: Missing required UI elements');
+            return false;
         }
+
+        return super.validateState();
     }
 
     /**
-     * Attempts general error recovery
+     * Cleans up the game engine
+     * Stops the game loop and cleans up resources
      */
-    attemptGeneralRecovery() {
-        try {
-            // Validate and fix game state
-            if (!this.validateGameState()) {
-                // Reset to safe state
-                this.reset();
-                console.warn('GameEngine: Game reset due to invalid state');
-            }
-            
-            console.log('GameEngine: General recovery completed');
-            
-        } catch (error) {
-            this.logError('General recovery failed', error);
-            this.handleCriticalError('Cannot recover from error.');
-        }
+    destroy() {
+        // Stop game loop
+        this.stopLoop();
+
+        if (this.versusMatch) {
+            this.versusMatch.destroy();
+            this.versusMatch = null;
+        }
+        this.opponent.destroy();
+
+        this.hintEffect = null;
+        this.audio.destroy();
+        super.destroy();
+        
+        this.autoPlayer = null;
+        this.audio = null;
+        this.audioElements = null;
+        this.autoPlayElements = null;
+        this.opponent = null;
+        this.player2Input = null;
+        this.versusElements = null;
+        this.inputHandler = null;
+        this.touchInput = null;
+        this.gamepadInput = null;
+        this.replayElements = null;
+        this.clearMessageElement = null;
+        this.canvas = null;
+        this.scoreElement = null;
+        this.levelElement = null;
+        this.linesElement = null;
     }
 
     /**
@@ -3837,24 +13106,54 @@ class GameEngine {
      * @param {string} message - Critical error message
      */
     handleCriticalError(message) {
-        console.error('GameEngine: CRITICAL ERROR -', message);
+        this.stopLoop();
+        super.handleCriticalError(message);
+    }
+
+    /**
+     * Handles rendering errors
+     * @param {Error} error - The rendering error
+     */
+    handleRenderingError(error) {
+        this.logError('Rendering error occurred', error);
         
-        // Stop the game
-        this.gameState.setGameOver(true);
+        // Set error state to prevent further rendering attempts
+        this.isInErrorState = true;
         
-        // Disable input
-        if (this.inputHandler) {
-            this.inputHandler.disable();
-        }
+        // Try to recover
+        this.attemptRenderingRecovery();
         
-        // Cancel animation
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
+        // Display error to user
+        this.displayErrorMessage('Display error occurred. Attempting to recover...');
+    }
+
+    /**
+     * Attempts to recover from rendering errors
+     */
+    attemptRenderingRecovery() {
+        try {
+            // Increment recovery attempts
+            this.errorRecoveryAttempts++;
+            
+            if (this.errorRecoveryAttempts > this.maxErrorRecoveryAttempts) {
+                this.handleCriticalError('Too many rendering errors. Game cannot continue.');
+                return;
+            }
+
+            // Clear the canvas; the next frame redraws every layer
+            if (this.renderer && typeof this.renderer.clear === 'function') {
+                this.renderer.clear();
+            }
+            
+            // Reset error state
+            this.isInErrorState = false;
+            
+            console.log('GameEngine: Rendering recovery successful');
+            
+        } catch (recoveryError) {
+            this.logError('Rendering recovery failed', recoveryError);
+            this.handleCriticalError('Cannot recover from rendering error.');
         }
-        
-        // Display critical error to user
-        this.displayCriticalError(message);
     }
 
     /**
@@ -3904,53 +13203,13 @@ class GameEngine {
             alert(`Critical Error: ${message} Please refresh the page.`);
         }
     }
-
-    /**
-     * Gets error log for debugging
-     * @returns {Array} Array of recent errors
-     */
-    getErrorLog() {
-        return this.errorLog ? [...this.errorLog] : [];
-    }
-
-    /**
-     * Clears the error log
-     */
-    clearErrorLog() {
-        this.errorLog = [];
-        this.errorRecoveryAttempts = 0;
-    }
-
-    /**
-     * Checks if game is in error state
-     * @returns {boolean} True if in error state
-     */
-    isInError() {
-        return this.isInErrorState;
-    }
-
-    /**
-     * Wraps a method call with error handling
-     * @param {Function} method - Method to call
-     * @param {string} operationName - Name of the operation for error reporting
-     * @param {...any} args - Arguments to pass to the method
-     * @returns {any} Method result or null if error occurred
-     */
-    safeCall(method, operationName, ...args) {
-        try {
-            return method.apply(this, args);
-        } catch (error) {
-            this.handleGameLogicError(error, operationName);
-            return null;
-        }
-    }
 }
 
 /**
  * Game initialization and startup
  * Sets up the game when the page loads
  */
-document.addEventListener('DOMContentLoaded', function() {
+function initializeGame() {
     console.log('Tetris Game: DOM loaded, initializing game...');
     
     // Validate tetromino data before starting
@@ -3967,6 +13226,59 @@ document.addEventListener('DOMContentLoaded', function() {
     const startButton = document.getElementById('startButton');
     const pauseButton = document.getElementById('pauseButton');
     const restartButton = document.getElementById('restartButton');
+    const endButton = document.getElementById('endButton');
+    const modeStartButton = document.getElementById('modeStartButton');
+    const modeSelectButton = document.getElementById('modeSelectButton');
+    const resumeButton = document.getElementById('resumeButton');
+    const randomizerSelect = document.getElementById('randomizerSelect');
+    const holdPieceCanvas = document.getElementById('holdPieceCanvas');
+    const nextPieceCanvas = document.getElementById('nextPieceCanvas');
+    const nextQueueSelect = document.getElementById('nextQueueSelect');
+    const dasInput = document.getElementById('dasInput');
+    const arrInput = document.getElementById('arrInput');
+    const ghostStyleSelect = document.getElementById('ghostStyleSelect');
+    const lineClearDelayInput = document.getElementById('lineClearDelayInput');
+    const spawnDelayInput = document.getElementById('spawnDelayInput');
+    const lineClearStyleSelect = document.getElementById('lineClearStyleSelect');
+    const pieceSetSelect = document.getElementById('pieceSetSelect');
+    const touchButtonsSelect = document.getElementById('touchButtonsSelect');
+    const gamepadStatus = document.getElementById('gamepadStatus');
+    const replayExportButton = document.getElementById('replayExportButton');
+    const replayImportButton = document.getElementById('replayImportButton');
+    const replayFileInput = document.getElementById('replayFileInput');
+    const replayPlayButton = document.getElementById('replayPlayButton');
+    const replaySpeedSelect = document.getElementById('replaySpeedSelect');
+    const replaySeekInput = document.getElementById('replaySeekInput');
+    const replayExitButton = document.getElementById('replayExitButton');
+    const highScoreButton = document.getElementById('highScoreButton');
+    const highScoreForm = document.getElementById('highScoreForm');
+    const highScoreName = document.getElementById('highScoreName');
+    const highScoreModeSelect = document.getElementById('highScoreModeSelect');
+    const highScoreExportButton = document.getElementById('highScoreExportButton');
+    const highScoreClearButton = document.getElementById('highScoreClearButton');
+    const highScoreCloseButton = document.getElementById('highScoreCloseButton');
+    const keyBindingButton = document.getElementById('keyBindingButton');
+    const keyBindingResetButton = document.getElementById('keyBindingResetButton');
+    const keyBindingCloseButton = document.getElementById('keyBindingCloseButton');
+    const keyBindingPlayerSelect = document.getElementById('keyBindingPlayerSelect');
+    const versusRematchButton = document.getElementById('versusRematchButton');
+    const versusModeSelectButton = document.getElementById('versusModeSelectButton');
+    const autoPlayButton = document.getElementById('autoPlayButton');
+    const autoPlayStrengthSelect = document.getElementById('autoPlayStrengthSelect');
+    const autoPlaySpeedSelect = document.getElementById('autoPlaySpeedSelect');
+    const hintButton = document.getElementById('hintButton');
+    const muteButton = document.getElementById('muteButton');
+    const masterVolumeInput = document.getElementById('masterVolumeInput');
+    const musicVolumeInput = document.getElementById('musicVolumeInput');
+    const effectsVolumeInput = document.getElementById('effectsVolumeInput');
+    const paletteSelect = document.getElementById('paletteSelect');
+    const glyphButton = document.getElementById('glyphButton');
+    const reducedMotionButton = document.getElementById('reducedMotionButton');
+    const boardSummaryButton = document.getElementById('boardSummaryButton');
+    const themeSelect = document.getElementById('themeSelect');
+    const themeApplyButton = document.getElementById('themeApplyButton');
+    const themeImportButton = document.getElementById('themeImportButton');
+    const themeFileInput = document.getElementById('themeFileInput');
     
     // Validate required elements exist
     if (!canvas || !scoreElement || !levelElement) {
@@ -3984,7 +13296,105 @@ document.addEventListener('DOMContentLoaded', function() {
         console.error('Tetris Game: Failed to initialize game engine:', error);
         return;
     }
-    
+
+    gameEngine.setHoldCanvas(holdPieceCanvas);
+    gameEngine.setNextCanvas(nextPieceCanvas);
+    gameEngine.setClearMessageElement(document.getElementById('clearMessage'));
+    const touchInput = gameEngine.setTouchElements(canvas, document.getElementById('touchControls'));
+    gameEngine.setModeElements({
+        startScreen: document.getElementById('startScreen'),
+        modeList: document.getElementById('modeList'),
+        modeDescription: document.getElementById('modeDescription'),
+        timerLabel: document.getElementById('timerLabel'),
+        timerValue: document.getElementById('timerValue'),
+        goalValue: document.getElementById('goalValue'),
+        endButton,
+        resumeButton
+    });
+    gameEngine.setVersusElements({
+        container: document.getElementById('gameContainer'),
+        canvas: document.getElementById('opponentCanvas'),
+        holdCanvas: document.getElementById('opponentHoldCanvas'),
+        nextCanvas: document.getElementById('opponentNextCanvas'),
+        playerMeter: document.getElementById('playerGarbageMeter'),
+        opponentMeter: document.getElementById('opponentGarbageMeter'),
+        resultScreen: document.getElementById('versusResultScreen'),
+        winnerText: document.getElementById('versusWinner'),
+        resultBody: document.getElementById('versusResultBody')
+    });
+    gameEngine.setAutoPlayElements({
+        playButton: autoPlayButton,
+        hintButton,
+        strengthSelect: autoPlayStrengthSelect,
+        speedSelect: autoPlaySpeedSelect
+    });
+    gameEngine.setAudioElements({
+        muteButton,
+        masterInput: masterVolumeInput,
+        musicInput: musicVolumeInput,
+        effectsInput: effectsVolumeInput
+    });
+    gameEngine.setAccessibilityElements({
+        liveRegion: document.getElementById('gameAnnouncer'),
+        paletteSelect,
+        glyphButton,
+        motionButton: reducedMotionButton
+    });
+    gameEngine.setThemeElements({
+        select: themeSelect,
+        previewCanvas: document.getElementById('themePreviewCanvas')
+    });
+    gameEngine.setReplayElements({
+        controls: document.getElementById('replayControls'),
+        playButton: replayPlayButton,
+        seekInput: replaySeekInput,
+        timeLabel: document.getElementById('replayTimeLabel')
+    });
+
+    // Allow sharing piece sequences via ?seed=...&randomizer=...&pieces=...
+    const urlParams = new URLSearchParams(window.location.search);
+    if (urlParams.has('randomizer')) {
+        gameEngine.setRandomizerType(urlParams.get('randomizer'), false);
+    }
+    if (urlParams.has('pieces')) {
+        gameEngine.setPieceSet(urlParams.get('pieces'), false);
+    }
+    if (urlParams.has('seed')) {
+        gameEngine.setSeed(urlParams.get('seed'));
+    }
+
+    if (randomizerSelect) {
+        for (const [type, randomizer] of Object.entries(RANDOMIZER_TYPES)) {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = randomizer.name;
+            randomizerSelect.appendChild(option);
+        }
+        randomizerSelect.value = gameEngine.getRandomizerType();
+        
+        // Takes effect from the next game
+        randomizerSelect.addEventListener('change', function() {
+            if (!gameEngine.setRandomizerType(randomizerSelect.value)) {
+                randomizerSelect.value = gameEngine.getRandomizerType();
+            }
+            randomizerSelect.blur(); // Return arrow keys to the game
+        });
+    }
+
+    /**
+     * Downloads JSON text as a file
+     * @param {string} filename - Suggested file name
+     * @param {string} json - File contents
+     */
+    function downloadJson(filename, json) {
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
     // Set up button event listeners
     if (startButton) {
         startButton.addEventListener('click', function() {
@@ -3993,6 +13403,53 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
     
+    if (modeStartButton) {
+        modeStartButton.addEventListener('click', function() {
+            gameEngine.start();
+            modeStartButton.blur();
+        });
+    }
+    
+    if (resumeButton) {
+        resumeButton.addEventListener('click', function() {
+            gameEngine.resumeSavedGame();
+            resumeButton.blur();
+        });
+    }
+    
+    // Keep the run when the tab is closed or put in the background
+    document.addEventListener('visibilitychange', function() {
+        if (document.hidden) {
+            gameEngine.saveGame();
+        }
+    });
+    
+    if (modeSelectButton) {
+        modeSelectButton.addEventListener('click', function() {
+            gameEngine.showStartScreen();
+        });
+    }
+    
+    if (versusRematchButton) {
+        versusRematchButton.addEventListener('click', function() {
+            gameEngine.start();
+            versusRematchButton.blur();
+        });
+    }
+    
+    if (versusModeSelectButton) {
+        versusModeSelectButton.addEventListener('click', function() {
+            gameEngine.showStartScreen();
+        });
+    }
+    
+    if (endButton) {
+        endButton.addEventListener('click', function() {
+            gameEngine.endGame();
+            endButton.blur();
+        });
+    }
+    
     if (pauseButton) {
         pauseButton.addEventListener('click', function() {
             gameEngine.pause();
@@ -4000,6 +13457,366 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
     
+    if (ghostStyleSelect) {
+        ghostStyleSelect.addEventListener('change', function() {
+            const value = ghostStyleSelect.value;
+            if (value === 'off') {
+                gameEngine.setGhostPiece(false);
+            } else {
+                gameEngine.setGhostPiece(true, value);
+            }
+            ghostStyleSelect.blur(); // Return arrow keys to the game
+        });
+    }
+    
+    if (dasInput && arrInput) {
+        dasInput.value = String(CONFIG.AUTO_SHIFT.DAS);
+        arrInput.value = String(CONFIG.AUTO_SHIFT.ARR);
+        
+        const applyAutoShift = function() {
+            const das = parseInt(dasInput.value, 10);
+            const arr = parseInt(arrInput.value, 10);
+            if (!gameEngine.inputHandler.configureAutoShift(das, arr)) {
+                // Restore the values in effect
+                dasInput.value = String(gameEngine.inputHandler.dasDelay);
+                arrInput.value = String(gameEngine.inputHandler.arrDelay);
+            }
+        };
+        dasInput.addEventListener('change', applyAutoShift);
+        arrInput.addEventListener('change', applyAutoShift);
+    }
+    
+    if (lineClearDelayInput && spawnDelayInput) {
+        lineClearDelayInput.value = String(gameEngine.lineClearDelay);
+        spawnDelayInput.value = String(gameEngine.spawnDelay);
+        
+        // Takes effect from the next game; refused while one is running
+        const applySpawnTiming = function() {
+            const lineClearDelay = parseInt(lineClearDelayInput.value, 10);
+            const spawnDelay = parseInt(spawnDelayInput.value, 10);
+            if (!gameEngine.setSpawnTiming(lineClearDelay, spawnDelay)) {
+                // Restore the values in effect
+                lineClearDelayInput.value = String(gameEngine.lineClearDelay);
+                spawnDelayInput.value = String(gameEngine.spawnDelay);
+            }
+        };
+        lineClearDelayInput.addEventListener('change', applySpawnTiming);
+        spawnDelayInput.addEventListener('change', applySpawnTiming);
+    }
+    
+    if (pieceSetSelect) {
+        for (const [id, set] of Object.entries(PIECE_SETS)) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = set.name;
+            pieceSetSelect.appendChild(option);
+        }
+        pieceSetSelect.value = gameEngine.getPieceSet();
+        
+        // Takes effect from the next game; refused while one is running
+        pieceSetSelect.addEventListener('change', function() {
+            if (!gameEngine.setPieceSet(pieceSetSelect.value)) {
+                pieceSetSelect.value = gameEngine.getPieceSet();
+            }
+            pieceSetSelect.blur(); // Return arrow keys to the game
+        });
+    }
+    
+    if (lineClearStyleSelect) {
+        lineClearStyleSelect.addEventListener('change', function() {
+            gameEngine.setLineClearStyle(lineClearStyleSelect.value);
+            lineClearStyleSelect.blur(); // Return arrow keys to the game
+        });
+    }
+    
+    if (touchButtonsSelect && touchInput) {
+        /**
+         * Shows the on-screen buttons for the chosen setting ('auto' = on touch screens)
+         */
+        const applyTouchButtons = function() {
+            const value = touchButtonsSelect.value;
+            const isTouchScreen = typeof window.matchMedia === 'function' &&
+                window.matchMedia('(pointer: coarse)').matches;
+            touchInput.setButtonsVisible(value === 'on' || (value === 'auto' && isTouchScreen));
+        };
+        applyTouchButtons();
+        touchButtonsSelect.addEventListener('change', function() {
+            applyTouchButtons();
+            touchButtonsSelect.blur(); // Return arrow keys to the game
+        });
+    }
+    
+    if (gamepadStatus) {
+        gameEngine.on('gamepadChange', function() {
+            const gamepads = gameEngine.gamepadInput.getConnectedGamepads();
+            gamepadStatus.textContent = gamepads.length > 0
+                ? gamepads.map(gamepad => gamepad.id).join(', ')
+                : '未接続';
+            gamepadStatus.title = gamepadStatus.textContent;
+        });
+    }
+    
+    if (autoPlayButton) {
+        autoPlayButton.addEventListener('click', function() {
+            const enabled = !gameEngine.isAutoPlaying();
+            gameEngine.setAutoPlay(enabled);
+            // Starting the bot from the start screen or a finished game starts a demo game
+            if (enabled && !gameEngine.gameState.isRunningState()) {
+                gameEngine.start();
+            }
+            autoPlayButton.blur();
+        });
+    }
+    
+    if (autoPlayStrengthSelect) {
+        autoPlayStrengthSelect.addEventListener('change', function() {
+            gameEngine.autoPlayer.setStrength(autoPlayStrengthSelect.value);
+            autoPlayStrengthSelect.blur(); // Return arrow keys to the game
+        });
+    }
+    
+    if (autoPlaySpeedSelect) {
+        autoPlaySpeedSelect.addEventListener('change', function() {
+            gameEngine.autoPlayer.setActionDelay(Number(autoPlaySpeedSelect.value));
+            autoPlaySpeedSelect.blur(); // Return arrow keys to the game
+        });
+    }
+    
+    if (hintButton) {
+        hintButton.addEventListener('click', function() {
+            gameEngine.setHint(!gameEngine.isHintEnabled());
+            hintButton.blur();
+        });
+    }
+    
+    // Browsers only allow audio after the player interacts with the page
+    const gestureEvents = ['pointerdown', 'keydown', 'touchstart'];
+    const unlockAudio = function() {
+        if (gameEngine.audio.unlock()) {
+            gestureEvents.forEach(type => document.removeEventListener(type, unlockAudio, true));
+        }
+    };
+    gestureEvents.forEach(type => document.addEventListener(type, unlockAudio, true));
+    
+    if (muteButton) {
+        muteButton.addEventListener('click', function() {
+            gameEngine.setMuted(!gameEngine.audio.isMuted());
+            muteButton.blur();
+        });
+    }
+    
+    [['master', masterVolumeInput], ['music', musicVolumeInput], ['effects', effectsVolumeInput]]
+        .filter(([, input]) => input)
+        .forEach(([channel, input]) => {
+            input.addEventListener('input', function() {
+                gameEngine.audio.setVolume(channel, parseInt(input.value, 10) / 100);
+            });
+            input.addEventListener('change', function() {
+                input.blur(); // Return arrow keys to the game
+            });
+        });
+    
+    if (paletteSelect) {
+        paletteSelect.addEventListener('change', function() {
+            gameEngine.setPalette(paletteSelect.value);
+            paletteSelect.blur(); // Return arrow keys to the game
+        });
+    }
+    
+    if (glyphButton) {
+        glyphButton.addEventListener('click', function() {
+            gameEngine.setGlyphs(!gameEngine.accessibility.glyphs);
+            glyphButton.blur();
+        });
+    }
+    
+    if (reducedMotionButton) {
+        reducedMotionButton.addEventListener('click', function() {
+            gameEngine.setReducedMotion(!gameEngine.accessibility.reducedMotion);
+            reducedMotionButton.blur();
+        });
+    }
+    
+    if (boardSummaryButton) {
+        boardSummaryButton.addEventListener('click', function() {
+            gameEngine.announceBoardSummary();
+            boardSummaryButton.blur();
+        });
+    }
+    
+    if (themeSelect) {
+        themeSelect.addEventListener('change', function() {
+            gameEngine.previewTheme(themeSelect.value);
+            themeSelect.blur(); // Return arrow keys to the game
+        });
+    }
+    
+    if (themeApplyButton && themeSelect) {
+        themeApplyButton.addEventListener('click', function() {
+            gameEngine.setTheme(themeSelect.value);
+            themeApplyButton.blur();
+        });
+    }
+    
+    if (themeImportButton && themeFileInput) {
+        themeImportButton.addEventListener('click', function() {
+            themeFileInput.click();
+        });
+        themeFileInput.addEventListener('change', function() {
+            const file = themeFileInput.files[0];
+            themeFileInput.value = ''; // Allow loading the same file again
+            if (!file) {
+                return;
+            }
+            
+            file.text()
+                .then(text => gameEngine.importTheme(text))
+                .catch(error => console.error('Tetris Game: Failed to read theme file:', error));
+            themeImportButton.blur();
+        });
+    }
+    
+    if (nextQueueSelect) {
+        nextQueueSelect.value = String(CONFIG.NEXT_QUEUE_LENGTH);
+        nextQueueSelect.addEventListener('change', function() {
+            gameEngine.setNextQueueLength(parseInt(nextQueueSelect.value, 10));
+            nextQueueSelect.blur(); // Return arrow keys to the game
+        });
+    }
+    
+    if (replayExportButton) {
+        replayExportButton.addEventListener('click', function() {
+            const json = gameEngine.exportReplay();
+            if (!json) {
+                gameEngine.displayErrorMessage('保存できるリプレイがありません');
+                return;
+            }
+            
+            const replay = JSON.parse(json);
+            downloadJson(`tetris-replay-${replay.seed}.json`, json);
+            replayExportButton.blur();
+        });
+    }
+    
+    if (replayImportButton && replayFileInput) {
+        replayImportButton.addEventListener('click', function() {
+            replayFileInput.click();
+        });
+        replayFileInput.addEventListener('change', function() {
+            const file = replayFileInput.files[0];
+            replayFileInput.value = ''; // Allow loading the same file again
+            if (!file) {
+                return;
+            }
+            
+            file.text()
+                .then(text => gameEngine.playReplay(text))
+                .catch(error => console.error('Tetris Game: Failed to read replay file:', error));
+            replayImportButton.blur();
+        });
+    }
+    
+    if (replayPlayButton) {
+        replayPlayButton.addEventListener('click', function() {
+            gameEngine.toggleReplayPause();
+            replayPlayButton.blur();
+        });
+    }
+    
+    if (replaySpeedSelect) {
+        replaySpeedSelect.addEventListener('change', function() {
+            gameEngine.setReplaySpeed(parseFloat(replaySpeedSelect.value));
+            replaySpeedSelect.blur();
+        });
+    }
+    
+    if (replaySeekInput) {
+        replaySeekInput.addEventListener('input', function() {
+            gameEngine.seekReplay(parseInt(replaySeekInput.value, 10));
+        });
+    }
+    
+    if (replayExitButton) {
+        replayExitButton.addEventListener('click', function() {
+            gameEngine.stopReplay();
+            replayExitButton.blur();
+        });
+    }
+    
+    if (highScoreForm && highScoreName) {
+        highScoreName.maxLength = CONFIG.HIGH_SCORES.NAME_MAX_LENGTH;
+        highScoreForm.addEventListener('submit', function(event) {
+            event.preventDefault();
+            gameEngine.submitHighScore(highScoreName.value);
+            gameEngine.showHighScores();
+        });
+    }
+    
+    if (highScoreButton) {
+        highScoreButton.addEventListener('click', function() {
+            gameEngine.showHighScores();
+            highScoreButton.blur();
+        });
+    }
+    
+    if (highScoreModeSelect) {
+        highScoreModeSelect.addEventListener('change', function() {
+            gameEngine.renderHighScoreTable(highScoreModeSelect.value);
+        });
+    }
+    
+    if (highScoreExportButton) {
+        highScoreExportButton.addEventListener('click', function() {
+            downloadJson('tetris-high-scores.json', gameEngine.highScoreStore.export());
+        });
+    }
+    
+    if (highScoreClearButton && highScoreModeSelect) {
+        highScoreClearButton.addEventListener('click', function() {
+            const mode = highScoreModeSelect.value;
+            const modeName = GAME_MODES[mode] ? GAME_MODES[mode].name : mode;
+            if (window.confirm(`${modeName}のハイスコアを消去しますか？`)) {
+                gameEngine.highScoreStore.clear(mode);
+                gameEngine.renderHighScoreTable(mode);
+            }
+        });
+    }
+    
+    if (highScoreCloseButton) {
+        highScoreCloseButton.addEventListener('click', function() {
+            gameEngine.hideHighScores();
+        });
+    }
+    
+    if (keyBindingButton) {
+        keyBindingButton.addEventListener('click', function() {
+            gameEngine.showKeyBindings();
+            keyBindingButton.blur();
+        });
+    }
+    
+    if (keyBindingPlayerSelect) {
+        keyBindingPlayerSelect.addEventListener('change', function() {
+            gameEngine.setKeyBindingPlayer(Number(keyBindingPlayerSelect.value));
+        });
+    }
+    
+    if (keyBindingResetButton) {
+        keyBindingResetButton.addEventListener('click', function() {
+            const handler = gameEngine.getKeyBindingHandler();
+            handler.cancelKeyCapture();
+            handler.resetKeyBindings();
+            gameEngine.renderKeyBindings();
+            gameEngine.showKeyBindingMessage('初期設定に戻しました');
+        });
+    }
+    
+    if (keyBindingCloseButton) {
+        keyBindingCloseButton.addEventListener('click', function() {
+            gameEngine.hideKeyBindings();
+        });
+    }
+    
     if (restartButton) {
         restartButton.addEventListener('click', function() {
             gameEngine.restart();
@@ -4010,9 +13827,65 @@ document.addEventListener('DOMContentLoaded', function() {
     // Display controls information
     console.log('Tetris Game: Controls:');
     console.log('  ← → : Move left/right');
-    console.log('  ↑   : Rotate');
+    console.log('  ↑   : Rotate clockwise');
+    console.log('  Z   : Rotate counter-clockwise');
+    console.log('  C/Shift : Hold');
     console.log('  ↓   : Soft drop');
     console.log('  Space/Esc : Pause/Resume');
+    console.log('  Gamepad: D-pad/stick move, A rotate, B/X rotate left, Y/LB/RB hold, Start pause');
+    console.log('  Touch: swipe to move/drop, flick down to hard drop, tap to rotate, two-finger tap to hold');
     
-    console.log('Tetris Game: Initialization complete. Click Start to begin!');
-});
\ No newline at end of file
+    console.log('Tetris Game: Initialization complete. Pick a mode and click Start to begin!');
+}
+
+// The page starts the game; Node (tests, scripts, bots) loads the classes through require()
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', initializeGame);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CONFIG,
+        TETROMINO_TYPES,
+        SRS_KICK_TABLES,
+        PIECE_SETS,
+        RANDOMIZER_TYPES,
+        GAME_MODES,
+        GAME_COMMANDS,
+        REPLAY_COMMANDS,
+        DEFAULT_KEY_MAP,
+        PLAYER_2_KEY_MAP,
+        KEY_BINDING_ACTIONS,
+        GARBAGE_CELL_ID,
+        COLOR_PALETTES,
+        BUILT_IN_THEMES,
+        ThemeManager,
+        SeededRandom,
+        definePiece,
+        registerPieceSet,
+        getPieceSetTypes,
+        createRandomizer,
+        createRandomTetromino,
+        validateTetrominoData,
+        GameSettings,
+        Tetromino,
+        GameBoard,
+        InputHandler,
+        TouchInputHandler,
+        GamepadInputHandler,
+        GameState,
+        HighScoreStore,
+        ReplayRecorder,
+        ReplayPlayer,
+        SavedGameStore,
+        GameCore,
+        VersusMatch,
+        AutoPlayer,
+        AudioEngine,
+        AccessibilitySettings,
+        Announcer,
+        Renderer,
+        TextRenderer,
+        GameEngine
+    };
+}
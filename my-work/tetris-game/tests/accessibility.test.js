@@ -0,0 +1,127 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    CONFIG, COLOR_PALETTES, AccessibilitySettings, Announcer, GameBoard, Renderer, Tetromino,
+    HTMLCanvasElement, createEngine, createMemoryStorage
+} = require('./helpers/dom');
+
+const KEY = 'test.accessibility';
+
+/**
+ * Builds a live region stand-in that keeps its attributes
+ * @returns {Object} Element with textContent and setAttribute
+ */
+function createLiveRegion() {
+    return { textContent: '', setAttribute(name, value) { this[name] = value; } };
+}
+
+describe('Accessibility', () => {
+    it('keeps palette, glyph and motion settings across reloads', () => {
+        const storage = createMemoryStorage();
+        const settings = new AccessibilitySettings({ storage, storageKey: KEY, reducedMotion: true });
+        assert.deepEqual(settings.getSettings(), { palette: 'standard', glyphs: false, reducedMotion: true },
+            'reduced motion follows the system until chosen');
+        assert.equal(settings.setPalette('sepia'), false);
+        assert.equal(settings.setPalette('colorBlind'), true);
+        settings.setGlyphs(true);
+        settings.setReducedMotion(false);
+
+        const reloaded = new AccessibilitySettings({ storage, storageKey: KEY, reducedMotion: true });
+        assert.deepEqual(reloaded.getSettings(), { palette: 'colorBlind', glyphs: true, reducedMotion: false });
+
+        storage.setItem(KEY, '{"version":2,"palette":"colorBlind"}');
+        assert.equal(new AccessibilitySettings({ storage, storageKey: KEY }).palette, CONFIG.ACCESSIBILITY.PALETTE);
+    });
+
+    it('reads out messages announced together as one update', async () => {
+        const region = createLiveRegion();
+        const announcer = new Announcer(region);
+        assert.equal(region['aria-live'], 'polite');
+        assert.equal(announcer.announce(''), false);
+
+        announcer.announce('Single');
+        announcer.announce('Tミノ');
+        assert.equal(region.textContent, '', 'written once the current task ends');
+        await Promise.resolve();
+        assert.equal(region.textContent, 'Single。Tミノ');
+
+        announcer.announce('Tミノ');
+        assert.equal(announcer.flush(), 'Tミノ');
+        announcer.announce('Tミノ');
+        assert.equal(announcer.flush(), 'Tミノ\u00a0', 'a repeated message still changes the region');
+    });
+
+    it('measures column heights and holes', () => {
+        const board = new GameBoard(4, 5);
+        board.setCellValue(2, 0, 1);
+        board.setCellValue(4, 0, 1);
+        board.setCellValue(4, 1, 2);
+        board.setCellValue(1, 3, 3);
+        assert.deepEqual(board.getColumnHeights(), [3, 1, 0, 4]);
+        assert.deepEqual(board.getColumnHoles(), [1, 0, 0, 3]);
+    });
+
+    it('draws blocks in the chosen palette with glyphs', () => {
+        const canvas = new HTMLCanvasElement();
+        const renderer = new Renderer(canvas);
+        const colors = [];
+        const drawBlock = renderer.drawBlock.bind(renderer);
+        renderer.drawBlock = (context, x, y, color, lineWidth) => {
+            colors.push(color);
+            drawBlock(context, x, y, color, lineWidth);
+        };
+
+        assert.equal(renderer.setPalette('sepia'), false);
+        assert.equal(renderer.setPalette('colorBlind'), true);
+        renderer.setGlyphs(true);
+        renderer.drawCurrentPiece(new Tetromino('T'), 3, 5);
+        assert.deepEqual(colors, Array(4).fill(COLOR_PALETTES.colorBlind.T));
+        const glyphs = canvas.getContext('2d').calls.filter(call => call.method === 'fillText');
+        assert.deepEqual(glyphs.map(call => call.args[0]), ['T', 'T', 'T', 'T']);
+    });
+
+    it('announces the game and summarizes the board on request', async () => {
+        const engine = createEngine(4);
+        const region = createLiveRegion();
+        engine.setAccessibilityElements({ liveRegion: region });
+        engine.start();
+        await Promise.resolve();
+        assert.equal(region.textContent, `マラソン 開始。${engine.currentPiece.getType()}ミノ`);
+
+        engine.gameBoard.setCellValue(CONFIG.BOARD_HEIGHT - 1, 0, 1);
+        engine.gameBoard.setCellValue(CONFIG.BOARD_HEIGHT - 3, 0, 1);
+        const summary = engine.announceBoardSummary();
+        assert.ok(summary.startsWith(`列の高さ (左から): 3, ${Array(CONFIG.BOARD_WIDTH - 1).fill(0).join(', ')}`));
+        assert.ok(summary.includes('穴 1個 (1列目 1)'));
+        await Promise.resolve();
+        assert.equal(region.textContent, summary);
+
+        assert.equal(engine.describeClear({ linesCleared: 2, lineClearType: 'T-Spin Double', combo: 1,
+            perfectClear: false, levelIncreased: true, newLevel: 3 }), '2ライン消去 (T-Spin Double)、1コンボ、レベル3');
+
+        engine.endGame();
+        await Promise.resolve();
+        assert.ok(region.textContent.startsWith('終了 スコア'));
+        engine.destroy();
+    });
+
+    it('leaves out line clear animations with reduced motion', () => {
+        const engine = createEngine(4);
+        engine.setReducedMotion(true);
+        engine.start();
+        for (let col = 0; col < CONFIG.BOARD_WIDTH - 1; col++) {
+            engine.gameBoard.setCellValue(CONFIG.BOARD_HEIGHT - 1, col, 1);
+        }
+        engine.currentPiece = new Tetromino('I');
+        engine.currentPiece.rotate();
+        engine.pieceX = CONFIG.BOARD_WIDTH - 3;
+        engine.pieceY = 0;
+        engine.hardDrop();
+        assert.deepEqual(engine.clearingRows, [CONFIG.BOARD_HEIGHT - 1]);
+        assert.equal(engine.renderer.effects.length, 0);
+
+        engine.setReducedMotion(false);
+        assert.equal(engine.accessibility.reducedMotion, false);
+        engine.destroy();
+    });
+});
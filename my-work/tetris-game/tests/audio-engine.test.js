@@ -0,0 +1,158 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, AudioEngine, createEngine, createMemoryStorage } = require('./helpers/dom');
+
+const KEY = 'test.audioSettings';
+
+/**
+ * AudioParam stand-in that keeps its value and the automation calls
+ * @returns {Object} Param with value and events
+ */
+function createParam() {
+    const param = { value: 1, events: [] };
+    param.setValueAtTime = (value, time) => param.events.push({ value, time });
+    param.exponentialRampToValueAtTime = (value, time) => param.events.push({ value, time, ramp: true });
+    return param;
+}
+
+/**
+ * AudioContext stand-in whose clock is set by the test
+ * Every oscillator started ends up in context.notes.
+ * @returns {Object} Fake context
+ */
+function createFakeContext() {
+    const context = {
+        currentTime: 0,
+        state: 'running',
+        destination: { name: 'destination' },
+        notes: [],
+        createGain: () => ({ gain: createParam(), connect(node) { this.output = node; } }),
+        createOscillator: () => {
+            const oscillator = {
+                frequency: createParam(),
+                connect(node) { this.output = node; },
+                start(time) { context.notes.push({ oscillator, time }); },
+                stop(time) { this.stopTime = time; }
+            };
+            return oscillator;
+        }
+    };
+    return context;
+}
+
+/**
+ * Builds an unlocked engine playing into a fake context
+ * @param {Object} storage - Settings storage
+ * @returns {{audio: AudioEngine, context: Object}} Engine and its context
+ */
+function createAudio(storage = createMemoryStorage()) {
+    const context = createFakeContext();
+    const audio = new AudioEngine({ storage, storageKey: KEY, createContext: () => context, seed: 3 });
+    audio.unlock();
+    return { audio, context };
+}
+
+describe('AudioEngine', () => {
+    it('stays silent until a gesture unlocks it', () => {
+        const audio = new AudioEngine({ storage: null, createContext: () => null });
+        assert.equal(audio.playEffect('lock'), false);
+        assert.equal(audio.unlock(), false);
+        assert.equal(audio.isUnlocked(), false);
+
+        const { audio: unlocked, context } = createAudio();
+        assert.equal(unlocked.isUnlocked(), true);
+        assert.equal(unlocked.gains.master.output, context.destination);
+        assert.equal(unlocked.gains.music.output, unlocked.gains.master);
+    });
+
+    it('plays distinct effects for each kind of clear', () => {
+        const { audio, context } = createAudio();
+        const effects = [1, 2, 3, 4].map(lines => audio.getClearEffect({ linesCleared: lines, tSpin: 'none' }));
+        effects.push(audio.getClearEffect({ linesCleared: 1, tSpin: 'full' }));
+        assert.deepEqual(effects, ['single', 'double', 'triple', 'tetris', 'tSpin']);
+        assert.equal(audio.getClearEffect({ linesCleared: 0, tSpin: 'none' }), null);
+
+        const pitches = effects.map(name => {
+            context.notes = [];
+            assert.equal(audio.playEffect(name), true);
+            return context.notes.map(note => note.oscillator.frequency.events[0].value).join(',');
+        });
+        assert.equal(new Set(pitches).size, pitches.length);
+        assert.equal(audio.playEffect('fanfare'), false);
+    });
+
+    it('speeds the music up with the drop speed', () => {
+        const { audio } = createAudio();
+        const { BASE_TEMPO, MAX_TEMPO } = CONFIG.AUDIO.MUSIC;
+        assert.equal(audio.getTempo(CONFIG.INITIAL_DROP_SPEED), BASE_TEMPO);
+        assert.ok(audio.getTempo(500) > BASE_TEMPO);
+        assert.equal(audio.getTempo(50), MAX_TEMPO);
+    });
+
+    it('schedules the music ahead of the audio clock', () => {
+        const { audio, context } = createAudio();
+        assert.equal(audio.update(1000), 0, 'nothing plays before the music starts');
+
+        audio.startMusic();
+        const steps = audio.update(CONFIG.INITIAL_DROP_SPEED);
+        assert.ok(steps > 0);
+        assert.ok(context.notes.every(note => note.time < CONFIG.AUDIO.MUSIC.LOOKAHEAD));
+        assert.equal(audio.update(CONFIG.INITIAL_DROP_SPEED), 0, 'already scheduled');
+
+        // Updated every animation frame for two seconds, the top speed fits in more steps
+        const playFor = (seconds, dropSpeed) => {
+            let scheduled = 0;
+            for (let frame = 0; frame < seconds * 60; frame++) {
+                context.currentTime += 1 / 60;
+                scheduled += audio.update(dropSpeed);
+            }
+            return scheduled;
+        };
+        const slow = playFor(2, CONFIG.INITIAL_DROP_SPEED);
+        assert.equal(slow, 2 * CONFIG.AUDIO.MUSIC.BASE_TEMPO / 60 * CONFIG.AUDIO.MUSIC.STEPS_PER_BEAT);
+        assert.ok(playFor(2, 50) > slow);
+
+        audio.setMusicPaused(true);
+        assert.equal(playFor(1, 50), 0);
+    });
+
+    it('keeps volumes and mute across reloads', () => {
+        const storage = createMemoryStorage();
+        const { audio } = createAudio(storage);
+        assert.equal(audio.setVolume('music', 0.25), true);
+        assert.equal(audio.setVolume('music', 2), false);
+        assert.equal(audio.setVolume('drums', 0.5), false);
+        audio.setMuted(true);
+        assert.equal(audio.gains.master.gain.value, 0);
+        assert.equal(audio.playEffect('move'), false, 'muted effects are skipped');
+
+        const reloaded = new AudioEngine({ storage, storageKey: KEY, createContext: createFakeContext });
+        assert.equal(reloaded.getVolume('music'), 0.25);
+        assert.equal(reloaded.isMuted(), true);
+
+        storage.setItem(KEY, '{"version":7}');
+        assert.equal(new AudioEngine({ storage, storageKey: KEY }).getVolume('music'), CONFIG.AUDIO.VOLUME.music);
+    });
+
+    it('follows the game on the page', () => {
+        const engine = createEngine(5);
+        const context = createFakeContext();
+        engine.audio = new AudioEngine({ storage: null, createContext: () => context });
+        engine.audio.unlock();
+
+        engine.start();
+        assert.equal(engine.audio.isMusicPlaying(), true);
+        context.notes = [];
+        engine.executeCommand('moveLeft');
+        assert.equal(context.notes.length, 1, 'move sound');
+        engine.executeCommand('hardDrop');
+        assert.ok(context.notes.length > 1, 'lock sound');
+
+        engine.pause();
+        assert.equal(engine.audio.isMusicPlaying(), false);
+        engine.resume();
+        engine.endGame();
+        assert.equal(engine.audio.isMusicPlaying(), false);
+        engine.destroy();
+    });
+});
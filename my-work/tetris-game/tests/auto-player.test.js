@@ -0,0 +1,184 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    CONFIG, REPLAY_COMMANDS, AutoPlayer, GameBoard, GameCore, Tetromino, createEngine
+} = require('./helpers/dom');
+
+/**
+ * Builds an empty board grid
+ * @returns {number[][]} Board cells
+ */
+function emptyGrid() {
+    return Array.from({ length: CONFIG.BOARD_HEIGHT }, () => Array(CONFIG.BOARD_WIDTH).fill(0));
+}
+
+/**
+ * Starts a seeded headless game with a bot playing it
+ * @param {Object} options - AutoPlayer options
+ * @param {string} mode - Game mode
+ * @returns {{core: GameCore, bot: AutoPlayer}} Game and bot
+ */
+function createBotGame(options = {}, mode = 'zen') {
+    const core = new GameCore();
+    core.setGameMode(mode);
+    core.setSeed(11);
+    const bot = new AutoPlayer(core, { seed: 5, actionDelay: 0, ...options });
+    core.addInputAdapter(bot);
+    core.start();
+    return { core, bot };
+}
+
+describe('AutoPlayer', () => {
+    it('needs a game to play', () => {
+        assert.throws(() => new AutoPlayer(null), /GameCore reference is required/);
+    });
+
+    it('scores height, holes, bumpiness and cleared lines', () => {
+        const bot = new AutoPlayer(new GameCore());
+        const grid = emptyGrid();
+        grid[17][0] = 1; // Column 0 is 3 high with two holes under it
+        grid[19][1] = 1;
+        grid[19][2] = 1;
+
+        const features = bot.evaluateBoard(grid, 1);
+        assert.equal(features.aggregateHeight, 5);
+        assert.equal(features.holes, 2);
+        assert.equal(features.bumpiness, 3);
+        const weights = CONFIG.BOT.WEIGHTS;
+        assert.equal(features.score, weights.aggregateHeight * 5 + weights.linesCleared +
+            weights.holes * 2 + weights.bumpiness * 3);
+    });
+
+    it('finds every distinct placement on an empty board', () => {
+        const bot = new AutoPlayer(new GameCore());
+        const board = new GameBoard();
+        const count = type => {
+            const piece = new Tetromino(type);
+            const spawn = new GameCore().getSpawnPosition(piece);
+            return bot.findPlacements(board, piece, spawn.x, spawn.y).length;
+        };
+
+        assert.equal(count('O'), 9);
+        assert.equal(count('I'), 17);
+        assert.equal(count('T'), 34);
+    });
+
+    it('reaches placements under overhangs with soft drops', () => {
+        const core = new GameCore();
+        core.setSeed(1);
+        core.start();
+        const bot = new AutoPlayer(core);
+
+        // A roof over columns 0-3 leaves a slot only reachable by sliding in from the right
+        for (let col = 0; col < 4; col++) {
+            core.gameBoard.setCellValue(17, col, 1);
+        }
+        core.currentPiece = new Tetromino('O');
+        core.moveToSpawnPosition();
+
+        const tuck = bot.findPlacements(core.gameBoard, core.currentPiece, core.pieceX, core.pieceY)
+            .find(placement => placement.x === 2 && placement.y === 18);
+        assert.ok(tuck, 'the slot under the roof is found');
+        assert.ok(tuck.commands.includes('softDrop'));
+
+        tuck.commands.forEach(command => core.executeCommand(command));
+        core.executeCommand('hardDrop');
+        assert.equal(core.gameBoard.getCellValue(19, 2), 2);
+        assert.equal(core.gameBoard.getCellValue(18, 3), 2);
+    });
+
+    it('takes the line clear when one is there', () => {
+        const { core, bot } = createBotGame({ strength: 'easy' });
+        for (let col = 0; col < CONFIG.BOARD_WIDTH - 1; col++) {
+            core.gameBoard.setCellValue(19, col, 1);
+        }
+        core.currentPiece = new Tetromino('I');
+        core.moveToSpawnPosition();
+
+        const best = bot.findMoves()[0];
+        assert.equal(best.x + best.piece.getFilledBlocks()[0].col, CONFIG.BOARD_WIDTH - 1);
+        bot.setStrength('normal');
+        core.step([], CONFIG.FRAME_DURATION);
+        assert.equal(core.gameState.getLines(), 1);
+    });
+
+    it('plays hundreds of pieces without topping out, recorded as a replay', () => {
+        const { core } = createBotGame();
+        while (core.piecesLocked < 300) {
+            core.step([], 1000);
+        }
+
+        assert.equal(core.gameState.isGameOverState(), false);
+        assert.equal(core.stackClears, 0, 'the stack never reached the top');
+        assert.ok(core.gameState.getLines() > 100, `lines: ${core.gameState.getLines()}`);
+
+        const replay = core.getReplay();
+        const viewer = new GameCore();
+        assert.equal(viewer.playReplay(replay), true);
+        viewer.seekReplay(replay.frames);
+        assert.deepEqual(viewer.gameBoard.getBoard(), core.gameBoard.getBoard());
+        assert.equal(viewer.gameState.getScore(), core.gameState.getScore());
+    });
+
+    it('waits the action delay between commands', () => {
+        const { core } = createBotGame({ actionDelay: 100 });
+        const piece = core.currentPiece;
+        core.step([], 100);
+        assert.equal(core.getReplay().inputs.length, 0);
+        core.step([], 50);
+        assert.equal(core.getReplay().inputs.length, 2, 'one command recorded');
+
+        core.step([], 2000);
+        assert.notEqual(core.currentPiece, piece, 'the piece was placed');
+    });
+
+    it('validates its settings', () => {
+        const bot = new AutoPlayer(new GameCore());
+        assert.equal(bot.setStrength('grandmaster'), false);
+        assert.equal(bot.setStrength('hard'), true);
+        assert.equal(bot.getStrength(), 'hard');
+        assert.equal(bot.setActionDelay(-1), false);
+        assert.equal(bot.setActionDelay(CONFIG.BOT.MAX_ACTION_DELAY + 1), false);
+        assert.equal(bot.setActionDelay(0), true);
+    });
+
+    it('looks ahead and holds on the hard setting', () => {
+        const { core } = createBotGame({ strength: 'hard' });
+        while (core.piecesLocked < 60) {
+            core.step([], 1000);
+        }
+        assert.equal(core.gameState.isGameOverState(), false);
+        const commands = core.getReplay().inputs.filter((value, index) => index % 2 === 1);
+        assert.ok(commands.includes(REPLAY_COMMANDS.indexOf('hold')), 'the bot used hold');
+    });
+
+    it('plays and hints on the page', () => {
+        const engine = createEngine(4);
+        engine.autoPlayer.setActionDelay(0);
+        engine.setAutoPlay(true);
+        engine.start();
+        assert.equal(engine.isAutoPlaying(), true);
+        engine.advanceTime(1000);
+        assert.ok(engine.piecesLocked > 0);
+
+        engine.setAutoPlay(false);
+        engine.endGame();
+        assert.equal(engine.pendingHighScore, null, 'bot games are not ranked');
+
+        engine.start();
+        engine.setHint(true);
+        const hint = engine.autoPlayer.getHint();
+        assert.ok(hint);
+        engine.render();
+        const context = engine.canvas.getContext('2d');
+        const dashes = context.calls.filter(call => call.method === 'setLineDash');
+        assert.equal(dashes.length, 1, 'the hint outline is drawn');
+        assert.equal(engine.autoPlayer.getHint(), hint, 'the hint is cached for the piece');
+
+        engine.setHint(false);
+        engine.render();
+        engine.render();
+        assert.equal(engine.renderer.effects.length, 0);
+        engine.destroy();
+    });
+});
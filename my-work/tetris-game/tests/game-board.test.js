@@ -0,0 +1,130 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, GARBAGE_CELL_ID, Tetromino, GameBoard } = require('./helpers/dom');
+
+/**
+ * Fills a row, optionally leaving some columns empty
+ * @param {GameBoard} board - Board to write to
+ * @param {number} row - Row index
+ * @param {number} value - Cell value
+ * @param {number[]} gaps - Columns left empty
+ */
+function fillRow(board, row, value = 1, gaps = []) {
+    for (let col = 0; col < CONFIG.BOARD_WIDTH; col++) {
+        board.setCellValue(row, col, gaps.includes(col) ? 0 : value);
+    }
+}
+
+describe('GameBoard', () => {
+    it('starts empty with the configured size', () => {
+        const board = new GameBoard();
+        assert.deepEqual(board.getDimensions(), { width: CONFIG.BOARD_WIDTH, height: CONFIG.BOARD_HEIGHT });
+        assert.equal(board.getFilledCellCount(), 0);
+        assert.equal(board.validateBoard(), true);
+    });
+
+    describe('collision', () => {
+        it('keeps pieces inside the walls and floor', () => {
+            const board = new GameBoard();
+            const piece = new Tetromino('I');
+            assert.equal(board.isValidPosition(piece, -1, 5), false, 'left wall');
+            assert.equal(board.isValidPosition(piece, 7, 5), false, 'right wall');
+            assert.equal(board.isValidPosition(piece, 3, 20), false, 'floor');
+            assert.equal(board.isValidPosition(piece, 3, 0), true, 'top row');
+            assert.equal(board.isValidPosition(piece, 3, 5), true, 'open space');
+        });
+
+        it('detects overlap with locked cells', () => {
+            const board = new GameBoard();
+            board.setCellValue(19, 4, 1);
+            board.setCellValue(19, 5, 1);
+            board.setCellValue(18, 4, 1);
+            const piece = new Tetromino('O');
+            assert.equal(board.isValidPosition(piece, 4, 18), false);
+            assert.equal(board.hasCollision(piece, 4, 18), true);
+            assert.equal(board.isWithinBounds(piece, 4, 18), true);
+            assert.equal(board.isValidPosition(piece, 6, 18), true);
+        });
+
+        it('rejects missing pieces and non-numeric coordinates', () => {
+            const board = new GameBoard();
+            const piece = new Tetromino('T');
+            assert.equal(board.isValidPosition(null, 5, 5), false);
+            assert.equal(board.isValidPosition(piece, 'invalid', 5), false);
+            assert.equal(board.isValidPosition(piece, 5, 'invalid'), false);
+            assert.equal(board.isValidPosition(piece, 0, 0), true);
+        });
+    });
+
+    it('locks a piece into the grid', () => {
+        const board = new GameBoard();
+        assert.equal(board.placePiece(new Tetromino('I'), 3, 17), true);
+        assert.equal(board.getFilledCellCount(), 4);
+    });
+
+    describe('line clears', () => {
+        it('tells complete, incomplete and empty rows apart', () => {
+            const board = new GameBoard();
+            fillRow(board, 19);
+            assert.equal(board.isLineComplete(19), true);
+            board.setCellValue(19, 5, 0);
+            assert.equal(board.isLineComplete(19), false);
+            board.clear();
+            assert.equal(board.isLineEmpty(19), true);
+        });
+
+        it('clears a single row and drops the cells above', () => {
+            const board = new GameBoard();
+            fillRow(board, 19);
+            board.setCellValue(18, 3, 2);
+            board.setCellValue(17, 4, 3);
+            assert.equal(board.clearLines(), 1);
+            assert.equal(board.getCellValue(19, 3), 2);
+            assert.equal(board.getCellValue(18, 4), 3);
+            assert.equal(board.isLineEmpty(0), true);
+        });
+
+        it('clears several rows at once', () => {
+            const board = new GameBoard();
+            for (let row = 17; row < 20; row++) {
+                fillRow(board, row);
+            }
+            board.setCellValue(16, 2, 2);
+            board.setCellValue(15, 5, 3);
+            assert.equal(board.clearLines(), 3);
+            assert.equal(board.getCellValue(19, 2), 2);
+            assert.equal(board.getCellValue(18, 5), 3);
+        });
+
+        it('keeps incomplete rows between cleared ones', () => {
+            const board = new GameBoard();
+            fillRow(board, 19, 1);
+            fillRow(board, 18, 2, [9]);
+            fillRow(board, 17, 3);
+            assert.equal(board.clearLines(), 2);
+            assert.equal(board.getCellValue(19, 0), 2);
+            assert.equal(board.getCellValue(19, 9), 0);
+        });
+    });
+
+    it('pushes garbage rows in from the bottom', () => {
+        const board = new GameBoard();
+        board.setCellValue(19, 0, 3);
+        assert.equal(board.addGarbageRows(2, 4), true);
+        assert.equal(board.getCellValue(17, 0), 3, 'the stack rises');
+        for (const row of [18, 19]) {
+            assert.equal(board.getCellValue(row, 0), GARBAGE_CELL_ID);
+            assert.equal(board.getCellValue(row, 4), 0, 'every row has the same hole');
+            assert.equal(board.isLineComplete(row), false);
+        }
+        assert.equal(board.getDimensions().height, CONFIG.BOARD_HEIGHT);
+
+        const filled = board.getFilledCellCount();
+        assert.equal(board.addGarbageRows(0, 4), true);
+        assert.equal(board.addGarbageRows(1, CONFIG.BOARD_WIDTH), true);
+        assert.equal(board.getFilledCellCount(), filled, 'invalid rows are not added');
+
+        board.setCellValue(1, 5, 2);
+        assert.equal(board.addGarbageRows(2, 0), false, 'blocks pushed off the top');
+    });
+});
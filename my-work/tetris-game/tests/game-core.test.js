@@ -0,0 +1,546 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    CONFIG, GAME_MODES, GameCore, VersusMatch, TextRenderer, Tetromino, createEngine
+} = require('./helpers/dom');
+
+const SCRIPT = ['moveLeft', 'rotate', 'hardDrop', 'moveRight', 'moveRight', 'hold', 'softDrop', 'hardDrop'];
+
+/**
+ * Plays a scripted game on a headless core, one command every 20 frames
+ * @param {number|string} seed - Piece seed
+ * @param {number} frames - Frames to simulate
+ * @returns {GameCore} The core after the script
+ */
+function playScript(seed, frames = 600) {
+    const core = new GameCore();
+    core.setSeed(seed);
+    core.start();
+    for (let frame = 0; frame < frames && core.gameState.isRunningState(); frame++) {
+        const inputs = frame % 20 === 0 ? [SCRIPT[(frame / 20) % SCRIPT.length]] : [];
+        core.step(inputs);
+    }
+    return core;
+}
+
+/**
+ * Starts a headless game with an I piece above a bottom row missing four cells
+ * @returns {GameCore} Running game whose hard drop clears one row
+ */
+function startSingleClear() {
+    const core = new GameCore();
+    core.setSeed(3);
+    core.start();
+    for (let col = 0; col < CONFIG.BOARD_WIDTH; col++) {
+        if (col < 3 || col >= 7) {
+            core.gameBoard.setCellValue(CONFIG.BOARD_HEIGHT - 1, col, 1);
+        }
+    }
+    core.currentPiece = new Tetromino('I');
+    core.pieceX = 3;
+    core.pieceY = 0;
+    return core;
+}
+
+describe('GameCore', () => {
+    it('runs without a DOM and renders through an adapter', () => {
+        const frames = [];
+        const core = new GameCore({ renderer: new TextRenderer(text => frames.push(text)) });
+        core.setSeed('headless');
+        core.start();
+        assert.equal(core.step([], CONFIG.FRAME_DURATION * 3 + 1), 3);
+        assert.equal(frames.length, 1);
+
+        const lines = frames[0].split('\n');
+        assert.equal(lines.length, CONFIG.BOARD_HEIGHT + 1);
+        assert.ok(lines.slice(0, -1).every(line => line.length === CONFIG.BOARD_WIDTH));
+        assert.equal(frames[0].split('@').length - 1, 4, 'the falling piece shows as four @ cells');
+        assert.match(lines.at(-1), /^Score 0 {2}Lines 0 {2}Level 1$/);
+    });
+
+    it('is deterministic for a seed and input script', () => {
+        const first = playScript(42);
+        const second = playScript(42);
+        assert.deepEqual(second.gameBoard.getBoard(), first.gameBoard.getBoard());
+        assert.equal(second.gameState.getScore(), first.gameState.getScore());
+        assert.ok(first.gameBoard.getFilledCellCount() > 0);
+    });
+
+    it('records a headless game as a replay', () => {
+        const core = playScript(7, 200);
+        const replay = core.getReplay();
+        assert.equal(replay.seed, 7);
+        assert.equal(replay.frames, core.frame);
+        assert.equal(replay.ruleset.lockDelay, CONFIG.LOCK_DELAY.DURATION);
+        assert.equal(replay.result.score, core.gameState.getScore());
+        assert.deepEqual(replay.inputs, playScript(7, 200).getReplay().inputs);
+        assert.ok(replay.inputs.length > 0, 'commands are recorded');
+    });
+
+    it('rejects unknown commands and bad step arguments', () => {
+        const core = new GameCore();
+        core.start();
+        assert.equal(core.executeCommand('selfDestruct'), false);
+        assert.equal(core.step('moveLeft'), 0);
+        assert.equal(core.step([], -1), 0);
+    });
+
+    it('emits events and lets listeners unsubscribe', () => {
+        const core = new GameCore();
+        const seen = [];
+        const unsubscribe = core.on('gameStart', data => seen.push(data.seed));
+        core.on('gameStart', () => {
+            throw new Error('a broken listener must not stop the game');
+        });
+        core.setSeed(7);
+        core.start();
+        unsubscribe();
+        core.restart();
+        assert.equal(seen.length, 1);
+        assert.equal(core.gameState.isRunningState(), true);
+    });
+
+    it('drives input adapters every frame', () => {
+        const updates = [];
+        const adapter = { update: time => updates.push(time), enable() {}, disable() {} };
+        const core = new GameCore({ inputAdapters: [adapter] });
+        core.start();
+        core.step([], CONFIG.FRAME_DURATION * 2);
+        assert.equal(updates.length, 2);
+        core.removeInputAdapter(adapter);
+        core.step([], CONFIG.FRAME_DURATION);
+        assert.equal(updates.length, 2);
+    });
+});
+
+/**
+ * Starts a seeded headless game in a mode
+ * @param {string} mode - Mode key from GAME_MODES
+ * @returns {GameCore} Running core
+ */
+function startMode(mode) {
+    const core = new GameCore();
+    core.setSeed(11);
+    assert.equal(core.setGameMode(mode), true);
+    core.start();
+    return core;
+}
+
+/**
+ * Fills the whole board except the last column, so the next piece cannot spawn
+ * @param {GameCore} core - Running core
+ */
+function fillToTop(core) {
+    for (let row = 0; row < CONFIG.BOARD_HEIGHT; row++) {
+        for (let col = 0; col < CONFIG.BOARD_WIDTH - 1; col++) {
+            core.gameBoard.setCellValue(row, col, 1);
+        }
+    }
+}
+
+describe('Game modes', () => {
+    it('ends Sprint with a ranked result once the line goal is reached', () => {
+        const core = startMode('sprint');
+        const results = [];
+        core.on('gameOver', state => results.push(state.result));
+        core.step([], CONFIG.FRAME_DURATION * 30);
+        core.gameState.addLines(GAME_MODES.sprint.goalLines - 1);
+        assert.equal(core.gameState.getLevel(), 1, 'Sprint stays at level 1');
+
+        // An I piece at the left wall completes the bottom row
+        for (let col = 4; col < CONFIG.BOARD_WIDTH; col++) {
+            core.gameBoard.setCellValue(CONFIG.BOARD_HEIGHT - 1, col, 1);
+        }
+        core.currentPiece = new Tetromino('I');
+        core.pieceX = 0;
+        core.pieceY = 0;
+        core.hardDrop();
+
+        assert.equal(core.gameState.isGameOverState(), true);
+        assert.equal(results.length, 1);
+        assert.equal(results[0].reason, 'goal');
+        assert.equal(results[0].ranked, true);
+        assert.equal(results[0].time, Math.round(core.gameTime));
+        assert.equal(results[0].pieces, 1);
+    });
+
+    it('does not rank a Sprint that topped out', () => {
+        const core = startMode('sprint');
+        fillToTop(core);
+        core.spawnNextPiece();
+        assert.deepEqual([core.getGameResult().reason, core.getGameResult().ranked], ['topOut', false]);
+    });
+
+    it('tops out when the piece swapped in from hold cannot spawn', () => {
+        for (const held of [null, 'O']) {
+            const core = startMode('marathon');
+            const ends = [];
+            core.on('gameOver', state => ends.push(state.result.reason));
+            core.holdPiece = held && new Tetromino(held);
+            fillToTop(core);
+
+            assert.equal(core.hold(), false, `hold slot: ${held}`);
+            assert.equal(core.gameState.isGameOverState(), true);
+            assert.deepEqual(ends, ['topOut']);
+        }
+    });
+
+    it('counts Ultra down and ends it when time runs out', () => {
+        const core = startMode('ultra');
+        const limit = GAME_MODES.ultra.timeLimit;
+        core.step([], 1000);
+        const timer = core.getModeTimer();
+        assert.equal(timer.countdown, true);
+        assert.ok(timer.display < limit && timer.display === timer.remaining);
+
+        // Keep the stack low so only the clock can end the game
+        for (let second = 1; second * 1000 < limit + 1000 && core.gameState.isRunningState(); second++) {
+            core.gameBoard.clear();
+            core.step([], 1000);
+        }
+        assert.equal(core.getGameResult().reason, 'timeUp');
+        assert.ok(core.gameTime >= limit && core.gameTime < limit + CONFIG.FRAME_DURATION * 2);
+        assert.equal(core.getModeTimer().display, 0);
+    });
+
+    it('clears the stack in Zen instead of ending the game', () => {
+        const core = startMode('zen');
+        const clears = [];
+        core.on('stackClear', data => clears.push(data.count));
+        fillToTop(core);
+        core.spawnNextPiece();
+
+        assert.equal(core.gameState.isGameOverState(), false);
+        assert.deepEqual(clears, [1]);
+        assert.equal(core.gameBoard.getFilledCellCount(), 0);
+
+        assert.equal(core.endGame(), true);
+        assert.deepEqual([core.getGameResult().reason, core.getGameResult().stackClears], ['quit', 1]);
+        assert.equal(core.endGame(), false);
+    });
+
+    it('caps Marathon at level 15 and only changes mode between games', () => {
+        const core = startMode('marathon');
+        core.gameState.addLines(149);
+        assert.equal(core.gameState.getLevel(), GAME_MODES.marathon.levelCurve.maxLevel);
+        assert.equal(core.setGameMode('sprint'), false);
+        assert.equal(core.setGameMode('unknown'), false);
+        core.endGame();
+        assert.equal(core.setGameMode('sprint'), true);
+        assert.equal(core.getGameMode(), 'sprint');
+    });
+});
+
+/**
+ * Drops a vertical piece into a well on the right of full bottom rows
+ * @param {string} pieceSet - Piece set to play
+ * @param {string} type - Piece type, standing upright after one turn
+ * @returns {{core: GameCore, clear: Object}} Game after the drop and the lock's clear result
+ */
+function dropIntoWell(pieceSet, type) {
+    const core = new GameCore();
+    core.setSeed(3);
+    core.setSpawnTiming(0, 0);
+    core.setPieceSet(pieceSet);
+    core.start();
+
+    const piece = new Tetromino(type);
+    piece.setRotation(1);
+    const blocks = piece.getFilledBlocks();
+    const left = Math.min(...blocks.map(block => block.col));
+    const width = Math.max(...blocks.map(block => block.col)) - left + 1;
+    const height = new Set(blocks.map(block => block.row)).size;
+    for (let row = CONFIG.BOARD_HEIGHT - height; row < CONFIG.BOARD_HEIGHT; row++) {
+        for (let col = 0; col < CONFIG.BOARD_WIDTH - width; col++) {
+            core.gameBoard.setCellValue(row, col, 1);
+        }
+    }
+    core.currentPiece = piece;
+    core.pieceX = CONFIG.BOARD_WIDTH - width - left;
+    core.pieceY = -Math.min(...blocks.map(block => block.row));
+
+    let clear = null;
+    core.on('pieceLock', event => {
+        clear = event.clear;
+    });
+    core.step(['hardDrop']);
+    return { core, clear };
+}
+
+describe('Clears of more than four rows', () => {
+    for (const [pieceSet, type, rows] of [['pentomino', 'I5', 5], ['big', 'Ix2', 8]]) {
+        it(`score all ${rows} rows cleared by ${type}`, () => {
+            const { core, clear } = dropIntoWell(pieceSet, type);
+            const { LINE_CLEAR, PERFECT_CLEAR } = CONFIG.SCORING;
+            assert.equal(core.gameBoard.getFilledCellCount(), 0);
+            assert.equal(core.gameState.getLines(), rows);
+            assert.equal(clear.linesCleared, rows);
+            assert.equal(clear.perfectClear, true);
+            assert.equal(clear.basePoints, LINE_CLEAR[4], 'scored like a Tetris');
+            assert.equal(clear.perfectClearBonus, PERFECT_CLEAR[4]);
+            assert.ok(core.gameState.getScore() >= LINE_CLEAR[4] + PERFECT_CLEAR[4]);
+            assert.equal(core.gameState.backToBack, true);
+
+            const match = new VersusMatch(new GameCore(), new GameCore());
+            assert.equal(match.calculateAttack(clear), CONFIG.VERSUS.PERFECT_CLEAR_ATTACK);
+            assert.equal(match.calculateAttack({ ...clear, perfectClear: false }),
+                CONFIG.VERSUS.LINE_ATTACK[4] + CONFIG.VERSUS.COMBO_ATTACK[0]);
+            match.destroy();
+        });
+    }
+});
+
+describe('Replays', () => {
+    it('play back to the same board and score', () => {
+        const recorded = createEngine(2024);
+        recorded.start();
+        for (let frame = 0; frame < 600 && recorded.gameState.isRunningState(); frame++) {
+            if (frame % 20 === 0) {
+                recorded.inputHandler.executeCommand(SCRIPT[(frame / 20) % SCRIPT.length], null);
+            }
+            recorded.advanceFrame();
+        }
+        const replayJson = recorded.exportReplay();
+        const expectedBoard = recorded.gameBoard.getBoard();
+        const expectedScore = recorded.gameState.getScore();
+
+        const player = createEngine();
+        assert.equal(player.playReplay(replayJson), true);
+        assert.equal(player.isReplaying(), true);
+        assert.equal(player.seekReplay(JSON.parse(replayJson).frames), true);
+        assert.deepEqual(player.gameBoard.getBoard(), expectedBoard);
+        assert.equal(player.gameState.getScore(), expectedScore);
+
+        player.stopReplay();
+        assert.equal(player.isReplaying(), false);
+        recorded.destroy();
+        player.destroy();
+    });
+
+    it('play back in the mode they were recorded in', () => {
+        const recorded = createEngine(5);
+        recorded.setGameMode('ultra');
+        recorded.start();
+        recorded.advanceFrame();
+        const replay = recorded.getReplay();
+        assert.equal(replay.ruleset.mode, 'ultra');
+
+        const player = createEngine();
+        assert.equal(player.playReplay(replay), true);
+        assert.equal(player.getGameMode(), 'ultra');
+        player.stopReplay();
+        assert.equal(player.getGameMode(), 'marathon', 'the player\'s own mode comes back');
+        assert.equal(player.playReplay({ ...replay, ruleset: { ...replay.ruleset, mode: 'unknown' } }), false);
+        recorded.destroy();
+        player.destroy();
+    });
+
+    it('refuse malformed replay data', () => {
+        const player = createEngine();
+        assert.equal(player.playReplay('{not json'), false);
+        assert.equal(player.playReplay({ version: 1 }), false);
+
+        const recorded = createEngine(3);
+        recorded.start();
+        recorded.advanceFrame();
+        const replay = recorded.getReplay();
+        const { lockDelay, ...withoutLockDelay } = replay.ruleset;
+        assert.equal(lockDelay, CONFIG.LOCK_DELAY.DURATION);
+        assert.equal(player.playReplay({ ...replay, ruleset: withoutLockDelay }), false);
+        assert.equal(player.playReplay({ ...replay, ruleset: { ...replay.ruleset, lockDelay: 'abc' } }), false);
+        assert.equal(player.playReplay({ ...replay, ruleset: { ...replay.ruleset, maxLockResets: 1.5 } }), false);
+        assert.equal(player.isReplaying(), false);
+        recorded.destroy();
+        player.destroy();
+    });
+});
+
+/**
+ * Starts a headless game without entry delays and sets its first piece down on the floor
+ * @param {number} lockDelay - Lock delay in ms
+ * @returns {GameCore} Running game with a grounded piece
+ */
+function startGrounded(lockDelay = CONFIG.LOCK_DELAY.DURATION) {
+    const core = new GameCore();
+    core.setSeed(9);
+    core.setSpawnTiming(0, 0);
+    core.setLockDelay(lockDelay);
+    core.start();
+    while (core.gameBoard.isValidPosition(core.currentPiece, core.pieceX, core.pieceY + 1)) {
+        core.pieceY++;
+    }
+    return core;
+}
+
+/**
+ * Steps a game one frame at a time until its current piece locks
+ * @param {GameCore} core - Running game
+ * @param {Function} inputsAt - Returns the commands for a frame number (counted from 0)
+ * @param {number} maxFrames - Frames to give up after
+ * @returns {number} Game time in ms until the lock, or Infinity if the piece never locked
+ */
+function timeUntilLock(core, inputsAt = () => [], maxFrames = 2000) {
+    const locked = core.piecesLocked;
+    for (let frame = 0; frame < maxFrames; frame++) {
+        core.step(inputsAt(frame));
+        if (core.piecesLocked > locked) {
+            return (frame + 1) * CONFIG.FRAME_DURATION;
+        }
+    }
+    return Infinity;
+}
+
+describe('Lock delay', () => {
+    const { DURATION, MAX_RESETS } = CONFIG.LOCK_DELAY;
+
+    it('locks a grounded piece once the delay runs out', () => {
+        const core = startGrounded();
+        const time = timeUntilLock(core);
+        assert.ok(time >= DURATION && time <= DURATION + 2 * CONFIG.FRAME_DURATION, `locked after ${time} ms`);
+    });
+
+    it('restarts on moves, at most MAX_RESETS times per piece', () => {
+        const core = startGrounded();
+        // Step left and right on the floor every 24 frames (400 ms), so each move lands before the lock
+        const step = frame => (frame % 48 === 23 ? ['moveLeft'] : frame % 48 === 47 ? ['moveRight'] : []);
+        const time = timeUntilLock(core, step);
+        const lastReset = MAX_RESETS * 24 * CONFIG.FRAME_DURATION;
+        assert.ok(time > lastReset && time <= lastReset + DURATION + 2 * CONFIG.FRAME_DURATION,
+            `locked after ${time} ms`);
+    });
+
+    it('keeps running in the air once the resets are used up', () => {
+        const core = startGrounded();
+        core.step([]); // Touch down
+        for (let reset = 0; reset < MAX_RESETS; reset++) {
+            core.step([reset % 2 === 0 ? 'moveLeft' : 'moveRight']);
+            core.step([], 10 * CONFIG.FRAME_DURATION);
+        }
+        assert.equal(core.lockResets, MAX_RESETS);
+        assert.equal(core.piecesLocked, 0);
+
+        // Lift the piece as a kick would: landing again does not start a new timer
+        const expiry = core.lockTimerStart + DURATION;
+        core.pieceY--;
+        const lockedAt = core.gameTime + timeUntilLock(core);
+        assert.ok(lockedAt <= expiry + CONFIG.FRAME_DURATION, `locked ${lockedAt - expiry} ms after the timer ran out`);
+    });
+
+    it('does not run while the game is paused', () => {
+        const core = startGrounded();
+        core.step([], 300);
+        core.pause();
+        core.step([], 5000);
+        assert.equal(core.piecesLocked, 0);
+        core.resume();
+        const time = timeUntilLock(core);
+        const left = DURATION - 300;
+        assert.ok(time >= left - CONFIG.FRAME_DURATION && time <= left + 2 * CONFIG.FRAME_DURATION,
+            `locked ${time} ms after resuming`);
+    });
+
+    it('is set between games only, in whole milliseconds', () => {
+        const core = new GameCore();
+        assert.equal(core.setLockDelay(250.5), false, 'replays only keep whole milliseconds');
+        assert.equal(core.setLockDelay(-1), false);
+        assert.equal(core.setLockDelay(300, 1.5), false);
+        assert.equal(core.setLockDelay(300, 10), true);
+        core.start();
+        assert.equal(core.setLockDelay(1000), false);
+        assert.equal(core.lockDelay, 300);
+        assert.equal(core.getReplay().ruleset.lockDelay, 300);
+    });
+
+    it('is skipped by hard drop', () => {
+        const core = startGrounded(5000);
+        core.step(['hardDrop']);
+        assert.equal(core.piecesLocked, 1);
+    });
+});
+
+describe('Entry delays', () => {
+    it('keep cleared rows on the board, then hold back the next piece', () => {
+        const core = startSingleClear();
+        core.step(['hardDrop']);
+        assert.equal(core.currentPiece, null);
+        assert.equal(core.isInEntryDelay(), true);
+        assert.deepEqual(core.clearingRows, [CONFIG.BOARD_HEIGHT - 1]);
+        assert.equal(core.gameBoard.getFilledCellCount(), CONFIG.BOARD_WIDTH);
+        assert.equal(core.gameState.getLines(), 1, 'scored at the lock');
+
+        let elapsed = CONFIG.FRAME_DURATION; // The frame the piece locked on
+        let clearedAt = null;
+        while (!core.currentPiece) {
+            core.step([]);
+            elapsed += CONFIG.FRAME_DURATION;
+            if (clearedAt === null && core.gameBoard.getFilledCellCount() === 0) {
+                clearedAt = elapsed;
+                assert.ok(core.getLineClearProgress() === 1 && core.isInEntryDelay(), 'then the spawn delay');
+            }
+        }
+        const { LINE_CLEAR, SPAWN } = CONFIG.ENTRY_DELAY;
+        assert.ok(clearedAt >= LINE_CLEAR && clearedAt < LINE_CLEAR + CONFIG.FRAME_DURATION);
+        assert.ok(elapsed >= LINE_CLEAR + SPAWN && elapsed < LINE_CLEAR + SPAWN + 2 * CONFIG.FRAME_DURATION);
+        assert.equal(core.isInEntryDelay(), false);
+    });
+
+    it('buffer rotations and a hold pressed during the delay', () => {
+        const core = startSingleClear();
+        core.step(['hardDrop']);
+        const [next, after] = core.getNextQueue().map(piece => piece.getType());
+        core.step(['rotate']);
+        core.step(['hold', 'rotate']);
+        core.step(['hold']);
+        while (!core.currentPiece) {
+            core.step([]);
+        }
+
+        assert.equal(core.holdPiece.getType(), next);
+        assert.equal(core.currentPiece.getType(), after);
+        assert.equal(core.currentPiece.getRotation(), 2);
+        assert.equal(core.canHold, false);
+    });
+
+    it('are set between games only', () => {
+        const core = new GameCore();
+        assert.equal(core.setSpawnTiming(0, -1), false);
+        assert.equal(core.setSpawnTiming(CONFIG.ENTRY_DELAY.MAX + 1, 0), false);
+        assert.equal(core.setSpawnTiming(0, 0), true);
+        core.start();
+        assert.equal(core.setSpawnTiming(200, 200), false);
+        assert.equal(core.lineClearDelay, 0);
+
+        // Without delays the row goes and the next piece comes with the lock
+        core.gameBoard.setCellValue(CONFIG.BOARD_HEIGHT - 1, 0, 1);
+        core.step(['hardDrop']);
+        assert.equal(core.isInEntryDelay(), false);
+        assert.notEqual(core.currentPiece, null);
+    });
+
+    it('are recorded in replays, and older replays play without them', () => {
+        const recorded = createEngine(9);
+        recorded.setSpawnTiming(150, 50);
+        recorded.start();
+        for (let frame = 0; frame < 300 && recorded.gameState.isRunningState(); frame++) {
+            if (frame % 20 === 0) {
+                recorded.inputHandler.executeCommand(SCRIPT[(frame / 20) % SCRIPT.length], null);
+            }
+            recorded.advanceFrame();
+        }
+        const replay = recorded.getReplay();
+        assert.equal(replay.ruleset.lineClearDelay, 150);
+
+        const player = createEngine();
+        assert.equal(player.playReplay(replay), true);
+        assert.equal(player.seekReplay(replay.frames), true);
+        assert.deepEqual(player.gameBoard.getBoard(), recorded.gameBoard.getBoard());
+        player.stopReplay();
+        assert.equal(player.lineClearDelay, CONFIG.ENTRY_DELAY.LINE_CLEAR, 'the player\'s own timing comes back');
+
+        const { lineClearDelay, spawnDelay, ...oldRuleset } = replay.ruleset;
+        assert.equal(player.playReplay({ ...replay, ruleset: oldRuleset }), true);
+        assert.equal(player.lineClearDelay + player.spawnDelay, 0);
+        recorded.destroy();
+        player.destroy();
+    });
+});
@@ -0,0 +1,381 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    CONFIG,
+    GameEngine,
+    GameSettings,
+    Tetromino,
+    HTMLElement,
+    HTMLCanvasElement,
+    createEngine,
+    createMemoryStorage,
+    pressKey
+} = require('./helpers/dom');
+
+/**
+ * Fills the bottom row except the columns an I piece at x covers, then puts that I piece in play
+ * @param {GameEngine} engine - Running engine
+ * @param {number} x - Column of the I piece's bounding box
+ */
+function setUpSingleClear(engine, x = 3) {
+    for (let col = 0; col < CONFIG.BOARD_WIDTH; col++) {
+        if (col < x || col >= x + 4) {
+            engine.gameBoard.setCellValue(CONFIG.BOARD_HEIGHT - 1, col, 1);
+        }
+    }
+    engine.currentPiece = new Tetromino('I');
+    engine.pieceX = x;
+    engine.pieceY = 0;
+}
+
+describe('GameEngine', () => {
+    let engines = [];
+    const track = engine => {
+        engines.push(engine);
+        return engine;
+    };
+
+    afterEach(() => {
+        engines.forEach(engine => engine.destroy());
+        engines = [];
+    });
+
+    describe('construction', () => {
+        it('requires a canvas and display elements', () => {
+            const element = new HTMLElement();
+            assert.throws(() => new GameEngine(null, element, element), /Canvas element is required/);
+            assert.throws(() => new GameEngine(element, element, element), /must be an HTMLCanvasElement/);
+            assert.throws(() => new GameEngine(new HTMLCanvasElement(), null, element), /Score element/);
+            assert.throws(() => new GameEngine(new HTMLCanvasElement(), element, {}), /Level element/);
+        });
+
+        it('fails cleanly without a 2D context', () => {
+            const canvas = new HTMLCanvasElement();
+            canvas.contextAvailable = false;
+            assert.throws(() => new GameEngine(canvas, new HTMLElement(), new HTMLElement()), /2D context/);
+        });
+    });
+
+    describe('game flow', () => {
+        it('moves between idle, running, paused and resumed', () => {
+            const engine = track(createEngine());
+            const { gameState } = engine;
+            assert.equal(gameState.isRunningState(), false);
+            assert.equal(gameState.isPausedState(), false);
+
+            engine.start();
+            assert.equal(gameState.isRunningState(), true);
+            assert.ok(engine.currentPiece);
+            assert.equal(engine.getNextQueue().length, engine.nextQueueLength);
+
+            engine.pause();
+            assert.equal(gameState.isPausedState(), true);
+            assert.equal(engine.inputHandler.isInputEnabled(), false);
+
+            engine.resume();
+            assert.equal(gameState.isPausedState(), false);
+            assert.equal(engine.inputHandler.isInputEnabled(), true);
+        });
+
+        it('survives repeated pause/resume cycles', () => {
+            const engine = track(createEngine());
+            engine.start();
+            for (let i = 0; i < 5; i++) {
+                engine.pause();
+                engine.resume();
+            }
+            assert.equal(engine.gameState.isRunningState(), true);
+            assert.equal(engine.gameState.isPausedState(), false);
+        });
+
+        it('ignores pause once the game is over', () => {
+            const engine = track(createEngine());
+            engine.start();
+            engine.gameOver();
+            engine.pause();
+            assert.equal(engine.gameState.isGameOverState(), true);
+            assert.equal(engine.gameState.isPausedState(), false);
+            assert.equal(engine.animationId, null, 'the loop stops at game over');
+        });
+
+        it('restarts into a fresh running game', () => {
+            const engine = track(createEngine());
+            engine.start();
+            engine.gameState.processLineClear(4);
+            engine.gameOver();
+            engine.restart();
+            assert.equal(engine.gameState.isGameOverState(), false);
+            assert.equal(engine.gameState.isRunningState(), true);
+            assert.equal(engine.gameState.getScore(), 0);
+        });
+
+        it('picks the mode on the start screen and shows its clock', () => {
+            const engine = track(createEngine());
+            const elements = {};
+            for (const name of ['startScreen', 'modeList', 'modeDescription', 'timerLabel', 'timerValue', 'goalValue', 'endButton']) {
+                elements[name] = new HTMLElement();
+            }
+            engine.setModeElements(elements);
+            const ultra = elements.modeList.children.find(button => button.dataset.mode === 'ultra');
+            ultra.dispatchEvent(new Event('click'));
+
+            assert.equal(engine.getGameMode(), 'ultra');
+            assert.equal(ultra.classList.contains('selected'), true);
+            assert.equal(elements.timerLabel.textContent, '残り時間');
+            assert.equal(elements.timerValue.textContent, '2:00.00');
+            assert.equal(elements.endButton.classList.contains('hidden'), true, 'only Zen can be ended by hand');
+
+            engine.start();
+            assert.equal(elements.startScreen.classList.contains('hidden'), true);
+            assert.equal(engine.showStartScreen(), false, 'not while a game is running');
+            engine.endGame();
+            assert.equal(engine.showStartScreen(), true);
+            assert.equal(elements.startScreen.classList.contains('hidden'), false);
+        });
+
+        it('keeps the randomizer chosen in the settings across reloads', () => {
+            const storage = createMemoryStorage();
+            const engine = track(createEngine());
+            engine.gameSettings = new GameSettings(storage, 'test.gameSettings');
+            assert.equal(engine.setRandomizerType('shuffle'), false);
+            assert.equal(engine.setRandomizerType('nes'), true);
+            assert.equal(engine.setRandomizerType('14-bag', false), true, 'a shared link applies without saving');
+            engine.start();
+            assert.equal(engine.randomizer.type, '14-bag');
+
+            assert.equal(new GameSettings(storage, 'test.gameSettings').getSettings().randomizer, 'nes');
+            storage.setItem('test.gameSettings', '{"version":1,"randomizer":"shuffle"}');
+            assert.equal(new GameSettings(storage, 'test.gameSettings').randomizer, CONFIG.DEFAULT_RANDOMIZER);
+        });
+
+        it('does not start twice', () => {
+            const engine = track(createEngine());
+            engine.start();
+            const piece = engine.currentPiece;
+            engine.start();
+            assert.equal(engine.currentPiece, piece);
+        });
+    });
+
+    describe('player commands', () => {
+        it('moves, rotates and drops the falling piece', () => {
+            const engine = track(createEngine());
+            engine.start();
+            const x = engine.pieceX;
+            engine.moveLeft();
+            assert.equal(engine.pieceX, x - 1);
+            engine.moveRight();
+            engine.moveRight();
+            assert.equal(engine.pieceX, x + 1);
+
+            const rotation = engine.currentPiece.getRotation();
+            engine.rotate();
+            assert.equal(engine.currentPiece.getRotation(), (rotation + 1) % 4);
+            engine.rotateCounterClockwise();
+            assert.equal(engine.currentPiece.getRotation(), rotation);
+
+            const y = engine.pieceY;
+            engine.softDrop();
+            assert.equal(engine.pieceY, y + 1);
+            assert.equal(engine.gameState.getScore(), 1);
+        });
+
+        it('stops at the wall', () => {
+            const engine = track(createEngine());
+            engine.start();
+            for (let i = 0; i < CONFIG.BOARD_WIDTH; i++) {
+                engine.moveLeft();
+            }
+            assert.equal(engine.moveLeft(), false);
+            assert.equal(engine.gameBoard.isValidPosition(engine.currentPiece, engine.pieceX, engine.pieceY), true);
+        });
+
+        it('handles a hundred quick moves and junk arguments', () => {
+            const engine = track(createEngine());
+            engine.start();
+            for (let i = 0; i < 100; i++) {
+                engine.moveLeft();
+            }
+            engine.moveLeft(null);
+            engine.rotate('invalid');
+            engine.moveRight();
+            assert.equal(engine.gameState.isRunningState(), true);
+        });
+
+        it('holds a piece once per drop', () => {
+            const engine = track(createEngine());
+            engine.start();
+            const type = engine.currentPiece.getType();
+            engine.hold();
+            assert.equal(engine.holdPiece.getType(), type);
+            assert.equal(engine.hold(), false);
+        });
+
+        it('reads the keyboard through its InputHandler', () => {
+            const engine = track(createEngine());
+            engine.start();
+            const rotation = engine.currentPiece.getRotation();
+            pressKey('ArrowUp');
+            pressKey('ArrowUp', 'keyup');
+            assert.equal(engine.currentPiece.getRotation(), (rotation + 1) % 4);
+            pressKey('Escape');
+            assert.equal(engine.gameState.isPausedState(), true);
+        });
+
+        it('rebinds keys from the key settings screen', () => {
+            const engine = track(createEngine());
+            engine.startKeyCapture('hardDrop', '即落下');
+            pressKey('x');
+            assert.equal(engine.inputHandler.getKeyMap().x, 'hardDrop');
+
+            engine.confirmKeyConflict = () => false;
+            engine.startKeyCapture('hold', 'ホールド');
+            pressKey('ArrowLeft');
+            assert.equal(engine.inputHandler.getKeyMap().ArrowLeft, 'moveLeft', 'a declined conflict keeps the key');
+
+            engine.confirmKeyConflict = () => true;
+            engine.startKeyCapture('hold', 'ホールド');
+            pressKey('ArrowLeft');
+            assert.equal(engine.inputHandler.getKeyMap().ArrowLeft, 'hold');
+            assert.equal(engine.formatKeyName(' '), 'Space');
+        });
+
+        it('edits the second player\'s keys and moves keys between players on confirmation', () => {
+            const engine = track(createEngine());
+            assert.equal(engine.setKeyBindingPlayer(2), false);
+            assert.equal(engine.setKeyBindingPlayer(1), true);
+
+            engine.startKeyCapture('hardDrop', '即落下');
+            pressKey('f');
+            assert.equal(engine.player2Input.getKeyMap().f, 'hardDrop');
+            assert.equal(engine.inputHandler.getKeyMap().f, undefined);
+
+            engine.confirmKeyConflict = () => false;
+            engine.startKeyCapture('hold', 'ホールド');
+            pressKey('c');
+            assert.equal(engine.inputHandler.getKeyMap().c, 'hold', 'a declined conflict leaves player 1 alone');
+            assert.equal(engine.player2Input.getKeyMap().c, undefined);
+
+            engine.confirmKeyConflict = () => true;
+            engine.startKeyCapture('hold', 'ホールド');
+            pressKey('c');
+            assert.equal(engine.inputHandler.getKeyMap().c, undefined);
+            assert.equal(engine.player2Input.getKeyMap().c, 'hold');
+        });
+    });
+
+    describe('locking and scoring', () => {
+        it('locks on hard drop, clears lines and updates the display', () => {
+            const engine = track(createEngine());
+            const locks = [];
+            const clears = [];
+            engine.on('pieceLock', lock => locks.push(lock));
+            engine.on('lineClear', clear => clears.push(clear));
+            engine.start();
+            setUpSingleClear(engine);
+
+            engine.hardDrop();
+            engine.render();
+
+            assert.equal(locks.length, 1);
+            assert.equal(locks[0].type, 'I');
+            assert.equal(clears.length, 1);
+            assert.equal(clears[0].linesCleared, 1);
+            assert.equal(engine.gameState.getLines(), 1);
+            assert.equal(engine.gameBoard.getFilledCellCount(), CONFIG.BOARD_WIDTH,
+                'the row waits out the clear delay');
+            engine.advanceTime(CONFIG.ENTRY_DELAY.LINE_CLEAR + CONFIG.FRAME_DURATION);
+            assert.equal(engine.gameBoard.getFilledCellCount(), 0);
+            assert.equal(engine.scoreElement.textContent, engine.gameState.getScore().toLocaleString());
+            assert.equal(engine.linesElement.textContent, '1');
+        });
+
+        it('animates the rows being cleared until they are removed', () => {
+            const engine = track(createEngine());
+            engine.start();
+            setUpSingleClear(engine);
+            assert.equal(engine.setLineClearStyle('sparkle'), false);
+            assert.equal(engine.setLineClearStyle('dissolve'), true);
+            const drawn = [];
+            engine.renderer.drawLineClear = (rows, progress, style) => drawn.push({ rows, progress, style });
+
+            engine.hardDrop();
+            engine.render();
+            assert.deepEqual(drawn, [{ rows: [CONFIG.BOARD_HEIGHT - 1], progress: 0, style: 'dissolve' }]);
+            assert.equal(engine.renderer.effects.length, 1, 'no particles for a single');
+
+            engine.advanceTime(CONFIG.ENTRY_DELAY.LINE_CLEAR + CONFIG.FRAME_DURATION);
+            engine.render();
+            assert.equal(engine.renderer.effects.length, 0);
+            assert.ok(drawn.every(call => call.progress < 1));
+        });
+
+        it('raises score and level as lines are cleared', () => {
+            const engine = track(createEngine());
+            engine.start();
+            for (let i = 0; i < 10; i++) {
+                engine.gameState.processLineClear(1);
+            }
+            assert.ok(engine.gameState.getScore() > 0);
+            assert.equal(engine.gameState.getLevel(), 2);
+        });
+
+        it('drops the piece with gravity as frames pass', () => {
+            const engine = track(createEngine());
+            engine.start();
+            const y = engine.pieceY;
+            engine.advanceTime(engine.gameState.getDropSpeed() + CONFIG.FRAME_DURATION);
+            assert.equal(engine.pieceY, y + 1);
+        });
+
+        it('ends the game when the stack reaches the spawn area', () => {
+            const engine = track(createEngine());
+            const over = [];
+            engine.on('gameOver', state => over.push(state));
+            engine.start();
+            for (let row = 0; row < CONFIG.BOARD_HEIGHT; row++) {
+                for (let col = 0; col < CONFIG.BOARD_WIDTH - 1; col++) {
+                    engine.gameBoard.setCellValue(row, col, 1);
+                }
+            }
+            engine.spawnNextPiece();
+            assert.equal(engine.gameState.isGameOverState(), true);
+            assert.equal(over.length, 1);
+        });
+    });
+
+    describe('error handling', () => {
+        it('notices and repairs a corrupted state', () => {
+            const engine = track(createEngine());
+            engine.start();
+            engine.gameState.score = -1;
+            engine.gameState.level = 0;
+            assert.equal(engine.gameState.validateState(), false);
+            engine.gameState.fixInvalidState();
+            assert.equal(engine.validateState(), true);
+            engine.moveLeft();
+        });
+
+        it('keeps running when the renderer throws', () => {
+            const engine = track(createEngine());
+            engine.start();
+            engine.setRenderer({
+                render() {
+                    throw new Error('draw failed');
+                }
+            });
+            assert.doesNotThrow(() => engine.render());
+            assert.equal(engine.gameState.isRunningState(), true);
+        });
+
+        it('releases the keyboard when destroyed', () => {
+            const engine = createEngine();
+            engine.start();
+            const handler = engine.inputHandler;
+            engine.destroy();
+            assert.doesNotThrow(() => pressKey('ArrowUp'));
+            assert.equal(handler.gameEngine, null);
+            assert.equal(engine.animationId, null);
+        });
+    });
+});
@@ -0,0 +1,126 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, GameState } = require('./helpers/dom');
+
+describe('GameState', () => {
+    it('starts at score 0, level 1 and no lines', () => {
+        const state = new GameState();
+        assert.equal(state.getScore(), 0);
+        assert.equal(state.getLevel(), 1);
+        assert.equal(state.getLines(), 0);
+        assert.equal(state.validateState(), true);
+    });
+
+    describe('scoring', () => {
+        for (const [lines, points] of [[1, 100], [2, 300], [3, 500], [4, 800]]) {
+            it(`awards ${points} points for ${lines} line(s) at level 1`, () => {
+                const state = new GameState();
+                assert.equal(state.updateScore(lines), points);
+                assert.equal(state.getScore(), points);
+            });
+        }
+
+        it('multiplies by the level', () => {
+            const state = new GameState();
+            state.addLines(10);
+            assert.equal(state.updateScore(1), 200);
+        });
+
+        it('scores a T-Spin Double', () => {
+            const result = new GameState().processLineClear(2, { tSpin: 'full' });
+            assert.equal(result.pointsAwarded, 1200);
+            assert.equal(result.lineClearType, 'T-Spin Double');
+        });
+
+        it('adds back-to-back and combo bonuses', () => {
+            const state = new GameState();
+            state.processLineClear(2, { tSpin: 'full' });
+            const tetris = state.processLineClear(4);
+            assert.equal(tetris.isBackToBack, true);
+            assert.equal(tetris.pointsAwarded, 1250);
+        });
+
+        it('resets the combo on an empty lock and ends back-to-back on a Single', () => {
+            const state = new GameState();
+            state.processLineClear(4);
+            state.processLineClear(0);
+            const single = state.processLineClear(1);
+            assert.equal(single.combo, 0);
+            assert.equal(state.backToBack, false);
+        });
+
+        it('adds the all clear bonus', () => {
+            const result = new GameState().processLineClear(1, { perfectClear: true });
+            assert.equal(result.perfectClearBonus, 800);
+            assert.equal(result.pointsAwarded, 900);
+        });
+
+        it('awards drop points per cell', () => {
+            const state = new GameState();
+            state.awardSoftDropPoints(3);
+            state.awardHardDropPoints(5);
+            assert.equal(state.getScore(), 3 + 10);
+        });
+    });
+
+    describe('levels', () => {
+        it('levels up every 10 lines', () => {
+            const state = new GameState();
+            state.addLines(9);
+            assert.equal(state.getLevel(), 1);
+            state.addLines(1);
+            assert.equal(state.getLevel(), 2);
+            state.addLines(10);
+            assert.equal(state.getLevel(), 3);
+            assert.equal(state.getLinesUntilNextLevel(), 10);
+        });
+
+        it('drops faster at higher levels', () => {
+            const state = new GameState();
+            state.addLines(20);
+            assert.ok(state.getDropSpeed() < CONFIG.INITIAL_DROP_SPEED);
+        });
+
+        it('follows a level curve with a cap', () => {
+            const state = new GameState();
+            assert.equal(state.setLevelCurve({ linesPerLevel: 5, maxLevel: 3 }), true);
+            state.addLines(12);
+            assert.equal(state.getLevel(), 3);
+            state.addLines(100);
+            assert.equal(state.getLevel(), 3);
+            assert.equal(state.getLinesUntilNextLevel(), 0);
+            assert.equal(state.getLevelProgress(), 100);
+
+            state.reset();
+            state.addLines(5);
+            assert.equal(state.getLevel(), 2, 'the curve is kept across resets');
+            assert.equal(state.setLevelCurve({ linesPerLevel: 0 }), false);
+            assert.equal(state.setLevelCurve({ linesPerLevel: 10, maxLevel: 0 }), false);
+        });
+
+        it('reaches level 2 after ten single clears', () => {
+            const state = new GameState();
+            for (let i = 0; i < 10; i++) {
+                state.processLineClear(1);
+            }
+            assert.equal(state.getLevel(), 2);
+            assert.ok(state.getScore() > 1000);
+        });
+    });
+
+    it('repairs a corrupted state', () => {
+        const state = new GameState();
+        state.score = -1;
+        state.level = 0;
+        assert.equal(state.validateState(), false);
+        state.fixInvalidState();
+        assert.equal(state.validateState(), true);
+    });
+
+    it('reset clears score, level and lines', () => {
+        const state = new GameState();
+        state.processLineClear(4);
+        state.reset();
+        assert.deepEqual([state.getScore(), state.getLevel(), state.getLines()], [0, 1, 0]);
+    });
+});
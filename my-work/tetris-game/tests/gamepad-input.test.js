@@ -0,0 +1,208 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    CONFIG, GAME_COMMANDS, GameState, InputHandler, GamepadInputHandler, createEngine, createMemoryStorage
+} = require('./helpers/dom');
+
+/**
+ * Game stand-in that records the commands it receives
+ * @returns {Object} Object with one method per game command plus calls and recorded lists
+ */
+function createGame() {
+    const game = { gameState: new GameState(), calls: [], recorded: [] };
+    for (const command of GAME_COMMANDS) {
+        game[command] = () => {
+            game.calls.push(command);
+            return true;
+        };
+    }
+    game.recordInput = command => game.recorded.push(command);
+    game.gameState.setRunning(true);
+    return game;
+}
+
+/**
+ * Builds a standard-layout gamepad snapshot
+ * @param {string} id - Gamepad id
+ * @param {number} index - Gamepad index
+ * @returns {Object} Gamepad-like object with press/release/tilt helpers
+ */
+function createPad(id = 'Test Pad (STANDARD GAMEPAD)', index = 0) {
+    const pad = {
+        id,
+        index,
+        connected: true,
+        buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 })),
+        axes: [0, 0, 0, 0]
+    };
+    pad.press = button => Object.assign(pad.buttons[button], { pressed: true, value: 1 });
+    pad.release = button => Object.assign(pad.buttons[button], { pressed: false, value: 0 });
+    return pad;
+}
+
+describe('GamepadInputHandler', () => {
+    let game;
+    let keyboard;
+    let pads;
+    let storage;
+    let changes;
+    let gamepads;
+
+    beforeEach(() => {
+        game = createGame();
+        keyboard = new InputHandler(game, new EventTarget());
+        pads = [];
+        storage = createMemoryStorage();
+        changes = [];
+        gamepads = new GamepadInputHandler(keyboard, {
+            getGamepads: () => pads,
+            storage,
+            eventTarget: null,
+            onConnectionChange: change => changes.push(change)
+        });
+    });
+
+    it('requires an input handler', () => {
+        assert.throws(() => new GamepadInputHandler(null), /InputHandler reference is required/);
+    });
+
+    it('runs a command once per press', () => {
+        const pad = createPad();
+        pads.push(pad);
+        gamepads.poll(0);
+
+        pad.press(0);
+        gamepads.poll(16);
+        gamepads.poll(32);
+        pad.release(0);
+        gamepads.poll(48);
+        pad.press(0);
+        gamepads.poll(64);
+
+        assert.deepEqual(game.calls, ['rotate', 'rotate']);
+        assert.deepEqual(game.recorded, game.calls);
+    });
+
+    it('auto-shifts a held D-pad direction with the keyboard DAS/ARR', () => {
+        const pad = createPad();
+        pads.push(pad);
+        gamepads.poll(0);
+
+        pad.press(14);
+        gamepads.poll(0);
+        keyboard.update(0);
+        keyboard.update(CONFIG.AUTO_SHIFT.DAS + CONFIG.AUTO_SHIFT.ARR);
+        pad.release(14);
+        gamepads.poll(300);
+        keyboard.update(1000);
+
+        assert.deepEqual(game.calls, ['moveLeft', 'moveLeft', 'moveLeft']);
+    });
+
+    it('repeats soft drop at the keyboard repeat rate', () => {
+        const pad = createPad();
+        pads.push(pad);
+        gamepads.poll(0);
+
+        pad.press(13);
+        for (let time = 0; time <= keyboard.keyRepeatDelay * 2; time += 10) {
+            gamepads.poll(time);
+        }
+        assert.deepEqual(game.calls, ['softDrop', 'softDrop', 'softDrop']);
+    });
+
+    it('ignores stick movement inside the dead zone', () => {
+        const pad = createPad();
+        pads.push(pad);
+        gamepads.poll(0);
+
+        pad.axes[0] = CONFIG.GAMEPAD.DEAD_ZONE - 0.1;
+        gamepads.poll(16);
+        assert.deepEqual(game.calls, []);
+
+        pad.axes[0] = 0.9;
+        gamepads.poll(32);
+        pad.axes[0] = -0.9;
+        gamepads.poll(48);
+        assert.deepEqual(game.calls, ['moveRight', 'moveLeft']);
+    });
+
+    it('detects controllers being plugged in and removed', () => {
+        const pad = createPad();
+        pad.press(0); // The press that woke the controller
+        pads.push(pad);
+        gamepads.poll(0);
+        assert.deepEqual(changes, [{ connected: true, index: 0, id: pad.id }]);
+        assert.deepEqual(game.calls, [], 'a button held while connecting does not fire');
+
+        pad.press(15);
+        gamepads.poll(16);
+        assert.equal(keyboard.getActiveHorizontalCommand(), 'moveRight');
+
+        pads.length = 0;
+        gamepads.poll(32);
+        assert.equal(changes.at(-1).connected, false);
+        assert.equal(keyboard.getActiveHorizontalCommand(), null, 'unplugging releases held directions');
+        assert.deepEqual(gamepads.getConnectedGamepads(), []);
+    });
+
+    it('goes through the keyboard state checks', () => {
+        const pad = createPad();
+        pads.push(pad);
+        gamepads.poll(0);
+
+        keyboard.disable();
+        pad.press(0);
+        pad.press(9);
+        gamepads.poll(16);
+        assert.deepEqual(game.calls, ['pause'], 'only pause works while input is disabled');
+    });
+
+    it('keeps a remapping profile per controller', () => {
+        const first = createPad('Pad A', 0);
+        const second = createPad('Pad B', 1);
+        pads.push(first, second);
+        gamepads.poll(0);
+
+        assert.equal(gamepads.setProfile('Pad A', { buttons: { 0: 'hardDrop' }, axes: {} }), true);
+        first.press(0);
+        second.press(0);
+        gamepads.poll(16);
+        assert.deepEqual(game.calls, ['hardDrop', 'rotate']);
+
+        const reloaded = new GamepadInputHandler(keyboard, { getGamepads: () => [], storage, eventTarget: null });
+        assert.deepEqual(reloaded.getProfile('Pad A').buttons, { 0: 'hardDrop' });
+        assert.deepEqual(gamepads.getConnectedGamepads().map(pad => pad.hasCustomProfile), [true, false]);
+
+        assert.equal(gamepads.resetProfile('Pad A'), true);
+        assert.equal(gamepads.getProfile('Pad A').buttons[0], 'rotate');
+    });
+
+    it('rejects invalid profiles', () => {
+        assert.equal(gamepads.setProfile('Pad', { buttons: { 0: 'selfDestruct' } }), false);
+        assert.equal(gamepads.setProfile('Pad', { axes: { 0: 'moveLeft' } }), false, 'axes need a direction');
+        assert.equal(gamepads.setProfile('Pad', { deadZone: 1 }), false);
+
+        storage.data[CONFIG.GAMEPAD.STORAGE_KEY] = '{not json';
+        const reloaded = new GamepadInputHandler(keyboard, { getGamepads: () => [], storage, eventTarget: null });
+        assert.equal(reloaded.getProfile('Pad').buttons[9], 'pause');
+    });
+
+    it('is polled by the engine while paused', () => {
+        const engine = createEngine(3);
+        const pad = createPad();
+        engine.gamepadInput.getGamepads = () => [pad];
+        engine.start();
+        engine.pollInputAdapters(0);
+
+        pad.press(9);
+        engine.pollInputAdapters(16);
+        assert.equal(engine.gameState.isPausedState(), true);
+        pad.release(9);
+        engine.pollInputAdapters(32);
+        pad.press(9);
+        engine.pollInputAdapters(48);
+        assert.equal(engine.gameState.isPausedState(), false);
+        engine.destroy();
+    });
+});
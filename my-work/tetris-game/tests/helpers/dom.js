@@ -0,0 +1,212 @@
+/**
+ * Minimal browser stand-ins so script.js can be loaded and GameEngine driven under Node.
+ * Requiring this module installs the globals, silences the game's console chatter
+ * (set TETRIS_TEST_VERBOSE=1 to keep it) and returns the module exports of script.js.
+ */
+
+const path = require('node:path');
+
+/**
+ * Element stand-in with the few properties the game writes to
+ */
+class HTMLElement extends EventTarget {
+    constructor(tagName = 'DIV') {
+        super();
+        this.tagName = tagName;
+        this.textContent = '';
+        this.innerHTML = '';
+        this.value = '';
+        this.style = {};
+        this.dataset = {};
+        this.children = [];
+        const classes = new Set();
+        this.classList = {
+            add: (...names) => names.forEach(name => classes.add(name)),
+            remove: (...names) => names.forEach(name => classes.delete(name)),
+            contains: name => classes.has(name),
+            toggle: (name, force = !classes.has(name)) => {
+                if (force) {
+                    classes.add(name);
+                } else {
+                    classes.delete(name);
+                }
+                return force;
+            }
+        };
+    }
+
+    appendChild(child) {
+        this.children.push(child);
+        return child;
+    }
+
+    setAttribute(name, value) {
+        this[name] = String(value);
+    }
+
+    querySelector() {
+        return null;
+    }
+
+    /**
+     * Supports the attribute selectors the game uses, e.g. '[data-command]'
+     * @param {string} selector - '[data-name]' selector
+     * @returns {HTMLElement[]} Children carrying the data attribute
+     */
+    querySelectorAll(selector) {
+        const match = /^\[data-([a-z]+)\]$/.exec(selector);
+        return match ? this.children.filter(child => child.dataset[match[1]] !== undefined) : [];
+    }
+
+    /**
+     * Lays the element out at the origin with its style size (or its width/height attributes)
+     * @returns {Object} DOMRect-like box
+     */
+    getBoundingClientRect() {
+        const width = parseFloat(this.style.width) || this.width || 0;
+        const height = parseFloat(this.style.height) || this.height || 0;
+        return { left: 0, top: 0, x: 0, y: 0, width, height, right: width, bottom: height };
+    }
+
+    focus() {}
+}
+
+/**
+ * Records every 2D context call instead of drawing
+ * @returns {Object} Context whose calls end up in context.calls
+ */
+function createContext() {
+    const calls = [];
+    return new Proxy({ calls }, {
+        get: (target, property) => {
+            if (property in target) {
+                return target[property];
+            }
+            return (...args) => {
+                calls.push({ method: property, args });
+                return { width: 0 };
+            };
+        },
+        set: (target, property, value) => {
+            target[property] = value;
+            return true;
+        }
+    });
+}
+
+/**
+ * Canvas stand-in; getContext returns null when contextAvailable is false
+ */
+class HTMLCanvasElement extends HTMLElement {
+    constructor(width = 300, height = 600) {
+        super('CANVAS');
+        this.width = width;
+        this.height = height;
+        this.contextAvailable = true;
+        this.context = null;
+    }
+
+    getContext() {
+        if (!this.contextAvailable) {
+            return null;
+        }
+        if (!this.context) {
+            this.context = createContext();
+        }
+        return this.context;
+    }
+}
+
+/**
+ * Keyboard event carrying the fields InputHandler reads
+ */
+class KeyboardEvent extends Event {
+    constructor(type, init = {}) {
+        super(type, { cancelable: true, ...init });
+        this.key = init.key;
+        this.ctrlKey = Boolean(init.ctrlKey);
+    }
+}
+
+/**
+ * Touch event; touches are { identifier, clientX, clientY } objects and timeStamp is settable
+ */
+class TouchEvent extends Event {
+    constructor(type, init = {}) {
+        super(type, { cancelable: true, ...init });
+        this.touches = init.touches || [];
+        this.changedTouches = init.changedTouches || [];
+        Object.defineProperty(this, 'timeStamp', { value: init.timeStamp || 0 });
+    }
+}
+
+const document = new EventTarget();
+document.getElementById = () => null;
+document.createElement = tagName => (String(tagName).toLowerCase() === 'canvas'
+    ? new HTMLCanvasElement()
+    : new HTMLElement(String(tagName).toUpperCase()));
+
+global.HTMLElement = HTMLElement;
+global.HTMLCanvasElement = HTMLCanvasElement;
+global.KeyboardEvent = KeyboardEvent;
+global.TouchEvent = TouchEvent;
+global.document = document;
+global.window = { location: { search: '' }, addEventListener() {}, removeEventListener() {} };
+global.requestAnimationFrame = () => 1;
+global.cancelAnimationFrame = () => {};
+
+if (!process.env.TETRIS_TEST_VERBOSE) {
+    for (const method of ['log', 'info', 'debug', 'warn', 'error']) {
+        console[method] = () => {};
+    }
+}
+
+const game = require(path.join(__dirname, '..', '..', 'script.js'));
+
+/**
+ * Builds a GameEngine on fresh stand-in elements
+ * @param {number|string} seed - Piece seed, so every run deals the same pieces
+ * @returns {GameEngine} Engine ready to start
+ */
+function createEngine(seed = 1) {
+    const engine = new game.GameEngine(new HTMLCanvasElement(), new HTMLElement(), new HTMLElement(), new HTMLElement());
+    engine.setSeed(seed);
+    return engine;
+}
+
+/**
+ * Sends a key press (and optionally its release) to the document
+ * @param {string} key - KeyboardEvent.key value
+ * @param {string} type - 'keydown' or 'keyup'
+ * @returns {KeyboardEvent} The dispatched event
+ */
+function pressKey(key, type = 'keydown') {
+    const event = new KeyboardEvent(type, { key });
+    document.dispatchEvent(event);
+    return event;
+}
+
+/**
+ * In-memory Storage so tests never touch real saved data
+ * @returns {Object} getItem/setItem/removeItem plus the backing data object
+ */
+function createMemoryStorage() {
+    const data = {};
+    return {
+        data,
+        getItem: key => (key in data ? data[key] : null),
+        setItem: (key, value) => { data[key] = String(value); },
+        removeItem: key => { delete data[key]; }
+    };
+}
+
+module.exports = {
+    ...game,
+    HTMLElement,
+    HTMLCanvasElement,
+    KeyboardEvent,
+    TouchEvent,
+    createEngine,
+    pressKey,
+    createMemoryStorage
+};
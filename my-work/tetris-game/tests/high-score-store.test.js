@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { HighScoreStore, createMemoryStorage } = require('./helpers/dom');
+
+const KEY = 'test.highScores';
+
+/**
+ * Builds a finished-game entry
+ * @param {number} score - Final score
+ * @param {string} name - Player name
+ * @returns {Object} High score entry
+ */
+function entry(score, name = 'TEST') {
+    return { name, score, lines: 4, level: 1, duration: 60000, date: new Date(0).toISOString() };
+}
+
+describe('HighScoreStore', () => {
+    it('ranks scores and keeps only the best entries', () => {
+        const store = new HighScoreStore(createMemoryStorage(), KEY, 3);
+        const ranks = [100, 300, 200, 50].map(score => store.addScore('marathon', entry(score)));
+        assert.deepEqual(ranks, [1, 1, 2, 0]);
+        assert.deepEqual(store.getScores('marathon').map(item => item.score), [300, 200, 100]);
+        assert.equal(store.qualifies('marathon', 100), false);
+        assert.equal(store.qualifies('marathon', 101), true);
+    });
+
+    it('ranks time trials by the fastest time', () => {
+        const store = new HighScoreStore(createMemoryStorage(), KEY, 2);
+        const ranks = [90000, 60000, 75000].map(duration => store.addScore('sprint', { ...entry(100), duration }));
+        assert.deepEqual(ranks, [1, 1, 2]);
+        assert.deepEqual(store.getScores('sprint').map(item => item.duration), [60000, 75000]);
+        assert.equal(store.qualifies('sprint', 0, 80000), false);
+        assert.equal(store.qualifies('sprint', 0, 70000), true);
+        assert.equal(store.qualifies('sprint', 5000), false, 'time trials need a time');
+    });
+
+    it('persists between instances', () => {
+        const storage = createMemoryStorage();
+        new HighScoreStore(storage, KEY, 3).addScore('marathon', entry(500, 'ANNA'));
+        const reloaded = new HighScoreStore(storage, KEY, 3);
+        assert.equal(reloaded.getScores('marathon')[0].score, 500);
+        assert.equal(reloaded.getLastName(), 'ANNA');
+    });
+
+    it('backs up corrupt data and starts empty', () => {
+        const storage = createMemoryStorage();
+        storage.data[KEY] = '{not json';
+        const store = new HighScoreStore(storage, KEY, 3);
+        assert.equal(store.getScores('marathon').length, 0);
+        assert.equal(storage.data[`${KEY}.corrupt`], '{not json');
+    });
+
+    it('works in memory without storage', () => {
+        const store = new HighScoreStore(null, KEY, 3);
+        assert.equal(store.addScore('marathon', entry(10)), 1);
+        assert.equal(store.getScores('marathon').length, 1);
+    });
+
+    it('clears one mode or all of them', () => {
+        const store = new HighScoreStore(createMemoryStorage(), KEY, 3);
+        store.addScore('marathon', entry(10));
+        store.addScore('sprint', entry(20));
+        store.clear('sprint');
+        assert.equal(store.getScores('sprint').length, 0);
+        assert.equal(store.getScores('marathon').length, 1);
+        store.clear();
+        assert.equal(store.getScores('marathon').length, 0);
+    });
+});
@@ -0,0 +1,270 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    CONFIG, GAME_COMMANDS, PLAYER_2_KEY_MAP, GameState, InputHandler, KeyboardEvent, createMemoryStorage
+} = require('./helpers/dom');
+
+/**
+ * Game stand-in that records the commands it receives
+ * @returns {Object} Object with one method per game command plus calls and recorded lists
+ */
+function createGame() {
+    const game = { gameState: new GameState(), calls: [], recorded: [], blocked: new Set() };
+    for (const command of GAME_COMMANDS) {
+        game[command] = () => {
+            game.calls.push(command);
+            return game.blocked.has(command) ? false : true;
+        };
+    }
+    game.recordInput = command => game.recorded.push(command);
+    game.gameState.setRunning(true);
+    return game;
+}
+
+/**
+ * Dispatches a keyboard event on a target
+ * @param {EventTarget} target - Where the handler listens
+ * @param {string} key - KeyboardEvent.key value
+ * @param {string} type - 'keydown' or 'keyup'
+ * @returns {KeyboardEvent} The dispatched event
+ */
+function send(target, key, type = 'keydown') {
+    const event = new KeyboardEvent(type, { key });
+    target.dispatchEvent(event);
+    return event;
+}
+
+describe('InputHandler', () => {
+    let game;
+    let target;
+    let handler;
+
+    beforeEach(() => {
+        game = createGame();
+        target = new EventTarget();
+        handler = new InputHandler(game, target);
+    });
+
+    it('requires a game', () => {
+        assert.throws(() => new InputHandler(null, target), /GameEngine reference is required/);
+    });
+
+    it('maps the default keys to game commands', () => {
+        const keys = { ArrowLeft: 'moveLeft', ArrowRight: 'moveRight', ArrowUp: 'rotate', z: 'rotateCounterClockwise',
+            ArrowDown: 'softDrop', c: 'hold', ' ': 'pause' };
+        for (const [key, command] of Object.entries(keys)) {
+            send(target, key);
+            send(target, key, 'keyup');
+            assert.equal(game.calls.at(-1), command, `${JSON.stringify(key)} should send ${command}`);
+        }
+        assert.equal(handler.validateConfiguration(), true);
+    });
+
+    it('records commands that changed the game but not blocked ones', () => {
+        send(target, 'ArrowUp');
+        game.blocked.add('hold');
+        send(target, 'c');
+        assert.deepEqual(game.calls, ['rotate', 'hold']);
+        assert.deepEqual(game.recorded, ['rotate']);
+    });
+
+    it('prevents page scrolling for game keys only', () => {
+        assert.equal(send(target, 'ArrowDown').defaultPrevented, true);
+        assert.equal(send(target, 'F5').defaultPrevented, false);
+    });
+
+    it('ignores unmapped keys', () => {
+        for (const key of ['InvalidKey', 'a', 'Enter', 'F12']) {
+            send(target, key);
+        }
+        assert.deepEqual(game.calls, []);
+    });
+
+    it('ignores typing in text fields', () => {
+        handler.handleKeyDown({ key: 'ArrowLeft', target: { tagName: 'INPUT' } });
+        assert.deepEqual(game.calls, []);
+    });
+
+    it('moves once per horizontal press and ignores OS key repeats', () => {
+        send(target, 'ArrowLeft');
+        send(target, 'ArrowLeft');
+        send(target, 'ArrowLeft', 'keyup');
+        send(target, 'ArrowLeft');
+        assert.deepEqual(game.calls, ['moveLeft', 'moveLeft']);
+    });
+
+    it('auto-shifts a held direction after DAS at the ARR rate', () => {
+        handler.configureAutoShift(100, 20);
+        send(target, 'ArrowRight');
+        handler.update(0);
+        handler.update(99);
+        assert.equal(game.calls.length, 1, 'no repeat before DAS');
+        handler.update(100);
+        handler.update(140);
+        assert.deepEqual(game.calls, ['moveRight', 'moveRight', 'moveRight', 'moveRight']);
+        send(target, 'ArrowRight', 'keyup');
+        handler.update(400);
+        assert.equal(game.calls.length, 4, 'release stops the repeat');
+    });
+
+    it('rejects invalid DAS/ARR values', () => {
+        assert.equal(handler.configureAutoShift(-1, 20), false);
+        assert.equal(handler.configureAutoShift(100, 'fast'), false);
+    });
+
+    it('lets pause through while input is disabled', () => {
+        handler.disable();
+        send(target, 'ArrowUp');
+        send(target, 'Escape');
+        assert.deepEqual(game.calls, ['pause']);
+        handler.enable();
+        send(target, 'ArrowUp');
+        assert.deepEqual(game.calls, ['pause', 'rotate']);
+    });
+
+    it('blocks moves after game over', () => {
+        game.gameState.setGameOver(true);
+        send(target, 'ArrowUp');
+        assert.deepEqual(game.calls, []);
+    });
+
+    it('returns false for invalid or unknown commands', () => {
+        assert.equal(handler.executeCommand('', null), false);
+        assert.equal(handler.executeCommand('selfDestruct', null), false);
+        assert.deepEqual(game.recorded, []);
+    });
+
+    it('survives a command that throws', () => {
+        game.rotate = () => {
+            throw new Error('boom');
+        };
+        assert.equal(handler.executeCommand('rotate', null), false);
+        send(target, 'c');
+        assert.deepEqual(game.calls, ['hold']);
+    });
+
+    it('applies and resets custom key maps', () => {
+        handler.updateKeyMap({ a: 'moveLeft' });
+        send(target, 'a');
+        assert.deepEqual(game.calls, ['moveLeft']);
+        handler.resetKeyMap();
+        assert.equal(handler.getKeyMap().a, undefined);
+    });
+
+    it('stops listening once destroyed', () => {
+        handler.destroy();
+        send(target, 'ArrowUp');
+        assert.deepEqual(game.calls, []);
+    });
+
+    it('binds nothing without an event target', () => {
+        const headless = new InputHandler(game, null);
+        assert.equal(headless.executeCommand('rotate', null), true);
+        assert.deepEqual(game.calls, ['rotate']);
+    });
+
+    describe('key bindings', () => {
+        it('allow several keys per action in either letter case', () => {
+            assert.equal(send(target, 'x').defaultPrevented, false);
+            assert.equal(handler.bindKey('x', 'rotate'), true);
+            assert.equal(handler.bindKey('Enter', 'rotate'), true);
+            assert.deepEqual(handler.getBindings().rotate, ['ArrowUp', 'x', 'Enter']);
+
+            assert.equal(send(target, 'X').defaultPrevented, true, 'preventDefault follows the new binding');
+            send(target, 'Enter');
+            assert.deepEqual(game.calls, ['rotate', 'rotate']);
+        });
+
+        it('detect conflicts and move a key to its new action', () => {
+            assert.equal(handler.findBindingConflict('c', 'hold'), null);
+            assert.equal(handler.findBindingConflict('C', 'hardDrop'), 'hold');
+            handler.bindKey('c', 'hardDrop');
+            assert.deepEqual(handler.getBindings().hold, ['Shift']);
+            send(target, 'C');
+            assert.deepEqual(game.calls, ['hardDrop']);
+        });
+
+        it('always keep one pause key', () => {
+            assert.equal(handler.unbindKey(' '), true);
+            assert.equal(handler.unbindKey('Escape'), false);
+            assert.equal(handler.bindKey('Escape', 'hold'), false);
+            assert.equal(handler.unbindKey('Tab'), false, 'unbound keys cannot be removed');
+            assert.deepEqual(handler.getBindings().pause, ['Escape']);
+        });
+
+        it('move soft drop repeat prevention with the soft drop key', () => {
+            handler.bindKey('s', 'softDrop');
+            handler.unbindKey('ArrowDown');
+            send(target, 's');
+            send(target, 's');
+            assert.deepEqual(game.calls, ['softDrop'], 'a quick OS repeat is throttled');
+            assert.equal(handler.keyRepeatKeys.has('ArrowDown'), false);
+        });
+
+        it('release a held direction whose key is unbound', () => {
+            send(target, 'ArrowLeft');
+            handler.unbindKey('ArrowLeft');
+            assert.equal(handler.getActiveHorizontalCommand(), null);
+        });
+
+        it('persist and restore, ignoring unreadable data', () => {
+            const storage = createMemoryStorage();
+            handler.loadKeyBindings(storage);
+            handler.bindKey('w', 'rotate');
+
+            const reloaded = new InputHandler(game, null);
+            assert.equal(reloaded.loadKeyBindings(storage), true);
+            assert.equal(reloaded.getKeyMap().W, 'rotate');
+
+            reloaded.resetToDefaults();
+            assert.equal(reloaded.getKeyMap().w, 'rotate', 'error recovery keeps saved bindings');
+
+            reloaded.resetKeyBindings();
+            assert.equal(storage.data[CONFIG.KEY_BINDINGS.STORAGE_KEY], undefined);
+            assert.equal(reloaded.getKeyMap().w, undefined);
+
+            storage.data[CONFIG.KEY_BINDINGS.STORAGE_KEY] = JSON.stringify({ version: 1, keyMap: { a: 'selfDestruct' } });
+            assert.equal(reloaded.loadKeyBindings(storage), false);
+            assert.equal(reloaded.getKeyMap().ArrowLeft, 'moveLeft');
+        });
+
+        it('hand the next key press to the settings screen instead of the game', () => {
+            const captured = [];
+            handler.captureNextKey(key => captured.push(key));
+            assert.equal(send(target, ' ').defaultPrevented, true);
+            handler.captureNextKey(key => captured.push(key));
+            send(target, 'Escape');
+            send(target, 'ArrowUp');
+            assert.deepEqual(captured, [' ', null]);
+            assert.deepEqual(game.calls, ['rotate'], 'only the key after the capture reaches the game');
+        });
+
+        it('keep a second player\'s set apart on the same keyboard', () => {
+            const storage = createMemoryStorage();
+            const secondGame = createGame();
+            const second = new InputHandler(secondGame, target, {
+                defaultKeyMap: PLAYER_2_KEY_MAP,
+                storageKey: CONFIG.KEY_BINDINGS.PLAYER_2_STORAGE_KEY
+            });
+            handler.loadKeyBindings(storage);
+            second.loadKeyBindings(storage);
+            assert.equal(handler.shareKeyboardWith(second), true);
+
+            send(target, 'a');
+            send(target, 'ArrowLeft');
+            assert.deepEqual(secondGame.calls, ['moveLeft']);
+            assert.deepEqual(game.calls, ['moveLeft']);
+
+            second.bindKey('f', 'hardDrop');
+            assert.equal(JSON.parse(storage.data[CONFIG.KEY_BINDINGS.PLAYER_2_STORAGE_KEY]).keyMap.f, 'hardDrop');
+            assert.equal(storage.data[CONFIG.KEY_BINDINGS.STORAGE_KEY], undefined);
+            second.resetKeyBindings();
+            assert.deepEqual(second.getKeyMap(), { ...PLAYER_2_KEY_MAP });
+
+            // Capturing a key for one player keeps it from the other
+            second.captureNextKey(() => {});
+            send(target, 'ArrowUp');
+            assert.deepEqual(game.calls, ['moveLeft']);
+        });
+    });
+});
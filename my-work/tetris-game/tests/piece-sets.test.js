@@ -0,0 +1,160 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    CONFIG, TETROMINO_TYPES, PIECE_SETS, GameCore, GameSettings, Renderer, Tetromino, HTMLCanvasElement,
+    definePiece, registerPieceSet, getPieceSetTypes, createEngine, createMemoryStorage
+} = require('./helpers/dom');
+
+const SCRIPT = ['moveLeft', 'rotate', 'hardDrop', 'moveRight', 'rotateCounterClockwise', 'hold', 'hardDrop'];
+
+/**
+ * Plays a scripted game on a headless core, one command every 15 frames
+ * @param {string} pieceSet - Piece set key
+ * @param {number} frames - Frames to simulate
+ * @returns {GameCore} The core after the script
+ */
+function playScript(pieceSet, frames = 300) {
+    const core = new GameCore();
+    core.setSeed(7);
+    assert.equal(core.setPieceSet(pieceSet), true);
+    core.start();
+    for (let frame = 0; frame < frames && core.gameState.isRunningState(); frame++) {
+        core.step(frame % 15 === 0 ? [SCRIPT[(frame / 15) % SCRIPT.length]] : []);
+    }
+    return core;
+}
+
+/**
+ * Lists a shape's filled cells as sorted "row,col" strings
+ * @param {number[][]} shape - Rotation state
+ * @returns {string[]} Filled cells
+ */
+function cells(shape) {
+    return shape.flatMap((row, r) => row.flatMap((cell, c) => (cell ? [`${r},${c}`] : []))).sort();
+}
+
+describe('Piece sets', () => {
+    it('derive the SRS rotation states from one shape and pivot', () => {
+        assert.deepEqual(TETROMINO_TYPES.T.shapes, [
+            [[0, 1, 0], [1, 1, 1], [0, 0, 0]],
+            [[0, 1, 0], [0, 1, 1], [0, 1, 0]],
+            [[0, 0, 0], [1, 1, 1], [0, 1, 0]],
+            [[0, 1, 0], [1, 1, 0], [0, 1, 0]]
+        ]);
+        assert.deepEqual(TETROMINO_TYPES.I.shapes[1], [[0, 0, 1, 0], [0, 0, 1, 0], [0, 0, 1, 0], [0, 0, 1, 0]]);
+        assert.deepEqual(TETROMINO_TYPES.O.shapes, Array(4).fill([[1, 1], [1, 1]]));
+        assert.deepEqual(getPieceSetTypes('classic'), ['I', 'O', 'T', 'S', 'Z', 'J', 'L']);
+        assert.equal(getPieceSetTypes('missing'), null);
+    });
+
+    it('deal the 18 pentominoes, each turning in place', () => {
+        const types = getPieceSetTypes('pentomino');
+        assert.equal(types.length, 18);
+        assert.equal(new Set(types.map(type => TETROMINO_TYPES[type].cellId)).size, 18);
+        for (const type of types) {
+            const { shapes } = TETROMINO_TYPES[type];
+            assert.ok(shapes.every(shape => cells(shape).length === 5), type);
+            assert.ok(shapes.every(shape => shape.length === shape[0].length), `${type} turns in a square box`);
+        }
+        assert.deepEqual(cells(TETROMINO_TYPES.X5.shapes[1]), cells(TETROMINO_TYPES.X5.shapes[0]));
+        assert.deepEqual(getPieceSetTypes('mixed'), [...getPieceSetTypes('classic'), ...types]);
+    });
+
+    it('scale the tetrominoes up for the big set', () => {
+        const piece = new Tetromino('Tx2');
+        assert.equal(piece.getFilledBlocks().length, 16);
+        assert.equal(TETROMINO_TYPES.Tx2.cellId, TETROMINO_TYPES.T.cellId, 'drawn and stored as a T');
+        assert.deepEqual(piece.getKickOffsets(0, 1).map(({ x, y }) => [x, y]),
+            new Tetromino('T').getKickOffsets(0, 1).map(({ x, y }) => [x * 2, y * 2]));
+        piece.rotate();
+        assert.equal(piece.getFilledBlocks().length, 16);
+    });
+
+    it('register custom sets, and nothing from an invalid one', () => {
+        const types = registerPieceSet('dominoes', {
+            name: 'ドミノ',
+            pieces: { D2: { shape: ['##'], pivot: [0, 0], color: '#123456', kickTable: 'O' } },
+            types: ['D2', 'O']
+        });
+        assert.deepEqual(types, ['D2', 'O']);
+        assert.equal(PIECE_SETS.dominoes.name, 'ドミノ');
+        assert.equal(new Tetromino('D2').getColor(), '#123456');
+
+        assert.throws(() => registerPieceSet('broken', {
+            name: 'Broken',
+            pieces: {
+                Q1: { shape: ['#'], pivot: [0, 0], color: '#ffffff', kickTable: 'O' },
+                Q2: { shape: ['#x'], pivot: [0, 0], color: '#ffffff', kickTable: 'O' }
+            }
+        }), /Invalid piece Q2/);
+        assert.equal(TETROMINO_TYPES.Q1, undefined);
+        assert.throws(() => registerPieceSet('classic', { name: 'Again', types: ['T'] }), /taken/);
+        assert.throws(() => registerPieceSet('ghosts', { name: 'Ghosts', types: ['Q9'] }), /unknown piece types/);
+        assert.throws(() => definePiece('T3', { shape: ['###'], pivot: [0, 0.5], color: '#ffffff', kickTable: 'O' }),
+            /pivot/);
+    });
+
+    it('play and replay a pentomino game', () => {
+        const core = playScript('pentomino');
+        const pentominoes = getPieceSetTypes('pentomino');
+        assert.ok(core.piecesLocked >= 5, `pieces: ${core.piecesLocked}`);
+        assert.equal(core.gameState.isGameOverState(), false);
+        assert.ok(pentominoes.includes(core.currentPiece.getType()));
+        assert.ok(core.getNextQueue().every(piece => pentominoes.includes(piece.getType())));
+        assert.equal(core.setPieceSet('classic'), false, 'the set cannot change during a game');
+
+        const replay = core.getReplay();
+        assert.equal(replay.ruleset.pieceSet, 'pentomino');
+        const viewer = new GameCore();
+        assert.equal(viewer.playReplay(replay), true);
+        viewer.seekReplay(replay.frames);
+        assert.deepEqual(viewer.gameBoard.getBoard(), core.gameBoard.getBoard());
+        viewer.stopReplay();
+        assert.equal(viewer.getPieceSet(), CONFIG.DEFAULT_PIECE_SET, 'the viewer\'s own set comes back');
+        assert.equal(viewer.playReplay({ ...replay, ruleset: { ...replay.ruleset, pieceSet: 'missing' } }), false);
+
+        core.endGame();
+        assert.equal(core.getGameResult().ranked, false, 'only tetromino games are ranked');
+    });
+
+    it('save and resume games of any set', () => {
+        const original = playScript('big', 200);
+        const data = JSON.parse(JSON.stringify(original.createSaveData()));
+        assert.equal(data.pieceSet, 'big');
+
+        const resumed = new GameCore();
+        assert.equal(resumed.restoreSaveData(data), true);
+        assert.equal(resumed.getPieceSet(), 'big');
+        assert.deepEqual(resumed.getNextQueue().map(piece => piece.getType()),
+            original.getNextQueue().map(piece => piece.getType()));
+
+        assert.equal(new GameCore().restoreSaveData({ ...data, pieceSet: 'classic' }), false,
+            'big pieces are not part of the classic set');
+    });
+
+    it('keep the set chosen in the settings across reloads', () => {
+        const storage = createMemoryStorage();
+        const engine = createEngine();
+        engine.gameSettings = new GameSettings(storage, 'test.gameSettings');
+        assert.equal(engine.setPieceSet('pentomino'), true);
+        assert.equal(engine.setPieceSet('big', false), true, 'a shared link applies without saving');
+        engine.start();
+        assert.ok(getPieceSetTypes('big').includes(engine.currentPiece.getType()));
+        assert.equal(engine.setPieceSet('classic'), false);
+        engine.destroy();
+
+        assert.equal(new GameSettings(storage, 'test.gameSettings').getSettings().pieceSet, 'pentomino');
+        storage.setItem('test.gameSettings', '{"version":1,"pieceSet":"unregistered"}');
+        assert.equal(new GameSettings(storage, 'test.gameSettings').pieceSet, CONFIG.DEFAULT_PIECE_SET);
+    });
+
+    it('fit large pieces into the previews', () => {
+        const renderer = new Renderer(new HTMLCanvasElement());
+        const next = new HTMLCanvasElement(80, 80);
+        renderer.setNextCanvas(next, 1);
+        renderer.drawNextQueue([new Tetromino('Ix2')]);
+        const blocks = next.getContext('2d').calls.filter(call => call.method === 'fillRect' && call.args[0] >= 0);
+        assert.ok(blocks.length >= 16);
+        assert.ok(blocks.every(({ args: [x, y, width, height] }) => x + width <= 80 && y + height <= 80));
+    });
+});
@@ -0,0 +1,211 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, GameCore, Renderer, Tetromino, HTMLCanvasElement } = require('./helpers/dom');
+
+/**
+ * Counts the context calls of one kind
+ * @param {HTMLCanvasElement} canvas - Stand-in canvas
+ * @param {string} method - Context method name
+ * @returns {number} Number of calls
+ */
+function countCalls(canvas, method) {
+    return canvas.getContext('2d').calls.filter(call => call.method === method).length;
+}
+
+describe('Renderer', () => {
+    it('needs a canvas with a 2D context', () => {
+        const canvas = new HTMLCanvasElement();
+        canvas.contextAvailable = false;
+        assert.throws(() => new Renderer(canvas), /2D context is required/);
+        assert.equal(new Renderer(new HTMLCanvasElement()).isReady(), true);
+    });
+
+    it('clears the whole canvas', () => {
+        const canvas = new HTMLCanvasElement();
+        new Renderer(canvas).clear();
+        const call = canvas.getContext('2d').calls.find(entry => entry.method === 'clearRect');
+        assert.deepEqual(call.args, [0, 0, canvas.width, canvas.height]);
+    });
+
+    it('draws one block per locked cell', () => {
+        const canvas = new HTMLCanvasElement();
+        const board = Array.from({ length: CONFIG.BOARD_HEIGHT }, () => Array(CONFIG.BOARD_WIDTH).fill(0));
+        for (let col = 0; col < 7; col++) {
+            board[19][col] = col + 1;
+        }
+        new Renderer(canvas).drawBoard(board);
+        assert.equal(countCalls(canvas, 'fillRect'), 7);
+    });
+
+    it('draws the falling piece and its ghost', () => {
+        const canvas = new HTMLCanvasElement();
+        const renderer = new Renderer(canvas);
+        const piece = new Tetromino('T');
+        renderer.drawCurrentPiece(piece, 3, 5);
+        assert.equal(countCalls(canvas, 'fillRect'), 4);
+        renderer.drawGhostPiece(piece, 3, 15);
+        assert.ok(countCalls(canvas, 'fillRect') + countCalls(canvas, 'strokeRect') > 4);
+    });
+
+    it('sizes the next canvas for the queue length', () => {
+        const next = new HTMLCanvasElement(120, 100);
+        const renderer = new Renderer(new HTMLCanvasElement(), undefined, next);
+        renderer.drawNextQueue(['I', 'O', 'T'].map(type => new Tetromino(type)), 3);
+        const slotHeights = [0, 1, 2].map(index => renderer.getNextSlotHeight(index));
+        assert.equal(next.height, slotHeights.reduce((sum, height) => sum + height, 0));
+        assert.ok(slotHeights[0] > slotHeights[1], 'the first slot shows the next piece larger');
+    });
+
+    it('flashes or dissolves the rows being cleared', () => {
+        const canvas = new HTMLCanvasElement();
+        const renderer = new Renderer(canvas);
+        renderer.drawLineClear([18, 19], 0, 'flash');
+        assert.equal(countCalls(canvas, 'fillRect'), 2, 'one bar per row');
+        renderer.drawLineClear([18, 19], 0.2, 'flash');
+        assert.equal(countCalls(canvas, 'fillRect'), 2, 'off between blinks');
+
+        const dissolving = new HTMLCanvasElement();
+        new Renderer(dissolving).drawLineClear([19], 0.2, 'dissolve');
+        assert.equal(countCalls(dissolving, 'fillRect'), 2, 'the middle pair goes first');
+        new Renderer(dissolving).drawLineClear([19], 1, 'dissolve');
+        assert.equal(countCalls(dissolving, 'fillRect'), 2 + CONFIG.BOARD_WIDTH);
+    });
+
+    it('bursts particles that fade out over their lifetime', () => {
+        const canvas = new HTMLCanvasElement();
+        const renderer = new Renderer(canvas);
+        assert.equal(renderer.addParticleBurst([], '#fff', 0), false);
+        assert.equal(renderer.addParticleBurst([16, 17, 18, 19], '#fff', 0), true);
+
+        renderer.drawEffects(100);
+        assert.equal(countCalls(canvas, 'fillRect'), 4 * CONFIG.LINE_CLEAR_EFFECT.PARTICLES);
+        renderer.drawEffects(CONFIG.LINE_CLEAR_EFFECT.PARTICLE_LIFETIME);
+        assert.equal(renderer.effects.length, 0);
+    });
+
+    describe('layered rendering', () => {
+        /**
+         * Starts a seeded headless game drawn by a renderer on a stand-in canvas
+         * @param {Object} options - Renderer options
+         * @returns {{core: GameCore, renderer: Renderer, canvas: HTMLCanvasElement}} Game and renderer
+         */
+        function createGame(options = {}) {
+            const canvas = new HTMLCanvasElement();
+            const renderer = new Renderer(canvas, undefined, null, options);
+            const core = new GameCore({ renderer });
+            core.setSeed(3);
+            core.start();
+            return { core, renderer, canvas };
+        }
+
+        it('redraws the whole board on the first frame only', () => {
+            const { core, renderer } = createGame();
+            core.render();
+            assert.equal(renderer.getMetrics().fullRedraws, 1);
+            assert.equal(renderer.getMetrics().dirtyCells, CONFIG.BOARD_WIDTH * CONFIG.BOARD_HEIGHT);
+
+            core.render();
+            const metrics = renderer.getMetrics();
+            assert.equal(metrics.frames, 2);
+            assert.equal(metrics.fullRedraws, 1);
+            assert.equal(metrics.dirtyRegions, 0, 'an unchanged frame draws nothing');
+        });
+
+        it('only redraws the cells the falling piece left and entered', () => {
+            const { core, renderer } = createGame({ pixelRatio: 1 });
+            core.setRenderer(null);
+            core.moveLeft();
+            renderer.render(core);
+            core.moveRight();
+            renderer.render(core);
+
+            // The piece and its ghost each cover four old and four new cells, some shared
+            const { dirtyCells, dirtyRegions } = renderer.getMetrics();
+            assert.ok(dirtyCells > 0 && dirtyCells <= 16, `dirty cells: ${dirtyCells}`);
+            assert.ok(dirtyRegions > 0 && dirtyRegions <= dirtyCells);
+        });
+
+        it('keeps locked cells cached between frames', () => {
+            const { core, renderer } = createGame();
+            renderer.render(core);
+            const stackContext = renderer.stackLayer.context;
+            const drawn = stackContext.calls.length;
+
+            core.moveLeft();
+            renderer.render(core);
+            assert.equal(stackContext.calls.length, drawn, 'moving the piece leaves the stack layer alone');
+
+            core.hardDrop();
+            renderer.render(core);
+            assert.ok(stackContext.calls.length > drawn, 'locking a piece redraws its cells on the stack layer');
+        });
+
+        it('merges dirty cells into row runs and stacked rectangles', () => {
+            const renderer = new Renderer(new HTMLCanvasElement(), undefined, null, { pixelRatio: 1 });
+            const size = CONFIG.BLOCK_SIZE;
+            const cells = new Set([0, 1, 2, 10, 11, 12, 25]);
+            assert.deepEqual(renderer.getDirtyRegions(cells, 10), [
+                { x: 0, y: 0, width: 3 * size, height: 2 * size },
+                { x: 5 * size, y: 2 * size, width: size, height: size }
+            ]);
+        });
+
+        it('scales the backing store for HiDPI displays', () => {
+            const { core, renderer, canvas } = createGame({ pixelRatio: 2 });
+            assert.equal(canvas.width, 600);
+            assert.equal(canvas.height, 1200);
+            assert.equal(canvas.style.width, '300px');
+            assert.equal(canvas.style.height, '600px');
+            assert.equal(renderer.stackLayer.canvas.width, 600);
+
+            const transform = canvas.getContext('2d').calls.filter(call => call.method === 'setTransform').at(-1);
+            assert.deepEqual(transform.args, [2, 0, 0, 2, 0, 0]);
+
+            core.render();
+            assert.equal(renderer.getMetrics().pixelRatio, 2);
+            assert.equal(renderer.setPixelRatio(0), false);
+        });
+
+        it('runs overlay effects until they finish', () => {
+            const { core, renderer } = createGame();
+            let framesLeft = 2;
+            renderer.addEffect({ draw: () => --framesLeft > 0 });
+            assert.equal(renderer.addEffect({}), false);
+
+            core.render();
+            core.render();
+            assert.equal(renderer.effects.length, 0);
+            core.render();
+            core.render();
+            assert.equal(renderer.getMetrics().fullRedraws, 3, 'one extra full frame wipes the finished effect');
+        });
+
+        it('tracks frame timing', () => {
+            const { core, renderer } = createGame();
+            for (let i = 0; i < 5; i++) {
+                core.render();
+            }
+            const metrics = renderer.getMetrics();
+            assert.equal(metrics.frames, 5);
+            assert.ok(metrics.averageFrameTime >= 0 && metrics.maxFrameTime >= metrics.averageFrameTime);
+            renderer.resetMetrics();
+            assert.equal(renderer.getMetrics().frames, 0);
+        });
+
+        it('skips preview redraws when hold and next are unchanged', () => {
+            const hold = new HTMLCanvasElement(80, 80);
+            const next = new HTMLCanvasElement(80, 80);
+            const { core, renderer } = createGame();
+            renderer.setHoldCanvas(hold);
+            renderer.setNextCanvas(next, core.nextQueueLength);
+            core.hold();
+            core.render();
+            const holdCalls = hold.getContext('2d').calls.length;
+            const nextCalls = next.getContext('2d').calls.length;
+
+            core.render();
+            assert.equal(hold.getContext('2d').calls.length, holdCalls);
+            assert.equal(next.getContext('2d').calls.length, nextCalls);
+        });
+    });
+});
@@ -0,0 +1,184 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    CONFIG, GameCore, SavedGameStore, Tetromino, createEngine, createMemoryStorage
+} = require('./helpers/dom');
+
+const KEY = 'test.savedGame';
+
+// A few frames of play with every kind of input (frame, command)
+const SCRIPT = [
+    [5, 'moveLeft'], [9, 'rotate'], [14, 'hardDrop'], [20, 'hold'], [26, 'moveRight'], [27, 'moveRight'],
+    [33, 'softDrop'], [40, 'hardDrop'], [48, 'rotateCounterClockwise'], [55, 'hardDrop']
+];
+
+/**
+ * Plays scripted commands on a headless game up to a frame
+ * @param {GameCore} core - Running game
+ * @param {number} until - Frame to stop on
+ */
+function play(core, until) {
+    while (core.frame < until) {
+        const commands = SCRIPT.filter(([frame]) => frame === core.frame).map(([, command]) => command);
+        core.step(commands, CONFIG.FRAME_DURATION);
+    }
+}
+
+/**
+ * Starts a seeded headless marathon game
+ * @returns {GameCore} Running game
+ */
+function startGame() {
+    const core = new GameCore();
+    core.setSeed(21);
+    core.start();
+    return core;
+}
+
+describe('Saved games', () => {
+    it('continue exactly where they were saved', () => {
+        const original = startGame();
+        play(original, 30);
+        const data = JSON.parse(JSON.stringify(original.createSaveData()));
+
+        const resumed = new GameCore();
+        assert.equal(resumed.restoreSaveData(data), true);
+        assert.deepEqual(resumed.gameBoard.getBoard(), original.gameBoard.getBoard());
+        assert.equal(resumed.currentPiece.getType(), original.currentPiece.getType());
+        assert.equal(resumed.holdPiece.getType(), original.holdPiece.getType());
+
+        play(original, 400);
+        play(resumed, 400);
+        assert.deepEqual(resumed.gameBoard.getBoard(), original.gameBoard.getBoard());
+        assert.deepEqual(resumed.getNextQueue().map(piece => piece.getType()),
+            original.getNextQueue().map(piece => piece.getType()));
+        assert.equal(resumed.gameState.getScore(), original.gameState.getScore());
+        assert.deepEqual(resumed.getReplay().inputs, original.getReplay().inputs, 'the replay carries on too');
+    });
+
+    it('keep a line clear and the inputs buffered during it', () => {
+        const original = startGame();
+        for (let col = 0; col < CONFIG.BOARD_WIDTH; col++) {
+            if (col < 3 || col >= 7) {
+                original.gameBoard.setCellValue(CONFIG.BOARD_HEIGHT - 1, col, 1);
+            }
+        }
+        original.currentPiece = new Tetromino('I');
+        original.pieceX = 3;
+        original.pieceY = 0;
+        original.step(['hardDrop']);
+        original.step(['rotate']);
+        const data = JSON.parse(JSON.stringify(original.createSaveData()));
+        assert.equal(data.piece, null);
+        assert.equal(data.delay.phase, 'lineClear');
+
+        const resumed = new GameCore();
+        assert.equal(resumed.restoreSaveData(data), true);
+        assert.deepEqual(resumed.clearingRows, [CONFIG.BOARD_HEIGHT - 1]);
+        play(original, 50);
+        play(resumed, 50);
+        assert.deepEqual(resumed.gameBoard.getBoard(), original.gameBoard.getBoard());
+        assert.equal(resumed.currentPiece.getRotation(), original.currentPiece.getRotation());
+
+        const damaged = [
+            saved => { saved.delay.rows = [0]; },
+            saved => { saved.delay.phase = 'pause'; },
+            saved => { saved.delay = null; }
+        ];
+        damaged.forEach((change, index) => {
+            const saved = JSON.parse(JSON.stringify(data));
+            change(saved);
+            assert.equal(new GameCore().restoreSaveData(saved), false, `change ${index} is caught`);
+        });
+    });
+
+    it('are only taken of one-player games in progress', () => {
+        const core = new GameCore();
+        assert.equal(core.createSaveData(), null);
+        core.setGameMode('versus');
+        core.start();
+        assert.equal(core.createSaveData(), null);
+    });
+
+    it('are rejected when any part fails validation', () => {
+        const valid = JSON.stringify(startGame().createSaveData());
+        const corrupt = [
+            data => { data.version = 99; },
+            data => { data.board[3][4] = -1; },
+            data => { data.board.pop(); },
+            data => { data.score.level = 0; },
+            data => { data.score.lines = 'many'; },
+            data => { data.piece.y = CONFIG.BOARD_HEIGHT; },
+            data => { data.nextQueue[0] = 'X'; },
+            data => { data.randomizer.state.bag = ['Q']; },
+            data => { data.timers.lastDropTime = 1e9; },
+            data => { data.replay.inputs.push(3); }
+        ];
+
+        corrupt.forEach((change, index) => {
+            const data = JSON.parse(valid);
+            change(data);
+            const core = new GameCore();
+            assert.equal(core.restoreSaveData(data), false, `change ${index} is caught`);
+            assert.equal(core.gameState.isRunningState(), false);
+        });
+        assert.equal(new GameCore().restoreSaveData(JSON.parse(valid)), true);
+    });
+
+    it('are stored under a versioned envelope', () => {
+        const storage = createMemoryStorage();
+        const store = new SavedGameStore(storage, KEY);
+        assert.equal(store.load(), null);
+        assert.equal(store.save(startGame().createSaveData()), true);
+        assert.equal(store.has(), true);
+
+        storage.setItem(KEY, JSON.stringify({ format: 'tetris-saved-game', version: 0 }));
+        assert.equal(store.load(), null);
+        assert.equal(storage.getItem(KEY), null, 'unreadable saves are removed');
+        assert.equal(new SavedGameStore(null, KEY).save({}), false);
+    });
+
+    it('are saved on pause and resumed by the page', () => {
+        const storage = createMemoryStorage();
+        const engine = createEngine(8);
+        engine.savedGameStore = new SavedGameStore(storage, KEY);
+        engine.start();
+        engine.advanceTime(500);
+        engine.executeCommand('hardDrop');
+        engine.pause();
+        assert.equal(engine.hasSavedGame(), true);
+        const board = engine.gameBoard.getBoard();
+        const score = engine.gameState.getScore();
+
+        const reloaded = createEngine(8);
+        reloaded.savedGameStore = new SavedGameStore(storage, KEY);
+        assert.equal(reloaded.resumeSavedGame(), true);
+        assert.deepEqual(reloaded.gameBoard.getBoard(), board);
+        assert.equal(reloaded.gameState.getScore(), score);
+        assert.equal(reloaded.gameState.isPausedState(), false);
+        assert.equal(reloaded.hasSavedGame(), true, 'kept until the game ends');
+
+        reloaded.endGame();
+        assert.equal(reloaded.hasSavedGame(), false);
+        engine.destroy();
+        reloaded.destroy();
+    });
+
+    it('fall back to a fresh game when the save is damaged', () => {
+        const storage = createMemoryStorage();
+        const engine = createEngine(8);
+        engine.savedGameStore = new SavedGameStore(storage, KEY);
+        engine.start();
+        const data = engine.createSaveData();
+        engine.endGame();
+        data.board[0][0] = 'x';
+        engine.savedGameStore.save(data);
+        engine.reset();
+
+        assert.equal(engine.resumeSavedGame(), false);
+        assert.equal(engine.gameState.isRunningState(), true, 'a new game started instead');
+        assert.equal(engine.piecesLocked, 0);
+        assert.equal(engine.hasSavedGame(), false);
+        engine.destroy();
+    });
+});
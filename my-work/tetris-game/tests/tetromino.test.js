@@ -0,0 +1,128 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    TETROMINO_TYPES,
+    RANDOMIZER_TYPES,
+    Tetromino,
+    GameBoard,
+    createRandomizer,
+    createRandomTetromino,
+    validateTetrominoData
+} = require('./helpers/dom');
+
+const PIECE_TYPES = ['I', 'O', 'T', 'S', 'Z', 'J', 'L'];
+
+describe('Tetromino', () => {
+    it('has valid data for every piece type', () => {
+        assert.equal(validateTetrominoData(), true);
+    });
+
+    for (const type of PIECE_TYPES) {
+        describe(`${type} piece`, () => {
+            it('starts with its type, shape, colour and rotation 0', () => {
+                const piece = new Tetromino(type);
+                assert.equal(piece.getType(), type);
+                assert.ok(Array.isArray(piece.getShape()) && piece.getShape().length > 0);
+                assert.match(piece.getColor(), /^#/);
+                assert.equal(piece.getRotation(), 0);
+                assert.equal(piece.validateCurrentShape(), true);
+            });
+
+            it('returns to rotation 0 after four clockwise turns', () => {
+                const piece = new Tetromino(type);
+                const shapes = [];
+                for (let i = 0; i < 4; i++) {
+                    piece.rotate();
+                    shapes.push(JSON.stringify(piece.getShape()));
+                }
+                assert.equal(piece.getRotation(), 0);
+                if (type !== 'O') {
+                    assert.notEqual(shapes[0], shapes[3], 'rotation should change the shape');
+                }
+            });
+
+            it('rotates counter-clockwise from 0 to 3', () => {
+                const piece = new Tetromino(type);
+                piece.rotateCounterClockwise();
+                assert.equal(piece.getRotation(), 3);
+            });
+
+            it('clones type and rotation', () => {
+                const piece = new Tetromino(type);
+                piece.rotate();
+                const clone = piece.clone();
+                assert.equal(clone.getType(), type);
+                assert.equal(clone.getRotation(), piece.getRotation());
+                assert.notEqual(clone, piece);
+            });
+        });
+    }
+
+    it('rejects unknown piece types', () => {
+        assert.throws(() => new Tetromino('X'));
+    });
+
+    it('generates every type when picking randomly', () => {
+        const types = new Set();
+        for (let i = 0; i < 200; i++) {
+            types.add(createRandomTetromino().getType());
+        }
+        assert.deepEqual([...types].sort(), [...PIECE_TYPES].sort());
+    });
+});
+
+describe('Randomizers', () => {
+    it('repeat the same sequence for the same seed', () => {
+        const first = createRandomizer('7-bag', 12345);
+        const second = createRandomizer('7-bag', 12345);
+        const firstSequence = Array.from({ length: 21 }, () => first.next());
+        const secondSequence = Array.from({ length: 21 }, () => second.next());
+        assert.deepEqual(firstSequence, secondSequence);
+    });
+
+    it('deal each piece exactly once per 7-bag', () => {
+        const randomizer = createRandomizer('7-bag', 12345);
+        for (let bag = 0; bag < 3; bag++) {
+            const bagTypes = new Set(Array.from({ length: 7 }, () => randomizer.next()));
+            assert.equal(bagTypes.size, 7);
+        }
+    });
+
+    for (const type of Object.keys(RANDOMIZER_TYPES)) {
+        it(`${type} only yields valid piece types`, () => {
+            const randomizer = createRandomizer(type, 'test-seed');
+            for (let i = 0; i < 100; i++) {
+                assert.ok(TETROMINO_TYPES[randomizer.next()]);
+            }
+        });
+    }
+});
+
+describe('SRS wall kicks', () => {
+    it('kicks a vertical I piece away from the left wall', () => {
+        const piece = new Tetromino('I');
+        piece.setRotation(1);
+        const result = piece.tryRotateWithKicks(new GameBoard(), -2, 5, 1);
+        assert.ok(result);
+        assert.equal(result.x, 0);
+        assert.equal(result.y, 5);
+        assert.equal(result.kickIndex, 2);
+    });
+
+    it('tries the next kick when the T piece rotates into a filled cell', () => {
+        const board = new GameBoard();
+        board.setCellValue(7, 4, 1);
+        const piece = new Tetromino('T');
+        const result = piece.tryRotateWithKicks(board, 3, 5, 1);
+        assert.ok(result);
+        assert.equal(result.kickIndex, 1);
+        assert.equal(result.x, 2);
+        assert.equal(piece.getRotation(), 1);
+    });
+
+    it('leaves a fully blocked piece unrotated', () => {
+        const piece = new Tetromino('O');
+        assert.equal(piece.tryRotateWithKicks(new GameBoard(), 9, 5, -1), null);
+        assert.equal(piece.getRotation(), 0);
+    });
+});
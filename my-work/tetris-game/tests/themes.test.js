@@ -0,0 +1,163 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    BUILT_IN_THEMES, ThemeManager, GameBoard, Renderer, Tetromino, HTMLCanvasElement, createEngine, createMemoryStorage
+} = require('./helpers/dom');
+
+const KEY = 'test.theme';
+
+/**
+ * Builds a theme file
+ * @param {Object} changes - Fields to add or replace
+ * @returns {Object} Theme file contents
+ */
+function themeFile(changes = {}) {
+    return {
+        format: 'tetris-theme',
+        version: 1,
+        name: 'Mono',
+        blockStyle: 'flat',
+        colors: { background: '#101010', grid: '#202020', border: '#f0f0f0' },
+        pieces: { T: '#abcdef' },
+        css: { '--accent-color': '#abcdef' },
+        ...changes
+    };
+}
+
+/**
+ * Counts the context calls of one kind
+ * @param {HTMLCanvasElement} canvas - Stand-in canvas
+ * @param {string} method - Context method name
+ * @returns {number} Number of calls
+ */
+function countCalls(canvas, method) {
+    return canvas.getContext('2d').calls.filter(call => call.method === method).length;
+}
+
+describe('Themes', () => {
+    it('stores piece types on the board, whatever their colour', () => {
+        const board = new GameBoard(10, 20);
+        const piece = new Tetromino('T');
+        piece.getColor = () => '#123456';
+        board.placePiece(piece, 0, 18);
+        assert.equal(board.getCellValue(19, 1), board.getCellId('T'));
+        assert.equal(board.getCellType(board.getCellValue(19, 1)), 'T');
+        assert.equal(board.getCellType(8), 'garbage');
+        assert.equal(board.getCellType(0), null);
+    });
+
+    it('imports theme files and keeps them with the selection', () => {
+        const storage = createMemoryStorage();
+        const themes = new ThemeManager({ storage, storageKey: KEY });
+        assert.equal(themes.getSelectedTheme().id, 'classic');
+        assert.deepEqual(themes.listThemes().map(theme => theme.id), Object.keys(BUILT_IN_THEMES));
+
+        const id = themes.importTheme(JSON.stringify(themeFile()));
+        assert.equal(id, 'custom:Mono');
+        assert.equal(themes.selectTheme(id), true);
+        const theme = themes.getSelectedTheme();
+        assert.equal(theme.pieces.T, '#abcdef');
+        assert.equal(theme.pieces.I, BUILT_IN_THEMES.classic.pieces.I, 'missing colours come from the classic theme');
+        assert.equal(theme.css['--board-background'], '#101010');
+
+        const reloaded = new ThemeManager({ storage, storageKey: KEY });
+        assert.equal(reloaded.getSelectedTheme().name, 'Mono');
+        assert.equal(reloaded.listThemes().at(-1).custom, true);
+        assert.equal(reloaded.selectTheme('missing'), false);
+    });
+
+    it('refuses malformed themes and anything loaded from the network', () => {
+        const themes = new ThemeManager({ storage: null });
+        const refused = [
+            'not json',
+            themeFile({ format: 'tetris-replay' }),
+            themeFile({ version: 2 }),
+            themeFile({ blockStyle: 'glass' }),
+            themeFile({ colors: { background: 'black', grid: '#202020', border: '#f0f0f0' } }),
+            themeFile({ pieces: { X: '#ffffff' } }),
+            themeFile({ pieces: { toString: '#ffffff' } }),
+            themeFile({ css: { '--accent-color': 'red; display: none' } }),
+            themeFile({ css: { '--page-background': 'url(https://example.com/a.png)' } }),
+            themeFile({ css: { color: 'red' } }),
+            themeFile({ blockStyle: 'sprite' }),
+            themeFile({
+                blockStyle: 'sprite', sprite: { src: 'https://example.com/a.png', tileSize: 8, tiles: ['T'] }
+            }),
+            themeFile({ blockStyle: 'sprite', sprite: { pattern: ['##', '##'] } })
+        ];
+        for (const data of refused) {
+            assert.equal(themes.importTheme(typeof data === 'string' ? data : JSON.stringify(data)), null,
+                JSON.stringify(data));
+        }
+        assert.equal(themes.listThemes().length, Object.keys(BUILT_IN_THEMES).length);
+
+        const sprite = { src: 'data:image/png;base64,AAAA', tileSize: 8, tiles: ['I', 'O', 'garbage'] };
+        assert.ok(themes.importTheme(JSON.stringify(themeFile({ blockStyle: 'sprite', sprite }))));
+    });
+
+    it('draws blocks in each block style', () => {
+        const themes = new ThemeManager({ storage: null });
+        const drawT = themeId => {
+            const canvas = new HTMLCanvasElement();
+            const renderer = new Renderer(canvas);
+            renderer.setTheme(themes.getTheme(themeId));
+            canvas.getContext('2d').calls.length = 0;
+            renderer.drawCurrentPiece(new Tetromino('T'), 3, 5);
+            return canvas;
+        };
+
+        const flat = drawT('classic');
+        assert.equal(countCalls(flat, 'fillRect'), 4);
+        const bevel = drawT('bevel');
+        assert.equal(countCalls(bevel, 'fill'), 8, 'a lit and a shaded edge per block');
+        const outline = drawT('neon');
+        assert.equal(countCalls(outline, 'fillRect'), 0);
+        assert.equal(countCalls(outline, 'strokeRect'), 4);
+        const sprite = drawT('pixel');
+        assert.equal(countCalls(sprite, 'drawImage'), 4);
+        assert.equal(countCalls(sprite, 'fillRect'), 0);
+
+        const renderer = new Renderer(new HTMLCanvasElement());
+        renderer.setTheme(themes.getTheme('pixel'));
+        assert.equal(renderer.getSpriteAtlas().tiles.garbage, 7);
+        renderer.setTheme({ ...themes.getTheme('pixel'), sprite: { src: 'data:image/png;base64,AAAA' } });
+        assert.equal(renderer.getSpriteAtlas(), null, 'image sprites draw flat until the image loads');
+        assert.equal(renderer.setTheme({ blockStyle: 'glass' }), false);
+    });
+
+    it('applies the chosen theme to the board and the page colours', () => {
+        const style = {
+            values: { '--accent-color': 'stale' },
+            setProperty(name, value) { this.values[name] = value; },
+            removeProperty(name) { delete this.values[name]; }
+        };
+        global.document.documentElement = { style };
+        try {
+            const engine = createEngine(2);
+            engine.themes = new ThemeManager({ storage: createMemoryStorage() });
+            const select = document.createElement('select');
+            const previewCanvas = new HTMLCanvasElement(216, 27);
+            engine.setThemeElements({ select, previewCanvas });
+            assert.deepEqual(select.children.map(option => option.value), Object.keys(BUILT_IN_THEMES));
+            assert.ok(countCalls(previewCanvas, 'fillRect') > 0, 'the selected theme is previewed');
+
+            assert.equal(engine.previewTheme('neon'), true);
+            assert.equal(engine.renderer.theme.id, 'classic', 'previewing does not apply');
+
+            assert.equal(engine.setTheme('neon'), true);
+            assert.equal(engine.renderer.theme.blockStyle, 'outline');
+            assert.equal(style.values['--accent-color'], BUILT_IN_THEMES.neon.css['--accent-color']);
+            assert.equal(engine.setTheme('classic'), true);
+            assert.equal(style.values['--accent-color'], undefined, 'back to the stylesheet default');
+            assert.equal(style.values['--board-background'], '#000000');
+
+            assert.equal(engine.importTheme('{}'), false);
+            assert.equal(engine.importTheme(JSON.stringify(themeFile())), true);
+            assert.equal(engine.renderer.theme.name, 'Mono');
+            assert.equal(select.value, 'custom:Mono');
+            engine.destroy();
+        } finally {
+            delete global.document.documentElement;
+        }
+    });
+});
@@ -0,0 +1,192 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    CONFIG, GAME_COMMANDS, GameState, InputHandler, TouchInputHandler,
+    HTMLElement, HTMLCanvasElement, TouchEvent, createEngine
+} = require('./helpers/dom');
+
+// The stand-in canvas is 300px wide, so one cell is 30px
+const CELL = 300 / CONFIG.BOARD_WIDTH;
+
+/**
+ * Game stand-in that records the commands it receives
+ * @returns {Object} Object with one method per game command plus calls and recorded lists
+ */
+function createGame() {
+    const game = { gameState: new GameState(), calls: [], recorded: [] };
+    for (const command of GAME_COMMANDS) {
+        game[command] = () => {
+            game.calls.push(command);
+            return true;
+        };
+    }
+    game.recordInput = command => game.recorded.push(command);
+    game.gameState.setRunning(true);
+    return game;
+}
+
+/**
+ * Sends a touch event for one or more fingers
+ * @param {EventTarget} target - Element receiving the gesture
+ * @param {string} type - touchstart, touchmove or touchend
+ * @param {number} timeStamp - Event time in milliseconds
+ * @param {Object[]} changed - Fingers that changed ({ identifier, clientX, clientY })
+ * @param {Object[]} touches - Fingers still on the screen
+ */
+function touch(target, type, timeStamp, changed, touches = type === 'touchend' ? [] : changed) {
+    target.dispatchEvent(new TouchEvent(type, { timeStamp, changedTouches: changed, touches }));
+}
+
+/**
+ * Builds a finger position
+ * @param {number} clientX - Horizontal position
+ * @param {number} clientY - Vertical position
+ * @param {number} identifier - Finger id
+ * @returns {Object} Touch-like object
+ */
+function finger(clientX, clientY, identifier = 0) {
+    return { identifier, clientX, clientY };
+}
+
+describe('TouchInputHandler', () => {
+    let game;
+    let keyboard;
+    let board;
+
+    beforeEach(() => {
+        game = createGame();
+        keyboard = new InputHandler(game, new EventTarget());
+        board = new HTMLCanvasElement();
+        new TouchInputHandler(keyboard, board);
+    });
+
+    it('requires an input handler', () => {
+        assert.throws(() => new TouchInputHandler(null, board), /InputHandler reference is required/);
+    });
+
+    it('moves one column per cell the finger travels', () => {
+        touch(board, 'touchstart', 0, [finger(100, 100)]);
+        touch(board, 'touchmove', 20, [finger(100 + CELL * 2 + 5, 102)]);
+        assert.deepEqual(game.calls, ['moveRight', 'moveRight']);
+
+        touch(board, 'touchmove', 40, [finger(100 - CELL - 5, 102)]);
+        assert.deepEqual(game.calls.slice(2), ['moveLeft', 'moveLeft', 'moveLeft']);
+        touch(board, 'touchend', 400, [finger(100 - CELL - 5, 102)]);
+        assert.equal(game.calls.length, 5, 'releasing a drag does nothing else');
+    });
+
+    it('measures cells on the board as displayed', () => {
+        board.style.width = '150px';
+        touch(board, 'touchstart', 0, [finger(0, 0)]);
+        touch(board, 'touchmove', 20, [finger(CELL, 0)]);
+        assert.deepEqual(game.calls, ['moveRight', 'moveRight']);
+    });
+
+    it('rotates on a tap but not on a long press', () => {
+        touch(board, 'touchstart', 0, [finger(50, 50)]);
+        touch(board, 'touchend', 100, [finger(52, 51)]);
+        assert.deepEqual(game.calls, ['rotate']);
+
+        touch(board, 'touchstart', 1000, [finger(50, 50)]);
+        touch(board, 'touchend', 1000 + CONFIG.TOUCH.TAP_MAX_DURATION + 1, [finger(50, 50)]);
+        assert.deepEqual(game.calls, ['rotate']);
+    });
+
+    it('soft drops while dragging down and hard drops on a flick', () => {
+        touch(board, 'touchstart', 0, [finger(100, 0)]);
+        touch(board, 'touchmove', 500, [finger(100, CELL * 2)]);
+        touch(board, 'touchend', 1000, [finger(100, CELL * 2)]);
+        assert.deepEqual(game.calls, ['softDrop', 'softDrop'], 'a slow drag only soft drops');
+
+        game.calls = [];
+        touch(board, 'touchstart', 2000, [finger(100, 0)]);
+        touch(board, 'touchmove', 2030, [finger(100, 40)]);
+        touch(board, 'touchend', 2060, [finger(100, 100)]);
+        assert.equal(game.calls.at(-1), 'hardDrop');
+    });
+
+    it('holds on a two-finger tap', () => {
+        touch(board, 'touchstart', 0, [finger(50, 50, 0)]);
+        touch(board, 'touchstart', 20, [finger(150, 50, 1)], [finger(50, 50, 0), finger(150, 50, 1)]);
+        touch(board, 'touchend', 80, [finger(50, 50, 0)], [finger(150, 50, 1)]);
+        assert.deepEqual(game.calls, [], 'nothing happens until both fingers lift');
+        touch(board, 'touchend', 100, [finger(150, 50, 1)]);
+        assert.deepEqual(game.calls, ['hold']);
+    });
+
+    it('goes through the keyboard state checks and replay recording', () => {
+        touch(board, 'touchstart', 0, [finger(50, 50)]);
+        touch(board, 'touchend', 50, [finger(50, 50)]);
+        assert.deepEqual(game.recorded, ['rotate']);
+
+        keyboard.disable();
+        touch(board, 'touchstart', 100, [finger(50, 50)]);
+        touch(board, 'touchend', 150, [finger(50, 50)]);
+        keyboard.enable();
+        game.gameState.setGameOver(true);
+        touch(board, 'touchstart', 200, [finger(50, 50)]);
+        touch(board, 'touchend', 250, [finger(50, 50)]);
+        assert.deepEqual(game.calls, ['rotate'], 'disabled input and game over block gestures');
+    });
+
+    describe('on-screen buttons', () => {
+        /**
+         * Builds a button container with one button per command
+         * @param {string[]} commands - Button commands
+         * @returns {HTMLElement} Container
+         */
+        function createButtons(commands) {
+            const container = new HTMLElement();
+            for (const command of commands) {
+                const button = new HTMLElement('BUTTON');
+                button.dataset.command = command;
+                container.appendChild(button);
+            }
+            return container;
+        }
+
+        it('auto-repeat direction buttons while held', () => {
+            const container = createButtons(['moveLeft', 'hold']);
+            new TouchInputHandler(keyboard, null, container);
+            const [left, hold] = container.children;
+
+            hold.dispatchEvent(new Event('pointerdown', { cancelable: true }));
+            left.dispatchEvent(new Event('pointerdown', { cancelable: true }));
+            keyboard.update(0);
+            keyboard.update(CONFIG.AUTO_SHIFT.DAS + CONFIG.AUTO_SHIFT.ARR);
+            left.dispatchEvent(new Event('pointerup'));
+            keyboard.update(CONFIG.AUTO_SHIFT.DAS * 4);
+
+            assert.deepEqual(game.calls, ['hold', 'moveLeft', 'moveLeft', 'moveLeft']);
+            assert.deepEqual(game.recorded, game.calls);
+        });
+
+        it('keep pause working while input is disabled', () => {
+            const container = createButtons(['rotate', 'pause']);
+            const touchInput = new TouchInputHandler(keyboard, null, container);
+            keyboard.disable();
+            container.children.forEach(button => button.dispatchEvent(new Event('pointerdown')));
+            assert.deepEqual(game.calls, ['pause']);
+
+            assert.equal(touchInput.setButtonsVisible(false), true);
+            assert.equal(container.classList.contains('hidden'), true);
+        });
+    });
+
+    it('plugs into the engine as an input adapter', () => {
+        const engine = createEngine(5);
+        const buttons = new HTMLElement();
+        const touchInput = engine.setTouchElements(engine.canvas, buttons);
+        assert.equal(engine.inputAdapters.includes(touchInput), true);
+
+        engine.start();
+        const rotation = engine.currentPiece.rotation;
+        touch(engine.canvas, 'touchstart', 0, [finger(50, 50)]);
+        touch(engine.canvas, 'touchend', 50, [finger(50, 50)]);
+        assert.notEqual(engine.currentPiece.rotation, rotation);
+
+        assert.equal(engine.setTouchElements(null), null);
+        assert.equal(engine.inputAdapters.includes(touchInput), false);
+        engine.destroy();
+    });
+});
@@ -0,0 +1,204 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    CONFIG, GAME_MODES, GARBAGE_CELL_ID, GameCore, VersusMatch, Tetromino,
+    HTMLElement, HTMLCanvasElement, createEngine, pressKey
+} = require('./helpers/dom');
+
+/**
+ * Starts a seeded versus match between two headless cores
+ * @param {number} seed - Match seed
+ * @returns {{match: VersusMatch, players: GameCore[]}} Match and both players
+ */
+function createMatch(seed = 7) {
+    const players = [new GameCore(), new GameCore()];
+    players.forEach(core => assert.equal(core.setGameMode('versus'), true));
+    const match = new VersusMatch(players[0], players[1]);
+    match.start(seed);
+    return { match, players };
+}
+
+/**
+ * Sets up a Tetris: four full rows with a well, and a vertical I piece above it
+ * One block stays behind so the clear is not a perfect clear
+ * @param {GameCore} core - Player to set up
+ * @param {number} well - Column left open
+ */
+function setUpTetris(core, well = CONFIG.BOARD_WIDTH - 1) {
+    for (let row = CONFIG.BOARD_HEIGHT - 4; row < CONFIG.BOARD_HEIGHT; row++) {
+        for (let col = 0; col < CONFIG.BOARD_WIDTH; col++) {
+            core.gameBoard.setCellValue(row, col, col === well ? 0 : 1);
+        }
+    }
+    core.gameBoard.setCellValue(CONFIG.BOARD_HEIGHT - 5, 0, 1);
+    core.currentPiece = new Tetromino('I');
+    core.currentPiece.setRotation(1);
+    core.pieceX = well - 2;
+    core.pieceY = 0;
+}
+
+/**
+ * Builds a line clear result as GameState.processLineClear reports it
+ * @param {Object} fields - Fields to override
+ * @returns {Object} Line clear result
+ */
+function clearResult(fields) {
+    return { linesCleared: 1, tSpin: 'none', perfectClear: false, isBackToBack: false, combo: 0, ...fields };
+}
+
+describe('VersusMatch', () => {
+    let engines = [];
+
+    afterEach(() => {
+        engines.forEach(engine => engine.destroy());
+        engines = [];
+    });
+
+    it('needs two different players', () => {
+        const core = new GameCore();
+        assert.throws(() => new VersusMatch(core, core), /Two different GameCore instances/);
+        assert.throws(() => new VersusMatch(core, null), /Two different GameCore instances/);
+    });
+
+    it('works out attacks from the tables', () => {
+        const { match } = createMatch();
+        assert.equal(match.calculateAttack(clearResult({ linesCleared: 0, combo: -1 })), 0);
+        assert.equal(match.calculateAttack(clearResult({ linesCleared: 1 })), 0);
+        assert.equal(match.calculateAttack(clearResult({ linesCleared: 4 })), 4);
+        assert.equal(match.calculateAttack(clearResult({ linesCleared: 4, isBackToBack: true })), 5);
+        assert.equal(match.calculateAttack(clearResult({ linesCleared: 2, tSpin: 'full' })), 4);
+        assert.equal(match.calculateAttack(clearResult({ linesCleared: 1, tSpin: 'mini' })), 0);
+        assert.equal(match.calculateAttack(clearResult({ linesCleared: 2, combo: 3 })), 2, 'double plus combo');
+        assert.equal(match.calculateAttack(clearResult({ linesCleared: 1, combo: 40 })), 5, 'long combos use the last value');
+        assert.equal(match.calculateAttack(clearResult({ linesCleared: 2, perfectClear: true })),
+            CONFIG.VERSUS.PERFECT_CLEAR_ATTACK);
+    });
+
+    it('sends garbage that rises when the opponent locks without clearing', () => {
+        const { match, players } = createMatch();
+        const changes = [];
+        match.on('garbageChange', event => changes.push(event.pending));
+
+        setUpTetris(players[0]);
+        players[0].hardDrop();
+        assert.deepEqual(match.getPendingGarbage(), [0, 4]);
+
+        players[1].hardDrop();
+        assert.deepEqual(match.getPendingGarbage(), [0, 0]);
+        assert.deepEqual(changes, [[0, 4], [0, 0]]);
+
+        // The piece landed on the floor and was lifted by four rows sharing one hole
+        const board = players[1].gameBoard.getBoard();
+        const hole = board[CONFIG.BOARD_HEIGHT - 1].indexOf(0);
+        for (let row = CONFIG.BOARD_HEIGHT - 4; row < CONFIG.BOARD_HEIGHT; row++) {
+            assert.equal(board[row].filter(cell => cell === GARBAGE_CELL_ID).length, CONFIG.BOARD_WIDTH - 1);
+            assert.equal(board[row][hole], 0);
+        }
+        assert.deepEqual(match.getResults().map(result => [result.garbageSent, result.garbageReceived]),
+            [[4, 0], [0, 4]]);
+    });
+
+    it('cancels waiting garbage with an attack of its own', () => {
+        const { match, players } = createMatch();
+        const attacks = [];
+        match.on('attack', attack => attacks.push(attack));
+
+        setUpTetris(players[0]);
+        players[0].hardDrop();
+        setUpTetris(players[1]);
+        players[1].hardDrop();
+
+        assert.deepEqual(match.getPendingGarbage(), [0, 0]);
+        assert.deepEqual(attacks, [
+            { from: 0, attack: 4, cancelled: 0, sent: 4 },
+            { from: 1, attack: 4, cancelled: 4, sent: 0 }
+        ]);
+    });
+
+    it('raises at most the garbage cap per lock', () => {
+        const { match, players } = createMatch();
+        match.players[1].pending.push({ lines: 12, hole: 0 });
+        players[1].hardDrop();
+        assert.deepEqual(match.getPendingGarbage(), [0, 12 - CONFIG.VERSUS.GARBAGE_CAP]);
+    });
+
+    it('ends when garbage pushes a stack out, and the other player wins', () => {
+        const { match, players } = createMatch();
+        const ends = [];
+        match.on('end', event => ends.push(event));
+
+        // A high stack with an open column, so the next lock clears nothing
+        for (let row = 4; row < CONFIG.BOARD_HEIGHT; row++) {
+            for (let col = 0; col < CONFIG.BOARD_WIDTH - 1; col++) {
+                players[1].gameBoard.setCellValue(row, col, 1);
+            }
+        }
+        match.players[1].pending.push({ lines: CONFIG.VERSUS.GARBAGE_CAP, hole: 3 });
+        players[1].hardDrop();
+
+        assert.equal(match.getWinner(), 0);
+        assert.equal(players[1].getGameResult().reason, 'topOut');
+        assert.equal(players[0].getGameResult().reason, 'win');
+        assert.equal(players[0].getGameResult().ranked, false, 'versus games have no high score table');
+        assert.equal(ends.length, 1);
+        assert.equal(ends[0].results[1].garbageReceived, CONFIG.VERSUS.GARBAGE_CAP);
+        assert.equal(players[0].getReplay(), null, 'versus games are not recorded');
+    });
+
+    it('pauses both players together', () => {
+        const { players } = createMatch();
+        players[0].pause();
+        assert.equal(players[1].gameState.isPausedState(), true);
+        players[1].pause();
+        assert.equal(players[0].gameState.isPausedState(), false);
+        assert.equal(players[1].gameState.isPausedState(), false);
+    });
+
+    it('runs on the engine with a second board, binding set and winner screen', () => {
+        const engine = createEngine(4);
+        engines.push(engine);
+        const elements = {
+            container: new HTMLElement(),
+            canvas: new HTMLCanvasElement(),
+            playerMeter: new HTMLElement(),
+            opponentMeter: new HTMLElement(),
+            resultScreen: new HTMLElement(),
+            winnerText: new HTMLElement(),
+            resultBody: new HTMLElement()
+        };
+        elements.resultScreen.classList.add('hidden');
+        engine.setVersusElements(elements);
+        assert.equal(engine.setGameMode('versus'), true);
+        engine.start();
+
+        const opponent = engine.opponent;
+        assert.equal(opponent.gameState.isRunningState(), true);
+        assert.equal(elements.container.classList.contains('versus'), true);
+        assert.equal(opponent.currentPiece.getType(), engine.currentPiece.getType(), 'both get the same pieces');
+
+        // Player 2 plays on their own keys
+        const [ownX, opponentX] = [engine.pieceX, opponent.pieceX];
+        pressKey('a');
+        pressKey('a', 'keyup');
+        assert.equal(opponent.pieceX, opponentX - 1);
+        assert.equal(engine.pieceX, ownX);
+
+        setUpTetris(engine);
+        engine.hardDrop();
+        assert.equal(elements.opponentMeter.style.height, `${4 / CONFIG.BOARD_HEIGHT * 100}%`);
+
+        opponent.gameOver('topOut');
+        assert.equal(engine.gameState.isGameOverState(), true);
+        assert.equal(elements.resultScreen.classList.contains('hidden'), false);
+        assert.equal(elements.winnerText.textContent, '1P 勝利!');
+        assert.equal(elements.resultBody.children.length, GAME_MODES.versus.results.length);
+        assert.equal(engine.pendingHighScore, null);
+
+        // A one-player game takes the screen back
+        engine.setGameMode('marathon');
+        engine.start();
+        assert.equal(engine.versusMatch, null);
+        assert.equal(elements.container.classList.contains('versus'), false);
+        assert.equal(opponent.gameState.isRunningState(), false);
+    });
+});